@@ -7,13 +7,17 @@ import Attendance from "./Components/Teacher/Attendance/Attendance";
 import CreateEvents from "./Components/Teacher/CreateEvents/CreateEvents";
 import EventsFeed from "./Components/Teacher/EventsFeed/EventsFeed";
 import Students from "./Components/Teacher/Students/Students";
+import StudentDetail from "./Components/Teacher/Students/StudentDetail";
+import Defaulters from "./Components/Teacher/Defaulters/Defaulters";
 import MiniDrawerStudent from "./Components/Student/Drawer/MiniDrawerStudent";
 import StudentCalendarPage from "./Components/Student/CalendarPage/StudentCalendarPage";
+import StudentCheckInPage from "./Components/Student/CheckIn/StudentCheckInPage";
 import CoursesComponent from "./Components/Student/Courses/CoursesComponent";
 import Assignments from "./Components/Student/Assignments/Assignments";
 import SettingsStudent from "./Components/Student/Settings/SettingsStudent";
 import Notifications from "./Components/Teacher/Notification/Notification";
 import SettingsTeacher from "./Components/Teacher/Settings/SettingsTeacher";
+import RequireAuth from "./Components/Auth/RequireAuth";
 import { createBrowserRouter, RouterProvider } from "react-router";
 
 const BASE_PATH = import.meta.env.VITE_BASE_PATH || "/";
@@ -32,52 +36,76 @@ const router = createBrowserRouter(
       element: <ForgotPassword />,
     },
     {
-      path: "/teacher",
-      element: <MiniDrawer />,
+      // Teacher portal: guarded so only a logged-in teacher can mount these pages
+      element: <RequireAuth role="teacher" />,
+      children: [
+        {
+          path: "/teacher",
+          element: <MiniDrawer />,
+        },
+        {
+          path: "/teacher/attendance",
+          element: <Attendance />,
+        },
+        {
+          path: "/teacher/createEvents",
+          element: <CreateEvents />,
+        },
+        {
+          path: "/teacher/eventsFeed",
+          element: <EventsFeed />, // CORRECTED: Changed from CreateEvents to EventsFeed
+        },
+        {
+          path: "/teacher/students",
+          element: <Students />,
+        },
+        {
+          path: "/teacher/students/:studentId",
+          element: <StudentDetail />,
+        },
+        {
+          path: "/teacher/defaulters",
+          element: <Defaulters />,
+        },
+        {
+          path: "/teacher/notifications",
+          element: <Notifications />,
+        },
+        {
+          path: "/teacher/settings",
+          element: <SettingsTeacher />,
+        },
+      ],
     },
     {
-      path: "/teacher/attendance",
-      element: <Attendance />,
-    },
-    {
-      path: "/teacher/createEvents",
-      element: <CreateEvents />,
-    },
-    {
-      path: "/teacher/eventsFeed",
-      element: <EventsFeed />, // CORRECTED: Changed from CreateEvents to EventsFeed
-    },
-    {
-      path: "/teacher/students",
-      element: <Students />,
-    },
-    {
-      path: "/teacher/notifications",
-      element: <Notifications />,
-    },
-    {
-      path: "/teacher/settings",
-      element: <SettingsTeacher />,
-    },
-    {
-      path: "/student",
-      element: <MiniDrawerStudent />,
-    },
-    {
-      path: "/student/myCourses",
-      element: <CoursesComponent />,
-    },
-    {
-      path: "/student/calendar",
-      element: <StudentCalendarPage />,
-    },
-    {
-      path: "/student/assignments",
-      element: <Assignments />,
-    },
-    {
-      path: "/student/settings",
-      element: <SettingsStudent />,
+      // Student portal: guarded so only a logged-in student can mount these pages
+      element: <RequireAuth role="student" />,
+      children: [
+        {
+          path: "/student",
+          element: <MiniDrawerStudent />,
+        },
+        {
+          path: "/student/myCourses",
+          element: <CoursesComponent />,
+        },
+        {
+          path: "/student/calendar",
+          element: <StudentCalendarPage />,
+        },
+        {
+          path: "/student/check-in",
+          element: <StudentCheckInPage />,
+        },
+        {
+          path: "/student/assignments",
+          element: <Assignments />,
+        },
+        {
+          path: "/student/settings",
+          element: <SettingsStudent />,
+        },
+      ],
     },
   ],
   {
@@ -0,0 +1,39 @@
+/**
+ * @file RequireAuth.jsx
+ * @description Route guard used as the parent element of the /teacher and /student route trees.
+ * It validates the stored session before any child page mounts (and therefore before any page
+ * starts fetching), redirecting unauthenticated users to the login page and users of the
+ * wrong role back to their own dashboard.
+ * @author Mohd Waris
+ */
+
+import React from "react";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import { getStoredUser, getHomeRoute, hasValidSession } from "../../utils/auth";
+
+/**
+ * RequireAuth Component
+ * Renders the matched child route only when a valid session for the required role exists.
+ * @param {Object} props - Component props.
+ * @param {string} props.role - The role allowed to access the wrapped routes ('teacher' or 'student').
+ */
+export default function RequireAuth({ role }) {
+  const location = useLocation();
+  const user = getStoredUser();
+
+  // 1. No session (or one that can no longer be refreshed) -> back to Login,
+  // which clears storage and shows the expiry message. The query string is kept so links
+  // such as a scanned check-in QR code survive the detour through Login.
+  if (!user || !hasValidSession()) {
+    return <Navigate to="/" replace state={{ from: location.pathname + location.search }} />;
+  }
+
+  // 2. Logged in with a different role -> send them to their own dashboard
+  // (compared via the home route, since Login treats any non-teacher role as a student)
+  const homeRoute = getHomeRoute(user.role);
+  if (homeRoute !== getHomeRoute(role)) {
+    return <Navigate to={homeRoute} replace />;
+  }
+
+  return <Outlet />;
+}
@@ -8,8 +8,10 @@
 
 import React, { useState, useEffect } from "react";
 // --- 1. IMPORT HOOK FOR NAVIGATION ---
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useLocation } from "react-router-dom";
 import { API_URL } from "../../config";
+import { isTokenExpired, getPostLoginRoute } from "../../utils/auth";
+import { refreshAccessToken } from "../../api/authFetch";
 import {
   Avatar,
   Button,
@@ -84,36 +86,6 @@ const universityTheme = createTheme({
   },
 });
 
-/**
- * Checks if a JWT token has expired.
- * * @param {string} token - The JWT token string.
- * @returns {boolean} True if the token is missing, invalid, or expired; otherwise false.
- */
-const isTokenExpired = (token) => {
-  if (!token) return true;
-  try {
-    // 1. Get the payload part of the JWT
-    const base64Url = token.split(".")[1];
-    // 2. Convert Base64Url to Base64
-    const base64 = base64Url.replace(/-/g, "+").replace(/_/g, "/");
-    // 3. Decode Base64 to JSON string
-    const jsonPayload = decodeURIComponent(
-      atob(base64)
-        .split("")
-        .map((c) => "%" + ("00" + c.charCodeAt(0).toString(16)).slice(-2))
-        .join("")
-    );
-    // 4. Parse JSON
-    const { exp } = JSON.parse(jsonPayload);
-
-    // 5. Check if current time (in seconds) is greater than expiration
-    const currentTime = Date.now() / 1000;
-    return currentTime > exp;
-  } catch (error) {
-    return true; // If decoding fails, treat as expired
-  }
-};
-
 /**
  * Placeholder component for the Teacher Dashboard.
  * To be replaced by the actual Teacher module.
@@ -162,6 +134,9 @@ const TeacherDashboard = ({ onLogout, user }) => {
  */
 export default function App() {
   const navigate = useNavigate();
+  // Page RequireAuth sent the user away from, restored after signing in
+  const location = useLocation();
+  const redirectFrom = location.state?.from;
 
   // State for managing the current view ('loading', 'login', or 'dashboard')
   const [currentPage, setCurrentPage] = useState("loading");
@@ -185,13 +160,23 @@ export default function App() {
   /**
    * Effect hook to check for an existing session on component mount.
    * If a valid token exists, it restores the session and redirects the user.
-   * If the token is expired, it clears storage and shows the login screen.
+   * If the access token is expired, it tries the refresh token first and only
+   * clears storage and shows the login screen when that fails.
    */
   useEffect(() => {
-    const checkLogin = () => {
-      const token = localStorage.getItem("university_token");
+    const checkLogin = async () => {
+      let token = localStorage.getItem("university_token");
       const savedUser = localStorage.getItem("university_user");
 
+      // --- Renew an expired access token while the refresh token is still valid ---
+      if (token && savedUser && isTokenExpired(token)) {
+        try {
+          token = await refreshAccessToken();
+        } catch (err) {
+          console.error("Session refresh failed:", err);
+        }
+      }
+
       if (token && savedUser) {
         // --- NEW: CHECK IF TOKEN IS EXPIRED ---
         if (isTokenExpired(token)) {
@@ -209,12 +194,8 @@ export default function App() {
           const parsedUser = JSON.parse(savedUser);
           setUser(parsedUser);
 
-          // Redirect based on role immediately
-          if (parsedUser.role === "teacher") {
-            navigate("/teacher");
-          } else {
-            navigate("/student");
-          }
+          // Redirect based on role immediately (or back to the page that required login)
+          navigate(getPostLoginRoute(parsedUser.role, redirectFrom));
         }
       } else {
         // No token, show login
@@ -222,7 +203,7 @@ export default function App() {
       }
     };
     checkLogin();
-  }, [navigate]);
+  }, [navigate, redirectFrom]);
 
   /**
    * Toggles the visibility of the password input field.
@@ -322,12 +303,8 @@ export default function App() {
         setUser(userData);
 
         // --- 5. NAVIGATE TO ROUTE ON SUCCESS ---
-        // Determine destination based on user role
-        if (userRole === "teacher") {
-          navigate("/teacher");
-        } else {
-          navigate("/student");
-        }
+        // Determine destination based on user role (or the page that required login)
+        navigate(getPostLoginRoute(userRole, redirectFrom));
       } else {
         // Handle API errors (invalid credentials, etc.)
         setLoginError(
@@ -1,7 +1,8 @@
 /**
  * @file StudentAttendanceCalendar.jsx
  * @description Interactive calendar component for students to view their attendance records.
- * Features include subject-wise filtering, month navigation, and visual status indicators (Present/Absent).
+ * Features include subject-wise filtering, month navigation, and visual status indicators with a legend
+ * for every configured attendance status (Present, Absent, Late, ...).
  * @author Mohd Waris
  */
 
@@ -27,7 +28,8 @@ import {
 import { LocalizationProvider } from "@mui/x-date-pickers";
 import { AdapterDayjs } from "@mui/x-date-pickers/AdapterDayjs";
 import { ChevronLeft, ChevronRight } from "@mui/icons-material";
-import { API_URL } from "../../../config";
+import { getMySubjectsAttendance, getMyAttendance, isAbortError } from "../../../api/apiClient";
+import { ATTENDANCE_STATUSES, getAttendanceStatus } from "../../../utils/attendanceStatuses";
 
 /**
  * Styled component for the drawer header area.
@@ -52,13 +54,14 @@ const DAY_LABELS = ["Su", "Mo", "Tu", "We", "Th", "Fr", "Sa"];
  * Applies conditional styling based on attendance status, current month, and date validity.
  * * @param {Object} props - Component props.
  * @param {Object} props.day - Dayjs object representing the specific date.
- * @param {string} props.status - Attendance status ('Present', 'Absent', or undefined).
+ * @param {string} props.status - Attendance status as returned by the API ('Present', 'Late', ... or undefined).
  * @param {boolean} props.isCurrentMonth - Flag indicating if the day belongs to the currently viewed month.
  * @param {boolean} props.isToday - Flag indicating if the date is the current system date.
  * @param {boolean} props.isFuture - Flag indicating if the date is in the future.
  */
 function DayCell({ day, status, isCurrentMonth, isToday, isFuture }) {
   const theme = useTheme();
+  const statusConfig = getAttendanceStatus(status);
 
   // Base styles for the cell
   let cellStyles = {
@@ -84,13 +87,10 @@ function DayCell({ day, status, isCurrentMonth, isToday, isFuture }) {
     cellStyles.pointerEvents = "none";
     cellStyles.backgroundColor = theme.palette.grey[50];
   }
-  // Apply status colors (Matches API "Present" / "Absent")
-  else if (status === "Present") {
-    cellStyles.backgroundColor = alpha(theme.palette.success.light, 0.3);
-    cellStyles.color = theme.palette.success.dark;
-  } else if (status === "Absent") {
-    cellStyles.backgroundColor = alpha(theme.palette.error.light, 0.3);
-    cellStyles.color = theme.palette.error.dark;
+  // Apply status colors (from the shared status configuration)
+  else if (statusConfig) {
+    cellStyles.backgroundColor = statusConfig.bgColor;
+    cellStyles.color = statusConfig.color;
   }
   // "Today" highlight if no specific attendance status exists
   else if (isToday) {
@@ -100,7 +100,32 @@ function DayCell({ day, status, isCurrentMonth, isToday, isFuture }) {
     cellStyles.borderRadius = "8px";
   }
 
-  return <Box sx={cellStyles}>{day.date()}</Box>;
+  return (
+    <Box sx={cellStyles} title={statusConfig?.label}>
+      {day.date()}
+    </Box>
+  );
+}
+
+// --- Legend Component ---
+
+/**
+ * StatusLegend Component
+ * Lists the colour used for each attendance status below the calendar grid.
+ */
+function StatusLegend() {
+  return (
+    <Box sx={{ display: "flex", flexWrap: "wrap", gap: 2, p: 2, borderTop: 1, borderColor: "grey.200" }}>
+      {ATTENDANCE_STATUSES.map((status) => (
+        <Box key={status.key} sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+          <Box sx={{ width: 16, height: 16, borderRadius: "4px", backgroundColor: status.bgColor, border: `1px solid ${status.color}` }} />
+          <Typography variant="body2" color="text.secondary">
+            {status.label}
+          </Typography>
+        </Box>
+      ))}
+    </Box>
+  );
 }
 
 // --- Main Calendar Component ---
@@ -132,23 +157,11 @@ export default function StudentAttendanceCalendar() {
    * Auto-selects the first subject upon successful fetch.
    */
   useEffect(() => {
+    const controller = new AbortController();
+
     const fetchSubjects = async () => {
-      // const baseUrl = "http://127.0.0.1:8000/api";
-      const token = localStorage.getItem("university_token");
-      
       try {
-        if (!token) throw new Error("No token found");
-        
-        const response = await fetch(`${API_URL}/students/me/subjects-attendance/`, {
-            headers: { 
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            }
-        });
-        
-        if (!response.ok) throw new Error("Failed to load subjects");
-        
-        const data = await response.json();
+        const data = await getMySubjectsAttendance({ signal: controller.signal });
         setSubjects(data);
         
         // Default to the first subject if available
@@ -156,12 +169,14 @@ export default function StudentAttendanceCalendar() {
             setSelectedSubject(data[0].subject_id);
         }
       } catch (err) {
+        if (isAbortError(err)) return;
         console.error("Error fetching subjects:", err);
         setError("Could not load subject list.");
       }
     };
 
     fetchSubjects();
+    return () => controller.abort();
   }, []);
 
   // 2. Fetch Attendance for Selected Subject
@@ -172,23 +187,15 @@ export default function StudentAttendanceCalendar() {
   useEffect(() => {
     if (!selectedSubject) return;
 
+    // Switching subjects quickly cancels the previous subject's request
+    const controller = new AbortController();
+
     const fetchAttendanceLog = async () => {
       setLoading(true);
-      // const baseUrl = "http://127.0.0.1:8000/api";
-      const token = localStorage.getItem("university_token");
 
       try {
         // Calling the API with the selected subject ID
-        const response = await fetch(`${API_URL}/students/me/attendance/?subject_id=${selectedSubject}`, {
-            headers: { 
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            }
-        });
-
-        if (!response.ok) throw new Error("Failed to fetch attendance logs");
-        
-        const logs = await response.json();
+        const logs = await getMyAttendance(selectedSubject, { signal: controller.signal });
 
         // TRANSFORM: Array -> Object Map for O(1) Lookup
         // API: [{ "date": "2025-11-28", "status": "Present" }, ...]
@@ -200,15 +207,17 @@ export default function StudentAttendanceCalendar() {
         
         setAttendanceMap(newMap);
       } catch (err) {
+        if (isAbortError(err)) return;
         console.error(err);
         // Don't set global error here to avoid blocking UI, just clear map
         setAttendanceMap({});
       } finally {
-        setLoading(false);
+        if (!controller.signal.aborted) setLoading(false);
       }
     };
 
     fetchAttendanceLog();
+    return () => controller.abort();
   }, [selectedSubject]); // Re-run whenever selectedSubject changes
 
   // 3. Generate Calendar Grid
@@ -325,6 +334,9 @@ export default function StudentAttendanceCalendar() {
               <DayCell key={index} day={day} {...props} />
             ))}
           </Box>
+
+          {/* Status Legend */}
+          <StatusLegend />
         </Paper>
       </Box>
     </LocalizationProvider>
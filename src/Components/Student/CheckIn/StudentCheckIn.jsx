@@ -0,0 +1,162 @@
+/**
+ * @file StudentCheckIn.jsx
+ * @description Lets a student mark themselves present for a lecture by scanning the teacher's QR code.
+ * The session and the rotating token are read from the URL; the student confirms and is recorded
+ * in the teacher's live tally. Expired codes and closed sessions are reported with a clear message.
+ * @author Mohd Waris
+ */
+
+import React, { useState, useEffect } from "react";
+import { styled } from "@mui/material/styles";
+import { useSearchParams } from "react-router-dom";
+import dayjs from "dayjs";
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+} from "@mui/material";
+import { QrCode2 as QrCodeIcon, CheckCircle as CheckCircleIcon } from "@mui/icons-material";
+import { getCheckInSession, submitCheckIn } from "../../../api/checkInService";
+
+/**
+ * Styled component for the drawer header area.
+ * Ensures content is pushed down correctly below the top app bar.
+ */
+const DrawerHeader = styled("div")(({ theme }) => ({
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "flex-end",
+  padding: theme.spacing(0, 1),
+  ...theme.mixins.toolbar,
+}));
+
+/**
+ * StudentCheckIn Component
+ * @param {Object} props - Component props.
+ * @param {Object} props.user - Logged-in student ({ name, contextId, code: roll number }).
+ */
+export default function StudentCheckIn({ user }) {
+  const [searchParams] = useSearchParams();
+  const sessionId = searchParams.get("session");
+  const token = searchParams.get("token");
+
+  // --- State Management ---
+  const [session, setSession] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [checkIn, setCheckIn] = useState(null);
+  const [error, setError] = useState(null);
+
+  // --- Load the session being checked into ---
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSession = async () => {
+      if (!sessionId || !token) {
+        setError("This check-in link is incomplete. Scan the QR code shown in class again.");
+        setLoading(false);
+        return;
+      }
+      try {
+        const found = await getCheckInSession(sessionId);
+        if (cancelled) return;
+        setSession(found);
+        // Already checked in (e.g. the page was reloaded)
+        const existing = found.checkIns.find((c) => c.rollNumber === user?.code);
+        if (existing) setCheckIn(existing);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadSession();
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, token, user?.code]);
+
+  /**
+   * Records the student's check-in.
+   */
+  const handleCheckIn = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const result = await submitCheckIn({
+        sessionId,
+        token,
+        student: { rollNumber: user.code, studentId: user.contextId, name: user.name },
+      });
+      setCheckIn(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box sx={{ p: 3, width: "100%" }}>
+      <DrawerHeader />
+
+      <Typography variant="h4" sx={{ fontWeight: 600, p: 2 }}>
+        Lecture Check-in
+      </Typography>
+
+      <Paper sx={{ p: 4, mx: 2, maxWidth: 480, borderRadius: 3, textAlign: "center" }}>
+        {loading ? (
+          <CircularProgress sx={{ my: 4 }} />
+        ) : checkIn ? (
+          // --- Checked In ---
+          <>
+            <CheckCircleIcon sx={{ fontSize: 64, color: "#2e7d32" }} />
+            <Typography variant="h6" fontWeight="bold" sx={{ mt: 1 }}>
+              You're checked in
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              {session?.subjectName} · {session && dayjs(session.date).format("DD MMM YYYY")} · at{" "}
+              {dayjs(checkIn.checkedInAt).format("hh:mm A")}
+            </Typography>
+          </>
+        ) : (
+          // --- Confirm Check-in ---
+          <>
+            <QrCodeIcon sx={{ fontSize: 64, color: "#6a65ff" }} />
+            {session && (
+              <>
+                <Typography variant="h6" fontWeight="bold" sx={{ mt: 1 }}>
+                  {session.subjectName}
+                </Typography>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                  {dayjs(session.date).format("dddd, DD MMM YYYY")} · {user?.name} ({user?.code})
+                </Typography>
+              </>
+            )}
+            {error && (
+              <Alert severity="error" sx={{ mb: 2, textAlign: "left" }}>
+                {error}
+              </Alert>
+            )}
+            {session && (
+              <Button
+                fullWidth
+                variant="contained"
+                onClick={handleCheckIn}
+                disabled={submitting || !user?.code}
+                startIcon={submitting ? <CircularProgress size={16} color="inherit" /> : null}
+                sx={{ backgroundColor: "#6a65ff", textTransform: "none", fontWeight: 600 }}
+              >
+                Check in
+              </Button>
+            )}
+          </>
+        )}
+      </Paper>
+    </Box>
+  );
+}
@@ -0,0 +1,35 @@
+/**
+ * @file StudentCheckInPage.jsx
+ * @description Layout component for the QR check-in page opened when a student scans the code
+ * shown by their teacher. It pairs the navigation drawer with the check-in module.
+ * @author Mohd Waris
+ */
+
+import * as React from "react";
+import Box from "@mui/material/Box";
+import CssBaseline from "@mui/material/CssBaseline";
+import StudentCheckIn from "./StudentCheckIn";
+import TopDrawer from "../Drawer/TopDrawer";
+import { getStoredUser } from "../../../utils/auth";
+
+/**
+ * StudentCheckInPage Component
+ * Renders the persistent side drawer and the check-in content for the logged-in student.
+ */
+export default function StudentCheckInPage() {
+  // State to control the open/close status of the navigation drawer
+  const [open, setOpen] = React.useState(true);
+  const [user] = React.useState(getStoredUser);
+
+  return (
+    <Box sx={{ display: "flex" }}>
+      <CssBaseline />
+
+      {/* Navigation Drawer */}
+      <TopDrawer open={open} handleDrawerOpen={() => setOpen(true)} user={user} />
+
+      {/* Check-in Content */}
+      <StudentCheckIn user={user} />
+    </Box>
+  );
+}
@@ -23,7 +23,7 @@ import {
   CalendarTodayOutlined,
   StarBorderOutlined,
 } from "@mui/icons-material";
-import { API_URL } from '../../../config'
+import { getStudentProfile, getMySubjectsAttendance, isAbortError } from '../../../api/apiClient'
 
 /**
  * Styled component for the drawer header area.
@@ -179,32 +179,22 @@ export default function MyCourses() {
    * Merges this data to create the course list.
    */
   useEffect(() => {
+    const controller = new AbortController();
+
     const fetchData = async () => {
       setLoading(true);
       setError(null);
-      // const baseUrl = "http://127.0.0.1:8000/api";
-      const token = localStorage.getItem("university_token");
+      const { signal } = controller;
 
       try {
-        if (!token) throw new Error("Authentication token not found.");
-
-        const headers = {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`
-        };
-
         // 1. Fetch Student Profile (To get current semester)
-        const profileRes = await fetch(`${API_URL}/studentProfile/`, { headers });
-        if (!profileRes.ok) throw new Error("Failed to fetch profile");
-        const profileData = await profileRes.json();
+        const profileData = await getStudentProfile({ signal });
         
         // Construct term string (e.g., "1st Semester")
         const currentTerm = getOrdinalTerm(profileData.current_semester);
 
         // 2. Fetch Subjects (To get course list)
-        const subjectsRes = await fetch(`${API_URL}/students/me/subjects-attendance/`, { headers });
-        if (!subjectsRes.ok) throw new Error("Failed to fetch subjects");
-        const subjectsData = await subjectsRes.json();
+        const subjectsData = await getMySubjectsAttendance({ signal });
 
         // 3. Map Data to UI Structure
         const mappedCourses = subjectsData.map(sub => ({
@@ -220,14 +210,16 @@ export default function MyCourses() {
         setDisplayedCourses(mappedCourses);
 
       } catch (err) {
+        if (isAbortError(err)) return;
         console.error("Error fetching courses:", err);
         setError("Failed to load courses. Please try again later.");
       } finally {
-        setLoading(false);
+        if (!signal.aborted) setLoading(false);
       }
     };
 
     fetchData();
+    return () => controller.abort();
   }, []);
 
   /**
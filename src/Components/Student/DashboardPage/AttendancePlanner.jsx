@@ -0,0 +1,149 @@
+/**
+ * @file AttendancePlanner.jsx
+ * @description Student dashboard card answering "how many classes can I miss?" and "how many must I attend?"
+ * for every subject, against the threshold of the subject's attendance policy. A what-if slider takes the
+ * number of classes the student expects in the rest of the semester and plans up to its end.
+ * @author Mohd Waris
+ */
+
+import React, { useState, useMemo } from 'react';
+import {
+  Card,
+  CardHeader,
+  Box,
+  Typography,
+  Slider,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { EventAvailable } from '@mui/icons-material';
+import { getAttendancePolicy } from '../../../utils/attendancePolicy';
+import { MAX_REMAINING_CLASSES, planSubjectAttendance } from '../../../utils/attendancePlanner';
+
+/**
+ * Pluralises "class".
+ * @param {number} count - Number of classes.
+ * @returns {string}
+ */
+const classes = (count) => `${count} class${count === 1 ? '' : 'es'}`;
+
+/**
+ * What the student can do from now on, without a semester horizon.
+ * @param {import('../../../utils/attendancePlanner').SubjectPlan} plan - Subject plan.
+ * @returns {{label: string, color: string}}
+ */
+const describeNow = (plan) => {
+  if (plan.percentage === null) return { label: 'No classes yet', color: 'default' };
+  if (!plan.belowThreshold) {
+    return plan.canMissNow
+      ? { label: `Can miss the next ${classes(plan.canMissNow)}`, color: 'success' }
+      : { label: 'Cannot miss the next class', color: 'warning' };
+  }
+  return plan.mustAttendNow === null
+    ? { label: 'Cannot reach the requirement', color: 'error' }
+    : { label: `Attend the next ${classes(plan.mustAttendNow)} in a row`, color: 'error' };
+};
+
+/**
+ * What the student can do in the rest of the semester.
+ * @param {import('../../../utils/attendancePlanner').SemesterPlan} semester - Semester plan.
+ * @returns {{label: string, color: string}}
+ */
+const describeSemester = (semester) => {
+  if (!semester.reachable) {
+    return { label: `At most ${semester.finalPercentage.toFixed(1)}%, even attending all`, color: 'error' };
+  }
+  return {
+    label: `Attend ${semester.mustAttend} of ${semester.remaining}, miss up to ${semester.canMiss}`,
+    color: semester.canMiss ? 'success' : 'warning',
+  };
+};
+
+/**
+ * AttendancePlanner Component
+ * @param {Object} props - Component props.
+ * @param {Array<{id: number|string, name: string, attended: number, total: number}>} props.subjects - Subject attendance.
+ */
+export default function AttendancePlanner({ subjects }) {
+  // --- What-if: classes expected in the rest of the semester (per subject) ---
+  const [remaining, setRemaining] = useState(0);
+
+  const plans = useMemo(() => subjects.map((subject) => {
+    const policy = getAttendancePolicy({ subjectName: subject.name });
+    return { subject, policy, plan: planSubjectAttendance(subject, policy, remaining) };
+  }), [subjects, remaining]);
+
+  return (
+    <Card sx={{ width: '100%', maxWidth: '1000px', borderRadius: 3, boxShadow: '0 4px 12px rgba(0,0,0,0.05)' }}>
+      <CardHeader
+        avatar={<EventAvailable sx={{ color: '#6366F1' }} />}
+        title={
+          <Typography variant="h6" sx={{ fontWeight: '600' }}>
+            Attendance Planner
+          </Typography>
+        }
+        subheader="Classes you can miss, or must attend, to stay at the required attendance"
+        sx={{ borderBottom: '1px solid', borderColor: 'grey.200' }}
+      />
+      <Box sx={{ padding: { xs: 2, sm: 3 } }}>
+        <Typography variant="body2" sx={{ fontWeight: 500 }}>
+          Classes left this semester in each subject: {remaining || 'not set'}
+        </Typography>
+        <Slider
+          value={remaining}
+          onChange={(e, value) => setRemaining(value)}
+          min={0}
+          max={MAX_REMAINING_CLASSES}
+          valueLabelDisplay="auto"
+          aria-label="Classes left this semester"
+          sx={{ mb: 2 }}
+        />
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ fontWeight: 600 }}>Subject</TableCell>
+              <TableCell sx={{ fontWeight: 600 }} align="right">Attendance</TableCell>
+              <TableCell sx={{ fontWeight: 600 }} align="right">Required</TableCell>
+              <TableCell sx={{ fontWeight: 600 }}>Right now</TableCell>
+              {remaining > 0 && <TableCell sx={{ fontWeight: 600 }}>By semester end</TableCell>}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {plans.map(({ subject, policy, plan }) => {
+              const now = describeNow(plan);
+              const semester = plan.semester && describeSemester(plan.semester);
+              return (
+                <TableRow key={subject.id}>
+                  <TableCell>{subject.name}</TableCell>
+                  <TableCell align="right">
+                    {plan.percentage === null ? '-' : `${plan.percentage.toFixed(1)}%`}
+                  </TableCell>
+                  <TableCell align="right">{policy.threshold}%</TableCell>
+                  <TableCell>
+                    <Chip label={now.label} color={now.color} size="small" variant="outlined" />
+                  </TableCell>
+                  {semester && (
+                    <TableCell>
+                      <Chip label={semester.label} color={semester.color} size="small" variant="outlined" />
+                    </TableCell>
+                  )}
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+
+        {remaining === 0 && (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+            Set the classes left this semester to see how many of them you must attend.
+          </Typography>
+        )}
+      </Box>
+    </Card>
+  );
+}
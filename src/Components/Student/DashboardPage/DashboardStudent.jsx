@@ -26,6 +26,7 @@ import Collapse from "@mui/material/Collapse";
 import CustomCircularProgress from "../../Teacher/Dashboard/TeacherDashboard/DashboardComponents/CustomCircularProgress";
 import { Divider, Grid, LinearProgress, Paper } from "@mui/material";
 import { ArrowUpward, WarningAmberRounded } from "@mui/icons-material";
+import { DEFAULT_POLICY } from "../../../utils/attendancePolicy";
 
 // --- MOVED THEME DEFINITION HERE ---
 // This theme will be passed down to all children,
@@ -115,14 +116,16 @@ const LabeledProgress = ({ label, value, color }) => (
  */
 const StudentDashboardContent = ({ user }) => {
   const theme = useTheme(); // Now this will work
-  const requiredPercentage = 75;
+  // Overall requirement of the institution; subjects with their own rule show it on their bar
+  const requiredPercentage = DEFAULT_POLICY.threshold;
 
   // --- STATE FOR OVERALL PERCENTAGE ---
   // This state will be updated by the child component (StudentAttendanceProgressBar)
   const [overallPercentage, setOverallPercentage] = useState(0);
 
-  // Determine if attendance is low based on the threshold
+  // Determine if attendance is low based on the threshold (exact percentage; rounded only for display)
   const isBelowRequirement = overallPercentage < requiredPercentage;
+  const displayPercentage = Math.round(overallPercentage);
   const neededPercentage = (requiredPercentage - overallPercentage).toFixed(1);
 
   return (
@@ -167,7 +170,7 @@ const StudentDashboardContent = ({ user }) => {
               <Box sx={{ my: 3 }}>
                 {/* UPDATED: Use dynamic state variable */}
                 <CustomCircularProgress
-                  value={overallPercentage}
+                  value={displayPercentage}
                   label="Present"
                 />
               </Box>
@@ -218,7 +221,7 @@ const StudentDashboardContent = ({ user }) => {
                 <LabeledProgress
                   label="Your attendance"
                   // UPDATED: Use dynamic state variable
-                  value={overallPercentage}
+                  value={displayPercentage}
                   color={isBelowRequirement ? "error" : "success"}
                 />
                 <LabeledProgress
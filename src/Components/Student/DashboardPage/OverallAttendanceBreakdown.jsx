@@ -0,0 +1,74 @@
+/**
+ * @file OverallAttendanceBreakdown.jsx
+ * @description Shows the student how their overall attendance is computed: the aggregation method set by
+ * the attendance policy and, for each subject, its credits, percentage, weight and the points it adds.
+ * @author Mohd Waris
+ */
+
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { FunctionsRounded } from '@mui/icons-material';
+import { AGGREGATION_METHODS } from '../../../utils/attendanceAggregation';
+
+/**
+ * OverallAttendanceBreakdown Component
+ * @param {Object} props - Component props.
+ * @param {import('../../../utils/attendanceAggregation').OverallAttendance} props.overall - Overall attendance and contributions.
+ */
+export default function OverallAttendanceBreakdown({ overall }) {
+  const method = AGGREGATION_METHODS[overall.method];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <FunctionsRounded sx={{ color: '#6366F1' }} />
+          <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+            How your overall {overall.percentage.toFixed(1)}% is calculated
+          </Typography>
+        </Box>
+        <Chip label={method.label} size="small" color="primary" variant="outlined" />
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {method.description}
+        {overall.fellBack && ' Credits are not available for your subjects yet, so all classes are counted together.'}
+      </Typography>
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell sx={{ fontWeight: 600 }}>Subject</TableCell>
+            <TableCell sx={{ fontWeight: 600 }} align="right">Credits</TableCell>
+            <TableCell sx={{ fontWeight: 600 }} align="right">Attendance</TableCell>
+            <TableCell sx={{ fontWeight: 600 }} align="right">Weight</TableCell>
+            <TableCell sx={{ fontWeight: 600 }} align="right">Contribution</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {overall.subjects.map((subject) => (
+            <TableRow key={subject.id} sx={{ opacity: subject.weight ? 1 : 0.6 }}>
+              <TableCell>{subject.name}</TableCell>
+              <TableCell align="right">{subject.credits || '-'}</TableCell>
+              <TableCell align="right">{subject.percentage === null ? 'No classes' : `${subject.percentage.toFixed(1)}%`}</TableCell>
+              <TableCell align="right">{subject.weight ? `${(subject.weight * 100).toFixed(1)}%` : 'Not counted'}</TableCell>
+              <TableCell align="right">{subject.weight ? `${subject.contribution.toFixed(1)} pts` : '-'}</TableCell>
+            </TableRow>
+          ))}
+          <TableRow>
+            <TableCell colSpan={4} sx={{ fontWeight: 600 }}>Overall</TableCell>
+            <TableCell align="right" sx={{ fontWeight: 600 }}>{overall.percentage.toFixed(1)}%</TableCell>
+          </TableRow>
+        </TableBody>
+      </Table>
+    </Box>
+  );
+}
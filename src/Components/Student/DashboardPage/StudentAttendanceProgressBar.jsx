@@ -2,7 +2,9 @@
  * @file StudentAttendanceProgressBar.jsx
  * @description Component responsible for fetching and displaying subject-wise attendance details.
  * It visualizes attendance percentages using linear progress bars and calculates the overall aggregate attendance
- * to update the parent dashboard component.
+ * (with the method set by the attendance policy: total classes, credit-weighted or average of subjects)
+ * to update the parent dashboard component, showing how each subject contributes to it.
+ * Below it, the attendance planner works out the classes the student can miss or must attend.
  * @author Mohd Waris
  */
 
@@ -14,24 +16,30 @@ import {
   Typography,
   LinearProgress,
   CircularProgress,
-  Alert
+  Alert,
+  Divider
 } from '@mui/material';
 import {
   MenuBook,
   WarningAmberRounded
 } from '@mui/icons-material';
-import { API_URL } from "../../../config";
+import { getMySubjectsAttendance, isAbortError } from "../../../api/apiClient";
+import { getAttendancePolicy } from "../../../utils/attendancePolicy";
+import { computeOverallAttendance } from "../../../utils/attendanceAggregation";
+import OverallAttendanceBreakdown from "./OverallAttendanceBreakdown";
+import AttendancePlanner from "./AttendancePlanner";
 
 // --- Theme colors provided by parent ---
 
 /**
  * Helper function to determine the color status and warning message based on attendance percentage.
  * @param {number} percentage - The attendance percentage.
+ * @param {import("../../../utils/attendancePolicy").AttendancePolicy} policy - Attendance policy of the subject.
  * @returns {Object} An object containing the color string (success/warning/error) and an optional message.
  */
-const getAttendanceStatus = (percentage) => {
-  const requiredPercentage = 75;
-  if (percentage >= 90) {
+const getAttendanceStatus = (percentage, policy) => {
+  const requiredPercentage = policy.threshold;
+  if (percentage >= policy.excellent) {
     return { color: 'success', message: null };
   }
   if (percentage >= requiredPercentage) {
@@ -51,12 +59,13 @@ const getAttendanceStatus = (percentage) => {
  * @param {Object} props.subject - The subject data object containing name, code, attended, and total classes.
  */
 const SubjectAttendanceItem = ({ subject }) => {
-  // Calculate percentage (guard against division by zero)
+  // Calculate percentage (guard against division by zero); compared exactly, rounded only for display
   const percentage = subject.total > 0 
-    ? Math.round((subject.attended / subject.total) * 100) 
+    ? (subject.attended / subject.total) * 100 
     : 0;
     
-  const { color, message } = getAttendanceStatus(percentage);
+  // Labs and other subjects with their own rule are judged by it
+  const { color, message } = getAttendanceStatus(percentage, getAttendancePolicy({ subjectName: subject.name }));
 
   return (
     <Box sx={{ width: '100%', mb: 3 }}>
@@ -83,7 +92,7 @@ const SubjectAttendanceItem = ({ subject }) => {
         {/* Right Side: Percentage and Fraction */}
         <Box sx={{ textAlign: 'right' }}>
           <Typography variant="body1" sx={{ fontWeight: '600', color: `${color}.main` }}>
-            {percentage}%
+            {Math.round(percentage)}%
           </Typography>
           <Typography variant="body2" sx={{ color: 'text.secondary', fontSize: '0.875rem' }}>
             {subject.attended}/{subject.total} classes
@@ -138,28 +147,14 @@ export default function StudentAttendanceProgressBar({ onOverallPercentageChange
    * and maps it to the internal state structure.
    */
   useEffect(() => {
+    const controller = new AbortController();
+
     const fetchAttendance = async () => {
       setLoading(true);
       setError(null);
-      // const baseUrl = "http://127.0.0.1:8000/api";
-      const token = localStorage.getItem("university_token");
 
       try {
-        if (!token) throw new Error("No authentication token found.");
-
-        const response = await fetch(`${API_URL}/students/me/subjects-attendance/`, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            }
-        });
-
-        if (!response.ok) {
-          throw new Error('Failed to fetch attendance data');
-        }
-        
-        const data = await response.json();
+        const data = await getMySubjectsAttendance({ signal: controller.signal });
         
         // Map API response to Component State Structure
         const mappedData = data.map(item => ({
@@ -173,43 +168,33 @@ export default function StudentAttendanceProgressBar({ onOverallPercentageChange
 
         setAttendanceData(mappedData);
       } catch (err) {
+        if (isAbortError(err)) return;
         console.error("Attendance fetch error:", err);
         setError(err.message || "Could not load attendance.");
       } finally {
-        setLoading(false);
+        if (!controller.signal.aborted) setLoading(false);
       }
     };
 
     fetchAttendance();
+    return () => controller.abort();
   }, []);
 
   // --- OVERALL PERCENTAGE CALCULATION ---
   /**
-   * Memoized calculation for the aggregate attendance stats.
+   * Memoized calculation for the aggregate attendance stats, with each subject's contribution.
    * Re-calculates only when attendanceData changes.
    */
-  const overallStats = useMemo(() => {
-    if (!attendanceData || attendanceData.length === 0) {
-      return { totalAttended: 0, totalClasses: 0, percentage: 0 };
-    }
-
-    // Calculate aggregate totals
-    const totalAttended = attendanceData.reduce((sum, subject) => sum + subject.attended, 0);
-    const totalClasses = attendanceData.reduce((sum, subject) => sum + subject.total, 0);
-
-    // Calculate aggregate percentage
-    const percentage = totalClasses > 0 ? Math.round((totalAttended / totalClasses) * 100) : 0;
-
-    return { totalAttended, totalClasses, percentage };
-  }, [attendanceData]);
+  const overallStats = useMemo(() => computeOverallAttendance(attendanceData), [attendanceData]);
 
   // --- LIFTING STATE UP ---
-  // Notify parent component of overall percentage whenever it changes
+  // Notify parent component of overall percentage whenever it changes (exact; the parent rounds it for display)
+  const overallPercentage = overallStats.percentage;
   useEffect(() => {
     if (onOverallPercentageChange) {
-      onOverallPercentageChange(overallStats.percentage);
+      onOverallPercentageChange(overallPercentage);
     }
-  }, [overallStats.percentage, onOverallPercentageChange]);
+  }, [overallPercentage, onOverallPercentageChange]);
 
 
   // Loading State Render
@@ -240,56 +225,62 @@ export default function StudentAttendanceProgressBar({ onOverallPercentageChange
   }
 
   return (
-    <Card
-      sx={{
-        width: '100%',
-        maxWidth: '1000px',
-        borderRadius: 3,
-        boxShadow: '0 4px 12px rgba(0,0,0,0.05)',
-        overflow: 'hidden'
-      }}
-    >
-      <CardHeader
-        avatar={
-          <Box sx={{
-            padding: '4px',
-            borderRadius: '6px',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-            bgcolor: '#f3f3f7ff',
-            color: '#fff'
-          }}>
-            <MenuBook sx={{ fontSize: '1.25rem' }} />
-          </Box>
-        }
-        title={
-          <Typography variant="h6" sx={{ fontWeight: '600' }}>
-            Attendance by Subject
-          </Typography>
-        }
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+      <Card
         sx={{
-          backgroundColor: 'white',
-          borderBottom: '1px solid',
-          borderColor: 'grey.200',
-          '& .MuiCardHeader-avatar': {
-            marginRight: '12px',
-            backgroundColor: 'rgba(99, 102, 241, 0.1)', 
-            color: 'primary.main',
-            borderRadius: '8px',
-            padding: '6px',
-            display: 'flex',
-          },
-          '& .MuiCardHeader-avatar .MuiSvgIcon-root': {
-            color: '#6366F1'
-          }
+          width: '100%',
+          maxWidth: '1000px',
+          borderRadius: 3,
+          boxShadow: '0 4px 12px rgba(0,0,0,0.05)',
+          overflow: 'hidden'
         }}
-      />
-      <Box sx={{ padding: { xs: 2, sm: 3 }, backgroundColor: 'white' }}>
-        {attendanceData.map((subject) => (
-          <SubjectAttendanceItem key={subject.id} subject={subject} />
-        ))}
-      </Box>
-    </Card>
+      >
+        <CardHeader
+          avatar={
+            <Box sx={{
+              padding: '4px',
+              borderRadius: '6px',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              bgcolor: '#f3f3f7ff',
+              color: '#fff'
+            }}>
+              <MenuBook sx={{ fontSize: '1.25rem' }} />
+            </Box>
+          }
+          title={
+            <Typography variant="h6" sx={{ fontWeight: '600' }}>
+              Attendance by Subject
+            </Typography>
+          }
+          sx={{
+            backgroundColor: 'white',
+            borderBottom: '1px solid',
+            borderColor: 'grey.200',
+            '& .MuiCardHeader-avatar': {
+              marginRight: '12px',
+              backgroundColor: 'rgba(99, 102, 241, 0.1)', 
+              color: 'primary.main',
+              borderRadius: '8px',
+              padding: '6px',
+              display: 'flex',
+            },
+            '& .MuiCardHeader-avatar .MuiSvgIcon-root': {
+              color: '#6366F1'
+            }
+          }}
+        />
+        <Box sx={{ padding: { xs: 2, sm: 3 }, backgroundColor: 'white' }}>
+          {attendanceData.map((subject) => (
+            <SubjectAttendanceItem key={subject.id} subject={subject} />
+          ))}
+          <Divider sx={{ mb: 2 }} />
+          <OverallAttendanceBreakdown overall={overallStats} />
+        </Box>
+      </Card>
+
+      <AttendancePlanner subjects={attendanceData} />
+    </Box>
   );
 }
\ No newline at end of file
@@ -1,19 +1,19 @@
 /**
  * @file AttendanceCards.jsx
  * @description Dashboard component that displays a set of statistical cards summarizing student attendance data.
- * Includes metrics for Total Students, Present, Absent, Not Marked, and Low Attendance.
+ * Includes metrics for Total Students, one card per configured attendance status, Not Marked, and Low Attendance.
  * @author Mohd Waris
  */
 
 import React from 'react';
-import { Grid, Paper, Typography, Box } from "@mui/material";
+import { Grid, Paper, Typography, Box, alpha } from "@mui/material";
 import {
   PersonOutline,
-  CheckCircleOutline,
-  CancelOutlined,
   CalendarTodayOutlined,
   InfoOutlined,
 } from "@mui/icons-material";
+import { ATTENDANCE_STATUSES } from "../../../utils/attendanceStatuses";
+import { isBelowThreshold } from "../../../utils/attendancePolicy";
 
 /**
  * StatCard Component
@@ -27,7 +27,7 @@ import {
  */
 function StatCard({ title, value, icon, color, bgColor }) {
   return (
-    <Grid size={{xs:2.4}}>
+    <Grid size={{ xs: 6, sm: 4, md: 3, xl: "grow" }}>
       <Paper
         variant="outlined"
         sx={{
@@ -73,19 +73,26 @@ export default function AttendanceCards({ students = [] }) {
   const totalStudents = students.length;
   
   // Calculate statistics based on student status
-  // Note: status is lowercase 'present'/'absent' based on our mapping in AttendanceContent
-  const present = students.filter((s) => s.status === "present").length;
-  const absent = students.filter((s) => s.status === "absent").length;
+  // Note: status is a status key ('present', 'late', ...) based on our mapping in AttendanceContent
+  const statusCards = ATTENDANCE_STATUSES.map((status) => {
+    const Icon = status.icon;
+    return {
+      title: status.label,
+      value: students.filter((s) => s.status === status.key).length,
+      icon: <Icon />,
+      color: status.color,
+      bgColor: alpha(status.color, 0.1),
+    };
+  });
   const notMarked = students.filter((s) => !s.status).length; // Check for null/undefined
   
-  // Identify students with attendance below the 75% threshold
-  const lowAttendance = students.filter((s) => s.attendance < 75).length;
+  // Identify students below the required percentage of their class's attendance policy
+  const lowAttendance = students.filter((s) => isBelowThreshold(s.attendance, s.policy)).length;
 
   // Configuration for the statistic cards
   const cardData = [
     { title: "Total Students", value: totalStudents, icon: <PersonOutline />, color: "#0d6efd", bgColor: "rgba(13, 110, 253, 0.1)" },
-    { title: "Present", value: present, icon: <CheckCircleOutline />, color: "#198754", bgColor: "rgba(25, 135, 84, 0.1)" },
-    { title: "Absent", value: absent, icon: <CancelOutlined />, color: "#dc3545", bgColor: "rgba(220, 53, 69, 0.1)" },
+    ...statusCards,
     { title: "Not Marked", value: notMarked, icon: <CalendarTodayOutlined />, color: "#6c757d", bgColor: "rgba(108, 117, 125, 0.1)" },
     { title: "Low Attendance", value: lowAttendance, icon: <InfoOutlined />, color: "#dc3545", bgColor: "rgba(220, 53, 69, 0.1)" },
   ];
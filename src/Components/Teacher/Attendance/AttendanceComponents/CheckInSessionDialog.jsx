@@ -0,0 +1,330 @@
+/**
+ * @file CheckInSessionDialog.jsx
+ * @description Full-screen QR self check-in session for one subject on the register's selected date.
+ * The teacher picks a subject and starts the session; a rotating, time-limited QR code is shown
+ * together with a live tally of students who checked in. Closing the session asks whether everyone
+ * else should be marked absent or left unmarked, then hands the result back to the register to save.
+ * @author Mohd Waris
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Dialog,
+  AppBar,
+  Toolbar,
+  IconButton,
+  Typography,
+  Box,
+  Button,
+  MenuItem,
+  TextField,
+  Paper,
+  LinearProgress,
+  Alert,
+  Stack,
+  Chip,
+  RadioGroup,
+  FormControlLabel,
+  Radio,
+  CircularProgress,
+} from '@mui/material';
+import { Close as CloseIcon, QrCode2 as QrCodeIcon } from '@mui/icons-material';
+import { QRCodeSVG } from 'qrcode.react';
+import {
+  TOKEN_ROTATION_MS,
+  startCheckInSession,
+  issueCheckInToken,
+  getCheckInSession,
+  closeCheckInSession,
+  buildCheckInUrl,
+} from '../../../../api/checkInService';
+
+// How often the live tally is refreshed (ms)
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * CheckInSessionDialog Component
+ * @param {Object} props - Component props.
+ * @param {boolean} props.open - Controls the visibility of the dialog.
+ * @param {Function} props.onClose - Callback to close the dialog.
+ * @param {string} props.date - Class date (YYYY-MM-DD).
+ * @param {number} props.teacherId - Teacher context ID.
+ * @param {Array} props.students - Roster rows ({ id: roll number, name, class }).
+ * @param {Array} props.subjects - Subject mappings ({ ts_id, subject_name }).
+ * @param {Function} props.onComplete - Async callback receiving
+ * `{ subjectName, date, checkedInRollNumbers, markOthersAbsent }` once the session is closed.
+ */
+export default function CheckInSessionDialog({ open, onClose, date, teacherId, students, subjects, onComplete }) {
+  // 'setup' -> 'running' -> 'closing'
+  const [phase, setPhase] = useState('setup');
+  const [subjectName, setSubjectName] = useState('');
+  const [session, setSession] = useState(null);
+  const [token, setToken] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [markOthersAbsent, setMarkOthersAbsent] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const sessionId = session?.id;
+  const isLive = phase !== 'setup' && !!sessionId;
+
+  // Roster of the chosen subject, used to match check-ins
+  const roster = useMemo(
+    () => students.filter(s => s.class === subjectName),
+    [students, subjectName]
+  );
+  const checkIns = session?.checkIns || [];
+  const matchedCheckIns = checkIns.filter(c => roster.some(s => s.id === c.rollNumber));
+  const unmatchedCount = checkIns.length - matchedCheckIns.length;
+
+  // --- Rotate the QR token ---
+  useEffect(() => {
+    if (!isLive || phase !== 'running') return;
+    let cancelled = false;
+
+    const rotate = async () => {
+      try {
+        const next = await issueCheckInToken(sessionId);
+        if (!cancelled) setToken(next);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    };
+
+    rotate();
+    const timer = setInterval(rotate, TOKEN_ROTATION_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [isLive, phase, sessionId]);
+
+  // --- Live tally & countdown ---
+  useEffect(() => {
+    if (!isLive) return;
+    let cancelled = false;
+
+    const poll = async () => {
+      try {
+        const latest = await getCheckInSession(sessionId);
+        if (!cancelled) setSession(latest);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    };
+
+    const pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    const clockTimer = setInterval(() => setNow(Date.now()), 1000);
+    return () => {
+      cancelled = true;
+      clearInterval(pollTimer);
+      clearInterval(clockTimer);
+    };
+  }, [isLive, sessionId]);
+
+  /**
+   * Resets the dialog so the next session starts from the subject picker.
+   */
+  const reset = () => {
+    setPhase('setup');
+    setSession(null);
+    setToken(null);
+    setMarkOthersAbsent(true);
+    setError(null);
+  };
+
+  /**
+   * Opens the session for the chosen subject.
+   */
+  const handleStart = async () => {
+    const subject = subjects.find(s => s.subject_name === subjectName);
+    if (!subject) {
+      setError('Please select a subject.');
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      const started = await startCheckInSession({ teacherId, tsId: subject.ts_id, subjectName, date });
+      setSession(started);
+      setPhase('running');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Closes the session and passes the check-ins to the register to be saved.
+   */
+  const handleFinish = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const closed = await closeCheckInSession(sessionId);
+      const checkedInRollNumbers = closed.checkIns
+        .map(c => c.rollNumber)
+        .filter(roll => roster.some(s => s.id === roll));
+
+      await onComplete({ subjectName, date, checkedInRollNumbers, markOthersAbsent });
+      reset();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Closing the dialog mid-session goes to the close-session step instead of discarding check-ins.
+   */
+  const handleDialogClose = () => {
+    if (phase === 'running') {
+      setPhase('closing');
+      return;
+    }
+    if (phase === 'setup') onClose();
+  };
+
+  const secondsLeft = token ? Math.max(0, Math.ceil((token.rotatesAt - now) / 1000)) : 0;
+  const rotationProgress = token ? (secondsLeft * 1000 / TOKEN_ROTATION_MS) * 100 : 0;
+
+  return (
+    <Dialog fullScreen open={open} onClose={handleDialogClose}>
+      <AppBar sx={{ position: 'relative', backgroundColor: '#6a65ff' }}>
+        <Toolbar>
+          <QrCodeIcon sx={{ mr: 1 }} />
+          <Typography sx={{ flex: 1 }} variant="h6">
+            QR Check-in {subjectName && phase !== 'setup' ? `· ${subjectName} · ${date}` : ''}
+          </Typography>
+          <IconButton edge="end" color="inherit" onClick={handleDialogClose} disabled={busy || phase === 'closing'}>
+            <CloseIcon />
+          </IconButton>
+        </Toolbar>
+      </AppBar>
+
+      <Box sx={{ p: 4, display: 'flex', justifyContent: 'center', backgroundColor: '#f4f6f8', flexGrow: 1 }}>
+        {/* --- Step 1: Choose Subject --- */}
+        {phase === 'setup' && (
+          <Paper sx={{ p: 4, width: '100%', maxWidth: 480, height: 'fit-content', borderRadius: 3 }}>
+            <Typography variant="h6" fontWeight="bold" gutterBottom>Start a check-in session</Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+              Students scan the code from the student portal to mark themselves present for {date}.
+            </Typography>
+            <TextField
+              select
+              fullWidth
+              label="Subject"
+              value={subjectName}
+              onChange={(e) => setSubjectName(e.target.value)}
+            >
+              {subjects.map(s => (
+                <MenuItem key={s.ts_id} value={s.subject_name}>{s.subject_name}</MenuItem>
+              ))}
+            </TextField>
+            {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+            <Button
+              fullWidth
+              variant="contained"
+              onClick={handleStart}
+              disabled={!subjectName || busy}
+              sx={{ mt: 3, backgroundColor: '#6a65ff', textTransform: 'none', fontWeight: 600 }}
+            >
+              Start Session
+            </Button>
+          </Paper>
+        )}
+
+        {/* --- Step 2 & 3: Live Session / Close --- */}
+        {phase !== 'setup' && (
+          <Stack direction={{ xs: 'column', md: 'row' }} spacing={4} sx={{ width: '100%', maxWidth: 1100 }}>
+            {/* QR Code */}
+            <Paper sx={{ p: 4, flex: '1 1 55%', borderRadius: 3, textAlign: 'center' }}>
+              {phase === 'running' && token ? (
+                <>
+                  <Box sx={{ display: 'inline-block', p: 2, backgroundColor: 'white' }}>
+                    <QRCodeSVG value={buildCheckInUrl(sessionId, token.token)} size={360} level="M" />
+                  </Box>
+                  <LinearProgress variant="determinate" value={rotationProgress} sx={{ mt: 2, height: 6, borderRadius: 3 }} />
+                  <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                    Code refreshes in {secondsLeft}s
+                  </Typography>
+                </>
+              ) : phase === 'running' ? (
+                <CircularProgress sx={{ my: 10 }} />
+              ) : (
+                <Typography variant="h6" color="text.secondary" sx={{ my: 10 }}>
+                  Check-in paused
+                </Typography>
+              )}
+            </Paper>
+
+            {/* Live Tally */}
+            <Paper sx={{ p: 3, flex: '1 1 45%', borderRadius: 3, display: 'flex', flexDirection: 'column' }}>
+              <Typography variant="overline" color="text.secondary">Checked in</Typography>
+              <Typography variant="h2" fontWeight="bold" sx={{ color: '#6a65ff' }}>
+                {matchedCheckIns.length}
+                <Typography component="span" variant="h5" color="text.secondary"> / {roster.length}</Typography>
+              </Typography>
+              <LinearProgress
+                variant="determinate"
+                value={roster.length ? (matchedCheckIns.length / roster.length) * 100 : 0}
+                sx={{ my: 2, height: 8, borderRadius: 4 }}
+              />
+              {unmatchedCount > 0 && (
+                <Alert severity="warning" sx={{ mb: 2 }}>
+                  {unmatchedCount} check-in(s) from students not enrolled in {subjectName} will be ignored.
+                </Alert>
+              )}
+
+              <Box sx={{ flexGrow: 1, overflowY: 'auto', maxHeight: 240, mb: 2 }}>
+                <Stack direction="row" useFlexGap flexWrap="wrap" spacing={1}>
+                  {[...matchedCheckIns].reverse().map(c => (
+                    <Chip key={c.rollNumber} label={`${c.name} (${c.rollNumber})`} size="small" color="success" variant="outlined" />
+                  ))}
+                </Stack>
+              </Box>
+
+              {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+              {phase === 'running' ? (
+                <Button variant="contained" color="error" onClick={() => setPhase('closing')} sx={{ textTransform: 'none', fontWeight: 600 }}>
+                  Close Session
+                </Button>
+              ) : (
+                <Box>
+                  <Typography variant="subtitle2" fontWeight="bold">
+                    {roster.length - matchedCheckIns.length} student(s) did not check in. Mark them:
+                  </Typography>
+                  <RadioGroup
+                    value={markOthersAbsent ? 'absent' : 'unmarked'}
+                    onChange={(e) => setMarkOthersAbsent(e.target.value === 'absent')}
+                  >
+                    <FormControlLabel value="absent" control={<Radio size="small" />} label="Absent" />
+                    <FormControlLabel value="unmarked" control={<Radio size="small" />} label="Leave unmarked (keep any existing mark)" />
+                  </RadioGroup>
+                  <Stack direction="row" spacing={1} sx={{ mt: 2 }}>
+                    <Button onClick={() => setPhase('running')} disabled={busy} color="inherit">
+                      Resume
+                    </Button>
+                    <Button
+                      variant="contained"
+                      onClick={handleFinish}
+                      disabled={busy}
+                      startIcon={busy ? <CircularProgress size={16} color="inherit" /> : null}
+                      sx={{ flexGrow: 1, backgroundColor: '#6a65ff', textTransform: 'none', fontWeight: 600 }}
+                    >
+                      Finish & Save Attendance
+                    </Button>
+                  </Stack>
+                </Box>
+              )}
+            </Paper>
+          </Stack>
+        )}
+      </Box>
+    </Dialog>
+  );
+}
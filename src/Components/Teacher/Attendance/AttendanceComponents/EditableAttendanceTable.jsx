@@ -1,7 +1,8 @@
 /**
  * @file EditableAttendanceTable.jsx
  * @description Reusable table component for teachers to view and mark student attendance.
- * Features include toggle buttons for present/absent status, pagination, and visual indicators for consecutive absences.
+ * Features include toggle buttons for every configured attendance status, pagination, each student's running
+ * percentage and absence streaks, and row highlighting once a streak reaches the teacher's threshold.
  * @author Mohd Waris
  */
 
@@ -10,15 +11,17 @@ import {
   Box, Typography, Paper, Table, TableBody, TableCell,
   TableContainer, TableHead, TableRow, Tooltip,
   ToggleButton, ToggleButtonGroup, IconButton,
-  TablePagination
+  TablePagination, alpha
 } from '@mui/material';
 import {
   InfoOutlined,
   Warning as WarningIcon,
-  CheckCircle as CheckCircleIcon,
-  Cancel as CancelIcon,
   Send as SendIcon,
 } from '@mui/icons-material';
+import { ATTENDANCE_STATUSES } from '../../../../utils/attendanceStatuses';
+import StudentStatsCells, { STREAK_ROW_BG } from './StudentStatsCells';
+import { isStreakFlagged } from '../../../../utils/attendanceStats';
+import StudentLink from '../../Students/StudentLink';
 
 /**
  * Common styles for table header cells to ensure consistency.
@@ -32,13 +35,13 @@ const tableHeaderSx = {
 
 /**
  * Generates custom styles for the toggle buttons based on the selected color state.
- * @param {string} color - The color key ('green' or 'red').
+ * @param {string} color - The status colour (hex).
  * @returns {Object} SxProps for the button.
  */
 const toggleButtonSx = (color) => ({
-  '&.Mui-selected': {
+  '&.Mui-selected, &.Mui-selected:hover': {
     color: color,
-    backgroundColor: `rgba(${color === 'green' ? '0, 128, 0' : '255, 0, 0'}, 0.1)`,
+    backgroundColor: alpha(color, 0.1),
   },
   borderRadius: '50%', border: 'none', fontWeight: 'bold',
 });
@@ -49,6 +52,7 @@ const toggleButtonSx = (color) => ({
  * * @param {Object} props - Component props.
  * @param {Array} props.students - List of student objects to display.
  * @param {Function} props.onAttendanceUpdate - Callback function when attendance status changes.
+ * @param {number} props.streakThreshold - Consecutive absences at which a row is highlighted.
  * @param {number} props.totalCount - Total number of records for pagination.
  * @param {number} props.page - Current page index.
  * @param {number} props.rowsPerPage - Number of rows per page.
@@ -58,6 +62,7 @@ const toggleButtonSx = (color) => ({
 export default function EditableAttendanceTable({
   students, // CHANGED: Renamed from studentsData to students for consistency
   onAttendanceUpdate, 
+  streakThreshold,
   totalCount,
   page,
   rowsPerPage,
@@ -69,7 +74,7 @@ export default function EditableAttendanceTable({
    * Wrapper handler to update attendance status.
    * Ensures the status is valid before invoking the parent callback.
    * @param {string|number} studentId - The ID of the student.
-   * @param {string} newStatus - The new status ('present' or 'absent').
+   * @param {string} newStatus - The new status key (see attendanceStatuses.jsx).
    */
   const handleStatusChange = (studentId, newStatus) => {
     if (newStatus !== null) {
@@ -87,6 +92,8 @@ export default function EditableAttendanceTable({
               <TableCell sx={tableHeaderSx}>Roll No.</TableCell>
               <TableCell sx={tableHeaderSx}>Student Name</TableCell>
               <TableCell sx={tableHeaderSx}>Subject</TableCell>
+              <TableCell sx={tableHeaderSx}>Attendance</TableCell>
+              <TableCell sx={tableHeaderSx}>Absence Streak</TableCell>
               {/* Added Last Updated Column */}
               <TableCell sx={tableHeaderSx}>Last Updated</TableCell>
               <TableCell sx={tableHeaderSx}>Mark Attendance</TableCell>
@@ -99,7 +106,7 @@ export default function EditableAttendanceTable({
             {/* Added check to prevent crash if students is undefined */}
             {students && students.length > 0 ? (
               students.map((student) => (
-                <TableRow key={student.id} hover>
+                <TableRow key={`${student.id}-${student.class}`} hover sx={isStreakFlagged(student.consecutiveAbsences, streakThreshold) ? { backgroundColor: STREAK_ROW_BG } : undefined}>
                   
                   {/* Student ID / Roll No */}
                   <TableCell>{student.id}</TableCell>
@@ -107,9 +114,11 @@ export default function EditableAttendanceTable({
                   {/* Student Name with Warning Indicator */}
                   <TableCell>
                     <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
-                      <Typography variant="body2" fontWeight="600">{student.name}</Typography>
-                      {/* Conditional warning for consecutive absences */}
-                      {student.consecutiveAbsences > 0 && (
+                      <Typography variant="body2" fontWeight="600">
+                        <StudentLink studentId={student.internalId}>{student.name}</StudentLink>
+                      </Typography>
+                      {/* Conditional warning once the absence streak reaches the threshold */}
+                      {isStreakFlagged(student.consecutiveAbsences, streakThreshold) && (
                         <Tooltip title={`${student.consecutiveAbsences} consecutive absence(s)`}>
                           <WarningIcon sx={{ fontSize: '16px', color: 'red', ml: 1 }} />
                         </Tooltip>
@@ -119,6 +128,9 @@ export default function EditableAttendanceTable({
                   
                   {/* Subject / Class Name */}
                   <TableCell>{student.class}</TableCell>
+
+                  {/* Running Percentage & Absence Streaks */}
+                  <StudentStatsCells student={student} streakThreshold={streakThreshold} />
                   
                   {/* Display Last Updated Date */}
                   <TableCell>
@@ -130,17 +142,21 @@ export default function EditableAttendanceTable({
                   {/* Attendance Toggle Controls */}
                   <TableCell>
                     <ToggleButtonGroup
-                      value={student.status} // 'present', 'absent', or null
+                      value={student.status} // a status key ('present', 'late', ...) or null
                       exclusive
                       size="small"
                       onChange={(e, val) => handleStatusChange(student.id, val)}
                     >
-                      <ToggleButton value="present" sx={toggleButtonSx('green')}>
-                        <CheckCircleIcon fontSize="small" />
-                      </ToggleButton>
-                      <ToggleButton value="absent" sx={toggleButtonSx('red')}>
-                        <CancelIcon fontSize="small" />
-                      </ToggleButton>
+                      {ATTENDANCE_STATUSES.map((status) => {
+                        const Icon = status.icon;
+                        return (
+                          <Tooltip key={status.key} title={status.label}>
+                            <ToggleButton value={status.key} aria-label={status.label} sx={toggleButtonSx(status.color)}>
+                              <Icon fontSize="small" />
+                            </ToggleButton>
+                          </Tooltip>
+                        );
+                      })}
                     </ToggleButtonGroup>
                   </TableCell>
                   
@@ -158,7 +174,7 @@ export default function EditableAttendanceTable({
             ) : (
               // Fallback row when no data is available
               <TableRow>
-                <TableCell colSpan={6} align="center">
+                <TableCell colSpan={8} align="center">
                   <Typography sx={{ py: 2 }}>No students found.</Typography>
                 </TableCell>
               </TableRow>
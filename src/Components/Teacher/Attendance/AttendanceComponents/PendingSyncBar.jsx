@@ -0,0 +1,85 @@
+/**
+ * @file PendingSyncBar.jsx
+ * @description Strip shown above the attendance register while saves are waiting in the offline queue.
+ * Shows one chip per subject and date: pending saves in amber, conflicts and rejected saves in red
+ * (clickable to resolve), plus the connection state and a manual "Sync now" action.
+ * @author Mohd Waris
+ */
+
+import React from 'react';
+import { Paper, Stack, Chip, Typography, Button, CircularProgress, Tooltip } from '@mui/material';
+import {
+  CloudOff,
+  CloudQueue,
+  SyncProblem,
+  Sync,
+} from '@mui/icons-material';
+import { QUEUE_STATUS } from '../../../../api/offlineQueue';
+
+/**
+ * PendingSyncBar Component
+ * @param {Object} props - Component props.
+ * @param {Array} props.entries - Queued saves (see offlineQueue.jsx).
+ * @param {boolean} props.isOnline - Whether the browser currently has connectivity.
+ * @param {boolean} props.syncing - Whether a sync is in progress.
+ * @param {Function} props.onSync - Callback to replay the queue now.
+ * @param {Function} props.onResolve - Callback receiving the entry the teacher wants to resolve.
+ */
+export default function PendingSyncBar({ entries, isOnline, syncing, onSync, onResolve }) {
+  if (entries.length === 0 && isOnline) return null;
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{ p: 2, mb: 3, borderRadius: 2, border: '1px solid #ffe0b2', backgroundColor: '#fff8e1' }}
+    >
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }}>
+        <Stack direction="row" spacing={1} alignItems="center" sx={{ minWidth: 200 }}>
+          {isOnline ? <CloudQueue color="warning" /> : <CloudOff color="warning" />}
+          <Typography variant="body2" fontWeight={600}>
+            {isOnline
+              ? `${entries.length} save${entries.length === 1 ? '' : 's'} waiting to sync`
+              : 'Offline - attendance is saved on this device'}
+          </Typography>
+        </Stack>
+
+        <Stack direction="row" spacing={1} useFlexGap flexWrap="wrap" sx={{ flexGrow: 1 }}>
+          {entries.map((entry) => {
+            const needsAction = entry.status !== QUEUE_STATUS.PENDING;
+            const label = `${entry.subjectName} · ${entry.date}`;
+            const tooltip = entry.status === QUEUE_STATUS.CONFLICT
+              ? 'Server data changed since you marked this class. Click to resolve.'
+              : entry.status === QUEUE_STATUS.FAILED
+                ? `Rejected by the server: ${entry.error}. Click to resolve.`
+                : 'Pending sync';
+
+            return (
+              <Tooltip key={entry.id} title={tooltip}>
+                <Chip
+                  size="small"
+                  label={label}
+                  color={needsAction ? 'error' : 'warning'}
+                  variant={needsAction ? 'filled' : 'outlined'}
+                  icon={needsAction ? <SyncProblem /> : <Sync />}
+                  onClick={needsAction ? () => onResolve(entry) : undefined}
+                />
+              </Tooltip>
+            );
+          })}
+        </Stack>
+
+        <Button
+          size="small"
+          variant="outlined"
+          color="warning"
+          onClick={onSync}
+          disabled={!isOnline || syncing || entries.length === 0}
+          startIcon={syncing ? <CircularProgress size={14} color="inherit" /> : <Sync />}
+          sx={{ textTransform: 'none', flexShrink: 0 }}
+        >
+          Sync now
+        </Button>
+      </Stack>
+    </Paper>
+  );
+}
@@ -1,8 +1,9 @@
 /**
  * @file ReadOnlyAttendanceTable.jsx
  * @description A read-only table component for displaying student attendance records.
- * It provides a visual representation of attendance status (Present, Absent, Late) using colored chips
- * and supports pagination for navigating through large datasets.
+ * It provides a visual representation of every configured attendance status using colored chips
+ * alongside each student's running percentage and absence streaks, highlights rows whose streak reached the
+ * teacher's threshold, and supports pagination for navigating through large datasets.
  * @author Mohd Waris
  */
 
@@ -20,12 +21,11 @@ import {
   IconButton,
   TablePagination, 
 } from '@mui/material';
-import {
-  InfoOutlined,
-  CheckCircle as CheckCircleIcon,
-  Cancel as CancelIcon,
-  AccessTime,
-} from '@mui/icons-material';
+import { InfoOutlined } from '@mui/icons-material';
+import { getAttendanceStatus } from '../../../../utils/attendanceStatuses';
+import StudentStatsCells, { STREAK_ROW_BG } from './StudentStatsCells';
+import { isStreakFlagged } from '../../../../utils/attendanceStats';
+import StudentLink from '../../Students/StudentLink';
 
 /**
  * Common styles for table header cells to ensure visual consistency.
@@ -39,7 +39,7 @@ const tableHeaderSx = {
 
 /**
  * Helper function to generate a styled status chip based on the attendance status.
- * @param {string} status - The attendance status ('present', 'absent', 'late', etc.).
+ * @param {string} status - The attendance status key ('present', 'absent', 'late', etc.).
  * @returns {JSX.Element} A Box component containing the icon and text for the status.
  */
 const getStatusChip = (status) => {
@@ -52,24 +52,12 @@ const getStatusChip = (status) => {
     fontSize: '12px',
     fontWeight: '500',
   };
-  if (status === 'present') {
-    return (
-      <Box sx={{ ...styles, color: '#1e8e3e', backgroundColor: '#e6f4ea' }}>
-        <CheckCircleIcon sx={{ fontSize: 16 }} /> Present
-      </Box>
-    );
-  }
-  if (status === 'absent') {
-    return (
-      <Box sx={{ ...styles, color: '#d93025', backgroundColor: '#fce8e6' }}>
-        <CancelIcon sx={{ fontSize: 16 }} /> Absent
-      </Box>
-    );
-  }
-  if (status === 'late') {
+  const config = getAttendanceStatus(status);
+  if (config) {
+    const Icon = config.icon;
     return (
-      <Box sx={{ ...styles, color: '#e8710a', backgroundColor: '#feedE7' }}>
-        <AccessTime sx={{ fontSize: 16 }} /> Late
+      <Box sx={{ ...styles, color: config.color, backgroundColor: config.bgColor }}>
+        <Icon sx={{ fontSize: 16 }} /> {config.label}
       </Box>
     );
   }
@@ -86,6 +74,7 @@ const getStatusChip = (status) => {
  * Suitable for historical views or student-facing dashboards.
  * * @param {Object} props - Component props.
  * @param {Array} props.students - List of student objects containing attendance data.
+ * @param {number} props.streakThreshold - Consecutive absences at which a row is highlighted.
  * @param {number} props.totalCount - Total number of records for pagination.
  * @param {number} props.page - Current page index.
  * @param {number} props.rowsPerPage - Number of rows to display per page.
@@ -94,6 +83,7 @@ const getStatusChip = (status) => {
  */
 export default function ReadOnlyAttendanceTable({
   students,
+  streakThreshold,
   totalCount,
   page,
   rowsPerPage,
@@ -111,6 +101,8 @@ export default function ReadOnlyAttendanceTable({
               <TableCell sx={tableHeaderSx}>Roll No.</TableCell>
               <TableCell sx={tableHeaderSx}>Student Name</TableCell>
               <TableCell sx={tableHeaderSx}>Subject</TableCell>
+              <TableCell sx={tableHeaderSx}>Attendance</TableCell>
+              <TableCell sx={tableHeaderSx}>Absence Streak</TableCell>
               {/* Updated Header for Timestamp */}
               <TableCell sx={tableHeaderSx}>Last Updated</TableCell> 
               <TableCell sx={tableHeaderSx}>Status</TableCell>
@@ -121,14 +113,15 @@ export default function ReadOnlyAttendanceTable({
           {/* --- Table Body --- */}
           <TableBody>
             {students.map((student) => (
-              <TableRow key={student.id} hover>
+              <TableRow key={`${student.id}-${student.class}`} hover sx={isStreakFlagged(student.consecutiveAbsences, streakThreshold) ? { backgroundColor: STREAK_ROW_BG } : undefined}>
                 <TableCell>{student.id}</TableCell>
                 <TableCell>
                   <Typography variant="body2" fontWeight="600">
-                    {student.name}
+                    <StudentLink studentId={student.internalId}>{student.name}</StudentLink>
                   </Typography>
                 </TableCell>
                 <TableCell>{student.class}</TableCell>
+                <StudentStatsCells student={student} streakThreshold={streakThreshold} />
                 {/* Updated Data Field: using lastUpdated instead of time */}
                 <TableCell>
                   <Typography variant="body2" color="text.secondary">
@@ -0,0 +1,50 @@
+/**
+ * @file StudentStatsCells.jsx
+ * @description Table cells shared by the editable and read-only attendance tables showing a student's
+ * running attendance percentage and absence streaks (current / longest) in the subject.
+ * @author Mohd Waris
+ */
+
+import React from 'react';
+import { TableCell, Typography, Tooltip, Box } from '@mui/material';
+import { Warning as WarningIcon } from '@mui/icons-material';
+import { isStreakFlagged } from '../../../../utils/attendanceStats';
+
+/**
+ * Background applied to rows whose current absence streak reached the threshold.
+ */
+export const STREAK_ROW_BG = '#fff4f4';
+
+/**
+ * StudentStatsCells Component
+ * Renders the "Attendance" and "Absence Streak" cells of a register row.
+ * @param {Object} props - Component props.
+ * @param {Object} props.student - Row data (attendance, consecutiveAbsences, longestAbsenceStreak).
+ * @param {number} props.streakThreshold - Streak at which the current streak is shown in red.
+ */
+export default function StudentStatsCells({ student, streakThreshold }) {
+  const flagged = isStreakFlagged(student.consecutiveAbsences, streakThreshold);
+
+  return (
+    <>
+      {/* Running Attendance Percentage */}
+      <TableCell>
+        <Typography variant="body2" fontWeight="600" color={student.attendance === null ? 'text.secondary' : 'text.primary'}>
+          {student.attendance === null ? '-' : `${Math.round(student.attendance)}%`}
+        </Typography>
+      </TableCell>
+
+      {/* Current / Longest Absence Streak */}
+      <TableCell>
+        <Tooltip title={`Current streak: ${student.consecutiveAbsences} · Longest: ${student.longestAbsenceStreak}`}>
+          <Box sx={{ display: 'inline-flex', alignItems: 'center', gap: 0.5 }}>
+            {flagged && <WarningIcon sx={{ fontSize: '16px', color: 'red' }} />}
+            <Typography variant="body2" fontWeight={flagged ? 700 : 400} color={flagged ? 'error' : 'text.secondary'}>
+              {student.consecutiveAbsences} / {student.longestAbsenceStreak}
+            </Typography>
+          </Box>
+        </Tooltip>
+      </TableCell>
+    </>
+  );
+}
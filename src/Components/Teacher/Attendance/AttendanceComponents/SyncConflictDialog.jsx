@@ -0,0 +1,137 @@
+/**
+ * @file SyncConflictDialog.jsx
+ * @description Dialog for settling an offline save that could not be replayed.
+ * For conflicts it lists every student whose server mark differs from the teacher's queued mark
+ * and lets the teacher keep their marks (overwrite) or accept the server's; for saves rejected
+ * by the server it shows the error and offers to retry or discard.
+ * @author Mohd Waris
+ */
+
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+  CircularProgress,
+} from '@mui/material';
+import { QUEUE_STATUS } from '../../../../api/offlineQueue';
+
+/**
+ * Builds the list of students whose marks differ between the queued save and the server.
+ * @param {Object} entry - The conflicted queue entry.
+ * @returns {Array<{rollNumber: string, name: string, mine: string, server: string}>}
+ */
+const getDifferences = (entry) => {
+  const serverLookup = new Map((entry.serverMarks || []).map(m => [m.roll_number, m.status]));
+  const mineLookup = new Map(entry.logs.map(l => [l.roll_number, l]));
+  const rollNumbers = new Set([...serverLookup.keys(), ...mineLookup.keys()]);
+
+  return [...rollNumbers]
+    .map(rollNumber => ({
+      rollNumber,
+      name: mineLookup.get(rollNumber)?.student_name || rollNumber,
+      mine: mineLookup.get(rollNumber)?.status || 'Not marked',
+      server: serverLookup.get(rollNumber) || 'Not marked',
+    }))
+    .filter(row => row.mine !== row.server);
+};
+
+/**
+ * SyncConflictDialog Component
+ * @param {Object} props - Component props.
+ * @param {Object|null} props.entry - The queue entry being resolved; the dialog is open while set.
+ * @param {Function} props.onClose - Callback to close the dialog.
+ * @param {Function} props.onResolve - Async callback `(entry, keepMine)` that settles the entry.
+ */
+export default function SyncConflictDialog({ entry, onClose, onResolve }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!entry) return null;
+
+  const isConflict = entry.status === QUEUE_STATUS.CONFLICT;
+  const differences = isConflict ? getDifferences(entry) : [];
+
+  /**
+   * Settles the entry and closes the dialog, keeping it open with the error if sending fails.
+   * @param {boolean} keepMine - True to send the teacher's marks.
+   */
+  const handleResolve = async (keepMine) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await onResolve(entry, keepMine);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open onClose={busy ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ fontWeight: 'bold' }}>
+        {isConflict ? 'Resolve Sync Conflict' : 'Save Rejected'}
+      </DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {entry.subjectName} · {entry.date}
+        </Typography>
+
+        {isConflict ? (
+          <>
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              Attendance for this class was changed on the server after you marked it offline.
+            </Alert>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 700 }}>Student</TableCell>
+                  <TableCell sx={{ fontWeight: 700 }}>Your mark</TableCell>
+                  <TableCell sx={{ fontWeight: 700 }}>Server</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {differences.map(row => (
+                  <TableRow key={row.rollNumber}>
+                    <TableCell>{row.name} ({row.rollNumber})</TableCell>
+                    <TableCell>{row.mine}</TableCell>
+                    <TableCell>{row.server}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        ) : (
+          <Alert severity="error">{entry.error}</Alert>
+        )}
+
+        {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+      </DialogContent>
+      <DialogActions sx={{ p: 2 }}>
+        <Button onClick={onClose} disabled={busy} color="inherit">Later</Button>
+        <Button onClick={() => handleResolve(false)} disabled={busy} color="error">
+          {isConflict ? 'Use server data' : 'Discard'}
+        </Button>
+        <Button
+          onClick={() => handleResolve(true)}
+          disabled={busy}
+          variant="contained"
+          startIcon={busy ? <CircularProgress size={16} color="inherit" /> : null}
+        >
+          {isConflict ? 'Keep my marks' : 'Retry'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -1,12 +1,12 @@
 /**
  * @file AttendanceContent.jsx
  * @description Main container component for the Teacher's Attendance module.
- * Orchestrates data fetching (students, logs, subjects), manages local attendance state (optimistic updates),
- * handles API synchronization (saving attendance), and renders the attendance table and summary cards.
+ * Reads students, logs and subjects from the shared teacher cache, manages local attendance state (optimistic updates),
+ * handles API synchronization (saving attendance through the offline queue), and renders the attendance table and summary cards.
  * @author Mohd Waris
  */
 
-import React, { useState, useEffect, useMemo } from "react";
+import React, { useState, useMemo } from "react";
 import {
   Box,
   ThemeProvider,
@@ -20,7 +20,21 @@ import { styled } from "@mui/material/styles";
 import AttendanceTable from "./AttendanceTable";
 import AttendanceCard from "./AttendanceCard";
 import DownloadAttendanceDialog from "./DownloadAttendanceDialog"; 
-import { API_URL } from "../../../config";
+import ImportAttendanceDialog from "./ImportAttendanceDialog";
+import PendingSyncBar from "./AttendanceComponents/PendingSyncBar";
+import SyncConflictDialog from "./AttendanceComponents/SyncConflictDialog";
+import CheckInSessionDialog from "./AttendanceComponents/CheckInSessionDialog";
+import {
+  useTeacherStudents,
+  useTeacherAttendanceLogs,
+  useTeacherSubjects,
+  saveAttendance,
+} from "../../../api/teacherQueries";
+import { useAttendanceQueue, getClassMarks } from "../../../api/offlineQueue";
+import { getStoredUser } from "../../../utils/auth";
+import { getAttendanceStatus, buildMarkPayload } from "../../../utils/attendanceStatuses";
+import { computeAttendanceStats, getStudentStats } from "../../../utils/attendanceStats";
+import { getRosterPolicy } from "../../../utils/attendancePolicy";
 
 // --- Theme Configuration ---
 const theme = createTheme({
@@ -78,6 +92,24 @@ const formatLastUpdated = (isoString) => {
     });
 };
 
+/**
+ * Turns the result of a queue sync into a snackbar message.
+ * @param {{synced: number, conflicts: number, failed: number, offline: boolean}} result - Sync summary.
+ * @returns {{open: boolean, message: string, severity: string}} Snackbar state.
+ */
+const getSyncFeedback = ({ conflicts, failed, offline }) => {
+    if (offline) {
+        return { open: true, message: "You're offline. Attendance is saved on this device and will sync automatically.", severity: "warning" };
+    }
+    if (conflicts > 0) {
+        return { open: true, message: "Attendance changed on the server for some classes. Click the highlighted items to resolve.", severity: "warning" };
+    }
+    if (failed > 0) {
+        return { open: true, message: "Some saves were rejected by the server. Click the highlighted items for details.", severity: "error" };
+    }
+    return { open: true, message: `Attendance saved succesfully!`, severity: "success" };
+};
+
 /**
  * AttendanceContent Component
  * The core logic hub for the attendance interface.
@@ -85,96 +117,74 @@ const formatLastUpdated = (isoString) => {
  * @param {Object} props.user - The current user object containing contextId (teacherId).
  */
 const AttendanceContent = ({ user }) => {
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  
-  // --- Master Data State ---
-  const [allStudents, setAllStudents] = useState([]);
-  const [attendanceLogs, setAttendanceLogs] = useState([]);
-  const [subjectsList, setSubjectsList] = useState([]); 
-  
+  const currentUser = user || getStoredUser();
+  const teacherId = currentUser?.contextId;
+
+  // --- Master Data (shared cache) ---
+  const studentsQuery = useTeacherStudents(teacherId);
+  const logsQuery = useTeacherAttendanceLogs(teacherId);
+  const subjectsQuery = useTeacherSubjects(teacherId);
+
+  // --- Unsaved Edits ---
+  // Toggled statuses are kept apart from the cached logs until they are saved
+  const [localEdits, setLocalEdits] = useState([]);
+
   // --- UI State ---
   const [selectedDate, setSelectedDate] = useState(new Date());
   const [apiFeedback, setApiFeedback] = useState({ open: false, message: '', severity: 'success' });
   const [downloadDialogOpen, setDownloadDialogOpen] = useState(false);
+  const [resolvingEntry, setResolvingEntry] = useState(null);
+  const [checkInOpen, setCheckInOpen] = useState(false);
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
 
-  // 1. Fetch Data Effect
-  /**
-   * Fetches initial data required for the attendance view:
-   * - List of students assigned to the teacher.
-   * - Historical attendance logs.
-   * - Subject mappings.
-   */
-  useEffect(() => {
-    const fetchData = async () => {
-      let currentUser = user;
-      if (!currentUser) {
-        const storedUser = localStorage.getItem("university_user");
-        if (storedUser) currentUser = JSON.parse(storedUser);
-      }
-
-      if (!currentUser?.contextId) {
-         setLoading(false);
-         return; 
-      }
-
-      const teacherId = currentUser.contextId;
-      // const baseUrl = "http://127.0.0.1:8000/api";
-      const token = localStorage.getItem("university_token");
-
-      setLoading(true);
-      try {
-        const headers = { 
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}` 
-        };
-
-        // A. Fetch Students
-        const studentsRes = await fetch(`${API_URL}/teachers/${teacherId}/students/`, { headers });
-        if (!studentsRes.ok) throw new Error("Failed to fetch students");
-        const studentsJson = await studentsRes.json();
-
-        const mappedStudents = studentsJson.map(s => ({
-            id: s.roll_number,          // Unique UI key
-            internalId: s.id,           // Database ID (Integer) for API
-            name: s.student_name,
-            class: s.subject_name,
-            course: s.course?.course_name || "N/A", 
-            semester: s.current_semester, // Map semester for filtering
-        }));
-        setAllStudents(mappedStudents);
+  // --- Offline Queue ---
+  // Saves are stored on the device first and replayed against the API (see offlineQueue.jsx)
+  const queue = useAttendanceQueue(teacherId);
 
-        // B. Fetch Attendance Logs
-        const logsRes = await fetch(`${API_URL}/attendance/teacherwise/`, { headers });
-        if (!logsRes.ok) throw new Error("Failed to fetch attendance logs");
-        const logsJson = await logsRes.json();
-        setAttendanceLogs(logsJson);
+  const loading = studentsQuery.isLoading || logsQuery.isLoading || subjectsQuery.isLoading;
+  // Keep showing cached data when a background refetch fails (e.g. while offline)
+  const error = [studentsQuery, logsQuery, subjectsQuery]
+    .find(query => query.error && query.data === undefined)?.error.message;
+  const subjectsList = subjectsQuery.data || [];
 
-        // C. Fetch Subject Mapping
-        const subjectsRes = await fetch(`${API_URL}/teachers/me/teacher-subject-ids/`, { headers });
-        if (!subjectsRes.ok) throw new Error("Failed to fetch subjects");
-        const subjectsJson = await subjectsRes.json();
-        setSubjectsList(subjectsJson);
+  // 1. Map Roster
+  /**
+   * Maps the cached roster rows into the shape used by the attendance tables.
+   */
+  const allStudents = useMemo(() => (studentsQuery.data || []).map(s => ({
+      id: s.roll_number,          // Unique UI key
+      internalId: s.id,           // Database ID (Integer) for API
+      name: s.student_name,
+      class: s.subject_name,
+      course: s.course?.course_name || "N/A", 
+      semester: s.current_semester, // Map semester for filtering
+      policy: getRosterPolicy(s), // Thresholds of the student's class
+  })), [studentsQuery.data]);
 
-      } catch (err) {
-        console.error(err);
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
+  /**
+   * Cached attendance logs with queued (not yet synced) saves and unsaved local edits applied on top.
+   */
+  const attendanceLogs = useMemo(() => {
+    const serverLogs = logsQuery.data || [];
+    const overrides = [...queue.entries.flatMap(entry => entry.logs), ...localEdits];
+    if (overrides.length === 0) return serverLogs;
 
-    fetchData();
-  }, [user]);
+    const logKey = (log) => `${log.date}|${log.roll_number}|${log.subject_name}`;
+    const merged = new Map(serverLogs.map(log => [logKey(log), log]));
+    overrides.forEach(log => merged.set(logKey(log), log));
+    return [...merged.values()];
+  }, [logsQuery.data, queue.entries, localEdits]);
 
   // 2. Merge Logic
   /**
    * Memoized calculation to merge static student data with dynamic attendance logs
-   * for the currently selected date.
+   * for the currently selected date, along with each student's running percentage and absence streaks.
    */
   const dailyData = useMemo(() => {
     const dateKey = formatDateKey(selectedDate);
     const todaysLogs = attendanceLogs.filter(log => log.date === dateKey);
+    // Running stats as of the selected date, including unsaved edits
+    const stats = computeAttendanceStats(attendanceLogs, { upTo: dateKey });
 
     return allStudents.map(student => {
         // Match log by Roll Number AND Subject Name
@@ -196,40 +206,43 @@ const AttendanceContent = ({ user }) => {
             }
         }
 
+        const studentStats = getStudentStats(stats, student.id, student.class);
+
         return {
             ...student,
-            status: logEntry ? logEntry.status.toLowerCase() : null,
+            status: logEntry ? getAttendanceStatus(logEntry.status)?.key ?? null : null,
             lastUpdated: lastUpdatedText,
-            attendance: 75, // Placeholder for overall %
-            consecutiveAbsences: 0 
+            attendance: studentStats.percentage, // null until the student has a marked class
+            consecutiveAbsences: studentStats.currentStreak,
+            longestAbsenceStreak: studentStats.longestStreak,
         };
     });
   }, [allStudents, attendanceLogs, selectedDate]);
 
   // 3. Handle Local Updates (Optimistic)
   /**
-   * Optimistically updates the local attendance state when a teacher toggles a status.
+   * Optimistically records a status change as an unsaved local edit when a teacher toggles a status.
    * This provides immediate UI feedback before the data is persisted to the backend.
    * @param {string|number} studentId - ID of the student.
-   * @param {string} newStatus - The new status ('Present', 'Absent').
+   * @param {string} newStatus - The new status key ('present', 'late', ... see attendanceStatuses.jsx).
    */
   const handleLocalUpdate = (studentId, newStatus) => {
       const dateKey = formatDateKey(selectedDate);
       const now = new Date().toISOString();
       
-      setAttendanceLogs(prevLogs => {
+      setLocalEdits(prevEdits => {
           const student = allStudents.find(s => s.id === studentId);
-          if (!student) return prevLogs;
+          if (!student) return prevEdits;
 
-          // Remove old entry for this student/date/subject
-          const cleanLogs = prevLogs.filter(log => 
+          // Remove old edit for this student/date/subject
+          const cleanEdits = prevEdits.filter(log => 
               !(log.date === dateKey && log.roll_number === studentId && log.subject_name === student.class)
           );
           
           // Add new entry with current timestamp
           const newLogEntry = {
               date: dateKey,
-              status: newStatus.charAt(0).toUpperCase() + newStatus.slice(1), 
+              status: getAttendanceStatus(newStatus).apiValue, 
               roll_number: student.id,
               student_name: student.name,
               subject_name: student.class,
@@ -237,73 +250,161 @@ const AttendanceContent = ({ user }) => {
               created_at: now 
           };
           
-          return [...cleanLogs, newLogEntry];
+          return [...cleanEdits, newLogEntry];
       });
   };
 
   // 4. SAVE TO API
   /**
-   * Persists the local attendance state to the backend API.
-   * Groups logs by subject and sends batch updates.
+   * Persists attendance to the backend API.
+   * Groups logs by date and subject and sends one batch update per class; the shared cache is refreshed after each save.
+   * @param {Array} logsToSave - Every mark of the classes to save.
    */
-  const handleSaveAttendance = async () => {
-    const dateKey = formatDateKey(selectedDate);
-    // const baseUrl = "http://127.0.0.1:8000/api";
-    const token = localStorage.getItem("university_token");
-
-    const logsToSave = attendanceLogs.filter(log => log.date === dateKey);
-    const distinctSubjects = [...new Set(logsToSave.map(l => l.subject_name))];
+  const persistAttendance = async (logsToSave) => {
+    const distinctClasses = [...new Set(logsToSave.map(l => `${l.date}|${l.subject_name}`))];
 
-    if (distinctSubjects.length === 0) {
+    if (distinctClasses.length === 0) {
         setApiFeedback({ open: true, message: "No attendance data to save.", severity: "info" });
         return;
     }
 
-    let successCount = 0;
+    const serverLogs = logsQuery.data || [];
+    const savedClasses = [];
+    let queuedCount = 0;
 
-    for (const subjectName of distinctSubjects) {
+    for (const classKey of distinctClasses) {
+        const [dateKey, subjectName] = classKey.split('|');
         const subjectObj = subjectsList.find(s => s.subject_name === subjectName);
         if (!subjectObj) continue;
 
-        const subjectLogs = logsToSave.filter(l => l.subject_name === subjectName);
+        const subjectLogs = logsToSave.filter(l => l.date === dateKey && l.subject_name === subjectName);
         
-        const presentIds = subjectLogs
-            .filter(l => l.status === 'Present')
-            .map(l => allStudents.find(s => s.id === l.roll_number)?.internalId)
-            .filter(Boolean);
-
-        const absentIds = subjectLogs
-            .filter(l => l.status === 'Absent')
-            .map(l => allStudents.find(s => s.id === l.roll_number)?.internalId)
-            .filter(Boolean);
-
-        const payload = {
-            ts_id: subjectObj.ts_id,
-            attendance_date: dateKey,
-            present: presentIds,
-            absent: absentIds
-        };
+        const payload = buildMarkPayload(
+            subjectObj.ts_id,
+            dateKey,
+            subjectLogs,
+            rollNumber => allStudents.find(s => s.id === rollNumber && s.class === subjectName)?.internalId
+        );
 
         try {
-            const response = await fetch(`${API_URL}/attendance/mark/`, {
-                method: 'POST',
-                headers: { 
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}` 
-                },
-                body: JSON.stringify(payload)
+            // Store durably first so the marks survive a dropped connection
+            await queue.enqueue({
+                subjectName,
+                date: dateKey,
+                payload,
+                logs: subjectLogs,
+                baseline: getClassMarks(serverLogs, subjectName, dateKey, subjectLogs.map(l => l.roll_number)),
             });
-
-            if (!response.ok) throw new Error("Failed to save");
-            successCount++;
-        } catch (err) {
-            console.error(err);
-            setApiFeedback({ open: true, message: `Error saving ${subjectName}`, severity: "error" });
+            savedClasses.push(classKey);
+            queuedCount++;
+        } catch (queueErr) {
+            // IndexedDB unavailable (e.g. private browsing): save directly instead
+            console.error(queueErr);
+            try {
+                await saveAttendance(teacherId, payload);
+                savedClasses.push(classKey);
+            } catch (err) {
+                console.error(err);
+                setApiFeedback({ open: true, message: `Error saving ${subjectName}: ${err.message}`, severity: "error" });
+            }
         }
     }
 
-    if (successCount > 0) {
+    // Saved edits now live in the queue or the refetched logs; keep the ones that failed
+    setLocalEdits(prevEdits => prevEdits.filter(log =>
+        !savedClasses.includes(`${log.date}|${log.subject_name}`)
+    ));
+
+    if (savedClasses.length === 0) return;
+    if (queuedCount === 0) {
         setApiFeedback({ open: true, message: `Attendance saved succesfully!`, severity: "success" });
+        return;
+    }
+
+    try {
+        const result = await queue.sync();
+        setApiFeedback(getSyncFeedback(result));
+    } catch (err) {
+        console.error(err);
+        setApiFeedback({ open: true, message: `Attendance stored on this device, but sync failed: ${err.message}`, severity: "warning" });
+    }
+  };
+
+  /**
+   * Saves the register for the selected date.
+   */
+  const handleSaveAttendance = () => {
+    const dateKey = formatDateKey(selectedDate);
+    return persistAttendance(attendanceLogs.filter(log => log.date === dateKey));
+  };
+
+  /**
+   * Applies marks produced outside the register (check-in, import) and saves their classes.
+   * Every other mark already recorded for those classes is sent along unchanged.
+   * @param {Array} marks - Logs to apply ({ date, status, roll_number, student_name, subject_name, ... }).
+   */
+  const saveMarks = async (marks) => {
+    const markKey = log => `${log.date}|${log.subject_name}|${log.roll_number}`;
+    const classKey = log => `${log.date}|${log.subject_name}`;
+    const markedKeys = new Set(marks.map(markKey));
+    const classKeys = new Set(marks.map(classKey));
+
+    // Show the marks immediately, then save the whole classes
+    setLocalEdits(prevEdits => [
+        ...prevEdits.filter(log => !markedKeys.has(markKey(log))),
+        ...marks,
+    ]);
+    await persistAttendance([
+        ...attendanceLogs.filter(log => classKeys.has(classKey(log)) && !markedKeys.has(markKey(log))),
+        ...marks,
+    ]);
+  };
+
+  // 5. QR CHECK-IN
+  /**
+   * Turns a closed check-in session into marks and saves them through the normal flow.
+   * Checked-in students are marked present; the rest are marked absent or keep their current mark.
+   * @param {Object} result - Result passed by CheckInSessionDialog.
+   * @param {string} result.subjectName - Subject of the session.
+   * @param {string} result.date - Class date (YYYY-MM-DD).
+   * @param {string[]} result.checkedInRollNumbers - Roll numbers that checked in.
+   * @param {boolean} result.markOthersAbsent - Whether students who did not check in are marked absent.
+   */
+  const handleCheckInComplete = async ({ subjectName, date, checkedInRollNumbers, markOthersAbsent }) => {
+    const now = new Date().toISOString();
+    const presentValue = getAttendanceStatus('present').apiValue;
+    const absentValue = getAttendanceStatus('absent').apiValue;
+
+    const sessionEdits = allStudents
+        .filter(student => student.class === subjectName)
+        .filter(student => markOthersAbsent || checkedInRollNumbers.includes(student.id))
+        .map(student => ({
+            date,
+            status: checkedInRollNumbers.includes(student.id) ? presentValue : absentValue,
+            roll_number: student.id,
+            student_name: student.name,
+            subject_name: subjectName,
+            updated_at: now,
+            created_at: now
+        }));
+
+    if (sessionEdits.length === 0) {
+        setApiFeedback({ open: true, message: "Nobody checked in, so nothing was marked.", severity: "info" });
+        return;
+    }
+
+    await saveMarks(sessionEdits);
+  };
+
+  /**
+   * Replays the queue on demand and reports the outcome.
+   */
+  const handleSyncNow = async () => {
+    try {
+        const result = await queue.sync();
+        setApiFeedback(getSyncFeedback(result));
+    } catch (err) {
+        setApiFeedback({ open: true, message: `Sync failed: ${err.message}`, severity: "error" });
     }
   };
 
@@ -320,6 +421,14 @@ const AttendanceContent = ({ user }) => {
         </Box>
 
         <Box sx={{ p: 3, backgroundColor: "#f4f6f8", minHeight: "100vh" }}>
+          <PendingSyncBar
+            entries={queue.entries}
+            isOnline={queue.isOnline}
+            syncing={queue.syncing}
+            onSync={handleSyncNow}
+            onResolve={setResolvingEntry}
+          />
+
           <AttendanceCard students={dailyData} />
 
           <Box sx={{ mt: 3 }}>
@@ -330,6 +439,8 @@ const AttendanceContent = ({ user }) => {
               onAttendanceUpdate={handleLocalUpdate}
               onSave={handleSaveAttendance}
               onDownloadClick={() => setDownloadDialogOpen(true)}
+              onCheckInClick={() => setCheckInOpen(true)}
+              onImportClick={() => setImportDialogOpen(true)}
             />
           </Box>
         </Box>
@@ -341,6 +452,36 @@ const AttendanceContent = ({ user }) => {
             students={allStudents}
             logs={attendanceLogs}
             subjects={subjectsList}
+            teacherName={currentUser?.name}
+        />
+
+        {/* --- Excel / CSV Import --- */}
+        <ImportAttendanceDialog
+            open={importDialogOpen}
+            onClose={() => setImportDialogOpen(false)}
+            students={allStudents}
+            logs={attendanceLogs}
+            subjects={subjectsList}
+            onImport={saveMarks}
+        />
+
+        {/* --- QR Check-in Session --- */}
+        <CheckInSessionDialog
+            open={checkInOpen}
+            onClose={() => setCheckInOpen(false)}
+            date={formatDateKey(selectedDate)}
+            teacherId={teacherId}
+            students={allStudents}
+            subjects={subjectsList}
+            onComplete={handleCheckInComplete}
+        />
+
+        {/* --- Offline Sync Conflict Dialog --- */}
+        <SyncConflictDialog
+            key={resolvingEntry?.id}
+            entry={resolvingEntry}
+            onClose={() => setResolvingEntry(null)}
+            onResolve={queue.resolve}
         />
 
         <Snackbar 
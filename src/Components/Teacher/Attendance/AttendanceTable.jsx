@@ -1,7 +1,8 @@
 /**
  * @file AttendanceTable.jsx
  * @description Central component for managing student attendance records.
- * Integrates search, filtering (class, course, semester), pagination, and date selection.
+ * Integrates search, filtering (class, course, semester), pagination, date selection, and the absence-streak
+ * threshold used to highlight students.
  * Dynamically switches between an editable table (for marking attendance) and a read-only table based on the selected date or edit mode.
  * @author Mohd Waris
  */
@@ -19,19 +20,23 @@ import {
   CssBaseline,
   FormControlLabel,
   Checkbox,
-  Typography
+  Typography,
+  Tooltip
 } from '@mui/material';
 import {
   Search as SearchIcon,
   Download as DownloadIcon,
   Edit as EditIcon,
   Done as DoneIcon,
+  QrCode2 as QrCodeIcon,
+  UploadFile as UploadFileIcon,
 } from '@mui/icons-material';
 
 // Import components
 import SimpleCalendar from './AttendanceComponents/SimpleCalendar';
 import ReadOnlyAttendanceTable from './AttendanceComponents/ReadOnlyAttendanceTable';
 import EditableAttendanceTable from './AttendanceComponents/EditableAttendanceTable';
+import { getStreakThreshold, saveStreakThreshold } from '../../../utils/attendanceStats';
 
 // Helper functions for date comparison
 const isSameDay = (d1, d2) => d1.toDateString() === d2.toDateString();
@@ -47,6 +52,8 @@ const isToday = (date) => isSameDay(date, new Date());
  * @param {Function} props.onAttendanceUpdate - Callback when a student's attendance status changes.
  * @param {Function} props.onSave - Callback to persist attendance changes to the backend.
  * @param {Function} props.onDownloadClick - Callback to trigger the download dialog.
+ * @param {Function} props.onCheckInClick - Callback to open a QR check-in session for the selected date.
+ * @param {Function} props.onImportClick - Callback to trigger the import dialog.
  */
 export default function AttendanceTable({
   students,          
@@ -54,7 +61,9 @@ export default function AttendanceTable({
   onDateChange,      
   onAttendanceUpdate, 
   onSave,
-  onDownloadClick // NEW PROP
+  onDownloadClick, // NEW PROP
+  onCheckInClick,
+  onImportClick
 }) {
   // --- Filter State Management ---
   const [classFilter, setClassFilter] = useState("all");
@@ -62,6 +71,7 @@ export default function AttendanceTable({
   const [semesterFilter, setSemesterFilter] = useState("all"); 
   const [notMarkedOnly, setNotMarkedOnly] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
+  const [streakThreshold, setStreakThreshold] = useState(getStreakThreshold);
   
   // --- View State Management ---
   const [isEditing, setIsEditing] = useState(false);
@@ -122,6 +132,17 @@ export default function AttendanceTable({
     setPage(0);
   };
 
+  /**
+   * Updates (and remembers) the absence streak at which rows are highlighted.
+   * @param {Object} event - Change event of the threshold input.
+   */
+  const handleStreakThresholdChange = (event) => {
+    const value = parseInt(event.target.value, 10);
+    if (!(value >= 1)) return;
+    setStreakThreshold(value);
+    saveStreakThreshold(value);
+  };
+
   /**
    * Trigger manual save operation via parent callback.
    */
@@ -225,10 +246,42 @@ export default function AttendanceTable({
               }
               label={<Typography variant="body2">Not Marked</Typography>}
             />
+
+            {/* Absence Streak Threshold */}
+            <TextField
+              type="number"
+              size="small"
+              label="Streak alert"
+              value={streakThreshold}
+              onChange={handleStreakThresholdChange}
+              inputProps={{ min: 1, max: 30 }}
+              helperText="consecutive absences"
+              sx={{ width: 150, '& .MuiOutlinedInput-root': { borderRadius: '8px', backgroundColor: 'white' } }}
+            />
           </Box>
 
-          {/* Actions Section (Download, Edit, Save) */}
+          {/* Actions Section (Check-in, Import, Download, Edit, Save) */}
           <Box sx={{ display: 'flex', gap: 1 }}>
+            {/* QR Check-in Session Button */}
+            <Tooltip title="QR check-in session">
+              <IconButton 
+                  onClick={onCheckInClick}
+                  sx={{ border: '1px solid #ddd', borderRadius: '8px' }}
+              >
+                <QrCodeIcon />
+              </IconButton>
+            </Tooltip>
+
+            {/* Import Button */}
+            <Tooltip title="Import from Excel / CSV">
+              <IconButton 
+                  onClick={onImportClick}
+                  sx={{ border: '1px solid #ddd', borderRadius: '8px' }}
+              >
+                <UploadFileIcon />
+              </IconButton>
+            </Tooltip>
+
             {/* Download Button */}
             <IconButton 
                 onClick={onDownloadClick}
@@ -273,6 +326,7 @@ export default function AttendanceTable({
           <EditableAttendanceTable
             students={paginatedStudents} 
             onAttendanceUpdate={onAttendanceUpdate} 
+            streakThreshold={streakThreshold}
             totalCount={filteredStudents.length}
             page={page}
             rowsPerPage={rowsPerPage}
@@ -282,6 +336,7 @@ export default function AttendanceTable({
         ) : (
           <ReadOnlyAttendanceTable 
             students={paginatedStudents} 
+            streakThreshold={streakThreshold}
             totalCount={filteredStudents.length}
             page={page}
             rowsPerPage={rowsPerPage}
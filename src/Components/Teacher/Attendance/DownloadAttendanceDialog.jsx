@@ -1,8 +1,11 @@
 /**
  * @file DownloadAttendanceDialog.jsx
  * @description Dialog component that enables teachers to generate and download attendance reports in Excel format.
- * It provides filters for Month, Subject, Course, and Semester, processes the raw attendance logs,
- * calculates monthly statistics, and exports the data using the XLSX library.
+ * It provides filters for a date range, Subject, Course, and Semester, processes the raw attendance logs,
+ * calculates monthly, cumulative and whole-range statistics, and exports a styled Excel workbook (see attendanceWorkbook.jsx),
+ * either as one sheet per month (plus a summary sheet) or as one continuous sheet, or as a signed-register PDF
+ * with the institution letterhead (see attendancePdf.jsx). In "All my subjects" mode one workbook holds a sheet
+ * per subject/course/semester class plus an overview of every student's percentage per subject.
  * @author Mohd Waris
  */
 
@@ -20,17 +23,31 @@ import {
   InputLabel,
   Select,
   Alert,
-  Box
+  Box,
+  FormLabel,
+  RadioGroup,
+  Radio,
+  FormControlLabel,
+  Checkbox,
+  CircularProgress
 } from '@mui/material';
-import * as XLSX from 'xlsx';
+import { buildAttendanceReport, getClassLogs, groupStudentsByClass } from '../../../utils/attendanceReport';
+import { buildAttendancePdf } from '../../../utils/attendancePdf';
+import { downloadClassWorkbook, downloadAllSubjectsWorkbook } from '../../../utils/attendanceWorkbook';
+import { INSTITUTION_NAME, INSTITUTION_LOGO_URL } from '../../../config';
+
+// Longest range accepted in one export (a little over a year)
+const MAX_RANGE_DAYS = 400;
+// Subject selector value for the multi-subject workbook
+const ALL_SUBJECTS = '__all__';
 
 /**
- * Helper function to get the number of days in a specific month/year.
- * @param {number} year - The year.
- * @param {number} month - The month (1-12).
- * @returns {number} The number of days in that month.
+ * Formats a Date as YYYY-MM-DD in local time.
+ * @param {Date} date - Date to format.
+ * @returns {string}
  */
-const getDaysInMonth = (year, month) => new Date(year, month, 0).getDate();
+const toDateInput = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
 
 /**
  * DownloadAttendanceDialog Component
@@ -41,40 +58,62 @@ const getDaysInMonth = (year, month) => new Date(year, month, 0).getDate();
  * @param {Array} props.students - Full list of student objects available to the teacher.
  * @param {Array} props.logs - Full history of attendance logs.
  * @param {Array} props.subjects - List of subjects assigned to the teacher.
+ * @param {string} [props.teacherName] - Name printed under the signature line of the PDF register.
  */
 export default function DownloadAttendanceDialog({ 
   open, 
   onClose, 
   students, // Full list of students
   logs,     // Full attendance logs
-  subjects  // List of subjects
+  subjects, // List of subjects
+  teacherName
 }) {
-  // Default to current month (YYYY-MM)
-  const currentMonthStr = new Date().toISOString().slice(0, 7);
+  // Default to the current month
+  const today = new Date();
   
   // --- Form State ---
-  const [selectedMonth, setSelectedMonth] = useState(currentMonthStr);
+  const [startDate, setStartDate] = useState(() => toDateInput(new Date(today.getFullYear(), today.getMonth(), 1)));
+  const [endDate, setEndDate] = useState(() => toDateInput(new Date(today.getFullYear(), today.getMonth() + 1, 0)));
+  const [format, setFormat] = useState('xlsx'); // 'xlsx' | 'pdf'
+  const [layout, setLayout] = useState('perMonth'); // 'perMonth' | 'continuous'
+  const [withCumulative, setWithCumulative] = useState(false);
   const [selectedSubject, setSelectedSubject] = useState('');
   const [selectedCourse, setSelectedCourse] = useState('');
   const [selectedSemester, setSelectedSemester] = useState('');
+  const [overviewThreshold, setOverviewThreshold] = useState(''); // Empty: each class's attendance policy
   const [error, setError] = useState(null);
+  const [generating, setGenerating] = useState(false);
+
+  const allSubjects = selectedSubject === ALL_SUBJECTS;
 
   // Extract unique options based on full student data for dropdowns
   const uniqueCourses = [...new Set(students.map(s => s.course))].filter(Boolean);
   const uniqueSemesters = [...new Set(students.map(s => s.semester))].filter(Boolean).sort((a, b) => a - b);
 
   /**
-   * Main handler to process data and generate the Excel file.
+   * Main handler to process data and generate the report file.
    * 1. Validates inputs.
    * 2. Filters students based on selection.
-   * 3. Filters logs for the specific month and subject.
-   * 4. Maps daily attendance to columns.
-   * 5. Generates the .xlsx file.
+   * 3. Builds the report for the date range.
+   * 4. Writes the PDF register, or one sheet per month (plus a summary) / one continuous sheet.
+   * 5. Generates the file.
    */
-  const handleDownload = () => {
+  const handleDownload = async () => {
     setError(null);
 
     // 1. Validation: Check if fields are selected
+    if (!startDate || !endDate || startDate > endDate) {
+      setError("Please select a valid date range (the start date must not be after the end date).");
+      return;
+    }
+    if ((new Date(endDate) - new Date(startDate)) / 86400000 > MAX_RANGE_DAYS) {
+      setError(`The date range cannot be longer than ${MAX_RANGE_DAYS} days.`);
+      return;
+    }
+    if (allSubjects) {
+      await handleDownloadAllSubjects();
+      return;
+    }
     if (!selectedSubject || !selectedCourse || !selectedSemester) {
       setError("Please select Subject, Course, and Semester.");
       return;
@@ -95,105 +134,103 @@ export default function DownloadAttendanceDialog({
         return;
     }
 
-    // 3. Prepare Date Info
-    const [yearStr, monthStr] = selectedMonth.split('-');
-    const year = parseInt(yearStr);
-    const month = parseInt(monthStr); // 1-12
-    const daysInMonth = getDaysInMonth(year, month);
-
-    // 4. Filter Logs for the selected Month & Subject
-    const monthLogs = logs.filter(log => {
-       return log.date.startsWith(selectedMonth) && log.subject_name === selectedSubject;
+    // 3. Build the report (marks, monthly, cumulative and range totals)
+    const report = buildAttendanceReport({
+        students: targetStudents,
+        logs: getClassLogs(logs, targetStudents), // Only this course and semester's classes count as held
+        subjectName: selectedSubject,
+        startDate,
+        endDate,
     });
 
-    // Count distinct days where attendance was taken for this subject (Total Classes Held)
-    const uniqueClassDates = [...new Set(monthLogs.map(l => l.date))];
-    const totalClassesHeld = uniqueClassDates.length;
-
-    // 5. Construct Excel Data Row by Row
-    const excelData = targetStudents.map(student => {
-        // Initialize row with student basic info
-        const row = {
-            "Roll No": student.id, // Using ID/Roll Number
-            "Name": student.name,
-        };
-
-        let daysPresent = 0;
-
-        // Loop through every day of the month (1 to 30/31) to populate columns
-        for (let day = 1; day <= daysInMonth; day++) {
-            // Construct date string YYYY-MM-DD
-            const dateString = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-            
-            // Find log for this specific student, date, and subject
-            const log = monthLogs.find(l => 
-                l.date === dateString && 
-                l.roll_number === student.id
-            );
-
-            // Column Name is just the day number (string format for key)
-            const colName = day.toString();
+    // Generate File Name based on selection
+    const safeSubject = selectedSubject.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    const baseFileName = `Attendance_${safeSubject}_${startDate}_to_${endDate}`;
 
-            if (log) {
-                // If log exists, put 'P' or 'A'
-                const statusShort = log.status === 'Present' ? 'P' : 'A';
-                row[colName] = statusShort;
-                if (statusShort === 'P') daysPresent++;
-            } else {
-                // If no log, check if class was held that day
-                if (uniqueClassDates.includes(dateString)) {
-                    // Class held but student not in log -> Not Marked
-                    row[colName] = '-'; 
-                } else {
-                    // No class held on this date -> Empty cell
-                    row[colName] = ''; 
-                }
-            }
+    setGenerating(true);
+    try {
+        if (format === 'pdf') {
+            // 4a. PDF Register (built entirely in the browser)
+            const doc = await buildAttendancePdf(report, {
+                institutionName: INSTITUTION_NAME,
+                logoUrl: INSTITUTION_LOGO_URL,
+                course: selectedCourse,
+                semester: selectedSemester,
+                teacherName,
+                withCumulative,
+            });
+            // 5. Trigger Download
+            doc.save(`${baseFileName}.pdf`);
+        } else {
+            // 4b. Styled Excel Workbook (5. downloaded once written)
+            await downloadClassWorkbook(report, {
+                layout,
+                withCumulative,
+                meta: { teacherName, course: selectedCourse, semester: selectedSemester },
+                fileName: `${baseFileName}.xlsx`,
+            });
         }
+        onClose();
+    } catch (err) {
+        console.error(err);
+        setError(`Could not generate the report: ${err.message}`);
+    } finally {
+        setGenerating(false);
+    }
+  };
 
-        // Add Summary Columns at the end
-        row["Total Classes"] = totalClassesHeld;
-        row["Days Present"] = daysPresent;
-        
-        // Calculate Percentage
-        const percentage = totalClassesHeld > 0 
-            ? ((daysPresent / totalClassesHeld) * 100).toFixed(2) 
-            : "0.00";
-            
-        row["Percentage"] = `${percentage}%`;
+  /**
+   * Generates one workbook covering every subject: an overview sheet, then one continuous
+   * sheet per subject/course/semester class, then the legend.
+   */
+  const handleDownloadAllSubjects = async () => {
+    const threshold = overviewThreshold === '' ? null : Number(overviewThreshold);
+    if (threshold !== null && !(threshold > 0 && threshold <= 100)) {
+      setError("Please enter a threshold between 1 and 100.");
+      return;
+    }
 
-        return row;
-    });
+    const groups = groupStudentsByClass(students, subjects);
+    if (groups.length === 0) {
+      setError("No students found for your subjects.");
+      return;
+    }
 
-    // 6. Generate Excel File with Strict Column Ordering
-    const dayColumns = Array.from({ length: daysInMonth }, (_, i) => (i + 1).toString());
-    const headerOrder = ["Roll No", "Name", ...dayColumns, "Total Classes", "Days Present", "Percentage"];
+    const classReports = groups.map(group => ({
+      group,
+      report: buildAttendanceReport({
+        students: group.students,
+        logs: getClassLogs(logs, group.students),
+        subjectName: group.subjectName,
+        startDate,
+        endDate,
+      }),
+    }));
 
-    const worksheet = XLSX.utils.json_to_sheet(excelData, { header: headerOrder });
-    
-    // Set column widths for better readability
-    const wscols = [
-        { wch: 15 }, // Roll No
-        { wch: 20 }, // Name
-    ];
-    // Add width for day columns
-    for(let i=0; i<daysInMonth; i++) wscols.push({ wch: 3 });
-    // Add width for summary columns
-    wscols.push({ wch: 12 }, { wch: 12 }, { wch: 10 });
-    
-    worksheet['!cols'] = wscols;
+    setGenerating(true);
+    try {
+      await downloadAllSubjectsWorkbook(classReports, {
+        threshold,
+        withCumulative,
+        meta: { teacherName },
+        fileName: `Attendance_all_subjects_${startDate}_to_${endDate}.xlsx`,
+      });
+      onClose();
+    } catch (err) {
+      console.error(err);
+      setError(`Could not generate the workbook: ${err.message}`);
+    } finally {
+      setGenerating(false);
+    }
+  };
 
-    const workbook = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(workbook, worksheet, "Attendance Report");
-    
-    // Generate File Name based on selection
-    const safeSubject = selectedSubject.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-    const fileName = `Attendance_${safeSubject}_${selectedMonth}.xlsx`;
-    
-    // Trigger Download
-    XLSX.writeFile(workbook, fileName);
-    
-    onClose();
+  /**
+   * Selects the subject; the multi-subject workbook is Excel-only.
+   * @param {string} value - Subject name or ALL_SUBJECTS.
+   */
+  const handleSubjectChange = (value) => {
+    setSelectedSubject(value);
+    if (value === ALL_SUBJECTS) setFormat('xlsx');
   };
 
   return (
@@ -204,14 +241,50 @@ export default function DownloadAttendanceDialog({
           
           {error && <Alert severity="error">{error}</Alert>}
 
-          {/* Month Selector */}
-          <TextField
-            type="month"
-            label="Month"
-            value={selectedMonth}
-            onChange={(e) => setSelectedMonth(e.target.value)}
-            fullWidth
-            InputLabelProps={{ shrink: true }}
+          {/* Date Range Selector */}
+          <Grid container spacing={2}>
+            <Grid item xs={6}>
+              <TextField
+                type="date"
+                label="From"
+                value={startDate}
+                onChange={(e) => setStartDate(e.target.value)}
+                fullWidth
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+            <Grid item xs={6}>
+              <TextField
+                type="date"
+                label="To"
+                value={endDate}
+                onChange={(e) => setEndDate(e.target.value)}
+                fullWidth
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+          </Grid>
+
+          {/* Format & Layout Options */}
+          <FormControl>
+            <FormLabel>Format</FormLabel>
+            <RadioGroup row value={format} onChange={(e) => setFormat(e.target.value)}>
+              <FormControlLabel value="xlsx" control={<Radio />} label="Excel (.xlsx)" />
+              <FormControlLabel value="pdf" control={<Radio />} label="PDF register" disabled={allSubjects} />
+            </RadioGroup>
+          </FormControl>
+          {format === 'xlsx' && !allSubjects && (
+            <FormControl>
+              <FormLabel>Layout</FormLabel>
+              <RadioGroup row value={layout} onChange={(e) => setLayout(e.target.value)}>
+                <FormControlLabel value="perMonth" control={<Radio />} label="One sheet per month" />
+                <FormControlLabel value="continuous" control={<Radio />} label="One continuous sheet" />
+              </RadioGroup>
+            </FormControl>
+          )}
+          <FormControlLabel
+            control={<Checkbox checked={withCumulative} onChange={(e) => setWithCumulative(e.target.checked)} />}
+            label="Add a cumulative-to-date percentage for each month"
           />
 
           {/* Subject Selector */}
@@ -220,8 +293,11 @@ export default function DownloadAttendanceDialog({
             <Select
               value={selectedSubject}
               label="Subject"
-              onChange={(e) => setSelectedSubject(e.target.value)}
+              onChange={(e) => handleSubjectChange(e.target.value)}
             >
+              <MenuItem value={ALL_SUBJECTS}>
+                <em>All my subjects (one sheet per class)</em>
+              </MenuItem>
               {subjects.map((subj) => (
                 <MenuItem key={subj.ts_id} value={subj.subject_name}>
                   {subj.subject_name}
@@ -230,6 +306,20 @@ export default function DownloadAttendanceDialog({
             </Select>
           </FormControl>
 
+          {allSubjects ? (
+            /* Overview Threshold (multi-subject workbook) */
+            <TextField
+              type="number"
+              label="Flag students below (%)"
+              value={overviewThreshold}
+              onChange={(e) => setOverviewThreshold(e.target.value)}
+              placeholder="As per policy"
+              InputLabelProps={{ shrink: true }}
+              inputProps={{ min: 1, max: 100 }}
+              helperText="The Overview sheet lists every student's percentage per subject and flags those below this value, or below their class's required percentage when left empty."
+              fullWidth
+            />
+          ) : (
           <Grid container spacing={2}>
             <Grid item xs={6}>
                {/* Course Selector */}
@@ -262,13 +352,20 @@ export default function DownloadAttendanceDialog({
               </FormControl>
             </Grid>
           </Grid>
+          )}
 
         </Box>
       </DialogContent>
       <DialogActions>
-        <Button onClick={onClose}>Cancel</Button>
-        <Button variant="contained" onClick={handleDownload} sx={{ backgroundColor: '#6a65ff' }}>
-          Download Excel
+        <Button onClick={onClose} disabled={generating}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleDownload}
+          disabled={generating}
+          startIcon={generating ? <CircularProgress size={16} color="inherit" /> : null}
+          sx={{ backgroundColor: '#6a65ff' }}
+        >
+          {format === 'pdf' ? 'Download PDF' : 'Download Excel'}
         </Button>
       </DialogActions>
     </Dialog>
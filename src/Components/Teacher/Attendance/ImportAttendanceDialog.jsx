@@ -0,0 +1,417 @@
+/**
+ * @file ImportAttendanceDialog.jsx
+ * @description Dialog that imports attendance kept in an Excel or CSV register.
+ * The teacher picks the subject and the file (same layout as the Excel export: Roll No, Name, day columns
+ * with status codes), adjusts the column mapping if needed, and reviews the differences against the
+ * existing logs before the marks are saved through the normal attendance save.
+ * @author Mohd Waris
+ */
+
+import React, { useState, useMemo } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  Alert,
+  Box,
+  Stepper,
+  Step,
+  StepLabel,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Stack,
+  CircularProgress,
+} from '@mui/material';
+import { UploadFile as UploadFileIcon } from '@mui/icons-material';
+import { getAttendanceStatus } from '../../../utils/attendanceStatuses';
+import {
+  IMPORT_FILE_TYPES,
+  readAttendanceFile,
+  guessColumnMapping,
+  buildImportPlan,
+} from '../../../utils/attendanceImport';
+
+const STEPS = ['Choose file', 'Map columns', 'Review changes'];
+// Rows shown in the review table; the rest are summarised
+const MAX_PREVIEW_ROWS = 200;
+
+/**
+ * StatusChip Component
+ * Small coloured chip for a status key, or a dash when nothing is recorded.
+ * @param {Object} props - Component props.
+ * @param {string|null} props.statusKey - Status key.
+ */
+function StatusChip({ statusKey }) {
+  const status = getAttendanceStatus(statusKey);
+  if (!status) return <Typography variant="body2" color="text.secondary">-</Typography>;
+  return (
+    <Chip
+      label={status.label}
+      size="small"
+      sx={{ backgroundColor: status.bgColor, color: status.color, fontWeight: 600 }}
+    />
+  );
+}
+
+/**
+ * ImportAttendanceDialog Component
+ * @param {Object} props - Component props.
+ * @param {boolean} props.open - Controls the visibility of the dialog.
+ * @param {Function} props.onClose - Callback to close the dialog.
+ * @param {Array} props.students - Full list of roster rows ({ id: roll number, name, class }).
+ * @param {Array} props.logs - Attendance logs shown in the register (saved and pending).
+ * @param {Array} props.subjects - List of subjects assigned to the teacher.
+ * @param {Function} props.onImport - Async callback receiving the attendance logs to save.
+ */
+export default function ImportAttendanceDialog({ open, onClose, students, logs, subjects, onImport }) {
+  // --- Form State ---
+  const [activeStep, setActiveStep] = useState(0);
+  const [selectedSubject, setSelectedSubject] = useState('');
+  const [selectedMonth, setSelectedMonth] = useState(new Date().toISOString().slice(0, 7));
+  const [sheet, setSheet] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mapping, setMapping] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Review data, recomputed whenever the mapping changes
+  const plan = useMemo(() => {
+    if (!sheet || !mapping || mapping.rollColumn < 0 || !selectedSubject) return null;
+    return buildImportPlan({ sheet, mapping, subjectName: selectedSubject, students, logs });
+  }, [sheet, mapping, selectedSubject, students, logs]);
+
+  /**
+   * Clears every step so the dialog opens fresh next time.
+   */
+  const handleClose = () => {
+    if (busy) return;
+    setActiveStep(0);
+    setSheet(null);
+    setFileName('');
+    setMapping(null);
+    setError(null);
+    onClose();
+  };
+
+  /**
+   * Reads the chosen file and guesses the column mapping.
+   * @param {Object} event - Change event of the file input.
+   */
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    setBusy(true);
+    try {
+      const parsed = await readAttendanceFile(file);
+      // A month sheet of the export names its month; day numbers fall in it
+      const month = parsed.month || selectedMonth;
+      setSheet(parsed);
+      setFileName(file.name);
+      setSelectedMonth(month);
+      setMapping(guessColumnMapping(parsed.headers, month));
+    } catch (err) {
+      console.error(err);
+      setSheet(null);
+      setError(`Could not read ${file.name}: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Re-guesses the day columns when the month changes, since day numbers depend on it.
+   * @param {string} month - Month (YYYY-MM).
+   */
+  const handleMonthChange = (month) => {
+    setSelectedMonth(month);
+    if (sheet && mapping) {
+      const guessed = guessColumnMapping(sheet.headers, month);
+      setMapping({ ...mapping, dateColumns: guessed.dateColumns });
+    }
+  };
+
+  /**
+   * Updates one field of the mapping.
+   * @param {string} field - 'rollColumn' or 'nameColumn'.
+   * @param {number} index - Column index (-1 for none).
+   */
+  const handleColumnChange = (field, index) => {
+    const dateColumns = { ...mapping.dateColumns };
+    delete dateColumns[index];
+    setMapping({ ...mapping, [field]: index, dateColumns });
+  };
+
+  /**
+   * Sets (or clears) the date of an attendance column.
+   * @param {number} index - Column index.
+   * @param {string} date - Date (YYYY-MM-DD), or '' to ignore the column.
+   */
+  const handleDateColumnChange = (index, date) => {
+    setMapping({ ...mapping, dateColumns: { ...mapping.dateColumns, [index]: date } });
+  };
+
+  /**
+   * Validates the current step before moving on.
+   */
+  const handleNext = () => {
+    setError(null);
+    if (activeStep === 0 && (!selectedSubject || !sheet)) {
+      setError('Please select a subject and a file.');
+      return;
+    }
+    if (activeStep === 1) {
+      if (mapping.rollColumn < 0) {
+        setError('Please choose the Roll No column.');
+        return;
+      }
+      if (!Object.values(mapping.dateColumns).some(Boolean)) {
+        setError('Please give at least one column a date.');
+        return;
+      }
+    }
+    setActiveStep(activeStep + 1);
+  };
+
+  /**
+   * Converts the plan's changes into attendance logs and saves them.
+   */
+  const handleImport = async () => {
+    const now = new Date().toISOString();
+    const marks = plan.changes.map(change => ({
+      date: change.date,
+      status: getAttendanceStatus(change.after).apiValue,
+      roll_number: change.rollNumber,
+      student_name: change.name,
+      subject_name: selectedSubject,
+      updated_at: now,
+      created_at: now,
+    }));
+
+    setBusy(true);
+    try {
+      await onImport(marks);
+      setBusy(false);
+      handleClose();
+    } catch (err) {
+      console.error(err);
+      setError(`Import failed: ${err.message}`);
+      setBusy(false);
+    }
+  };
+
+  const today = new Date().toISOString().slice(0, 10);
+  const futureDates = plan ? [...new Set(plan.changes.map(c => c.date))].filter(d => d > today) : [];
+  const otherColumns = sheet && mapping
+    ? sheet.headers.map((header, index) => ({ header, index }))
+        .filter(({ index }) => index !== mapping.rollColumn && index !== mapping.nameColumn)
+    : [];
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="md">
+      <DialogTitle>Import Attendance</DialogTitle>
+      <DialogContent dividers>
+        <Stepper activeStep={activeStep} sx={{ mb: 3 }}>
+          {STEPS.map(label => (
+            <Step key={label}><StepLabel>{label}</StepLabel></Step>
+          ))}
+        </Stepper>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {/* --- Step 1: Subject & File --- */}
+        {activeStep === 0 && (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
+            <TextField
+              select
+              label="Subject"
+              value={selectedSubject}
+              onChange={(e) => setSelectedSubject(e.target.value)}
+              fullWidth
+            >
+              {subjects.map(subj => (
+                <MenuItem key={subj.ts_id} value={subj.subject_name}>{subj.subject_name}</MenuItem>
+              ))}
+            </TextField>
+
+            <TextField
+              type="month"
+              label="Month"
+              value={selectedMonth}
+              onChange={(e) => handleMonthChange(e.target.value)}
+              helperText="Used for day columns headed 1, 2, 3 ... as in the Excel export"
+              fullWidth
+              InputLabelProps={{ shrink: true }}
+            />
+
+            <Box>
+              <Button
+                component="label"
+                variant="outlined"
+                startIcon={busy ? <CircularProgress size={16} /> : <UploadFileIcon />}
+                disabled={busy}
+                sx={{ textTransform: 'none' }}
+              >
+                Choose Excel / CSV file
+                <input hidden type="file" accept={IMPORT_FILE_TYPES} onChange={handleFileChange} />
+              </Button>
+              {sheet && (
+                <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                  {fileName} · sheet "{sheet.sheetName}" · {sheet.rows.length} row(s), {sheet.headers.length} column(s)
+                </Typography>
+              )}
+            </Box>
+          </Box>
+        )}
+
+        {/* --- Step 2: Column Mapping --- */}
+        {activeStep === 1 && mapping && (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
+            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2}>
+              <TextField
+                select
+                label="Roll No column"
+                value={mapping.rollColumn}
+                onChange={(e) => handleColumnChange('rollColumn', e.target.value)}
+                fullWidth
+              >
+                <MenuItem value={-1}><em>Choose...</em></MenuItem>
+                {sheet.headers.map((header, index) => (
+                  <MenuItem key={index} value={index}>{header || `Column ${index + 1}`}</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                select
+                label="Name column (optional)"
+                value={mapping.nameColumn}
+                onChange={(e) => handleColumnChange('nameColumn', e.target.value)}
+                fullWidth
+              >
+                <MenuItem value={-1}><em>None</em></MenuItem>
+                {sheet.headers.map((header, index) => (
+                  <MenuItem key={index} value={index}>{header || `Column ${index + 1}`}</MenuItem>
+                ))}
+              </TextField>
+            </Stack>
+
+            <Box>
+              <Typography variant="subtitle2" fontWeight="bold">Attendance columns</Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Give each attendance column its class date. Columns without a date are ignored.
+              </Typography>
+              <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: 2, maxHeight: 320, overflowY: 'auto', pt: 1 }}>
+                {otherColumns.map(({ header, index }) => (
+                  <TextField
+                    key={index}
+                    type="date"
+                    size="small"
+                    label={header || `Column ${index + 1}`}
+                    value={mapping.dateColumns[index] || ''}
+                    onChange={(e) => handleDateColumnChange(index, e.target.value)}
+                    InputLabelProps={{ shrink: true }}
+                  />
+                ))}
+              </Box>
+            </Box>
+          </Box>
+        )}
+
+        {/* --- Step 3: Review --- */}
+        {activeStep === 2 && plan && (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <Stack direction="row" spacing={1} useFlexGap flexWrap="wrap">
+              <Chip label={`${plan.changes.filter(c => !c.before).length} new`} color="success" variant="outlined" />
+              <Chip label={`${plan.changes.filter(c => c.before).length} changed`} color="warning" variant="outlined" />
+              <Chip label={`${plan.unchanged} unchanged`} variant="outlined" />
+            </Stack>
+
+            {plan.unknownRolls.length > 0 && (
+              <Alert severity="warning">
+                {plan.unknownRolls.length} roll number(s) are not enrolled in {selectedSubject} and will be skipped:{' '}
+                {plan.unknownRolls.slice(0, 10).join(', ')}{plan.unknownRolls.length > 10 ? ', ...' : ''}
+              </Alert>
+            )}
+            {plan.invalidCells.length > 0 && (
+              <Alert severity="warning">
+                {plan.invalidCells.length} cell(s) have an unknown status and will be skipped, e.g.{' '}
+                {plan.invalidCells.slice(0, 5).map(c => `row ${c.row}, column ${c.column}: "${c.value}"`).join('; ')}
+              </Alert>
+            )}
+            {futureDates.length > 0 && (
+              <Alert severity="info">
+                The file contains future dates ({futureDates.join(', ')}). Check the month and date mapping.
+              </Alert>
+            )}
+
+            {plan.changes.length === 0 ? (
+              <Alert severity="info">Nothing to import: every mark in the file is already recorded.</Alert>
+            ) : (
+              <TableContainer sx={{ maxHeight: 360, border: '1px solid #e0e0e0', borderRadius: '8px' }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Date</TableCell>
+                      <TableCell>Roll No</TableCell>
+                      <TableCell>Name</TableCell>
+                      <TableCell>Current</TableCell>
+                      <TableCell>Imported</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {plan.changes.slice(0, MAX_PREVIEW_ROWS).map(change => (
+                      <TableRow key={`${change.date}-${change.rollNumber}`}>
+                        <TableCell>{change.date}</TableCell>
+                        <TableCell>{change.rollNumber}</TableCell>
+                        <TableCell>{change.name}</TableCell>
+                        <TableCell><StatusChip statusKey={change.before} /></TableCell>
+                        <TableCell><StatusChip statusKey={change.after} /></TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+            {plan.changes.length > MAX_PREVIEW_ROWS && (
+              <Typography variant="body2" color="text.secondary">
+                Showing the first {MAX_PREVIEW_ROWS} of {plan.changes.length} changes.
+              </Typography>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={busy}>Cancel</Button>
+        {activeStep > 0 && (
+          <Button onClick={() => { setError(null); setActiveStep(activeStep - 1); }} disabled={busy}>Back</Button>
+        )}
+        {activeStep < 2 ? (
+          <Button variant="contained" onClick={handleNext} disabled={busy} sx={{ backgroundColor: '#6a65ff' }}>
+            Next
+          </Button>
+        ) : (
+          <Button
+            variant="contained"
+            onClick={handleImport}
+            disabled={busy || !plan || plan.changes.length === 0}
+            startIcon={busy ? <CircularProgress size={16} color="inherit" /> : null}
+            sx={{ backgroundColor: '#6a65ff' }}
+          >
+            Import {plan?.changes.length || 0} mark(s)
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -31,6 +31,7 @@ import EventAvailableIcon from "@mui/icons-material/EventAvailable";
 import CalendarMonthIcon from "@mui/icons-material/CalendarMonth";
 import ChatBubbleIcon from "@mui/icons-material/ChatBubble";
 import GroupIcon from "@mui/icons-material/Group";
+import GavelIcon from "@mui/icons-material/Gavel";
 import SettingsIcon from "@mui/icons-material/Settings";
 import NotificationsIcon from "@mui/icons-material/Notifications";
 import LogoutIcon from "@mui/icons-material/Logout";
@@ -116,6 +117,7 @@ export default function SideNav({ user, onLogout }) {
       path: "/teacher/eventsFeed",
     },
     { text: "Students", icon: <GroupIcon />, path: "/teacher/students" },
+    { text: "Exam Eligibility", icon: <GavelIcon />, path: "/teacher/defaulters" },
   ];
 
   // Configuration for secondary links (notifications, settings, logout)
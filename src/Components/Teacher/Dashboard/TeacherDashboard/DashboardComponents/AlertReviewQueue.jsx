@@ -0,0 +1,172 @@
+/**
+ * @file AlertReviewQueue.jsx
+ * @description Dashboard panel listing the alerts raised by the teacher's "ask me first" alert rules
+ * (utils/alertRules.jsx), and automatic sends that failed. Approving sends the warning with the rule's
+ * template, recipients and channel (api/alertAutomation.jsx); skipping drops the alert without a warning.
+ * @author Mohd Waris
+ */
+
+import React, { useState } from 'react';
+import dayjs from 'dayjs';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tooltip,
+  IconButton,
+  CircularProgress,
+  Alert,
+  Link,
+} from '@mui/material';
+import NotificationsActiveIcon from '@mui/icons-material/NotificationsActive';
+import SendIcon from '@mui/icons-material/Send';
+import DoNotDisturbIcon from '@mui/icons-material/DoNotDisturb';
+import { Link as RouterLink } from 'react-router-dom';
+import StudentLink from '../../../Students/StudentLink';
+import { sendAlerts, skipAlerts } from '../../../../../api/alertAutomation';
+
+/**
+ * AlertReviewQueue Component
+ * @param {Object} props - Component props.
+ * @param {import('../../../../../utils/alertRules').AlertQueueEntry[]} props.alerts - Pending alerts, newest first.
+ * @param {number} props.ruleCount - Number of alert rules the teacher has.
+ * @param {Array<Object>} props.students - Current dashboard rows (the warnings use today's figures).
+ * @param {Function} props.onResolved - Called after alerts were approved or skipped.
+ */
+export default function AlertReviewQueue({ alerts, ruleCount, students, onResolved }) {
+  const [busy, setBusy] = useState(null); // ID of the alert being sent, or 'all'
+  const [result, setResult] = useState(null); // { severity, message } of the last approval
+
+  /**
+   * Sends the warnings of some alerts.
+   * @param {import('../../../../../utils/alertRules').AlertQueueEntry[]} selected - Alerts to approve.
+   * @param {string} busyKey - What is shown as sending.
+   */
+  const handleApprove = async (selected, busyKey) => {
+    setBusy(busyKey);
+    setResult(null);
+    try {
+      const { sent, failed } = await sendAlerts(selected, { students });
+      setResult(failed
+        ? { severity: 'warning', message: `${sent} sent, ${failed} failed. Failed alerts stay in the list with the reason.` }
+        : { severity: 'success', message: `${sent} ${sent === 1 ? 'warning' : 'warnings'} sent.` });
+    } catch (err) {
+      console.error(err);
+      setResult({ severity: 'error', message: err.message || 'Error sending warnings. Please try again.' });
+    } finally {
+      setBusy(null);
+      onResolved();
+    }
+  };
+
+  /**
+   * Drops some alerts without sending anything.
+   * @param {import('../../../../../utils/alertRules').AlertQueueEntry[]} selected - Alerts to skip.
+   */
+  const handleSkip = (selected) => {
+    skipAlerts(selected);
+    setResult(null);
+    onResolved();
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, borderRadius: 2, boxShadow: 'none' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <NotificationsActiveIcon color="primary" />
+          <Typography variant="h6">Alerts to Review</Typography>
+          {alerts.length > 0 && <Chip label={alerts.length} size="small" color="warning" />}
+        </Box>
+        {alerts.length > 1 && (
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button size="small" onClick={() => handleSkip(alerts)} disabled={!!busy}>
+              Skip All
+            </Button>
+            <Button
+              size="small"
+              variant="contained"
+              color="warning"
+              startIcon={busy === 'all' ? <CircularProgress size={16} color="inherit" /> : <SendIcon />}
+              onClick={() => handleApprove(alerts, 'all')}
+              disabled={!!busy}
+            >
+              Approve All
+            </Button>
+          </Box>
+        )}
+      </Box>
+
+      {result && <Alert severity={result.severity} sx={{ mb: 1 }} onClose={() => setResult(null)}>{result.message}</Alert>}
+
+      {alerts.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+          {ruleCount
+            ? 'No alerts waiting for review.'
+            : 'No alert rules yet. Rules warn students automatically when they cross a threshold.'}
+        </Typography>
+      ) : (
+        <TableContainer sx={{ maxHeight: 320 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold' }}>Student</TableCell>
+                <TableCell sx={{ fontWeight: 'bold' }}>Subject</TableCell>
+                <TableCell sx={{ fontWeight: 'bold' }}>Reason</TableCell>
+                <TableCell sx={{ fontWeight: 'bold' }}>Rule</TableCell>
+                <TableCell sx={{ fontWeight: 'bold' }}>Raised</TableCell>
+                <TableCell sx={{ fontWeight: 'bold' }} align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {alerts.map((alert) => (
+                <TableRow key={alert.id} hover>
+                  <TableCell>
+                    {alert.student.id ? <StudentLink studentId={alert.student.id}>{alert.student.name}</StudentLink> : alert.student.name}
+                    <Typography variant="caption" color="text.secondary" display="block">{alert.student.rollNumber}</Typography>
+                  </TableCell>
+                  <TableCell>{alert.student.subject}</TableCell>
+                  <TableCell>
+                    {alert.reason}
+                    {alert.error && (
+                      <Typography variant="caption" color="error" display="block">Not sent: {alert.error}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{alert.ruleName}</TableCell>
+                  <TableCell>{dayjs(alert.createdAt).format('DD MMM, HH:mm')}</TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Tooltip title="Approve and send the warning">
+                      <span>
+                        <IconButton size="small" color="warning" onClick={() => handleApprove([alert], alert.id)} disabled={!!busy}>
+                          {busy === alert.id ? <CircularProgress size={18} /> : <SendIcon fontSize="small" />}
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Skip (no warning)">
+                      <span>
+                        <IconButton size="small" onClick={() => handleSkip([alert])} disabled={!!busy}>
+                          <DoNotDisturbIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+        Alert rules are set up in <Link component={RouterLink} to="/teacher/settings">Settings</Link>.
+      </Typography>
+    </Paper>
+  );
+}
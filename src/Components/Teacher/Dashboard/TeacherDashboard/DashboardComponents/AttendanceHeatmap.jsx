@@ -0,0 +1,104 @@
+/**
+ * @file AttendanceHeatmap.jsx
+ * @description Calendar heatmap of the class attendance rate of each day: one column per week,
+ * one row per weekday, coloured with the attendance bands. Days without marks stay grey.
+ * @author Mohd Waris
+ */
+
+import React from 'react';
+import dayjs from 'dayjs';
+import { Box, Typography, Tooltip } from '@mui/material';
+import { alpha } from '@mui/material/styles';
+import { getAttendanceBands, getAttendanceBand } from '../../../../../utils/attendanceBands';
+import { WEEKDAY_LABELS } from '../../../../../utils/attendanceCharts';
+
+const CELL_SIZE = 14;
+const CELL_GAP = 3;
+
+/**
+ * Colour of a day: the band colour, deeper for higher rates within the band.
+ * @param {import('../../../../../utils/attendanceCharts').DayRate|undefined} day - Day's rate.
+ * @param {import('../../../../../utils/attendancePolicy').AttendancePolicy} policy - Policy giving the band limits.
+ * @returns {string}
+ */
+const getCellColor = (day, policy) => {
+  if (!day) return '#eeeeee';
+  const band = getAttendanceBand(day.rate, policy);
+  return alpha(band.color, 0.45 + 0.55 * (day.rate / 100));
+};
+
+/**
+ * Tooltip text of a day.
+ * @param {string} date - Day (YYYY-MM-DD).
+ * @param {import('../../../../../utils/attendanceCharts').DayRate|undefined} day - Day's rate.
+ * @returns {string}
+ */
+const getCellTitle = (date, day) => {
+  const label = dayjs(date).format('ddd, DD MMM YYYY');
+  return day ? `${label}: ${Math.round(day.rate)}% (${day.attended}/${day.total} marks)` : `${label}: no classes`;
+};
+
+/**
+ * AttendanceHeatmap Component
+ * @param {Object} props - Component props.
+ * @param {Array<Array<string|null>>} props.weeks - Calendar weeks from buildCalendarWeeks.
+ * @param {Map<string, Object>} props.days - Daily rates from computeDailyRates.
+ * @param {import('../../../../../utils/attendancePolicy').AttendancePolicy} props.policy - Policy giving the band limits.
+ */
+export default function AttendanceHeatmap({ weeks, days, policy }) {
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: `${CELL_GAP}px`, overflowX: 'auto', pb: 1 }}>
+        {/* Weekday labels */}
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: `${CELL_GAP}px`, pt: `${CELL_SIZE + CELL_GAP}px`, pr: 0.5 }}>
+          {WEEKDAY_LABELS.map((weekday, index) => (
+            <Typography key={weekday} variant="caption" color="text.secondary" sx={{ height: CELL_SIZE, lineHeight: `${CELL_SIZE}px`, fontSize: 10 }}>
+              {index % 2 === 0 ? weekday : ''}
+            </Typography>
+          ))}
+        </Box>
+
+        {weeks.map((week, weekIndex) => {
+          // Month label above the week in which a month starts
+          const firstOfMonth = week.find((date) => date && date.endsWith('-01'));
+          const monthLabel = weekIndex === 0
+            ? dayjs(week.find(Boolean)).format('MMM')
+            : firstOfMonth && dayjs(firstOfMonth).format('MMM');
+
+          return (
+            <Box key={week.find(Boolean)} sx={{ display: 'flex', flexDirection: 'column', gap: `${CELL_GAP}px` }}>
+              <Typography variant="caption" color="text.secondary" sx={{ height: CELL_SIZE, lineHeight: `${CELL_SIZE}px`, fontSize: 10, whiteSpace: 'nowrap', width: CELL_SIZE }}>
+                {monthLabel || ''}
+              </Typography>
+              {week.map((date, dayIndex) => (
+                date ? (
+                  <Tooltip key={date} title={getCellTitle(date, days.get(date))} arrow>
+                    <Box sx={{ width: CELL_SIZE, height: CELL_SIZE, borderRadius: '3px', backgroundColor: getCellColor(days.get(date), policy) }} />
+                  </Tooltip>
+                ) : (
+                  <Box key={`empty-${dayIndex}`} sx={{ width: CELL_SIZE, height: CELL_SIZE }} />
+                )
+              ))}
+            </Box>
+          );
+        })}
+      </Box>
+
+      {/* Legend */}
+      <Box sx={{ display: 'flex', gap: 2, mt: 1, flexWrap: 'wrap' }}>
+        {[...getAttendanceBands(policy)].reverse().map((band, index, bands) => (
+          <Box key={band.key} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+            <Box sx={{ width: 10, height: 10, borderRadius: '2px', backgroundColor: band.color }} />
+            <Typography variant="caption" color="text.secondary">
+              {index === bands.length - 1 ? `${band.min}%+` : `${band.min}–${bands[index + 1].min}%`}
+            </Typography>
+          </Box>
+        ))}
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+          <Box sx={{ width: 10, height: 10, borderRadius: '2px', backgroundColor: '#eeeeee' }} />
+          <Typography variant="caption" color="text.secondary">No classes</Typography>
+        </Box>
+      </Box>
+    </Box>
+  );
+}
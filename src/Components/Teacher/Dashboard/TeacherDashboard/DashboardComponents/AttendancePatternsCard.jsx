@@ -0,0 +1,144 @@
+/**
+ * @file AttendancePatternsCard.jsx
+ * @description Dashboard panel showing attendance patterns over time for the filtered classes:
+ * a calendar heatmap of each day's rate, a rolling average per subject and a weekday breakdown.
+ * The series come from utils/attendanceCharts.jsx; the rolling window follows the trend window.
+ * @author Mohd Waris
+ */
+
+import React, { useState, useMemo } from 'react';
+import dayjs from 'dayjs';
+import { Box, Paper, Typography, TextField, MenuItem, Grid } from '@mui/material';
+import InsightsIcon from '@mui/icons-material/Insights';
+import { LineChart } from '@mui/x-charts/LineChart';
+import { BarChart } from '@mui/x-charts/BarChart';
+import AttendanceHeatmap from './AttendanceHeatmap';
+import { getAttendanceBands } from '../../../../../utils/attendanceBands';
+import {
+  DEFAULT_CHART_RANGE_DAYS,
+  CHART_RANGE_OPTIONS,
+  getChartRange,
+  computeDailyRates,
+  buildCalendarWeeks,
+  computeRollingAverages,
+  computeWeekdayRates,
+} from '../../../../../utils/attendanceCharts';
+
+/**
+ * Formats a chart value as a percentage.
+ * @param {number|null} value - Percentage.
+ * @returns {string}
+ */
+const formatPercent = (value) => (value === null ? 'No classes' : `${Math.round(value)}%`);
+
+/**
+ * Colours bars with their attendance band (bands are ordered from the highest down).
+ * @param {import('../../../../../utils/attendancePolicy').AttendancePolicy} policy - Policy giving the band limits.
+ * @returns {Object} Piecewise colour map for the value axis.
+ */
+const getBandColorMap = (policy) => {
+  const bands = [...getAttendanceBands(policy)].reverse();
+  return {
+    type: 'piecewise',
+    thresholds: bands.slice(1).map((band) => band.min),
+    colors: bands.map((band) => band.color),
+  };
+};
+
+/**
+ * AttendancePatternsCard Component
+ * @param {Object} props - Component props.
+ * @param {Array} props.logs - Attendance logs of the filtered classes.
+ * @param {number} props.windowDays - Length of the rolling average window in days.
+ * @param {import('../../../../../utils/attendancePolicy').AttendancePolicy} props.policy - Policy of the filtered classes, for the colours.
+ */
+export default function AttendancePatternsCard({ logs, windowDays, policy }) {
+  const [rangeDays, setRangeDays] = useState(DEFAULT_CHART_RANGE_DAYS);
+
+  const { weeks, days, rolling, weekdays } = useMemo(() => {
+    const range = getChartRange(dayjs().format('YYYY-MM-DD'), rangeDays);
+    return {
+      weeks: buildCalendarWeeks(range),
+      days: computeDailyRates(logs, range),
+      rolling: computeRollingAverages(logs, { range, windowDays }),
+      weekdays: computeWeekdayRates(logs, range),
+    };
+  }, [logs, rangeDays, windowDays]);
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, borderRadius: 2, boxShadow: 'none' }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, gap: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <InsightsIcon color="primary" />
+          <Box>
+            <Typography variant="h6">Attendance Patterns</Typography>
+            <Typography variant="body2" color="text.secondary">
+              Classes within the current filters
+            </Typography>
+          </Box>
+        </Box>
+        <TextField
+          select
+          label="Range"
+          size="small"
+          value={rangeDays}
+          onChange={(e) => setRangeDays(Number(e.target.value))}
+          sx={{ minWidth: 130 }}
+        >
+          {CHART_RANGE_OPTIONS.map((option) => (
+            <MenuItem key={option} value={option}>Last {option} days</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      {days.size === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ py: 4, textAlign: 'center' }}>
+          No attendance was marked in the last {rangeDays} days.
+        </Typography>
+      ) : (
+        <Grid container spacing={3}>
+          {/* Daily heatmap */}
+          <Grid size={{ xs: 12, md: 7 }}>
+            <Typography variant="subtitle2" color="text.secondary" sx={{ mb: 1 }}>Daily Attendance</Typography>
+            <AttendanceHeatmap weeks={weeks} days={days} policy={policy} />
+          </Grid>
+
+          {/* Weekday breakdown */}
+          <Grid size={{ xs: 12, md: 5 }}>
+            <Typography variant="subtitle2" color="text.secondary">By Weekday</Typography>
+            <BarChart
+              height={220}
+              xAxis={[{ scaleType: 'band', data: weekdays.map((entry) => entry.weekday) }]}
+              yAxis={[{ min: 0, max: 100, colorMap: getBandColorMap(policy) }]}
+              series={[{ data: weekdays.map((entry) => entry.rate), label: 'Attendance', valueFormatter: formatPercent }]}
+              hideLegend
+            />
+          </Grid>
+
+          {/* Rolling average per subject */}
+          <Grid size={{ xs: 12 }}>
+            <Typography variant="subtitle2" color="text.secondary">
+              {windowDays}-Day Rolling Average by Subject
+            </Typography>
+            <LineChart
+              height={300}
+              xAxis={[{
+                scaleType: 'point',
+                data: rolling.dates,
+                valueFormatter: (date) => dayjs(date).format('DD MMM'),
+              }]}
+              yAxis={[{ min: 0, max: 100 }]}
+              series={rolling.series.map((subject) => ({
+                data: subject.data,
+                label: subject.subjectName,
+                valueFormatter: formatPercent,
+                connectNulls: true,
+                showMark: false,
+              }))}
+            />
+          </Grid>
+        </Grid>
+      )}
+    </Paper>
+  );
+}
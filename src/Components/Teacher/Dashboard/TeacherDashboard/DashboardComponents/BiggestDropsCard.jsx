@@ -0,0 +1,122 @@
+/**
+ * @file BiggestDropsCard.jsx
+ * @description Dashboard panel listing the students and subjects whose attendance fell the most in the
+ * recent window compared with the window before it (see utils/attendanceTrends.jsx).
+ * The window length is chosen here and shared with the trend arrows and stat card.
+ * @author Mohd Waris
+ */
+
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  MenuItem,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  Grid,
+} from '@mui/material';
+import TrendingDownIcon from '@mui/icons-material/TrendingDown';
+import StudentLink from '../../../Students/StudentLink';
+import { TREND_WINDOW_OPTIONS } from '../../../../../utils/attendanceTrends';
+
+/**
+ * Formats a trend's before/after rates ("82% → 61%").
+ * @param {import('../../../../../utils/attendanceTrends').AttendanceTrend} trend - Trend.
+ * @returns {string}
+ */
+const formatRates = (trend) => `${Math.round(trend.previous)}% → ${Math.round(trend.current)}%`;
+
+/**
+ * DropChip Component
+ * Change in percentage points, in red.
+ * @param {Object} props - Component props.
+ * @param {number} props.change - Change in percentage points (negative).
+ */
+const DropChip = ({ change }) => (
+  <Chip
+    size="small"
+    label={`${change.toFixed(1)} pts`}
+    sx={{ backgroundColor: '#ffebee', color: '#c62828', fontWeight: 'bold' }}
+  />
+);
+
+/**
+ * BiggestDropsCard Component
+ * @param {Object} props - Component props.
+ * @param {Array} props.studentDrops - Student rows with a 'down' trend ({ id, name, subject, trend }), biggest first.
+ * @param {Array<{subjectName: string, trend: Object}>} props.subjectDrops - Subjects with a 'down' trend, biggest first.
+ * @param {number} props.windowDays - Window length in days.
+ * @param {Function} props.onWindowChange - Called with the new window length.
+ */
+export default function BiggestDropsCard({ studentDrops, subjectDrops, windowDays, onWindowChange }) {
+  const title = windowDays === 7 ? 'Biggest Drops This Week' : `Biggest Drops in the Last ${windowDays} Days`;
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, borderRadius: 2, boxShadow: 'none' }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1, gap: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <TrendingDownIcon color="error" />
+          <Box>
+            <Typography variant="h6">{title}</Typography>
+            <Typography variant="body2" color="text.secondary">
+              Compared with the previous {windowDays} days
+            </Typography>
+          </Box>
+        </Box>
+        <TextField
+          select
+          label="Window"
+          size="small"
+          value={windowDays}
+          onChange={(e) => onWindowChange(Number(e.target.value))}
+          sx={{ minWidth: 110 }}
+        >
+          {TREND_WINDOW_OPTIONS.map((days) => (
+            <MenuItem key={days} value={days}>{days} days</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      <Grid container spacing={2}>
+        {/* Students */}
+        <Grid size={{ xs: 12, md: 7 }}>
+          <Typography variant="subtitle2" color="text.secondary">Students</Typography>
+          {studentDrops.length === 0 ? (
+            <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>No student's attendance dropped.</Typography>
+          ) : (
+            <List dense disablePadding>
+              {studentDrops.map((student) => (
+                <ListItem key={`${student.id}-${student.subject}`} disableGutters secondaryAction={<DropChip change={student.trend.change} />}>
+                  <ListItemText
+                    primary={<StudentLink studentId={student.id}>{student.name}</StudentLink>}
+                    secondary={`${student.subject} · ${formatRates(student.trend)}`}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </Grid>
+
+        {/* Subjects */}
+        <Grid size={{ xs: 12, md: 5 }}>
+          <Typography variant="subtitle2" color="text.secondary">Subjects</Typography>
+          {subjectDrops.length === 0 ? (
+            <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>No subject's attendance dropped.</Typography>
+          ) : (
+            <List dense disablePadding>
+              {subjectDrops.map((subject) => (
+                <ListItem key={subject.subjectName} disableGutters secondaryAction={<DropChip change={subject.trend.change} />}>
+                  <ListItemText primary={subject.subjectName} secondary={formatRates(subject.trend)} />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </Grid>
+      </Grid>
+    </Paper>
+  );
+}
@@ -3,17 +3,17 @@ import CircularProgress from '@mui/material/CircularProgress';
 import Typography from '@mui/material/Typography';
 import Box from '@mui/material/Box';
 import { green, orange, red } from '@mui/material/colors';
+import { DEFAULT_POLICY } from '../../../../../utils/attendancePolicy';
 
-const getProgressColor = (percentage) => {
-  const requiredPercentage = 75;
-  if (percentage >= 90) return green[500];
-  if (percentage >= requiredPercentage) return orange[500];
+const getProgressColor = (percentage, policy) => {
+  if (percentage >= policy.excellent) return green[500];
+  if (percentage >= policy.threshold) return orange[500];
   return red[500];
 };
 
 function CustomCircularProgress(props) {
-  const { value = 0, label = "Present Today", size = 180, thickness = 4 } = props;
-  const progressColor = getProgressColor(value);
+  const { value = 0, label = "Present Today", size = 180, thickness = 4, policy = DEFAULT_POLICY } = props;
+  const progressColor = getProgressColor(value, policy);
 
   return (
     <Box sx={{ position: 'relative', display: 'inline-flex' }}>
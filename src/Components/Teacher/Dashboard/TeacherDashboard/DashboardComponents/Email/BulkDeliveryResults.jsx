@@ -0,0 +1,75 @@
+/**
+ * @file BulkDeliveryResults.jsx
+ * @description Progress and per-recipient outcome of a bulk warning send: a progress bar while the
+ * batches go out, a count per status and the list of recipients with their status and failure reason.
+ * @author Mohd Waris
+ */
+
+import React from 'react';
+import { Box, Typography, LinearProgress, Chip, List, ListItem, ListItemText, Stack } from '@mui/material';
+import { DELIVERY_STATUS } from '../../../../../../api/warningDelivery';
+
+/** @type {Object<string, {label: string, color: string}>} How each recipient status is shown. */
+const STATUS_DISPLAY = {
+  [DELIVERY_STATUS.PENDING]: { label: 'Waiting', color: 'default' },
+  [DELIVERY_STATUS.QUEUED]: { label: 'Queued', color: 'info' },
+  [DELIVERY_STATUS.SENT]: { label: 'Sent', color: 'success' },
+  [DELIVERY_STATUS.FAILED]: { label: 'Failed', color: 'error' },
+};
+
+/**
+ * BulkDeliveryResults Component
+ * @param {Object} props - Component props.
+ * @param {Array<{key: string, student: Object, status: string, error: string|null}>} props.results - One entry per recipient.
+ * @param {boolean} props.sending - Whether batches are still being sent.
+ */
+export default function BulkDeliveryResults({ results, sending }) {
+  const done = results.filter((result) => result.status !== DELIVERY_STATUS.PENDING).length;
+  const counts = results.reduce((acc, result) => ({ ...acc, [result.status]: (acc[result.status] || 0) + 1 }), {});
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
+        <Typography variant="body2" color="text.secondary">
+          {sending ? 'Sending warnings...' : 'Finished'}
+        </Typography>
+        <Typography variant="body2" sx={{ fontWeight: 600 }}>
+          {done} / {results.length}
+        </Typography>
+      </Box>
+      <LinearProgress
+        variant="determinate"
+        value={results.length ? (done / results.length) * 100 : 0}
+        sx={{ height: 8, borderRadius: 5, mb: 1.5 }}
+      />
+
+      {/* Count per status */}
+      <Stack direction="row" spacing={1} sx={{ mb: 1.5, flexWrap: 'wrap' }}>
+        {Object.entries(STATUS_DISPLAY)
+          .filter(([status]) => counts[status])
+          .map(([status, display]) => (
+            <Chip key={status} label={`${display.label}: ${counts[status]}`} color={display.color} size="small" variant="outlined" />
+          ))}
+      </Stack>
+
+      <Box sx={{ maxHeight: 240, overflowY: 'auto', bgcolor: 'grey.50', p: 1, borderRadius: 1, border: '1px solid #eee' }}>
+        <List dense>
+          {results.map(({ key, student, status, error }) => (
+            <ListItem
+              key={key}
+              sx={{ py: 0 }}
+              secondaryAction={<Chip label={STATUS_DISPLAY[status].label} color={STATUS_DISPLAY[status].color} size="small" />}
+            >
+              <ListItemText
+                primary={`${student.name} (${student.rollNumber})`}
+                secondary={error ? `${student.subject} · ${error}` : student.subject}
+                primaryTypographyProps={{ fontSize: '0.9rem', fontWeight: 500 }}
+                secondaryTypographyProps={{ color: error ? 'error' : 'text.secondary' }}
+              />
+            </ListItem>
+          ))}
+        </List>
+      </Box>
+    </Box>
+  );
+}
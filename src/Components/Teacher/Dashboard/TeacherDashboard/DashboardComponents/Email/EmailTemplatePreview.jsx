@@ -0,0 +1,93 @@
+/**
+ * @file EmailTemplatePreview.jsx
+ * @description Template picker and rendered preview shared by the warning email dialogs.
+ * The teacher picks one of the templates saved in Settings and sees the email exactly as each
+ * recipient will get it before confirming, with the addresses it goes to. On the SMS channel the
+ * text message is shown instead.
+ * @author Mohd Waris
+ */
+
+import React, { useState } from 'react';
+import { Box, TextField, MenuItem, Typography, Link } from '@mui/material';
+import { Link as RouterLink } from 'react-router-dom';
+import { getCurrentVersion, renderWarningEmail, renderWarningSms } from '../../../../../../utils/emailTemplates';
+import { DEFAULT_DELIVERY, getWarningRecipients } from '../../../../../../utils/guardianContacts';
+
+/**
+ * EmailTemplatePreview Component
+ * @param {Object} props - Component props.
+ * @param {import('../../../../../../utils/emailTemplates').EmailTemplate[]} props.templates - Templates to choose from.
+ * @param {string} props.templateId - ID of the chosen template.
+ * @param {Function} props.onTemplateChange - Called with the ID of the template picked.
+ * @param {Array<Object>} props.students - Recipients (dashboard student rows).
+ * @param {string} [props.teacherName] - Name of the teacher sending the warning.
+ * @param {{audience: string, channel: string}} [props.delivery] - Recipients and channel chosen.
+ */
+export default function EmailTemplatePreview({ templates, templateId, onTemplateChange, students, teacherName, delivery = DEFAULT_DELIVERY }) {
+  const [recipientIndex, setRecipientIndex] = useState(0);
+
+  const template = templates.find((entry) => entry.id === templateId) || templates[0];
+  const recipient = students[Math.min(recipientIndex, students.length - 1)];
+  const email = recipient && renderWarningEmail(template, recipient, teacherName);
+  const sendTo = recipient ? getWarningRecipients(recipient, delivery) : [];
+  const isSms = delivery.channel === 'sms';
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 2, mb: 1.5, flexWrap: 'wrap' }}>
+        <TextField
+          select
+          label="Template"
+          size="small"
+          value={template.id}
+          onChange={(e) => onTemplateChange(e.target.value)}
+          sx={{ minWidth: 220, flex: 1 }}
+        >
+          {templates.map((entry) => (
+            <MenuItem key={entry.id} value={entry.id}>
+              {entry.name} (v{getCurrentVersion(entry).version})
+            </MenuItem>
+          ))}
+        </TextField>
+
+        {/* Bulk sends: preview each recipient in turn */}
+        {students.length > 1 && (
+          <TextField
+            select
+            label="Preview for"
+            size="small"
+            value={Math.min(recipientIndex, students.length - 1)}
+            onChange={(e) => setRecipientIndex(Number(e.target.value))}
+            sx={{ minWidth: 220, flex: 1 }}
+          >
+            {students.map((student, index) => (
+              <MenuItem key={student.id ?? index} value={index}>
+                {student.name} ({student.rollNumber})
+              </MenuItem>
+            ))}
+          </TextField>
+        )}
+      </Box>
+
+      {email && (
+        <Box sx={{ p: 2, bgcolor: 'grey.50', borderRadius: 2, border: '1px solid #e0e0e0' }}>
+          <Typography variant="caption" color={sendTo.length ? 'text.secondary' : 'error'} component="div">
+            To: {sendTo.length ? sendTo.map((entry) => `${entry.name} <${entry.address}>`).join(', ') : 'nobody (no address on record)'}
+          </Typography>
+          {isSms ? (
+            <Typography variant="body2" sx={{ mt: 1 }}>{renderWarningSms(recipient, teacherName)}</Typography>
+          ) : (
+            <>
+              <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 1 }}>{email.subject}</Typography>
+              <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>{email.body}</Typography>
+            </>
+          )}
+        </Box>
+      )}
+
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+        {isSms ? 'SMS warnings use a fixed short text. Email templates' : 'Templates'} are edited in <Link component={RouterLink} to="/teacher/settings">Settings</Link>.
+      </Typography>
+    </Box>
+  );
+}
@@ -0,0 +1,70 @@
+/**
+ * @file WarningDeliveryOptions.jsx
+ * @description Recipient and channel pickers shared by the warning dialogs: the warning goes to the
+ * student, their guardian or both, by email or SMS. Says how many students have no address for the
+ * choice (their warning fails) and when warnings are only logged by the development provider.
+ * @author Mohd Waris
+ */
+
+import React from 'react';
+import { Box, ToggleButtonGroup, ToggleButton, Typography, Alert } from '@mui/material';
+import { WARNING_AUDIENCES, WARNING_CHANNELS, getWarningRecipients, describeMissingRecipients } from '../../../../../../utils/guardianContacts';
+import { getNotificationProvider } from '../../../../../../api/notificationProviders';
+
+/**
+ * WarningDeliveryOptions Component
+ * @param {Object} props - Component props.
+ * @param {{audience: string, channel: string}} props.delivery - Current choice.
+ * @param {Function} props.onChange - Called with the new choice.
+ * @param {Array<Object>} props.students - Recipients (dashboard student rows).
+ */
+export default function WarningDeliveryOptions({ delivery, onChange, students }) {
+  const provider = getNotificationProvider();
+  const unreachable = students.filter((student) => getWarningRecipients(student, delivery).length === 0);
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Box sx={{ display: 'flex', gap: 3, flexWrap: 'wrap' }}>
+        <Box>
+          <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 0.5 }}>Send to</Typography>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={delivery.audience}
+            onChange={(e, audience) => audience && onChange({ ...delivery, audience })}
+          >
+            {WARNING_AUDIENCES.map(({ key, label }) => (
+              <ToggleButton key={key} value={key} sx={{ px: 2 }}>{label}</ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+        </Box>
+        <Box>
+          <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 0.5 }}>Channel</Typography>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={delivery.channel}
+            onChange={(e, channel) => channel && onChange({ ...delivery, channel })}
+          >
+            {WARNING_CHANNELS.filter(({ key }) => provider.channels.includes(key)).map(({ key, label }) => (
+              <ToggleButton key={key} value={key} sx={{ px: 2 }}>{label}</ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+        </Box>
+      </Box>
+
+      {unreachable.length > 0 && (
+        <Alert severity="warning" sx={{ mt: 1.5 }}>
+          {students.length === 1
+            ? `${describeMissingRecipients(delivery)} The warning cannot be sent.`
+            : `${unreachable.length} of ${students.length} students cannot be reached: ${describeMissingRecipients(delivery).toLowerCase()}`}
+        </Alert>
+      )}
+      {provider.id === 'console' && (
+        <Alert severity="info" sx={{ mt: 1.5 }}>
+          Warnings are written to the browser console by the {provider.label} provider, not sent.
+        </Alert>
+      )}
+    </Box>
+  );
+}
@@ -1,12 +1,18 @@
 /**
  * @file WarningEmailBulk.jsx
  * @description Dialog component used by teachers to confirm and execute sending bulk warning emails 
- * to students identified as having attendance below the required threshold (75%).
- * Handles the API call and provides visual feedback on the sending process.
+ * to students identified as having attendance below the required percentage of their attendance policy.
+ * Each student's required percentage is sent along with them so every email states the right figure,
+ * together with the email template chosen by the teacher and the email rendered for them (previewed per recipient).
+ * Students warned about the same subject within the cooldown window are skipped unless the teacher overrides it.
+ * The warnings go out in batches (api/warningDelivery.jsx) with a progress bar; every recipient ends up queued,
+ * sent or failed with a reason, failed ones can be retried, and the outcome can be exported as CSV.
+ * The teacher picks whether the warnings go to the students, their guardians or both, by email or SMS;
+ * they are delivered by the configured notification provider (api/notificationProviders.jsx).
  * @author Mohd Waris
  */
 
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import {
   Dialog,
   DialogTitle,
@@ -20,80 +26,158 @@ import {
   Alert,
   List,
   ListItem,
-  ListItemText
+  ListItemText,
+  FormControlLabel,
+  Checkbox
 } from '@mui/material';
 import WarningIcon from '@mui/icons-material/Warning';
-import { API_URL } from '../../../../../../config';
+import ReplayIcon from '@mui/icons-material/Replay';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import dayjs from 'dayjs';
+import { DELIVERY_STATUS } from '../../../../../../api/warningDelivery';
+import { sendWarnings } from '../../../../../../api/notificationProviders';
+import { logWarningsSent, splitByCooldown, formatWarningAge } from '../../../../../../utils/warningLog';
+import { getRosterPolicy, formatThresholds } from '../../../../../../utils/attendancePolicy';
+import { getStoredUser } from '../../../../../../utils/auth';
+import { DEFAULT_TEMPLATE_ID, getEmailTemplates, buildWarningRequest } from '../../../../../../utils/emailTemplates';
+import { getStatsKey } from '../../../../../../utils/attendanceStats';
+import { downloadCsv } from '../../../../../../utils/csvExport';
+import { DEFAULT_DELIVERY, getWarningRecipients } from '../../../../../../utils/guardianContacts';
+import EmailTemplatePreview from './EmailTemplatePreview';
+import WarningDeliveryOptions from './WarningDeliveryOptions';
+import BulkDeliveryResults from './BulkDeliveryResults';
+
+/**
+ * Rows of the CSV export of a send, the header first.
+ * @param {Array<{student: Object, status: string, error: string|null, attemptedAt?: string}>} results - Recipient outcomes.
+ * @param {import('../../../../../../utils/emailTemplates').EmailTemplate} template - Template used.
+ * @param {{audience: string, channel: string}} delivery - Recipients and channel chosen.
+ * @returns {Array<Array<*>>}
+ */
+const buildResultRows = (results, template, delivery) => [
+  ['Roll No', 'Student', 'Email', 'Subject', 'Attendance %', 'Required %', 'Channel', 'Sent To', 'Status', 'Reason', 'Template', 'Attempted At'],
+  ...results.map(({ student, status, error, attemptedAt }) => [
+    student.rollNumber,
+    student.name,
+    student.email || student.raw?.email || '',
+    student.subject,
+    Math.round(student.attendanceRate),
+    getRosterPolicy(student.raw).threshold,
+    delivery.channel,
+    getWarningRecipients(student, delivery).map((entry) => `${entry.name} <${entry.address}>`).join('; '),
+    status,
+    error || '',
+    template ? template.name : '',
+    attemptedAt ? dayjs(attemptedAt).format('YYYY-MM-DD HH:mm:ss') : '',
+  ]),
+];
+
 /**
  * WarningEmailBulk Component
  * @param {Object} props - Component props.
  * @param {boolean} props.open - Controls the visibility of the dialog.
  * @param {Function} props.onClose - Callback to close the dialog.
  * @param {Array<Object>} props.students - List of student objects to receive warnings. Each object should contain {id, name, rollNumber, attendanceRate, raw: original_student_object}.
+ * @param {number} props.cooldownDays - Students warned within this many days are skipped (0 sends to everyone).
  */
-export default function WarningEmailBulk({ open, onClose, students }) {
-  const [loading, setLoading] = useState(false);
+export default function WarningEmailBulk({ open, onClose, students, cooldownDays }) {
+  const [sending, setSending] = useState(false);
   const [error, setError] = useState(null);
-  const [successMsg, setSuccessMsg] = useState('');
+  const [results, setResults] = useState(null); // One entry per recipient once sending has started
+  const [templates] = useState(getEmailTemplates);
+  const [templateId, setTemplateId] = useState(DEFAULT_TEMPLATE_ID);
+  const [includeRecent, setIncludeRecent] = useState(false); // Override of the cooldown
+  const [delivery, setDelivery] = useState(DEFAULT_DELIVERY);
+  const teacherName = getStoredUser()?.name;
 
-  /**
-   * Handles the confirmation to send bulk warning emails to the API.
-   * Clears errors, sets loading state, prepares the student payload, and calls the API.
-   */
-  const handleConfirm = async () => {
-    // Basic validation
-    if (!students || students.length === 0) {
-        setError("No students to warn.");
-        return;
-    }
+  // --- Cooldown: recently warned students are held back unless overridden ---
+  // Re-read on every opening so warnings sent since the last one count
+  const { ready, coolingDown } = useMemo(
+    () => (open ? splitByCooldown(students, cooldownDays) : { ready: students, coolingDown: [] }),
+    [open, students, cooldownDays]
+  );
+  const recipients = includeRecent ? students : ready;
 
-    setLoading(true);
+  const template = templates.find((entry) => entry.id === templateId) || templates[0];
+  const failed = results ? results.filter((result) => result.status === DELIVERY_STATUS.FAILED) : [];
+
+  const handleClose = () => {
+    setIncludeRecent(false);
+    setResults(null);
     setError(null);
+    onClose();
+  };
 
-    // const baseUrl = "http://127.0.0.1:8000/api"; // API Base URL
-    const token = localStorage.getItem("university_token");
+  /**
+   * Sends the warnings of some recipients batch by batch, updating their status as each batch returns.
+   * Recipients the server accepted are added to the warning log.
+   * @param {Array<Object>} targets - Student rows to warn.
+   */
+  const deliver = async (targets) => {
+    const targetKeys = targets.map((s) => getStatsKey(s.rollNumber, s.subject));
+    // Apply the outcomes so far (in target order) to the result list
+    const applyOutcomes = (outcomes) =>
+      setResults((prev) => prev.map((result) => {
+        const index = targetKeys.indexOf(result.key);
+        return index >= 0 && outcomes[index] ? { ...result, ...outcomes[index] } : result;
+      }));
 
-    // Prepare payload: Array of raw student objects (assuming raw contains necessary backend identifiers)
-    const payload = students.map(s => s.raw);
+    setSending(true);
+    setError(null);
+    applyOutcomes(targets.map(() => ({ status: DELIVERY_STATUS.PENDING, error: null })));
 
     try {
-      const response = await fetch(`${API_URL}/send-bulk-attendance-warning/`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify(payload)
+      // Prepare payload: raw student objects (assuming raw contains necessary backend identifiers), each with its email and recipients
+      const outcomes = await sendWarnings(targets.map(s => buildWarningRequest(s, template, teacherName, delivery)), {
+        audience: delivery.audience,
+        onProgress: applyOutcomes,
       });
 
-      if (!response.ok) {
-        // Attempt to parse response body for specific error messages if API provides them
-        const errorData = await response.json(); 
-        const errorDetail = errorData.detail || errorData.message || "Failed to send bulk warning emails.";
-        throw new Error(errorDetail);
-      }
-
-      setSuccessMsg(`Successfully queued warning emails for ${students.length} students.`);
-      
-      // Close dialog after short delay to allow success message visibility
-      setTimeout(() => {
-        setSuccessMsg('');
-        onClose();
-      }, 2000);
-
+      const accepted = targets.filter((_, index) => outcomes[index].status !== DELIVERY_STATUS.FAILED);
+      if (accepted.length) logWarningsSent(accepted, 'bulk', { template, teacherName, delivery });
     } catch (err) {
       console.error(err);
-      setError(err.message || "Error sending emails. Please try again.");
+      // Recipients still pending were not sent: they fail with the reason, so they can be retried
+      const attemptedAt = new Date().toISOString();
+      setResults((prev) => prev.map((result) =>
+        targetKeys.includes(result.key) && result.status === DELIVERY_STATUS.PENDING
+          ? { ...result, status: DELIVERY_STATUS.FAILED, error: err.message || "Error sending warning.", attemptedAt }
+          : result
+      ));
     } finally {
-      setLoading(false);
+      setSending(false);
+    }
+  };
+
+  /**
+   * Handles the confirmation: every recipient starts as pending and is sent.
+   */
+  const handleConfirm = () => {
+    // Basic validation
+    if (!recipients || recipients.length === 0) {
+        setError("No students to warn.");
+        return;
     }
+    setResults(recipients.map((student) => ({
+      key: getStatsKey(student.rollNumber, student.subject),
+      student,
+      status: DELIVERY_STATUS.PENDING,
+      error: null,
+    })));
+    deliver(recipients);
   };
 
+  // Sends again to the failed recipients only
+  const handleRetry = () => deliver(failed.map((result) => result.student));
+
+  const handleExport = () =>
+    downloadCsv(buildResultRows(results, template, delivery), `Warning_Delivery_${dayjs().format('YYYY-MM-DD_HHmm')}.csv`);
+
   return (
     <Dialog 
         open={open} 
         // Prevent closing if API call is in progress
-        onClose={!loading ? onClose : undefined} 
+        onClose={!sending ? handleClose : undefined} 
         fullWidth 
         maxWidth="sm"
     >
@@ -102,49 +186,112 @@ export default function WarningEmailBulk({ open, onClose, students }) {
       </DialogTitle>
       
       <DialogContent>
-        <DialogContentText sx={{ mb: 2 }}>
-          You are about to send attendance warning emails to <strong>{students.length} students</strong> who have less than 75% attendance.
-        </DialogContentText>
-        
-        {/* List of students being warned (scrollable) */}
-        <Box sx={{ 
-            maxHeight: 150, 
-            overflowY: 'auto', 
-            bgcolor: 'grey.50', 
-            p: 1, 
-            borderRadius: 1, 
-            border: '1px solid #eee',
-            mb: 2
-        }}>
-            <List dense>
-                {students.map((student) => (
-                    <ListItem key={student.id} sx={{ py: 0 }}>
-                        <ListItemText 
-                            primary={`${student.name} (${student.rollNumber})`} 
-                            secondary={`Attendance: ${student.attendanceRate}%`} 
-                            primaryTypographyProps={{ fontSize: '0.9rem', fontWeight: 500 }}
-                        />
-                    </ListItem>
-                ))}
-            </List>
-        </Box>
-
-        {/* API Error and Success Feedback */}
+        {results ? (
+          /* Progress and outcome per recipient */
+          <BulkDeliveryResults results={results} sending={sending} />
+        ) : (
+          <>
+            <DialogContentText sx={{ mb: 2 }}>
+              You are about to send attendance warnings to <strong>{recipients.length} students</strong> who are below their required attendance ({formatThresholds(students.map(s => getRosterPolicy(s.raw)))}).
+            </DialogContentText>
+
+            {/* Cooldown: students warned recently are skipped unless the teacher overrides it */}
+            {coolingDown.length > 0 && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                {coolingDown.length} {coolingDown.length === 1 ? 'student was' : 'students were'} warned about the same subject in the last {cooldownDays} days and {includeRecent ? 'will be warned again' : 'will be skipped'}.
+                <FormControlLabel
+                  control={<Checkbox size="small" checked={includeRecent} onChange={(e) => setIncludeRecent(e.target.checked)} />}
+                  label={<Typography variant="body2">Send to them anyway</Typography>}
+                  sx={{ display: 'flex', mt: 0.5 }}
+                />
+              </Alert>
+            )}
+
+            {/* List of students being warned (scrollable) */}
+            <Box sx={{ 
+                maxHeight: 150, 
+                overflowY: 'auto', 
+                bgcolor: 'grey.50', 
+                p: 1, 
+                borderRadius: 1, 
+                border: '1px solid #eee',
+                mb: 2
+            }}>
+                <List dense>
+                    {recipients.map((student) => (
+                        <ListItem key={student.id} sx={{ py: 0 }}>
+                            <ListItemText 
+                                primary={`${student.name} (${student.rollNumber})`} 
+                                secondary={`Attendance: ${Math.round(student.attendanceRate)}%`} 
+                                primaryTypographyProps={{ fontSize: '0.9rem', fontWeight: 500 }}
+                            />
+                        </ListItem>
+                    ))}
+                    {!includeRecent && coolingDown.map(({ student, last }) => (
+                        <ListItem key={student.id} sx={{ py: 0, opacity: 0.6 }}>
+                            <ListItemText 
+                                primary={`${student.name} (${student.rollNumber})`} 
+                                secondary={`Skipped: warned ${formatWarningAge(last.sentAt)} at ${Math.round(last.percentage)}%`} 
+                                primaryTypographyProps={{ fontSize: '0.9rem', fontWeight: 500, sx: { textDecoration: 'line-through' } }}
+                            />
+                        </ListItem>
+                    ))}
+                </List>
+            </Box>
+
+            {/* Recipients and channel, then the warning as each will get it */}
+            {recipients.length > 0 && (
+              <WarningDeliveryOptions delivery={delivery} onChange={setDelivery} students={recipients} />
+            )}
+            {recipients.length > 0 && (
+              <EmailTemplatePreview
+                templates={templates}
+                templateId={templateId}
+                onTemplateChange={setTemplateId}
+                students={recipients}
+                teacherName={teacherName}
+                delivery={delivery}
+              />
+            )}
+          </>
+        )}
+
+        {/* Validation Error */}
         {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
-        {successMsg && <Alert severity="success" sx={{ mt: 2 }}>{successMsg}</Alert>}
       </DialogContent>
 
       <DialogActions>
-        <Button onClick={onClose} disabled={loading}>Cancel</Button>
-        <Button 
-          onClick={handleConfirm} 
-          variant="contained" 
-          color="warning" // Uses warning theme color (orange/amber)
-          disabled={loading || !!successMsg} // Disable if loading or already succeeded
-          startIcon={loading ? <CircularProgress size={20} color="inherit" /> : <WarningIcon />}
-        >
-          {loading ? "Sending..." : "Warn All Students"}
-        </Button>
+        {results ? (
+          <>
+            <Button onClick={handleExport} disabled={sending} startIcon={<FileDownloadIcon />} sx={{ mr: 'auto' }}>
+              Export CSV
+            </Button>
+            <Button onClick={handleRetry} disabled={sending || failed.length === 0} color="error" startIcon={<ReplayIcon />}>
+              Retry Failed ({failed.length})
+            </Button>
+            <Button
+              onClick={handleClose}
+              variant="contained"
+              disabled={sending}
+              startIcon={sending ? <CircularProgress size={20} color="inherit" /> : null}
+            >
+              {sending ? "Sending..." : "Close"}
+            </Button>
+          </>
+        ) : (
+          <>
+            <Button onClick={handleClose}>Cancel</Button>
+            <Button 
+              onClick={handleConfirm} 
+              variant="contained" 
+              color="warning" // Uses warning theme color (orange/amber)
+              disabled={recipients.length === 0} // Disable if everyone is in cooldown
+              startIcon={<WarningIcon />}
+            >
+              Warn All Students
+            </Button>
+          </>
+        )}
       </DialogActions>
     </Dialog>
   );
@@ -1,7 +1,12 @@
 /**
  * @file WarningEmailSingle.jsx
  * @description Dialog component used by teachers to confirm and execute sending a single attendance warning email 
- * to a specific student whose attendance is below the required threshold (75%).
+ * to a specific student whose attendance is below the required percentage of their attendance policy.
+ * The required percentage is sent along with the student so the email states the right figure,
+ * together with the email template chosen by the teacher and the email rendered from it (previewed first).
+ * If the student was already warned about the subject, the dialog says when.
+ * The teacher picks whether it goes to the student, their guardian or both, by email or SMS;
+ * it is delivered by the configured notification provider (api/notificationProviders.jsx).
  * Handles the API call and provides visual feedback on the sending process.
  * @author Mohd Waris
  */
@@ -21,7 +26,15 @@ import {
   Snackbar
 } from '@mui/material';
 import WarningIcon from '@mui/icons-material/Warning';
-import { API_URL } from '../../../../../../config';
+import { sendWarning } from '../../../../../../api/notificationProviders';
+import { DELIVERY_STATUS } from '../../../../../../api/warningDelivery';
+import { logWarningsSent, getStudentWarnings, formatWarningAge } from '../../../../../../utils/warningLog';
+import { getRosterPolicy } from '../../../../../../utils/attendancePolicy';
+import { getStoredUser } from '../../../../../../utils/auth';
+import { DEFAULT_TEMPLATE_ID, getEmailTemplates, buildWarningRequest } from '../../../../../../utils/emailTemplates';
+import { DEFAULT_DELIVERY } from '../../../../../../utils/guardianContacts';
+import EmailTemplatePreview from './EmailTemplatePreview';
+import WarningDeliveryOptions from './WarningDeliveryOptions';
 /**
  * WarningEmailSingle Component
  * Renders a confirmation dialog for sending an attendance warning to a single student.
@@ -34,6 +47,12 @@ export default function WarningEmailSingle({ open, onClose, student }) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [successMsg, setSuccessMsg] = useState('');
+  const [templates] = useState(getEmailTemplates);
+  const [templateId, setTemplateId] = useState(DEFAULT_TEMPLATE_ID);
+  const [delivery, setDelivery] = useState(DEFAULT_DELIVERY);
+  const teacherName = getStoredUser()?.name;
+  // Most recent warning about this subject (re-read whenever the dialog renders)
+  const lastWarning = student && getStudentWarnings(student.rollNumber).find((entry) => entry.subjectName === student.subject);
 
   /**
    * Handles the confirmation action. Clears previous errors, initiates the API call
@@ -49,29 +68,15 @@ export default function WarningEmailSingle({ open, onClose, student }) {
     setLoading(true);
     setError(null);
 
-    // const baseUrl = "http://127.0.0.1:8000/api";
-    const token = localStorage.getItem("university_token");
-
     try {
-      // API call to send the warning for a single student
-      const response = await fetch(`${API_URL}/send-attendance-warning/`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        // Send the original raw data object from the API
-        body: JSON.stringify(student.raw)
-      });
-
-      if (!response.ok) {
-        // Attempt to parse response body for specific error messages
-        const errorData = await response.json(); 
-        const errorDetail = errorData.detail || errorData.message || "Failed to send warning email.";
-        throw new Error(errorDetail);
-      }
+      // Send the warning for a single student (original raw data object from the API, with the email and recipients)
+      const template = templates.find((entry) => entry.id === templateId) || templates[0];
+      const request = buildWarningRequest(student, template, teacherName, delivery);
+      const outcome = await sendWarning(request, delivery.audience);
+      if (outcome.status === DELIVERY_STATUS.FAILED) throw new Error(outcome.error);
+      logWarningsSent([student], 'single', { template, teacherName, delivery });
 
-      setSuccessMsg(`Warning email sent to ${student.name} successfully.`);
+      setSuccessMsg(`Warning ${delivery.channel === 'sms' ? 'SMS' : 'email'} sent to ${request.recipients.map((entry) => entry.name).join(' and ')} successfully.`);
       
       // Close dialog after short delay to allow success message visibility
       setTimeout(() => {
@@ -101,7 +106,7 @@ export default function WarningEmailSingle({ open, onClose, student }) {
       
       <DialogContent>
         <DialogContentText sx={{ mb: 2 }}>
-          Are you sure you want to send an attendance warning email?
+          Are you sure you want to send an attendance warning?
         </DialogContentText>
         
         {/* Display Student Details */}
@@ -109,7 +114,30 @@ export default function WarningEmailSingle({ open, onClose, student }) {
           <Box sx={{ p: 2, bgcolor: 'grey.50', borderRadius: 2, border: '1px solid #e0e0e0' }}>
             <Typography variant="subtitle2" gutterBottom><strong>Student:</strong> {student.name}</Typography>
             <Typography variant="subtitle2" gutterBottom><strong>Roll No:</strong> {student.rollNumber}</Typography>
-            <Typography variant="subtitle2" color="error"><strong>Attendance:</strong> {student.attendanceRate}%</Typography>
+            <Typography variant="subtitle2" color="error">
+              <strong>Attendance:</strong> {Math.round(student.attendanceRate)}% (required {getRosterPolicy(student.raw).threshold}%)
+            </Typography>
+          </Box>
+        )}
+
+        {lastWarning && !successMsg && (
+          <Alert severity="info" sx={{ mt: 2 }}>
+            Already warned about {lastWarning.subjectName} {formatWarningAge(lastWarning.sentAt)} ({new Date(lastWarning.sentAt).toLocaleDateString()}), at {Math.round(lastWarning.percentage)}%.
+          </Alert>
+        )}
+
+        {/* Recipients and channel, then the warning as they will get it */}
+        {student && (
+          <Box sx={{ mt: 2 }}>
+            <WarningDeliveryOptions delivery={delivery} onChange={setDelivery} students={[student]} />
+            <EmailTemplatePreview
+              templates={templates}
+              templateId={templateId}
+              onTemplateChange={setTemplateId}
+              students={[student]}
+              teacherName={teacherName}
+              delivery={delivery}
+            />
           </Box>
         )}
 
@@ -62,7 +62,8 @@ function StatCard({ title, value, icon, trend }) {
           </Typography>
           {hasTrend && (
             <Box sx={{ display: "flex", alignItems: "center" }}>
-              {trend.isPositive ? (
+              {/* direction: which way the number moved; isPositive: whether that is good news */}
+              {(trend.direction || (trend.isPositive ? "up" : "down")) === "up" ? (
                 <ArrowUpwardIcon sx={{ color: "success.main", fontSize: 16, mr: 0.5 }} />
               ) : (
                 <ArrowDownwardIcon sx={{ color: "error.main", fontSize: 16, mr: 0.5 }} />
@@ -88,7 +89,13 @@ function StatCard({ title, value, icon, trend }) {
   );
 }
 
-function FrontCards({ stats }) {
+/**
+ * FrontCards Component
+ * @param {Object} props - Component props.
+ * @param {Object} props.stats - Counts shown on the cards.
+ * @param {Object} [props.trends] - Trend per card key ({ percentage, direction, isPositive, period }); cards without one show no trend.
+ */
+function FrontCards({ stats, trends = {} }) {
   // If stats aren't provided yet, render placeholders or nothing
   if (!stats) return null;
 
@@ -97,31 +104,31 @@ function FrontCards({ stats }) {
       title: "Total Students",
       value: stats.totalStudents,
       icon: <PeopleAltIcon fontSize="large" sx={{ color: "students.main" }} />,
-      trend: { percentage: 2.5, isPositive: true, period: "month" },
+      trend: trends.totalStudents,
     },
     {
       title: "Present Today",
       value: stats.presentToday,
       icon: <CalendarTodayIcon fontSize="large" sx={{ color: "calendar.main" }} />,
-      trend: { percentage: 5.1, isPositive: true, period: "week" },
+      trend: trends.presentToday,
     },
     {
       title: "Absent Today",
       value: stats.absentToday,
       icon: <WarningAmberIcon fontSize="large" sx={{ color: "absent.main" }} />,
-      trend: { percentage: 1.2, isPositive: false, period: "week" },
+      trend: trends.absentToday,
     },
     {
       title: "Not Marked",
       value: stats.notMarked,
       icon: <RuleIcon fontSize="large" sx={{ color: "notMarked.main" }} />,
-      trend: { percentage: 0, isPositive: true, period: "day" },
+      trend: trends.notMarked,
     },
     {
       title: "Avg Attendance",
       value: `${stats.avgAttendance}%`,
       icon: <TrendingUpIcon fontSize="large" sx={{ color: "trend.main" }} />,
-      trend: { percentage: 1.2, isPositive: false, period: "week" },
+      trend: trends.avgAttendance,
     },
   ];
 
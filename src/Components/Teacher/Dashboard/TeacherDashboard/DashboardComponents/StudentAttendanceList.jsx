@@ -16,7 +16,8 @@ import {
   TextField,
   MenuItem,
   FormControlLabel,
-  Checkbox
+  Checkbox,
+  Tooltip
 } from '@mui/material';
 import {
   ArrowDownward as ArrowDownwardIcon,
@@ -28,12 +29,16 @@ import {
 
 // Import the new dialog
 import WarningEmailSingle from './Email/WarningEmailSingle'
+import { getAttendanceBand } from '../../../../../utils/attendanceBands';
+import StudentLink from '../../../Students/StudentLink';
+import { isBelowThreshold } from '../../../../../utils/attendancePolicy';
+import { formatWarningAge } from '../../../../../utils/warningLog';
 
 // Helper styles
-const getAttendanceStyles = (rate) => {
-  if (rate < 70) return { color: '#f44336', dotBg: '#f44336' }; // Red
-  if (rate < 80) return { color: '#ff9800', dotBg: '#ff9800' }; // Orange
-  return { color: '#4caf50', dotBg: '#4caf50' }; // Green
+// Red / orange / green bands shared with the Excel export, limits from the student's policy
+const getAttendanceStyles = (rate, policy) => {
+  const { color } = getAttendanceBand(rate, policy);
+  return { color, dotBg: color };
 };
 
 const TrendIcon = ({ trend }) => {
@@ -44,6 +49,20 @@ const TrendIcon = ({ trend }) => {
   }
 };
 
+// Tooltip of the trend arrow: both windows' rates and the change
+const getTrendTooltip = (detail) => {
+  if (!detail || detail.change === null) return 'Not enough classes in both periods to compare';
+  const sign = detail.change > 0 ? '+' : '';
+  return `${Math.round(detail.previous)}% → ${Math.round(detail.current)}% (${sign}${detail.change.toFixed(1)} pts vs previous period)`;
+};
+
+// Tooltip of the warned chip: the last warning and how many were sent
+const getWarningTooltip = ({ last, count }) => {
+  const template = last.template ? `, "${last.template.name}" v${last.template.version}` : '';
+  const total = count > 1 ? ` · ${count} warnings in total` : '';
+  return `Last warned ${new Date(last.sentAt).toLocaleString()} at ${Math.round(last.percentage)}%${template}${total}`;
+};
+
 export default function StudentAttendanceList({ 
   students, 
   selectedSubject, 
@@ -56,7 +75,9 @@ export default function StudentAttendanceList({
   onSemesterChange,
   semesters = [],
   showLowAttendance,
-  onLowAttendanceChange
+  onLowAttendanceChange,
+  thresholdLabel,
+  onWarningDialogClose
 }) {
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
@@ -152,7 +173,7 @@ export default function StudentAttendanceList({
                   size="small"
                 />
               }
-              label={<Typography variant="body2" color="error">{'< 75%'}</Typography>}
+              label={<Typography variant="body2" color="error">{`< ${thresholdLabel}`}</Typography>}
             />
         </Box>
       </Box>
@@ -172,15 +193,15 @@ export default function StudentAttendanceList({
             {students
               .slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage)
               .map((student) => {
-                const { dotBg } = getAttendanceStyles(student.attendanceRate);
+                const { dotBg } = getAttendanceStyles(student.attendanceRate, student.policy);
                 // --- Disable Logic ---
-                const isContactDisabled = student.attendanceRate >= 75;
+                const isContactDisabled = !isBelowThreshold(student.attendanceRate, student.policy);
 
                 return (
                   <TableRow hover role="checkbox" tabIndex={-1} key={student.id}>
                     <TableCell component="th" scope="row">
                       <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>
-                        {student.name}
+                        <StudentLink studentId={student.id}>{student.name}</StudentLink>
                       </Typography>
                       <Typography variant="caption" color="text.secondary">
                         {student.rollNumber}
@@ -201,30 +222,45 @@ export default function StudentAttendanceList({
                       <Stack direction="row" alignItems="center" spacing={1.5}>
                         <Box sx={{ width: 8, height: 8, borderRadius: '50%', bgcolor: dotBg }} />
                         <Typography variant="body2" color="text.secondary">
-                          {student.attendanceRate}%
+                          {Math.round(student.attendanceRate)}%
                         </Typography>
                       </Stack>
                     </TableCell>
                     <TableCell>
-                      {student.consecutiveAbsences > 0 ? (
-                         <Chip
-                           label={`${student.consecutiveAbsences} consec. absences`}
-                           color="error"
-                           size="small"
-                           sx={{ backgroundColor: '#ffebee', color: '#c62828', fontWeight: 'medium' }}
-                         />
-                      ) : (
-                        <Typography variant="body2" color="text.secondary">-</Typography>
-                      )}
+                      <Stack spacing={0.5} alignItems="flex-start">
+                        {student.consecutiveAbsences > 0 && (
+                           <Chip
+                             label={`${student.consecutiveAbsences} consec. absences`}
+                             color="error"
+                             size="small"
+                             sx={{ backgroundColor: '#ffebee', color: '#c62828', fontWeight: 'medium' }}
+                           />
+                        )}
+                        {student.warnings && (
+                          <Tooltip title={getWarningTooltip(student.warnings)}>
+                            <Chip
+                              icon={<EmailIcon />}
+                              label={`Warned ${formatWarningAge(student.warnings.last.sentAt)}${student.warnings.count > 1 ? ` (×${student.warnings.count})` : ''}`}
+                              size="small"
+                              variant="outlined"
+                            />
+                          </Tooltip>
+                        )}
+                        {student.consecutiveAbsences === 0 && !student.warnings && (
+                          <Typography variant="body2" color="text.secondary">-</Typography>
+                        )}
+                      </Stack>
                     </TableCell>
                     <TableCell align="right">
                         <Stack direction="row" alignItems="center" justifyContent="flex-end" spacing={1}>
-                            <TrendIcon trend={student.trend} />
+                            <Tooltip title={getTrendTooltip(student.trendDetail)}>
+                              <span><TrendIcon trend={student.trend} /></span>
+                            </Tooltip>
                             <Button 
                                 variant="outlined" 
                                 size="small" 
                                 startIcon={<EmailIcon />}
-                                disabled={isContactDisabled} // Disable if >= 75%
+                                disabled={isContactDisabled} // Disable unless below the required percentage
                                 onClick={() => handleContactClick(student)}
                                 sx={{ borderRadius: '20px', textTransform: 'none' }}
                             >
@@ -258,7 +294,10 @@ export default function StudentAttendanceList({
       {/* --- Dialog Component --- */}
       <WarningEmailSingle
         open={warningDialogOpen} 
-        onClose={() => setWarningDialogOpen(false)} 
+        onClose={() => {
+          setWarningDialogOpen(false);
+          if (onWarningDialogClose) onWarningDialogClose();
+        }} 
         student={studentToWarn} 
       />
 
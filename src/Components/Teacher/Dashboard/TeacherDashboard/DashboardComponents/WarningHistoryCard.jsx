@@ -0,0 +1,140 @@
+/**
+ * @file WarningHistoryCard.jsx
+ * @description Dashboard panel listing every attendance warning sent from this browser (utils/warningLog.jsx):
+ * who was warned, when, about which subject, their attendance at the time, who it went to
+ * (student, guardian or both) by which channel and the template used.
+ * The cooldown window that keeps bulk sends from warning a student again too soon is chosen here.
+ * @author Mohd Waris
+ */
+
+import React, { useState } from 'react';
+import dayjs from 'dayjs';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Chip,
+} from '@mui/material';
+import MarkEmailReadIcon from '@mui/icons-material/MarkEmailRead';
+import StudentLink from '../../../Students/StudentLink';
+import { WARNING_COOLDOWN_OPTIONS } from '../../../../../utils/warningLog';
+import { DEFAULT_DELIVERY, WARNING_AUDIENCES, WARNING_CHANNELS } from '../../../../../utils/guardianContacts';
+
+/**
+ * Recipients and channel of a log entry, e.g. "Guardian · SMS" (entries from before the choice existed went to the student by email).
+ * @param {{audience: string, channel: string}|null} [delivery] - Delivery recorded with the entry.
+ * @returns {string}
+ */
+const formatDelivery = (delivery) => {
+  const { audience, channel } = delivery || DEFAULT_DELIVERY;
+  const audienceLabel = WARNING_AUDIENCES.find((entry) => entry.key === audience)?.label || audience;
+  const channelLabel = WARNING_CHANNELS.find((entry) => entry.key === channel)?.label || channel;
+  return `${audienceLabel} · ${channelLabel}`;
+};
+
+/**
+ * WarningHistoryCard Component
+ * @param {Object} props - Component props.
+ * @param {import('../../../../../utils/warningLog').WarningLogEntry[]} props.log - Warnings sent, newest first.
+ * @param {number} props.cooldownDays - Cooldown window in days (0 when off).
+ * @param {Function} props.onCooldownChange - Called with the new cooldown window.
+ */
+export default function WarningHistoryCard({ log, cooldownDays, onCooldownChange }) {
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(5);
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, borderRadius: 2, boxShadow: 'none' }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1, gap: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <MarkEmailReadIcon color="primary" />
+          <Box>
+            <Typography variant="h6">Warnings Sent</Typography>
+            <Typography variant="body2" color="text.secondary">
+              {cooldownDays
+                ? `Bulk warnings skip students warned about the same subject in the last ${cooldownDays} days`
+                : 'Bulk warnings go to every student below the requirement'}
+            </Typography>
+          </Box>
+        </Box>
+        <TextField
+          select
+          label="Cooldown"
+          size="small"
+          value={cooldownDays}
+          onChange={(e) => onCooldownChange(Number(e.target.value))}
+          sx={{ minWidth: 120 }}
+        >
+          {WARNING_COOLDOWN_OPTIONS.map((days) => (
+            <MenuItem key={days} value={days}>{days ? `${days} days` : 'Off'}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      {log.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ py: 3, textAlign: 'center' }}>
+          No warning emails sent yet.
+        </Typography>
+      ) : (
+        <>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Sent</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Student</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Subject</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }} align="right">Attendance</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Sent To</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Template</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Sent By</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {log.slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage).map((entry) => (
+                  <TableRow key={`${entry.sentAt}-${entry.rollNumber}-${entry.subjectName}`} hover>
+                    <TableCell>
+                      {dayjs(entry.sentAt).format('DD MMM YYYY, HH:mm')}
+                      {entry.mode === 'bulk' && <Chip label="Bulk" size="small" variant="outlined" sx={{ ml: 1 }} />}
+                      {entry.mode === 'alert' && <Chip label="Alert rule" size="small" variant="outlined" color="info" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>
+                      {entry.studentId ? <StudentLink studentId={entry.studentId}>{entry.studentName}</StudentLink> : entry.studentName}
+                      <Typography variant="caption" color="text.secondary" display="block">{entry.rollNumber}</Typography>
+                    </TableCell>
+                    <TableCell>{entry.subjectName}</TableCell>
+                    <TableCell align="right">{Math.round(entry.percentage)}%</TableCell>
+                    <TableCell>{formatDelivery(entry.delivery)}</TableCell>
+                    <TableCell>{entry.template ? `${entry.template.name} (v${entry.template.version})` : '-'}</TableCell>
+                    <TableCell>{entry.sentBy || '-'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            rowsPerPageOptions={[5, 10, 25]}
+            component="div"
+            count={log.length}
+            rowsPerPage={rowsPerPage}
+            page={page}
+            onPageChange={(event, newPage) => setPage(newPage)}
+            onRowsPerPageChange={(event) => {
+              setRowsPerPage(+event.target.value);
+              setPage(0);
+            }}
+          />
+        </>
+      )}
+    </Paper>
+  );
+}
@@ -1,22 +1,33 @@
 /**
  * @file DashboardContent.jsx
  * @description Main content area for the Teacher Dashboard. 
- * Fetches and aggregates all necessary teacher data (students, logs, subjects).
+ * Reads and aggregates all necessary teacher data (students, logs, subjects) from the shared teacher cache.
+ * When a background refresh fails, the cached figures stay on screen under a banner with a retry.
  * Displays overall attendance statistics, a low attendance warning alert, and uses filters
- * to control the view of the detailed student list.
+ * to control the view of the detailed student list. Trends compare the recent window of days
+ * (7 by default) with the one before it, per student, per subject and for the filtered classes;
+ * the patterns panel charts the same filtered logs over time. Each row is judged against its own
+ * attendance policy (course, subject type, semester), so "low attendance" can mean 75% or 80%.
+ * Warnings already sent are shown per row and in a history panel; bulk sends skip students
+ * warned within the cooldown window. The teacher's alert rules are checked on their schedule while the
+ * dashboard is open; their alerts wait in a review queue or are sent automatically.
  * @author Mohd Waris
  */
 
 import * as React from "react";
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useMemo, useEffect, useRef } from 'react';
+import dayjs from "dayjs";
 import Box from "@mui/material/Box";
 import Typography from "@mui/material/Typography";
 import Alert from "@mui/material/Alert";
 import AlertTitle from "@mui/material/AlertTitle";
 import { styled } from "@mui/material/styles";
 import Collapse from "@mui/material/Collapse";
-import { Grid, Paper, CircularProgress, Button } from "@mui/material";
+import { Grid, Paper, CircularProgress, Button, IconButton } from "@mui/material";
+import CloseIcon from '@mui/icons-material/Close';
 import WarningAmberIcon from '@mui/icons-material/WarningAmber';
+import GavelIcon from '@mui/icons-material/Gavel';
+import { useNavigate } from "react-router-dom";
 
 // Import your custom components
 import CustomCircularProgress from "../TeacherDashboard/DashboardComponents/CustomCircularProgress";
@@ -25,8 +36,40 @@ import MyGridComponent from "../TeacherDashboard/DashboardComponents/MyGridCompo
 import FrontCards from "../TeacherDashboard/DashboardComponents/FrontCards";
 import CompactStatCard from "../TeacherDashboard/DashboardComponents/CompactStatCard";
 import WarningEmailBulk from "./DashboardComponents/Email/WarningEmailBulk";
-
-import { API_URL } from "../../../../config";
+import BiggestDropsCard from "./DashboardComponents/BiggestDropsCard";
+import AttendancePatternsCard from "./DashboardComponents/AttendancePatternsCard";
+import WarningHistoryCard from "./DashboardComponents/WarningHistoryCard";
+import AlertReviewQueue from "./DashboardComponents/AlertReviewQueue";
+
+import {
+  useTeacherStudents,
+  useTeacherAttendanceLogs,
+  useTeacherSubjects,
+} from "../../../../api/teacherQueries";
+import { runDueAlertRules, ALERT_CHECK_INTERVAL } from "../../../../api/alertAutomation";
+import { getStoredUser } from "../../../../utils/auth";
+import { getAttendanceStatus, countsAsPresent } from "../../../../utils/attendanceStatuses";
+import { computeAttendanceStats, getStudentStats, getStatsKey } from "../../../../utils/attendanceStats";
+import {
+  computeAttendanceTrends,
+  getBiggestDrops,
+  getTrendWindow,
+  saveTrendWindow,
+  NEUTRAL_TREND,
+} from "../../../../utils/attendanceTrends";
+import {
+  getRosterPolicy,
+  isBelowThreshold,
+  formatThresholds,
+  getCommonPolicy,
+} from "../../../../utils/attendancePolicy";
+import {
+  getWarningLog,
+  summarizeWarnings,
+  getWarningCooldown,
+  saveWarningCooldown,
+} from "../../../../utils/warningLog";
+import { getAlertRules, getPendingAlerts } from "../../../../utils/alertRules";
 
 /**
  * Styled component to offset content below the app bar.
@@ -47,6 +90,7 @@ const DrawerHeader = styled("div")(({ theme }) => ({
  * @param {Object} props.user - The authenticated teacher user object.
  */
 export default function DashboardContent({ user }) {
+  const navigate = useNavigate();
   const [alertOpen, setAlertOpen] = React.useState(true);
   const [bulkWarningDialogOpen, setBulkWarningDialogOpen] = useState(false); // State to control the bulk warning modal visibility
   
@@ -55,104 +99,139 @@ export default function DashboardContent({ user }) {
   const [selectedCourse, setSelectedCourse] = useState("All"); 
   const [selectedSemester, setSelectedSemester] = useState("All"); 
   const [showLowAttendance, setShowLowAttendance] = useState(false); // Toggle for filtering the main list
+  const [trendWindow, setTrendWindow] = useState(getTrendWindow); // Days compared with the days before them
+
+  // --- WARNINGS SENT (kept in localStorage, re-read after each warning dialog closes) ---
+  const [warningLog, setWarningLog] = useState(getWarningLog);
+  const [warningCooldown, setWarningCooldown] = useState(getWarningCooldown); // Days bulk sends skip a warned student
+  const refreshWarnings = () => setWarningLog(getWarningLog());
+
+  // --- ALERT RULES (review queue kept in localStorage, re-read after each check or review) ---
+  const [pendingAlerts, setPendingAlerts] = useState(getPendingAlerts);
+  const [alertRuleCount] = useState(() => getAlertRules().length);
+
+  // --- RAW DATA (shared cache) ---
+  const currentUser = user || getStoredUser(); // Fallback to local storage on direct access
+  const teacherId = currentUser?.contextId;
+
+  const studentsQuery = useTeacherStudents(teacherId);
+  const logsQuery = useTeacherAttendanceLogs(teacherId);
+  const subjectsQuery = useTeacherSubjects(teacherId);
+
+  const attendanceLogs = useMemo(() => logsQuery.data || [], [logsQuery.data]); // Historical attendance logs
+  const subjectsList = subjectsQuery.data || []; // Teacher's subject list/mapping
 
-  // --- RAW DATA STATE ---
-  const [studentsData, setStudentsData] = useState([]); // Raw student data with calculated attendance rates
-  const [attendanceLogs, setAttendanceLogs] = useState([]); // Historical attendance logs
-  const [subjectsList, setSubjectsList] = useState([]); // Teacher's subject list/mapping
-  
   // --- UI STATE ---
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const loading = studentsQuery.isLoading || logsQuery.isLoading || subjectsQuery.isLoading;
+  const queries = [studentsQuery, logsQuery, subjectsQuery];
+  // Keep showing cached data when a background refetch fails; only a query with no data blocks the page
+  const fetchError = queries.find(query => query.error && query.data === undefined)?.error;
+  const refreshError = queries.find(query => query.error && query.data !== undefined)?.error;
+  const [dismissedError, setDismissedError] = useState(null); // Refresh error the teacher closed
+  const error = !teacherId
+    ? "User context not loaded. Please log in."
+    : fetchError && (fetchError.message || "Failed to load dashboard data.");
+
+  // Fetches the failed queries again (their errors stay in the query state)
+  const handleRetry = () => {
+    queries.filter(query => query.error).forEach(query => query.refetch().catch(() => {}));
+  };
 
-  // --- 2. FETCH DATA FROM API ---
   /**
-   * Effect hook to fetch all required dashboard data on component mount.
-   * Fetches student list, historical logs, and subject mappings concurrently.
+   * Changes the trend window and remembers it for the next visit.
+   * @param {number} days - Window length in days.
    */
-  useEffect(() => {
-    const fetchData = async () => {
-      let currentUser = user;
-      // Fallback: Check local storage if user prop is initially null (e.g., direct access)
-      if (!currentUser) {
-        const storedUser = localStorage.getItem("university_user");
-        if (storedUser) currentUser = JSON.parse(storedUser);
-      }
+  const handleTrendWindowChange = (days) => {
+    setTrendWindow(days);
+    saveTrendWindow(days);
+  };
 
-      if (!currentUser?.contextId) {
-         setLoading(false); 
-         setError("User context not loaded. Please log in.");
-         return;
-      }
+  /**
+   * Changes the warning cooldown and remembers it for the next visit.
+   * @param {number} days - Cooldown window in days (0 turns it off).
+   */
+  const handleWarningCooldownChange = (days) => {
+    setWarningCooldown(days);
+    saveWarningCooldown(days);
+  };
+
+  // --- TRENDS (recent window vs the one before it) ---
+  const trends = useMemo(
+    () => computeAttendanceTrends(attendanceLogs, { endDate: dayjs().format("YYYY-MM-DD"), windowDays: trendWindow }),
+    [attendanceLogs, trendWindow]
+  );
+
+  // --- 2. MAP API DATA ---
+  /**
+   * Maps the cached roster (with current attendance percentage from API) to the UI structure,
+   * calculating necessary fields.
+   */
+  const studentsData = useMemo(() => {
+    const stats = computeAttendanceStats(attendanceLogs);
+    const warnings = summarizeWarnings(warningLog);
+    return (studentsQuery.data || []).map((item) => {
+      const studentTrend = trends.students.get(getStatsKey(item.roll_number, item.subject_name)) || NEUTRAL_TREND;
+      const studentStats = getStudentStats(stats, item.roll_number, item.subject_name);
+      return {
+        id: item.id,
+        name: item.student_name,          
+        subject: item.subject_name,        
+        course: item.course?.course_name || "N/A", 
+        semester: item.current_semester,
+        attendanceRate: item.attendance_percentage || 0, // Exact (rounded only for display); 0 if null/undefined
+        consecutiveAbsences: studentStats.currentStreak, // From the logs
+        attended: studentStats.attended,   // Classes attended / marked, from the logs
+        total: studentStats.total,
+        trend: studentTrend.trend,         // 'up' | 'down' | 'neutral' over the trend window
+        trendDetail: studentTrend,         // Rates of both windows and the change in points
+        policy: getRosterPolicy(item),     // Thresholds of the student's class
+        warnings: warnings.get(getStatsKey(item.roll_number, item.subject_name)) || null, // Last warning and count
+        rollNumber: item.roll_number,      
+        email: item.email,
+        // CRITICAL: Store the raw item so we can send it back to the Warning API
+        raw: item 
+      };
+    });
+  }, [studentsQuery.data, attendanceLogs, trends, warningLog]);
+
+  // --- AUTOMATIC ALERTS (due rules checked on load and every minute) ---
+  // The timer reads the latest rows through a ref so it is not restarted whenever they change
+  const studentsRef = useRef(studentsData);
+  useEffect(() => {
+    studentsRef.current = studentsData;
+  }, [studentsData]);
 
-      const teacherId = currentUser.contextId; 
-      // const baseUrl = "http://127.0.0.1:8000/api";
-      const token = localStorage.getItem("university_token");
+  const dataReady = !loading && !error;
+  useEffect(() => {
+    if (!dataReady) return;
+    let cancelled = false;
 
-      setLoading(true);
-      
+    const check = async () => {
       try {
-        if (!token) throw new Error("No authentication token found.");
-
-        const headers = { 
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}` 
-        };
-
-        // A. Fetch Student List (with current attendance percentage from API)
-        const studentsResponse = await fetch(`${API_URL}/teachers/${teacherId}/students/`, { method: 'GET', headers });
-        if (!studentsResponse.ok) {
-            if (studentsResponse.status === 401) throw new Error("Unauthorized. Please login again.");
-            throw new Error("Failed to fetch students list");
+        const outcome = await runDueAlertRules(studentsRef.current);
+        if (outcome && !cancelled) {
+          setPendingAlerts(getPendingAlerts());
+          setWarningLog(getWarningLog());
         }
-        const studentsJson = await studentsResponse.json();
-
-        // Map API response to UI structure, calculating necessary fields
-        const formattedStudents = studentsJson.map((item) => ({
-          id: item.id,
-          name: item.student_name,          
-          subject: item.subject_name,        
-          course: item.course?.course_name || "N/A", 
-          semester: item.current_semester,
-          attendanceRate: Math.round(item.attendance_percentage || 0), // Use 0 if percentage is null/undefined
-          consecutiveAbsences: 0,            // Placeholder for future feature
-          trend: 'neutral',                  // Placeholder
-          rollNumber: item.roll_number,      
-          email: item.email,
-          // CRITICAL: Store the raw item so we can send it back to the Warning API
-          raw: item 
-        }));
-        setStudentsData(formattedStudents);
-
-        // B. Fetch Attendance Logs (for historical/daily checks)
-        const attendanceResponse = await fetch(`${API_URL}/attendance/teacherwise/`, { method: 'GET', headers });
-        if (!attendanceResponse.ok) throw new Error("Failed to fetch attendance logs");
-        const attendanceJson = await attendanceResponse.json();
-        setAttendanceLogs(attendanceJson);
-
-        // C. Fetch Teacher Subjects (for filter options)
-        const subjectsResponse = await fetch(`${API_URL}/teachers/me/teacher-subject-ids/`, { method: 'GET', headers });
-        if (!subjectsResponse.ok) throw new Error("Failed to fetch subjects");
-        const subjectsJson = await subjectsResponse.json();
-        setSubjectsList(subjectsJson);
-
       } catch (err) {
-        console.error("Data fetch error:", err);
-        setError(err.message || "Failed to load dashboard data.");
-      } finally {
-        setLoading(false);
+        console.error(err);
       }
     };
 
-    fetchData();
-  }, [user]);
+    check();
+    const timer = setInterval(check, ALERT_CHECK_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [dataReady]);
 
   // --- 3. FILTER & STATS LOGIC (Memoized Calculation) ---
   /**
    * Memoized logic to filter the student list and calculate aggregate statistics
    * whenever filters or raw data change.
    */
-  const { filteredStudents, stats, lowAttendanceList, uniqueCourses, uniqueSemesters } = useMemo(() => {
+  const { filteredStudents, filteredLogs, filterPolicy, thresholdLabel, lowAttendanceLabel, stats, statTrends, studentDrops, subjectDrops, lowAttendanceList, uniqueCourses, uniqueSemesters } = useMemo(() => {
     
     // Determine unique filter options from the full dataset
     const courses = [...new Set(studentsData.map(s => s.course))].filter(Boolean);
@@ -164,7 +243,11 @@ export default function DashboardContent({ user }) {
     if (selectedSubject !== "All") filteredList = filteredList.filter(s => s.subject === selectedSubject);
     if (selectedCourse !== "All") filteredList = filteredList.filter(s => s.course === selectedCourse);
     if (selectedSemester !== "All") filteredList = filteredList.filter(s => s.semester === selectedSemester);
-    if (showLowAttendance) filteredList = filteredList.filter(s => s.attendanceRate < 75);
+
+    // Required percentage(s) of the classes within the filters, before the low attendance toggle narrows them
+    const policiesInFilter = filteredList.map(s => s.policy);
+
+    if (showLowAttendance) filteredList = filteredList.filter(s => isBelowThreshold(s.attendanceRate, s.policy));
 
     // Calculate aggregated stats for the Summary Card
     const totalStudents = filteredList.length;
@@ -183,8 +266,10 @@ export default function DashboardContent({ user }) {
         todaysLogs = todaysLogs.filter(log => log.subject_name === selectedSubject);
     }
 
-    const presentToday = todaysLogs.filter(log => log.status === "Present").length;
-    const explicitAbsent = todaysLogs.filter(log => log.status === "Absent").length;
+    // Statuses flagged countsAsPresent (Present, Late, ...) count as present; any other mark as absent
+    const markedToday = todaysLogs.filter(log => getAttendanceStatus(log.status));
+    const presentToday = markedToday.filter(log => countsAsPresent(log.status)).length;
+    const explicitAbsent = markedToday.length - presentToday;
     
     // Calculate Not Marked count based on the number of students *expected* to be logged today
     const studentsExpectedToday = studentsData.filter(s => 
@@ -194,11 +279,38 @@ export default function DashboardContent({ user }) {
 
     const notMarked = Math.max(0, studentsExpectedToday - (presentToday + explicitAbsent));
 
-    // List of students globally below threshold for the warning alert/bulk action
-    const globalLowAttendance = studentsData.filter(s => s.attendanceRate < 75);
+    // List of students globally below their required percentage for the warning alert/bulk action
+    const globalLowAttendance = studentsData.filter(s => isBelowThreshold(s.attendanceRate, s.policy));
+
+    // Trend of the filtered classes as a whole, for the Avg Attendance card
+    const filteredKeys = new Set(filteredList.map(s => getStatsKey(s.rollNumber, s.subject)));
+    const logsInFilter = attendanceLogs.filter(log => filteredKeys.has(getStatsKey(log.roll_number, log.subject_name)));
+    const { overall } = computeAttendanceTrends(
+      logsInFilter,
+      { endDate: dayjs().format("YYYY-MM-DD"), windowDays: trendWindow }
+    );
+    const avgTrend = overall.change === null ? undefined : {
+      percentage: Number(Math.abs(overall.change).toFixed(1)),
+      direction: overall.change >= 0 ? 'up' : 'down',
+      isPositive: overall.change >= 0,
+      period: `${trendWindow} days`,
+    };
 
     return {
       filteredStudents: filteredList,
+      filteredLogs: logsInFilter,
+      filterPolicy: getCommonPolicy(policiesInFilter),
+      thresholdLabel: formatThresholds(policiesInFilter),
+      lowAttendanceLabel: formatThresholds(globalLowAttendance.map(s => s.policy)),
+      statTrends: { avgAttendance: avgTrend },
+      studentDrops: getBiggestDrops(filteredList.map(s => ({ ...s, trend: s.trendDetail })), 5),
+      subjectDrops: getBiggestDrops(
+        [...new Set(filteredList.map(s => s.subject))].map(subjectName => ({
+          subjectName,
+          trend: trends.subjects.get(subjectName) || NEUTRAL_TREND,
+        })),
+        5
+      ),
       lowAttendanceList: globalLowAttendance,
       uniqueCourses: courses,
       uniqueSemesters: semesters,
@@ -210,7 +322,7 @@ export default function DashboardContent({ user }) {
         avgAttendance
       }
     };
-  }, [selectedSubject, selectedCourse, selectedSemester, showLowAttendance, studentsData, attendanceLogs]);
+  }, [selectedSubject, selectedCourse, selectedSemester, showLowAttendance, studentsData, attendanceLogs, trends, trendWindow]);
 
   // --- 4. RENDER ---
 
@@ -226,7 +338,12 @@ export default function DashboardContent({ user }) {
     return (
         <Box component="main" sx={{ flexGrow: 1, p: 3 }}>
             <DrawerHeader />
-            <Alert severity="error">{error}</Alert>
+            <Alert
+              severity="error"
+              action={teacherId && <Button color="inherit" size="small" onClick={handleRetry}>Retry</Button>}
+            >
+              {error}
+            </Alert>
         </Box>
     );
   }
@@ -238,9 +355,27 @@ export default function DashboardContent({ user }) {
       <Typography variant="h6" sx={{ mb: 2 }}>
         Welcome back, {user?.name || "Teacher"}
       </Typography>
+
+      {/* A background refresh failed: the figures below are from the last successful load */}
+      {refreshError && refreshError !== dismissedError && (
+        <Alert
+          severity="warning"
+          sx={{ mb: 2 }}
+          action={
+            <Box sx={{ display: 'flex', alignItems: 'center' }}>
+              <Button color="inherit" size="small" onClick={handleRetry}>Retry</Button>
+              <IconButton color="inherit" size="small" aria-label="close" onClick={() => setDismissedError(refreshError)}>
+                <CloseIcon fontSize="small" />
+              </IconButton>
+            </Box>
+          }
+        >
+          Could not refresh the dashboard ({refreshError.message || "network error"}). Showing the last loaded data.
+        </Alert>
+      )}
       
       {/* Summary Cards (Total Students, Present Today, etc.) */}
-      <FrontCards stats={stats} />
+      <FrontCards stats={stats} trends={statTrends} />
 
       {/* Low Attendance Warning Alert and Bulk Action Button */}
       <Box sx={{ my: 2 }}>
@@ -251,24 +386,48 @@ export default function DashboardContent({ user }) {
             onClose={() => setAlertOpen(false)}
             sx={{ alignItems: 'center' }}
             action={
-                <Button 
-                    color="warning" 
-                    variant="outlined" // Changed to outlined to stand out against alert bg
-                    size="small" 
-                    startIcon={<WarningAmberIcon />}
-                    onClick={() => setBulkWarningDialogOpen(true)}
-                    sx={{ fontWeight: 'bold', textTransform: 'none', borderColor: 'warning.main', color: 'warning.dark' }}
-                >
-                    Warn All
-                </Button>
+                <Box sx={{ display: 'flex', gap: 1 }}>
+                    <Button 
+                        color="warning" 
+                        size="small" 
+                        startIcon={<GavelIcon />}
+                        onClick={() => navigate("/teacher/defaulters")}
+                        sx={{ fontWeight: 'bold', textTransform: 'none', color: 'warning.dark' }}
+                    >
+                        Detained List
+                    </Button>
+                    <Button 
+                        color="warning" 
+                        variant="outlined" // Changed to outlined to stand out against alert bg
+                        size="small" 
+                        startIcon={<WarningAmberIcon />}
+                        onClick={() => setBulkWarningDialogOpen(true)}
+                        sx={{ fontWeight: 'bold', textTransform: 'none', borderColor: 'warning.main', color: 'warning.dark' }}
+                    >
+                        Warn All
+                    </Button>
+                </Box>
             }
           >
             <AlertTitle>Low Attendance Alert</AlertTitle>
-            {lowAttendanceList.length} students across all your classes have attendance below 75%.
+            {lowAttendanceList.length} students across all your classes have attendance below their required {lowAttendanceLabel}.
           </Alert>
         </Collapse>
       </Box>
 
+      {/* Alerts raised by the teacher's rules, waiting for approval */}
+      <Box sx={{ my: 2 }}>
+        <AlertReviewQueue
+          alerts={pendingAlerts}
+          ruleCount={alertRuleCount}
+          students={studentsData}
+          onResolved={() => {
+            setPendingAlerts(getPendingAlerts());
+            refreshWarnings();
+          }}
+        />
+      </Box>
+
       {/* Main Content: Attendance Summary Chart and Detailed List */}
       <Box display="flex" gap={2} sx={{ my: 2 }}>
         
@@ -284,11 +443,11 @@ export default function DashboardContent({ user }) {
               </Box>
               
               <Box sx={{ my: 2 }}>
-                <CustomCircularProgress value={stats.avgAttendance} label="Avg Rate" />
+                <CustomCircularProgress value={stats.avgAttendance} label="Avg Rate" policy={filterPolicy} />
               </Box>
 
               <Box sx={{ mt: 4, width: '100%', display: 'flex', gap: 2 }}>
-                  <CompactStatCard title="Target" value="75%" />
+                  <CompactStatCard title="Target" value={thresholdLabel} />
                   <CompactStatCard title="Current" value={`${stats.avgAttendance}%`} />
               </Box>
               
@@ -318,18 +477,44 @@ export default function DashboardContent({ user }) {
             onSemesterChange={setSelectedSemester}
             showLowAttendance={showLowAttendance}
             onLowAttendanceChange={setShowLowAttendance}
+            thresholdLabel={thresholdLabel}
+            onWarningDialogClose={refreshWarnings}
           />
         </Box>
       </Box>
 
+      {/* Biggest week-over-week drops (students and subjects within the filters) */}
+      <Box sx={{ my: 2 }}>
+        <BiggestDropsCard
+          studentDrops={studentDrops}
+          subjectDrops={subjectDrops}
+          windowDays={trendWindow}
+          onWindowChange={handleTrendWindowChange}
+        />
+      </Box>
+
+      {/* Warnings sent and the cooldown that holds back repeated bulk warnings */}
+      <Box sx={{ my: 2 }}>
+        <WarningHistoryCard log={warningLog} cooldownDays={warningCooldown} onCooldownChange={handleWarningCooldownChange} />
+      </Box>
+
+      {/* Attendance patterns over time (heatmap, rolling average, weekdays) within the filters */}
+      <Box sx={{ my: 2 }}>
+        <AttendancePatternsCard logs={filteredLogs} windowDays={trendWindow} policy={filterPolicy} />
+      </Box>
+
       {/* <MyGridComponent /> */}
       
       {/* --- Bulk Warning Dialog --- */}
       {/* Renders the modal, providing the list of students with low attendance */}
       <WarningEmailBulk
         open={bulkWarningDialogOpen}
-        onClose={() => setBulkWarningDialogOpen(false)}
+        onClose={() => {
+          setBulkWarningDialogOpen(false);
+          refreshWarnings();
+        }}
         students={lowAttendanceList}
+        cooldownDays={warningCooldown}
       />
 
     </Box>
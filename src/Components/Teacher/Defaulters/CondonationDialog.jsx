@@ -0,0 +1,79 @@
+/**
+ * @file CondonationDialog.jsx
+ * @description Dialog in which a teacher condones a student's attendance shortage in a subject,
+ * recording the reason (medical, sports, university duty, ...) that is printed on the detained list.
+ * @author Mohd Waris
+ */
+
+import React, { useState } from "react";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Typography,
+  Box,
+  Chip,
+} from "@mui/material";
+import { formatReportPercentage } from "../../../utils/attendanceReport";
+
+// Reasons offered as one-click suggestions
+const COMMON_REASONS = ["Medical grounds", "Sports / cultural event", "University duty", "Family emergency"];
+
+/**
+ * CondonationDialog Component
+ * @param {Object} props - Component props.
+ * @param {boolean} props.open - Controls the visibility of the dialog.
+ * @param {Function} props.onClose - Callback to close the dialog.
+ * @param {import("../../../utils/examEligibility").EligibilityRow|null} props.row - Student/subject being condoned.
+ * @param {Function} props.onConfirm - Called with (row, reason) once the teacher confirms.
+ */
+export default function CondonationDialog({ open, onClose, row, onConfirm }) {
+  // Pre-filled when editing an existing condonation (the parent remounts the dialog per row)
+  const [reason, setReason] = useState(row?.condonation?.reason || "");
+
+  const handleConfirm = () => {
+    onConfirm(row, reason.trim());
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Condone Attendance Shortage</DialogTitle>
+      <DialogContent>
+        {row && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {row.name} ({row.rollNumber}) has attended {row.attended} of {row.held} classes in {row.subjectName} (
+            {formatReportPercentage(row.percentage ?? 0)}).
+          </Typography>
+        )}
+
+        <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mb: 2 }}>
+          {COMMON_REASONS.map((text) => (
+            <Chip key={text} label={text} size="small" variant="outlined" onClick={() => setReason(text)} />
+          ))}
+        </Box>
+
+        <TextField
+          autoFocus
+          fullWidth
+          multiline
+          minRows={2}
+          label="Reason"
+          placeholder="e.g. Medical certificate submitted for 12-20 Feb"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          helperText="Printed in the remarks of the list sent to the examination cell."
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleConfirm} disabled={!reason.trim()}>
+          Condone
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,50 @@
+/**
+ * @file Defaulters.jsx
+ * @description Layout container for the Teacher's exam-eligibility (defaulters) module.
+ * It integrates the top navigation bar (TopBar) and the DefaultersPage content area,
+ * managing the layout structure and teacher session state.
+ * @author Mohd Waris
+ */
+
+import * as React from "react";
+import { useState } from "react";
+import Box from "@mui/material/Box";
+import CssBaseline from "@mui/material/CssBaseline";
+
+import TopBar from "../Dashboard/Drawer/TopBar";
+import DefaultersPage from "./DefaultersPage";
+
+/**
+ * Defaulters Component
+ * Serves as the main entry point for the detained-list report.
+ * Responsibilities:
+ * 1. Initializes teacher user state from props or local storage.
+ * 2. Renders the application shell (TopBar) wrapping the DefaultersPage content.
+ * * @param {Object} props - Component properties.
+ * @param {Object} [props.user] - Optional user object. If not provided, it attempts to load from localStorage.
+ */
+const Defaulters = (props) => {
+  // State to hold current user information (prop first, then localStorage)
+  const [user] = useState(
+    props.user ||
+      (() => {
+        const saved = localStorage.getItem("university_user");
+        return saved ? JSON.parse(saved) : null;
+      })
+  );
+
+  return (
+    <Box sx={{ display: "flex" }}>
+      {/* Normalize CSS for consistent rendering across browsers */}
+      <CssBaseline />
+
+      {/* Top Navigation Bar with Drawer controls */}
+      <TopBar user={user} />
+
+      {/* Main Content Area for the Eligibility Report */}
+      <DefaultersPage user={user} />
+    </Box>
+  );
+};
+
+export default Defaulters;
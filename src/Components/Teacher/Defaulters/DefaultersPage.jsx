@@ -0,0 +1,382 @@
+/**
+ * @file DefaultersPage.jsx
+ * @description Exam-eligibility report for the teacher. Computes every student's attendance in each
+ * subject up to a cutoff date, lists those below the required percentage of their attendance policy
+ * (or a threshold typed by the teacher) as detained, lets the teacher condone
+ * a shortage with a reason, and exports the final list for the examination cell as XLSX or PDF.
+ * @author Mohd Waris
+ */
+
+import React, { useState, useMemo } from "react";
+import {
+  Box,
+  Typography,
+  Paper,
+  TextField,
+  Select,
+  MenuItem,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  CircularProgress,
+  Alert,
+  Stack,
+  Tooltip,
+  IconButton,
+  FormControlLabel,
+  Switch,
+  InputAdornment,
+} from "@mui/material";
+import { styled } from "@mui/material/styles";
+import { FileDownload, PictureAsPdf, GavelOutlined, EditOutlined, Undo } from "@mui/icons-material";
+
+import CondonationDialog from "./CondonationDialog";
+import StudentLink from "../Students/StudentLink";
+import {
+  useTeacherStudents,
+  useTeacherAttendanceLogs,
+} from "../../../api/teacherQueries";
+import { getStoredUser } from "../../../utils/auth";
+import { formatReportPercentage } from "../../../utils/attendanceReport";
+import {
+  ELIGIBILITY_STATUSES,
+  buildEligibilityList,
+  summarizeEligibility,
+  getCondonations,
+  saveCondonation,
+  removeCondonation,
+} from "../../../utils/examEligibility";
+import { buildEligibilityPdf } from "../../../utils/attendancePdf";
+import { downloadEligibilityWorkbook } from "../../../utils/attendanceWorkbook";
+import { INSTITUTION_NAME, INSTITUTION_LOGO_URL } from "../../../config";
+
+/**
+ * Styled component to offset content below the app bar.
+ */
+const DrawerHeader = styled("div")(({ theme }) => ({
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "flex-end",
+  padding: theme.spacing(0, 1),
+  // necessary for content to be below app bar
+  ...theme.mixins.toolbar,
+}));
+
+/**
+ * Formats a Date as YYYY-MM-DD in local time.
+ * @param {Date} date - Date to format.
+ * @returns {string}
+ */
+const toDateInput = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+/**
+ * DefaultersPage Component
+ * @param {Object} props - Component props.
+ * @param {Object} props.user - The current teacher user object.
+ */
+export default function DefaultersPage({ user }) {
+  const currentUser = user || getStoredUser(); // Fallback to localStorage if user prop is missing
+  const teacherId = currentUser?.contextId;
+  const studentsQuery = useTeacherStudents(teacherId);
+  const logsQuery = useTeacherAttendanceLogs(teacherId);
+
+  // --- Report Parameters ---
+  const [cutoffDate, setCutoffDate] = useState(() => toDateInput(new Date()));
+  const [threshold, setThreshold] = useState(""); // Empty: each class's attendance policy
+  const [subjectFilter, setSubjectFilter] = useState("All");
+  const [courseFilter, setCourseFilter] = useState("All");
+  const [semesterFilter, setSemesterFilter] = useState("All");
+  const [showEveryone, setShowEveryone] = useState(false); // Off: only students below the threshold
+
+  // --- Condonations & Export State ---
+  const [condonations, setCondonations] = useState(getCondonations);
+  const [condoningRow, setCondoningRow] = useState(null);
+  const [exporting, setExporting] = useState(null); // 'xlsx' | 'pdf' while a file is generated
+  const [exportError, setExportError] = useState("");
+
+  const roster = useMemo(() => studentsQuery.data || [], [studentsQuery.data]);
+  const logs = useMemo(() => logsQuery.data || [], [logsQuery.data]);
+
+  const loading = studentsQuery.isLoading || logsQuery.isLoading;
+  const fetchError = studentsQuery.error || logsQuery.error;
+  const error = !teacherId
+    ? "User context not available. Please log in."
+    : fetchError && (fetchError.message || "Failed to load attendance data.");
+
+  const thresholdValid = threshold === "" || (Number(threshold) >= 0 && Number(threshold) <= 100);
+  const thresholdOverride = threshold === "" ? null : Number(threshold);
+
+  // --- Eligibility ---
+  const eligibility = useMemo(
+    () =>
+      thresholdValid && cutoffDate
+        ? buildEligibilityList({ students: roster, logs, cutoffDate, threshold: thresholdOverride, condonations })
+        : [],
+    [roster, logs, cutoffDate, thresholdOverride, thresholdValid, condonations]
+  );
+
+  // Rows inside the subject / course / semester filters: this is what gets exported
+  const scopedRows = useMemo(
+    () =>
+      eligibility.filter(
+        (row) =>
+          (subjectFilter === "All" || row.subjectName === subjectFilter) &&
+          (courseFilter === "All" || row.course === courseFilter) &&
+          (semesterFilter === "All" || row.semester === semesterFilter)
+      ),
+    [eligibility, subjectFilter, courseFilter, semesterFilter]
+  );
+  const visibleRows = showEveryone
+    ? scopedRows
+    : scopedRows.filter((row) => row.status !== ELIGIBILITY_STATUSES.eligible.key);
+  const summary = summarizeEligibility(scopedRows);
+
+  // --- Unique Values for Dropdowns ---
+  const uniqueSubjects = ["All", ...new Set(eligibility.map((row) => row.subjectName))];
+  const uniqueCourses = ["All", ...new Set(eligibility.map((row) => row.course))];
+  const uniqueSemesters = ["All", ...new Set(eligibility.map((row) => row.semester))].filter(Boolean).sort((a, b) => a - b);
+
+  // --- Condonation Handlers ---
+  const handleCondone = (row, reason) => setCondonations(saveCondonation(row.key, reason));
+  const handleRevoke = (row) => setCondonations(removeCondonation(row.key));
+
+  // --- Export ---
+  const subjectLabel = subjectFilter === "All" ? "All subjects" : subjectFilter;
+  const fileBase = `Detained_List_${subjectFilter === "All" ? "All_Subjects" : subjectFilter}_${cutoffDate}`.replace(/\s+/g, "_");
+
+  /**
+   * Generates and downloads the list in the chosen format.
+   * @param {string} format - 'xlsx' or 'pdf'.
+   */
+  const handleExport = async (format) => {
+    setExporting(format);
+    setExportError("");
+    try {
+      if (format === "pdf") {
+        const doc = await buildEligibilityPdf(scopedRows, {
+          institutionName: INSTITUTION_NAME,
+          logoUrl: INSTITUTION_LOGO_URL,
+          teacherName: currentUser?.name,
+          subjectLabel,
+          cutoffDate,
+        });
+        doc.save(`${fileBase}.pdf`);
+      } else {
+        await downloadEligibilityWorkbook(scopedRows, {
+          cutoffDate,
+          subjectLabel,
+          meta: { teacherName: currentUser?.name },
+          fileName: `${fileBase}.xlsx`,
+        });
+      }
+    } catch (err) {
+      console.error(err);
+      setExportError("Could not generate the file. Please try again.");
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  // --- Render ---
+  if (loading) {
+    return (
+      <Box sx={{ display: "flex", justifyContent: "center", alignItems: "center", height: "100vh", flexGrow: 1 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box component="main" sx={{ flexGrow: 1, p: 3 }}>
+      <DrawerHeader />
+
+      <Typography variant="h4" sx={{ fontWeight: 600, mb: 1, color: "#003366" }}>
+        Exam Eligibility
+      </Typography>
+      <Typography color="text.secondary" sx={{ mb: 3 }}>
+        Students below the minimum attendance on the cutoff date are detained unless their shortage is condoned.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {exportError && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setExportError("")}>{exportError}</Alert>}
+
+      <Paper sx={{ borderRadius: 3, p: 2, backgroundColor: "#fff", border: "1px solid #e0e0e0", boxShadow: "none" }}>
+        {/* --- PARAMETERS & FILTERS --- */}
+        <Box sx={{ display: "flex", flexWrap: "wrap", gap: 2, alignItems: "center", mb: 2 }}>
+          <TextField
+            label="Attendance up to"
+            type="date"
+            size="small"
+            value={cutoffDate}
+            onChange={(e) => setCutoffDate(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            label="Minimum attendance"
+            type="number"
+            size="small"
+            value={threshold}
+            onChange={(e) => setThreshold(e.target.value)}
+            error={!thresholdValid}
+            placeholder="As per policy"
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ min: 0, max: 100 }}
+            InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+            sx={{ width: 170 }}
+          />
+
+          <Select value={subjectFilter} onChange={(e) => setSubjectFilter(e.target.value)} size="small" sx={{ borderRadius: 2, minWidth: 160 }}>
+            {uniqueSubjects.map((subject) => (
+              <MenuItem key={subject} value={subject}>
+                {subject === "All" ? "All Subjects" : subject}
+              </MenuItem>
+            ))}
+          </Select>
+          <Select value={courseFilter} onChange={(e) => setCourseFilter(e.target.value)} size="small" sx={{ borderRadius: 2, minWidth: 140 }}>
+            {uniqueCourses.map((course) => (
+              <MenuItem key={course} value={course}>
+                {course === "All" ? "All Courses" : course}
+              </MenuItem>
+            ))}
+          </Select>
+          <Select value={semesterFilter} onChange={(e) => setSemesterFilter(e.target.value)} size="small" sx={{ borderRadius: 2, minWidth: 100 }}>
+            {uniqueSemesters.map((sem) => (
+              <MenuItem key={sem} value={sem}>
+                {sem === "All" ? "All Sem" : `Sem ${sem}`}
+              </MenuItem>
+            ))}
+          </Select>
+
+          <FormControlLabel
+            control={<Switch checked={showEveryone} onChange={(e) => setShowEveryone(e.target.checked)} />}
+            label="Show eligible students"
+          />
+        </Box>
+
+        {/* --- SUMMARY & EXPORT --- */}
+        <Box sx={{ display: "flex", flexWrap: "wrap", gap: 2, alignItems: "center", justifyContent: "space-between", mb: 2 }}>
+          <Stack direction="row" spacing={1}>
+            <Chip label={`Evaluated: ${summary.total}`} variant="outlined" />
+            <Chip label={`Eligible: ${summary.eligible}`} color="success" variant="outlined" />
+            <Chip label={`Condoned: ${summary.condoned}`} color="warning" variant="outlined" />
+            <Chip label={`Detained: ${summary.detained}`} color="error" />
+          </Stack>
+          <Stack direction="row" spacing={1}>
+            <Button
+              variant="outlined"
+              startIcon={exporting === "xlsx" ? <CircularProgress size={16} /> : <FileDownload />}
+              disabled={!scopedRows.length || !!exporting}
+              onClick={() => handleExport("xlsx")}
+            >
+              Excel
+            </Button>
+            <Button
+              variant="contained"
+              startIcon={exporting === "pdf" ? <CircularProgress size={16} color="inherit" /> : <PictureAsPdf />}
+              disabled={!scopedRows.length || !!exporting}
+              onClick={() => handleExport("pdf")}
+            >
+              PDF
+            </Button>
+          </Stack>
+        </Box>
+
+        {/* --- TABLE CONTENT --- */}
+        {visibleRows.length === 0 ? (
+          <Box sx={{ display: "flex", justifyContent: "center", p: 5 }}>
+            <Typography color="text.secondary">
+              {scopedRows.length ? "No student is below the minimum attendance." : "No students found matching your criteria."}
+            </Typography>
+          </Box>
+        ) : (
+          <TableContainer>
+            <Table sx={{ minWidth: 650 }} size="small" aria-label="exam eligibility table">
+              <TableHead sx={{ backgroundColor: "#f8f9fa" }}>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: "bold" }}>Name / Roll No</TableCell>
+                  <TableCell sx={{ fontWeight: "bold" }}>Course Info</TableCell>
+                  <TableCell sx={{ fontWeight: "bold" }}>Subject</TableCell>
+                  <TableCell sx={{ fontWeight: "bold" }} align="center">Attended</TableCell>
+                  <TableCell sx={{ fontWeight: "bold" }} align="center">Percentage</TableCell>
+                  <TableCell sx={{ fontWeight: "bold" }} align="center">Required</TableCell>
+                  <TableCell sx={{ fontWeight: "bold" }}>Status</TableCell>
+                  <TableCell sx={{ fontWeight: "bold" }}>Condonation</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {visibleRows.map((row) => {
+                  const status = ELIGIBILITY_STATUSES[row.status];
+                  const short = row.status !== ELIGIBILITY_STATUSES.eligible.key;
+                  return (
+                    <TableRow key={row.key} hover>
+                      <TableCell>
+                        <Typography sx={{ fontWeight: 600, fontSize: "0.9rem" }}>
+                          <StudentLink studentId={row.studentId}>{row.name}</StudentLink>
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">{row.rollNumber}</Typography>
+                      </TableCell>
+                      <TableCell>
+                        <Stack direction="row" spacing={1}>
+                          <Chip label={row.course} size="small" variant="outlined" />
+                          <Chip label={`Sem ${row.semester}`} size="small" variant="outlined" sx={{ bgcolor: "grey.50" }} />
+                        </Stack>
+                      </TableCell>
+                      <TableCell>{row.subjectName}</TableCell>
+                      <TableCell align="center">{row.attended} / {row.held}</TableCell>
+                      <TableCell align="center" sx={{ fontWeight: 600, color: short ? "error.main" : "inherit" }}>
+                        {row.percentage === null ? "-" : formatReportPercentage(row.percentage)}
+                      </TableCell>
+                      <TableCell align="center">{row.threshold}%</TableCell>
+                      <TableCell>
+                        <Chip label={status.label} color={status.color} size="small" variant={row.status === ELIGIBILITY_STATUSES.detained.key ? "filled" : "outlined"} />
+                      </TableCell>
+                      <TableCell>
+                        {row.status === ELIGIBILITY_STATUSES.detained.key && (
+                          <Button size="small" startIcon={<GavelOutlined />} onClick={() => setCondoningRow(row)}>
+                            Condone
+                          </Button>
+                        )}
+                        {row.status === ELIGIBILITY_STATUSES.condoned.key && (
+                          <Box sx={{ display: "flex", alignItems: "center", gap: 0.5 }}>
+                            <Typography variant="body2" sx={{ maxWidth: 220 }} noWrap title={row.condonation.reason}>
+                              {row.condonation.reason}
+                            </Typography>
+                            <Tooltip title="Edit reason">
+                              <IconButton size="small" onClick={() => setCondoningRow(row)}>
+                                <EditOutlined fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                            <Tooltip title="Revoke condonation">
+                              <IconButton size="small" onClick={() => handleRevoke(row)}>
+                                <Undo fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          </Box>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </Paper>
+
+      {/* --- Condonation Dialog (remounted per row so the reason starts from that row) --- */}
+      <CondonationDialog
+        key={condoningRow?.key || "none"}
+        open={!!condoningRow}
+        onClose={() => setCondoningRow(null)}
+        row={condoningRow}
+        onConfirm={handleCondone}
+      />
+    </Box>
+  );
+}
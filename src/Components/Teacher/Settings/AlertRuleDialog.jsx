@@ -0,0 +1,208 @@
+/**
+ * @file AlertRuleDialog.jsx
+ * @description Dialog in which a teacher creates or edits an automatic alert rule: its condition,
+ * when it is checked, whether its warnings need approval, who they go to and the email template.
+ * @author Mohd Waris
+ */
+
+import React, { useState } from "react";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  Box,
+  Typography,
+  ToggleButtonGroup,
+  ToggleButton,
+} from "@mui/material";
+import {
+  ALERT_CONDITIONS,
+  ALERT_FREQUENCIES,
+  ALERT_MODES,
+  WEEKDAYS,
+  NEW_ALERT_RULE,
+  describeCondition,
+} from "../../../utils/alertRules";
+import { getEmailTemplates, getCurrentVersion } from "../../../utils/emailTemplates";
+import { WARNING_AUDIENCES, WARNING_CHANNELS } from "../../../utils/guardianContacts";
+
+// Value a condition starts with when it is picked
+const DEFAULT_CONDITION_VALUES = { below_policy: null, below_percentage: 65, consecutive_absences: 3 };
+
+/**
+ * AlertRuleDialog Component
+ * @param {Object} props - Component props.
+ * @param {boolean} props.open - Controls the visibility of the dialog.
+ * @param {Function} props.onClose - Callback to close the dialog.
+ * @param {import("../../../utils/alertRules").AlertRule|null} props.rule - Rule to edit, or null for a new one.
+ * @param {Function} props.onSave - Called with the rule once the teacher saves.
+ */
+export default function AlertRuleDialog({ open, onClose, rule, onSave }) {
+  // Pre-filled with the rule being edited (the parent remounts the dialog on every opening)
+  const [draft, setDraft] = useState(rule || NEW_ALERT_RULE);
+  const [templates] = useState(getEmailTemplates);
+
+  const conditionUnit = ALERT_CONDITIONS.find((entry) => entry.key === draft.condition.type).unit;
+  const value = draft.condition.value;
+  const invalidValue =
+    conditionUnit === "%" ? !(value > 0 && value <= 100) : conditionUnit ? !(Number.isInteger(value) && value >= 1) : false;
+
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+  const updateSchedule = (changes) => setDraft((prev) => ({ ...prev, schedule: { ...prev.schedule, ...changes } }));
+
+  const handleSave = () => {
+    onSave({ ...draft, name: draft.name.trim() || describeCondition(draft.condition) });
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{rule ? "Edit Alert Rule" : "New Alert Rule"}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: "flex", flexDirection: "column", gap: 2, pt: 1 }}>
+          <TextField
+            label="Name"
+            size="small"
+            value={draft.name}
+            placeholder={describeCondition(draft.condition)}
+            onChange={(e) => update({ name: e.target.value })}
+          />
+
+          {/* Condition */}
+          <Box sx={{ display: "flex", gap: 2 }}>
+            <TextField
+              select
+              label="Alert when"
+              size="small"
+              value={draft.condition.type}
+              onChange={(e) => update({ condition: { type: e.target.value, value: DEFAULT_CONDITION_VALUES[e.target.value] } })}
+              sx={{ flex: 2 }}
+            >
+              {ALERT_CONDITIONS.map((condition) => (
+                <MenuItem key={condition.key} value={condition.key}>{condition.label}</MenuItem>
+              ))}
+            </TextField>
+            {conditionUnit && (
+              <TextField
+                type="number"
+                label={conditionUnit === "%" ? "Percentage" : "At least (classes)"}
+                size="small"
+                value={value ?? ""}
+                onChange={(e) => update({ condition: { ...draft.condition, value: e.target.value === "" ? null : Number(e.target.value) } })}
+                error={invalidValue}
+                sx={{ flex: 1 }}
+              />
+            )}
+          </Box>
+          <Typography variant="caption" color="text.secondary" sx={{ mt: -1 }}>
+            {draft.condition.type === "below_policy"
+              ? "Uses each student's own required percentage (course, subject type and semester)."
+              : "A student is alerted when they enter the condition, not again while they stay in it."}
+          </Typography>
+
+          {/* Schedule */}
+          <Box sx={{ display: "flex", gap: 2 }}>
+            <TextField
+              select
+              label="Check"
+              size="small"
+              value={draft.schedule.frequency}
+              onChange={(e) => updateSchedule({ frequency: e.target.value })}
+              sx={{ flex: 2 }}
+            >
+              {ALERT_FREQUENCIES.map((frequency) => (
+                <MenuItem key={frequency.key} value={frequency.key}>{frequency.label}</MenuItem>
+              ))}
+            </TextField>
+            {draft.schedule.frequency === "weekly" && (
+              <TextField
+                select
+                label="On"
+                size="small"
+                value={draft.schedule.weekday}
+                onChange={(e) => updateSchedule({ weekday: Number(e.target.value) })}
+                sx={{ flex: 2 }}
+              >
+                {WEEKDAYS.map((day, index) => (
+                  <MenuItem key={day} value={index}>{day}</MenuItem>
+                ))}
+              </TextField>
+            )}
+            <TextField
+              type="time"
+              label="At"
+              size="small"
+              value={draft.schedule.time}
+              onChange={(e) => e.target.value && updateSchedule({ time: e.target.value })}
+              slotProps={{ inputLabel: { shrink: true } }}
+              sx={{ flex: 1 }}
+            />
+          </Box>
+
+          {/* What happens to the alerts */}
+          <Box>
+            <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 0.5 }}>Warnings</Typography>
+            <ToggleButtonGroup size="small" exclusive value={draft.mode} onChange={(e, mode) => mode && update({ mode })}>
+              {ALERT_MODES.map((mode) => (
+                <ToggleButton key={mode.key} value={mode.key} sx={{ px: 2 }}>{mode.label}</ToggleButton>
+              ))}
+            </ToggleButtonGroup>
+          </Box>
+
+          <Box sx={{ display: "flex", gap: 3, flexWrap: "wrap" }}>
+            <Box>
+              <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 0.5 }}>Send to</Typography>
+              <ToggleButtonGroup
+                size="small"
+                exclusive
+                value={draft.delivery.audience}
+                onChange={(e, audience) => audience && update({ delivery: { ...draft.delivery, audience } })}
+              >
+                {WARNING_AUDIENCES.map(({ key, label }) => (
+                  <ToggleButton key={key} value={key} sx={{ px: 2 }}>{label}</ToggleButton>
+                ))}
+              </ToggleButtonGroup>
+            </Box>
+            <Box>
+              <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 0.5 }}>Channel</Typography>
+              <ToggleButtonGroup
+                size="small"
+                exclusive
+                value={draft.delivery.channel}
+                onChange={(e, channel) => channel && update({ delivery: { ...draft.delivery, channel } })}
+              >
+                {WARNING_CHANNELS.map(({ key, label }) => (
+                  <ToggleButton key={key} value={key} sx={{ px: 2 }}>{label}</ToggleButton>
+                ))}
+              </ToggleButtonGroup>
+            </Box>
+          </Box>
+
+          <TextField
+            select
+            label="Email template"
+            size="small"
+            value={templates.some((template) => template.id === draft.templateId) ? draft.templateId : templates[0].id}
+            onChange={(e) => update({ templateId: e.target.value })}
+          >
+            {templates.map((template) => (
+              <MenuItem key={template.id} value={template.id}>
+                {template.name} (v{getCurrentVersion(template).version})
+              </MenuItem>
+            ))}
+          </TextField>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={invalidValue}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,139 @@
+/**
+ * @file AlertRulesEditor.jsx
+ * @description Settings section listing the teacher's automatic alert rules (utils/alertRules.jsx),
+ * with when each is checked next, and where rules are added, edited, paused and deleted.
+ * Rules are checked while the teacher dashboard is open.
+ * @author Mohd Waris
+ */
+
+import React, { useState } from "react";
+import dayjs from "dayjs";
+import {
+  Box,
+  Paper,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  Button,
+  Chip,
+  Switch,
+  IconButton,
+  Tooltip,
+} from "@mui/material";
+import { Add, EditOutlined, DeleteOutline, NotificationsActive } from "@mui/icons-material";
+import {
+  ALERT_MODES,
+  getAlertRules,
+  saveAlertRule,
+  deleteAlertRule,
+  describeCondition,
+  describeSchedule,
+  getNextScheduledRun,
+  isRuleDue,
+} from "../../../utils/alertRules";
+import { WARNING_AUDIENCES, WARNING_CHANNELS } from "../../../utils/guardianContacts";
+import AlertRuleDialog from "./AlertRuleDialog";
+
+/**
+ * When a rule is checked next.
+ * @param {import("../../../utils/alertRules").AlertRule} rule - Rule.
+ * @returns {string}
+ */
+const describeNextRun = (rule) => {
+  if (!rule.enabled) return "Paused";
+  if (isRuleDue(rule)) return "Next check: when the dashboard is opened";
+  return `Next check: ${getNextScheduledRun(rule.schedule).format("ddd DD MMM, HH:mm")}`;
+};
+
+/**
+ * AlertRulesEditor Component
+ */
+export default function AlertRulesEditor() {
+  const [rules, setRules] = useState(getAlertRules);
+  const [editing, setEditing] = useState(null); // { rule } while the dialog is open (rule null for a new one)
+
+  /**
+   * Saves a rule from the dialog or the pause switch.
+   * @param {import("../../../utils/alertRules").AlertRule} rule - Rule to save.
+   */
+  const handleSave = (rule) => setRules(saveAlertRule(rule));
+
+  /**
+   * Deletes a rule (its alerts waiting for review go with it).
+   * @param {string} id - Rule ID.
+   */
+  const handleDelete = (id) => setRules(deleteAlertRule(id));
+
+  return (
+    <Paper variant="outlined" sx={{ p: 3, borderRadius: 2 }}>
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 0.5 }}>
+        <NotificationsActive color="primary" />
+        <Typography variant="h6">Automatic Alerts</Typography>
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Rules that warn students when they cross a threshold. They are checked on their schedule while the dashboard is
+        open; alerts of rules that ask first wait in the dashboard's review queue.
+      </Typography>
+
+      {rules.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+          No rules yet.
+        </Typography>
+      ) : (
+        <List dense sx={{ border: "1px solid", borderColor: "grey.200", borderRadius: 1, mb: 1 }}>
+          {rules.map((rule) => (
+            <ListItem
+              key={rule.id}
+              divider
+              secondaryAction={
+                <Box sx={{ display: "flex", alignItems: "center" }}>
+                  <Tooltip title={rule.enabled ? "Pause" : "Resume"}>
+                    <Switch size="small" checked={rule.enabled} onChange={(e) => handleSave({ ...rule, enabled: e.target.checked })} />
+                  </Tooltip>
+                  <IconButton size="small" onClick={() => setEditing({ rule })}>
+                    <EditOutlined fontSize="small" />
+                  </IconButton>
+                  <IconButton size="small" color="error" onClick={() => handleDelete(rule.id)}>
+                    <DeleteOutline fontSize="small" />
+                  </IconButton>
+                </Box>
+              }
+              sx={{ pr: 16, opacity: rule.enabled ? 1 : 0.6 }}
+            >
+              <ListItemText
+                primary={
+                  <Box sx={{ display: "flex", alignItems: "center", gap: 1, flexWrap: "wrap" }}>
+                    {rule.name}
+                    <Chip
+                      label={ALERT_MODES.find((mode) => mode.key === rule.mode).label}
+                      size="small"
+                      color={rule.mode === "auto" ? "warning" : "default"}
+                      variant="outlined"
+                    />
+                  </Box>
+                }
+                secondary={[
+                  describeCondition(rule.condition),
+                  describeSchedule(rule.schedule),
+                  `${WARNING_AUDIENCES.find((entry) => entry.key === rule.delivery.audience).label} by ${WARNING_CHANNELS.find((entry) => entry.key === rule.delivery.channel).label}`,
+                  describeNextRun(rule),
+                  rule.lastRunAt ? `Last checked ${dayjs(rule.lastRunAt).format("DD MMM, HH:mm")}` : null,
+                ].filter(Boolean).join(" · ")}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      <Button startIcon={<Add />} onClick={() => setEditing({ rule: null })}>
+        New rule
+      </Button>
+
+      {/* Remounted on every opening so it starts from the rule being edited */}
+      {editing && (
+        <AlertRuleDialog open onClose={() => setEditing(null)} rule={editing.rule} onSave={handleSave} />
+      )}
+    </Paper>
+  );
+}
@@ -0,0 +1,265 @@
+/**
+ * @file EmailTemplateEditor.jsx
+ * @description Settings section in which a teacher writes the attendance warning emails. Templates are
+ * named and versioned (utils/emailTemplates.jsx): every save adds a version, and an earlier version can
+ * be loaded back into the editor. Placeholders are inserted with one click and previewed with sample values.
+ * @author Mohd Waris
+ */
+
+import React, { useState, useRef } from "react";
+import dayjs from "dayjs";
+import {
+  Box,
+  Paper,
+  Typography,
+  Grid,
+  List,
+  ListItemButton,
+  ListItemText,
+  ListItem,
+  TextField,
+  Button,
+  Chip,
+  Tooltip,
+  Alert,
+  Divider,
+} from "@mui/material";
+import { Add, Save, DeleteOutline, History, MailOutline } from "@mui/icons-material";
+import {
+  DEFAULT_TEMPLATE_ID,
+  TEMPLATE_PLACEHOLDERS,
+  SAMPLE_VALUES,
+  getEmailTemplates,
+  getCurrentVersion,
+  saveEmailTemplate,
+  deleteEmailTemplate,
+  renderTemplate,
+  findUnknownPlaceholders,
+} from "../../../utils/emailTemplates";
+
+const EMPTY_DRAFT = { name: "", subject: "", body: "" };
+
+/**
+ * Editable copy of a template's current version.
+ * @param {import("../../../utils/emailTemplates").EmailTemplate} template - Template.
+ * @returns {{name: string, subject: string, body: string}}
+ */
+const toDraft = (template) => {
+  const { subject, body } = getCurrentVersion(template);
+  return { name: template.name, subject, body };
+};
+
+/**
+ * EmailTemplateEditor Component
+ */
+export default function EmailTemplateEditor() {
+  const [templates, setTemplates] = useState(getEmailTemplates);
+  const [selectedId, setSelectedId] = useState(() => templates[0].id); // null while writing a new template
+  const [draft, setDraft] = useState(() => toDraft(templates[0]));
+  const [savedMsg, setSavedMsg] = useState("");
+  const bodyRef = useRef(null);
+
+  const selected = templates.find((template) => template.id === selectedId) || null;
+  const current = selected && getCurrentVersion(selected);
+  const contentChanged = !current || current.subject !== draft.subject || current.body !== draft.body;
+  const isDirty = contentChanged || selected.name !== draft.name;
+  const unknown = findUnknownPlaceholders(`${draft.subject}\n${draft.body}`);
+  const canSave = isDirty && draft.name.trim() && draft.subject.trim() && draft.body.trim();
+
+  // --- Handlers ---
+  /**
+   * Opens a template in the editor.
+   * @param {import("../../../utils/emailTemplates").EmailTemplate} template - Template to edit.
+   */
+  const handleSelect = (template) => {
+    setSelectedId(template.id);
+    setDraft(toDraft(template));
+    setSavedMsg("");
+  };
+
+  const handleNew = () => {
+    setSelectedId(null);
+    setDraft(EMPTY_DRAFT);
+    setSavedMsg("");
+  };
+
+  /**
+   * Inserts a placeholder at the cursor of the body.
+   * @param {string} key - Placeholder key.
+   */
+  const handleInsert = (key) => {
+    const input = bodyRef.current;
+    const token = `{${key}}`;
+    const start = input ? input.selectionStart : draft.body.length;
+    const end = input ? input.selectionEnd : draft.body.length;
+    setDraft((prev) => ({ ...prev, body: prev.body.slice(0, start) + token + prev.body.slice(end) }));
+    // Put the cursor back after the inserted placeholder
+    requestAnimationFrame(() => {
+      if (!input) return;
+      input.focus();
+      input.setSelectionRange(start + token.length, start + token.length);
+    });
+  };
+
+  const handleSave = () => {
+    const { templates: updated, template } = saveEmailTemplate({
+      id: selectedId,
+      name: draft.name.trim(),
+      subject: draft.subject,
+      body: draft.body,
+    });
+    setTemplates(updated);
+    setSelectedId(template.id);
+    setSavedMsg(`Saved "${template.name}" as version ${getCurrentVersion(template).version}.`);
+  };
+
+  const handleDelete = () => {
+    const updated = deleteEmailTemplate(selectedId);
+    setTemplates(updated);
+    handleSelect(updated[0]);
+  };
+
+  /**
+   * Loads an earlier version into the editor; saving it makes it the current version again.
+   * @param {import("../../../utils/emailTemplates").TemplateVersion} version - Version to load.
+   */
+  const handleLoadVersion = (version) => {
+    setDraft((prev) => ({ ...prev, subject: version.subject, body: version.body }));
+    setSavedMsg("");
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 3, borderRadius: 2 }}>
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 0.5 }}>
+        <MailOutline color="primary" />
+        <Typography variant="h6">Warning Email Templates</Typography>
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        The wording of the attendance warnings sent from the dashboard. Pick a template when sending.
+      </Typography>
+
+      <Grid container spacing={3}>
+        {/* Template list */}
+        <Grid size={{ xs: 12, md: 4 }}>
+          <List dense sx={{ border: "1px solid", borderColor: "grey.200", borderRadius: 1, mb: 1 }}>
+            {templates.map((template) => (
+              <ListItemButton key={template.id} selected={template.id === selectedId} onClick={() => handleSelect(template)}>
+                <ListItemText
+                  primary={template.name}
+                  secondary={`Version ${getCurrentVersion(template).version} · ${dayjs(getCurrentVersion(template).savedAt).format("DD MMM YYYY")}`}
+                />
+              </ListItemButton>
+            ))}
+            {selectedId === null && (
+              <ListItemButton selected>
+                <ListItemText primary={draft.name || "New template"} secondary="Not saved yet" />
+              </ListItemButton>
+            )}
+          </List>
+          <Button startIcon={<Add />} onClick={handleNew} disabled={selectedId === null}>
+            New template
+          </Button>
+        </Grid>
+
+        {/* Editor */}
+        <Grid size={{ xs: 12, md: 8 }}>
+          <TextField
+            label="Template name"
+            size="small"
+            fullWidth
+            value={draft.name}
+            onChange={(e) => setDraft((prev) => ({ ...prev, name: e.target.value }))}
+            sx={{ mb: 2 }}
+          />
+          <TextField
+            label="Subject"
+            size="small"
+            fullWidth
+            value={draft.subject}
+            onChange={(e) => setDraft((prev) => ({ ...prev, subject: e.target.value }))}
+            sx={{ mb: 2 }}
+          />
+          <TextField
+            label="Body"
+            fullWidth
+            multiline
+            minRows={8}
+            inputRef={bodyRef}
+            value={draft.body}
+            onChange={(e) => setDraft((prev) => ({ ...prev, body: e.target.value }))}
+          />
+
+          <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, my: 1.5 }}>
+            {TEMPLATE_PLACEHOLDERS.map((placeholder) => (
+              <Tooltip key={placeholder.key} title={placeholder.description}>
+                <Chip label={`{${placeholder.key}}`} size="small" variant="outlined" onClick={() => handleInsert(placeholder.key)} />
+              </Tooltip>
+            ))}
+          </Box>
+
+          {unknown.length > 0 && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              Unknown placeholders will be sent as written: {unknown.map((key) => `{${key}}`).join(", ")}
+            </Alert>
+          )}
+
+          {/* Preview with sample values */}
+          <Typography variant="subtitle2" color="text.secondary" sx={{ mb: 0.5 }}>Preview</Typography>
+          <Box sx={{ p: 2, bgcolor: "grey.50", borderRadius: 2, border: "1px solid #e0e0e0", mb: 2 }}>
+            <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 1 }}>
+              {renderTemplate(draft.subject, SAMPLE_VALUES)}
+            </Typography>
+            <Typography variant="body2" sx={{ whiteSpace: "pre-wrap" }}>
+              {renderTemplate(draft.body, SAMPLE_VALUES)}
+            </Typography>
+          </Box>
+
+          {savedMsg && <Alert severity="success" sx={{ mb: 2 }}>{savedMsg}</Alert>}
+
+          <Box sx={{ display: "flex", gap: 1, flexWrap: "wrap" }}>
+            <Button variant="contained" startIcon={<Save />} onClick={handleSave} disabled={!canSave}>
+              {!selected ? "Create template" : contentChanged ? `Save as version ${current.version + 1}` : "Save name"}
+            </Button>
+            <Button onClick={() => handleSelect(selected || templates[0])} disabled={!isDirty}>
+              Discard changes
+            </Button>
+            {selected && selected.id !== DEFAULT_TEMPLATE_ID && (
+              <Button color="error" startIcon={<DeleteOutline />} onClick={handleDelete} sx={{ ml: "auto" }}>
+                Delete
+              </Button>
+            )}
+          </Box>
+
+          {/* Version history */}
+          {selected && selected.versions.length > 1 && (
+            <Box sx={{ mt: 3 }}>
+              <Divider sx={{ mb: 2 }} />
+              <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 1 }}>
+                <History fontSize="small" color="action" />
+                <Typography variant="subtitle2">Version history</Typography>
+              </Box>
+              <List dense disablePadding>
+                {[...selected.versions].reverse().map((version) => (
+                  <ListItem
+                    key={version.version}
+                    disableGutters
+                    secondaryAction={
+                      version.version !== current.version && (
+                        <Button size="small" onClick={() => handleLoadVersion(version)}>Load</Button>
+                      )
+                    }
+                  >
+                    <ListItemText
+                      primary={`Version ${version.version}${version.version === current.version ? " (current)" : ""}`}
+                      secondary={`${dayjs(version.savedAt).format("DD MMM YYYY, HH:mm")} · ${version.subject}`}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            </Box>
+          )}
+        </Grid>
+      </Grid>
+    </Paper>
+  );
+}
@@ -1,7 +1,7 @@
 /**
  * @file SettingsTeacher.jsx
  * @description Component responsible for rendering the Teacher Settings module.
- * It serves as a container that wraps the "Under Development" placeholder
+ * It renders the settings sections (the warning email templates and the automatic alert rules)
  * within the standard application layout (including the top navigation bar).
  * @author Mohd Waris
  */
@@ -10,14 +10,29 @@ import * as React from "react";
 import {useState } from "react";
 import Box from "@mui/material/Box";
 import CssBaseline from "@mui/material/CssBaseline";
+import Typography from "@mui/material/Typography";
+import { styled } from "@mui/material/styles";
 import TopBar from "../Dashboard/Drawer/TopBar";
-import ModuleUnderDevelopment from "../../ModuleUnderDevelopement";
+import EmailTemplateEditor from "./EmailTemplateEditor";
+import AlertRulesEditor from "./AlertRulesEditor";
+
+/**
+ * Styled component to offset content below the app bar.
+ */
+const DrawerHeader = styled("div")(({ theme }) => ({
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "flex-end",
+  padding: theme.spacing(0, 1),
+  // necessary for content to be below app bar
+  ...theme.mixins.toolbar,
+}));
 
 /**
  * SettingsTeacher Component
  * Main entry point for the Teacher Settings view.
  * Manages the user session state and renders the top navigation bar
- * alongside the main content area (currently a placeholder).
+ * alongside the settings sections.
  * * @param {Object} props - Component properties.
  * @param {Object} [props.user] - Optional user object passed from the parent component.
  * @returns {JSX.Element} The rendered component.
@@ -53,8 +68,17 @@ const SettingsTeacher = (props) => {
       {/* Top Navigation Bar with Drawer controls */}
       <TopBar user={user} open={open} handleDrawerOpen={handleDrawerOpen} />
       
-      {/* Main Content Area - Currently a placeholder for future development */}
-      <ModuleUnderDevelopment />
+      {/* Main Content Area */}
+      <Box component="main" sx={{ flexGrow: 1, p: 3 }}>
+        <DrawerHeader />
+        <Typography variant="h4" sx={{ fontWeight: 600, mb: 3, color: "#003366" }}>
+          Settings
+        </Typography>
+        <EmailTemplateEditor />
+        <Box sx={{ mt: 3 }}>
+          <AlertRulesEditor />
+        </Box>
+      </Box>
     </Box>
   );
 };
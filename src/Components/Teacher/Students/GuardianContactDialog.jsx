@@ -0,0 +1,107 @@
+/**
+ * @file GuardianContactDialog.jsx
+ * @description Dialog in which a teacher adds or corrects a student's guardian contact,
+ * used when attendance warnings are sent to the guardian by email or SMS.
+ * @author Mohd Waris
+ */
+
+import React, { useState } from "react";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Typography,
+  Box,
+  Chip,
+} from "@mui/material";
+
+// Relations offered as one-click suggestions
+const COMMON_RELATIONS = ["Father", "Mother", "Guardian"];
+
+/**
+ * GuardianContactDialog Component
+ * @param {Object} props - Component props.
+ * @param {boolean} props.open - Controls the visibility of the dialog.
+ * @param {Function} props.onClose - Callback to close the dialog.
+ * @param {{name: string, rollNumber: string}} props.student - Student whose guardian is edited.
+ * @param {import("../../../utils/guardianContacts").GuardianContact|null} props.guardian - Current contact, if any.
+ * @param {Function} props.onSave - Called with the contact once the teacher saves.
+ */
+export default function GuardianContactDialog({ open, onClose, student, guardian, onSave }) {
+  // Pre-filled with the current contact (the parent remounts the dialog on every opening)
+  const [contact, setContact] = useState({
+    name: guardian?.name || "",
+    relation: guardian?.relation || "",
+    email: guardian?.email || "",
+    phone: guardian?.phone || "",
+  });
+
+  const update = (field) => (e) => setContact((prev) => ({ ...prev, [field]: e.target.value }));
+  const trimmed = Object.fromEntries(Object.entries(contact).map(([field, value]) => [field, value.trim()]));
+  const invalidEmail = !!trimmed.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmed.email);
+  const invalidPhone = !!trimmed.phone && !/^\+?[\d\s-]{7,15}$/.test(trimmed.phone);
+
+  const handleSave = () => {
+    onSave(trimmed);
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Guardian Contact</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Attendance warnings for {student.name} ({student.rollNumber}) can be sent to this contact.
+        </Typography>
+
+        <Box sx={{ display: "flex", flexDirection: "column", gap: 2 }}>
+          <TextField autoFocus fullWidth label="Name" value={contact.name} onChange={update("name")} />
+          <Box>
+            <TextField fullWidth label="Relation" value={contact.relation} onChange={update("relation")} />
+            <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mt: 1 }}>
+              {COMMON_RELATIONS.map((text) => (
+                <Chip
+                  key={text}
+                  label={text}
+                  size="small"
+                  variant="outlined"
+                  onClick={() => setContact((prev) => ({ ...prev, relation: text }))}
+                />
+              ))}
+            </Box>
+          </Box>
+          <TextField
+            fullWidth
+            type="email"
+            label="Email"
+            value={contact.email}
+            onChange={update("email")}
+            error={invalidEmail}
+            helperText={invalidEmail ? "Enter a valid email address." : "Used for warnings sent by email."}
+          />
+          <TextField
+            fullWidth
+            label="Phone"
+            value={contact.phone}
+            onChange={update("phone")}
+            error={invalidPhone}
+            helperText={invalidPhone ? "Enter a valid phone number." : "Used for warnings sent by SMS."}
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={!trimmed.name || (!trimmed.email && !trimmed.phone) || invalidEmail || invalidPhone}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
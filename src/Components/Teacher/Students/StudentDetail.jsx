@@ -0,0 +1,48 @@
+/**
+ * @file StudentDetail.jsx
+ * @description Layout container for a single student's detail page (/teacher/students/:studentId).
+ * It integrates the top navigation bar (TopBar) and the StudentDetailPage content area,
+ * managing the layout structure and teacher session state.
+ * @author Mohd Waris
+ */
+
+import * as React from "react";
+import { useState } from "react";
+import Box from "@mui/material/Box";
+import CssBaseline from "@mui/material/CssBaseline";
+
+import TopBar from "../Dashboard/Drawer/TopBar";
+import StudentDetailPage from "./StudentDetailPage";
+
+/**
+ * StudentDetail Component
+ * Initializes teacher user state from props or local storage and renders the application shell
+ * (TopBar) wrapping the StudentDetailPage content.
+ * * @param {Object} props - Component properties.
+ * @param {Object} [props.user] - Optional user object. If not provided, it attempts to load from localStorage.
+ */
+const StudentDetail = (props) => {
+  // State to hold current user information (prop first, then localStorage)
+  const [user] = useState(
+    props.user ||
+      (() => {
+        const saved = localStorage.getItem("university_user");
+        return saved ? JSON.parse(saved) : null;
+      })
+  );
+
+  return (
+    <Box sx={{ display: "flex" }}>
+      {/* Normalize CSS for consistent rendering across browsers */}
+      <CssBaseline />
+
+      {/* Top Navigation Bar with Drawer controls */}
+      <TopBar user={user} />
+
+      {/* Main Content Area for the Student's History */}
+      <StudentDetailPage user={user} />
+    </Box>
+  );
+};
+
+export default StudentDetail;
@@ -0,0 +1,462 @@
+/**
+ * @file StudentDetailPage.jsx
+ * @description Full attendance history of one student for the teacher: contact details (and the guardian's,
+ * which can be added or edited), every subject the student shares with the teacher, a month-by-month timeline
+ * with each class's mark, absence streaks and the warning emails already sent. Quick actions send a warning for a subject or export the record.
+ * @author Mohd Waris
+ */
+
+import React, { useState, useMemo } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Chip,
+  Stack,
+  Avatar,
+  Grid,
+  Tooltip,
+  CircularProgress,
+  Alert,
+  Link,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Divider,
+} from "@mui/material";
+import { styled } from "@mui/material/styles";
+import { ArrowBack, Email, Phone, FileDownload, WarningAmber, FamilyRestroom, Edit } from "@mui/icons-material";
+
+import WarningEmailSingle from "../Dashboard/TeacherDashboard/DashboardComponents/Email/WarningEmailSingle";
+import GuardianContactDialog from "./GuardianContactDialog";
+import { useTeacherStudents, useTeacherAttendanceLogs } from "../../../api/teacherQueries";
+import { getStoredUser } from "../../../utils/auth";
+import { buildStudentRecord, formatReportPercentage } from "../../../utils/attendanceReport";
+import { computeAttendanceStats, getStudentStats } from "../../../utils/attendanceStats";
+import { ATTENDANCE_STATUSES, NOT_MARKED_CODE } from "../../../utils/attendanceStatuses";
+import { getAttendanceBand } from "../../../utils/attendanceBands";
+import { getAttendancePolicy, getRosterPolicy, isBelowThreshold } from "../../../utils/attendancePolicy";
+import { getStudentWarnings } from "../../../utils/warningLog";
+import { getGuardian, saveGuardian } from "../../../utils/guardianContacts";
+import { downloadStudentWorkbook } from "../../../utils/attendanceWorkbook";
+
+/**
+ * Styled component to offset content below the app bar.
+ */
+const DrawerHeader = styled("div")(({ theme }) => ({
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "flex-end",
+  padding: theme.spacing(0, 1),
+  // necessary for content to be below app bar
+  ...theme.mixins.toolbar,
+}));
+
+/**
+ * Formats a Date as YYYY-MM-DD in local time.
+ * @param {Date} date - Date to format.
+ * @returns {string}
+ */
+const toDateInput = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+/**
+ * DayMark Component
+ * One class in the timeline: a small square in the status colour, with the date and status on hover.
+ * @param {Object} props - Component props.
+ * @param {string} props.date - Class date (YYYY-MM-DD).
+ * @param {string} props.code - Status code or NOT_MARKED_CODE.
+ */
+const DayMark = ({ date, code }) => {
+  const status = ATTENDANCE_STATUSES.find((s) => s.code === code);
+  const label = status ? status.label : "Not Marked";
+
+  return (
+    <Tooltip title={`${date}: ${label}`}>
+      <Box
+        sx={{
+          width: 22,
+          height: 22,
+          borderRadius: 0.5,
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          fontSize: "0.65rem",
+          fontWeight: 700,
+          bgcolor: status ? status.bgColor : "grey.100",
+          color: status ? status.color : "text.disabled",
+          border: "1px solid",
+          borderColor: status ? status.color : "grey.300",
+        }}
+      >
+        {code === NOT_MARKED_CODE ? "" : code}
+      </Box>
+    </Tooltip>
+  );
+};
+
+/**
+ * StudentDetailPage Component
+ * @param {Object} props - Component props.
+ * @param {Object} props.user - The current teacher user object.
+ */
+export default function StudentDetailPage({ user }) {
+  const { studentId } = useParams();
+  const navigate = useNavigate();
+  const currentUser = user || getStoredUser(); // Fallback to localStorage if user prop is missing
+  const teacherId = currentUser?.contextId;
+  const studentsQuery = useTeacherStudents(teacherId);
+  const logsQuery = useTeacherAttendanceLogs(teacherId);
+
+  // --- Dialog & Export State ---
+  const [studentToWarn, setStudentToWarn] = useState(null);
+  const [editingGuardian, setEditingGuardian] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState("");
+
+  const roster = useMemo(() => studentsQuery.data || [], [studentsQuery.data]);
+  const logs = useMemo(() => logsQuery.data || [], [logsQuery.data]);
+
+  const loading = studentsQuery.isLoading || logsQuery.isLoading;
+  const fetchError = studentsQuery.error || logsQuery.error;
+
+  // --- Student Record ---
+  const record = useMemo(
+    () => buildStudentRecord({ studentId, roster, logs, endDate: toDateInput(new Date()) }),
+    [studentId, roster, logs]
+  );
+  const profile = record[0]?.enrolment;
+
+  // Absence streaks per subject, from the student's own logs
+  const streaks = useMemo(() => {
+    if (!profile) return {};
+    const stats = computeAttendanceStats(logs.filter((log) => log.roll_number === profile.roll_number));
+    return Object.fromEntries(
+      record.map((subject) => [subject.subjectName, getStudentStats(stats, profile.roll_number, subject.subjectName)])
+    );
+  }, [record, profile, logs]);
+
+  // Attendance policy of each subject (course, subject type and semester)
+  const policies = useMemo(
+    () => Object.fromEntries(record.map((subject) => [subject.subjectName, getRosterPolicy(subject.enrolment)])),
+    [record]
+  );
+
+  // Months across every subject, newest first
+  const timeline = useMemo(() => {
+    const months = new Map();
+    record.forEach((subject) => {
+      subject.report.months.forEach((month) => {
+        if (!month.classesHeld) return;
+        if (!months.has(month.key)) months.set(month.key, { key: month.key, label: month.label, subjects: [] });
+        months.get(month.key).subjects.push({
+          subjectName: subject.subjectName,
+          totals: subject.row.monthTotals[month.key],
+          days: month.dates.filter((date) => subject.row.marks[date]).map((date) => ({ date, code: subject.row.marks[date] })),
+        });
+      });
+    });
+    return [...months.values()].sort((a, b) => b.key.localeCompare(a.key));
+  }, [record]);
+
+  // Read on every render so a warning sent from this page shows up once its dialog closes
+  const warnings = profile ? getStudentWarnings(profile.roll_number) : [];
+  // Likewise re-read so an edited guardian contact shows up once its dialog closes
+  const guardian = profile ? getGuardian(profile) : null;
+
+  // --- Overall (all subjects together) ---
+  const overall = record.reduce(
+    (acc, subject) => ({ held: acc.held + subject.row.totals.held, present: acc.present + subject.row.totals.present }),
+    { held: 0, present: 0 }
+  );
+  const overallRate = overall.held ? (overall.present / overall.held) * 100 : 0;
+  const overallPolicy = getAttendancePolicy({ course: profile?.course?.course_name, semester: profile?.current_semester });
+
+  // --- Handlers ---
+  /**
+   * Opens the warning dialog for one subject, with the row shape the dialog expects.
+   * @param {import("../../../utils/attendanceReport").SubjectRecord} subject - Subject record.
+   */
+  const handleWarn = (subject) =>
+    setStudentToWarn({
+      name: profile.student_name,
+      rollNumber: profile.roll_number,
+      subject: subject.subjectName,
+      attendanceRate: subject.row.totals.percentage,
+      attended: subject.row.totals.present,
+      total: subject.row.totals.held,
+      raw: subject.enrolment,
+    });
+
+  const handleExport = async () => {
+    setExporting(true);
+    setExportError("");
+    try {
+      await downloadStudentWorkbook(record, {
+        student: { name: profile.student_name, rollNumber: profile.roll_number, email: profile.email },
+        streaks,
+        meta: { teacherName: currentUser?.name },
+        fileName: `Attendance_${profile.roll_number}_${profile.student_name}.xlsx`.replace(/\s+/g, "_"),
+      });
+    } catch (err) {
+      console.error(err);
+      setExportError("Could not generate the file. Please try again.");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // --- Render ---
+  if (loading) {
+    return (
+      <Box sx={{ display: "flex", justifyContent: "center", alignItems: "center", height: "100vh", flexGrow: 1 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!teacherId || fetchError || !profile) {
+    return (
+      <Box component="main" sx={{ flexGrow: 1, p: 3 }}>
+        <DrawerHeader />
+        <Alert severity="error" action={<Button onClick={() => navigate("/teacher/students")}>Back</Button>}>
+          {!teacherId
+            ? "User context not available. Please log in."
+            : fetchError
+              ? fetchError.message || "Failed to load the student's attendance."
+              : "This student is not enrolled in any of your subjects."}
+        </Alert>
+      </Box>
+    );
+  }
+
+  return (
+    <Box component="main" sx={{ flexGrow: 1, p: 3 }}>
+      <DrawerHeader />
+
+      <Button startIcon={<ArrowBack />} onClick={() => navigate(-1)} sx={{ mb: 2, textTransform: "none" }}>
+        Back
+      </Button>
+
+      {exportError && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setExportError("")}>{exportError}</Alert>}
+
+      {/* --- PROFILE & CONTACT --- */}
+      <Paper sx={{ borderRadius: 3, p: 3, mb: 3, border: "1px solid #e0e0e0", boxShadow: "none" }}>
+        <Box sx={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 3 }}>
+          <Avatar sx={{ bgcolor: "primary.light", color: "primary.dark", width: 64, height: 64, fontSize: "1.5rem" }}>
+            {profile.student_name ? profile.student_name.charAt(0).toUpperCase() : "?"}
+          </Avatar>
+          <Box sx={{ flexGrow: 1 }}>
+            <Typography variant="h5" sx={{ fontWeight: 600, color: "#003366" }}>{profile.student_name}</Typography>
+            <Typography color="text.secondary">{profile.roll_number}</Typography>
+            <Stack direction="row" spacing={1} sx={{ mt: 1 }}>
+              <Chip label={profile.course?.course_name || "N/A"} size="small" variant="outlined" />
+              <Chip label={`Sem ${profile.current_semester}`} size="small" variant="outlined" />
+            </Stack>
+          </Box>
+          <Stack spacing={0.5}>
+            {profile.email && (
+              <Stack direction="row" spacing={1} alignItems="center">
+                <Email fontSize="small" color="action" />
+                <Link href={`mailto:${profile.email}`} underline="hover">{profile.email}</Link>
+              </Stack>
+            )}
+            {profile.phone_number && (
+              <Stack direction="row" spacing={1} alignItems="center">
+                <Phone fontSize="small" color="action" />
+                <Link href={`tel:${profile.phone_number}`} underline="hover">{profile.phone_number}</Link>
+              </Stack>
+            )}
+          </Stack>
+          <Box sx={{ textAlign: "center", px: 2 }}>
+            <Typography variant="h4" sx={{ fontWeight: 700, color: getAttendanceBand(overallRate, overallPolicy).color }}>
+              {formatReportPercentage(overallRate)}
+            </Typography>
+            <Typography variant="caption" color="text.secondary">
+              Overall ({overall.present}/{overall.held} classes)
+            </Typography>
+          </Box>
+          <Button
+            variant="outlined"
+            startIcon={exporting ? <CircularProgress size={16} /> : <FileDownload />}
+            disabled={exporting}
+            onClick={handleExport}
+          >
+            Export Record
+          </Button>
+        </Box>
+
+        {/* Guardian, who can also receive the attendance warnings */}
+        <Divider sx={{ my: 2 }} />
+        <Box sx={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 2 }}>
+          <FamilyRestroom color="action" />
+          {guardian ? (
+            <>
+              <Typography sx={{ fontWeight: 500 }}>
+                {guardian.name}
+                {guardian.relation && <Typography component="span" color="text.secondary"> ({guardian.relation})</Typography>}
+              </Typography>
+              {guardian.email && (
+                <Stack direction="row" spacing={1} alignItems="center">
+                  <Email fontSize="small" color="action" />
+                  <Link href={`mailto:${guardian.email}`} underline="hover">{guardian.email}</Link>
+                </Stack>
+              )}
+              {guardian.phone && (
+                <Stack direction="row" spacing={1} alignItems="center">
+                  <Phone fontSize="small" color="action" />
+                  <Link href={`tel:${guardian.phone}`} underline="hover">{guardian.phone}</Link>
+                </Stack>
+              )}
+            </>
+          ) : (
+            <Typography color="text.secondary">No guardian contact on record.</Typography>
+          )}
+          <Button size="small" startIcon={<Edit />} onClick={() => setEditingGuardian(true)} sx={{ ml: "auto", textTransform: "none" }}>
+            {guardian ? "Edit Guardian" : "Add Guardian"}
+          </Button>
+        </Box>
+      </Paper>
+
+      {/* --- SUBJECTS --- */}
+      <Typography variant="h6" sx={{ fontWeight: 600, mb: 1.5 }}>Subjects</Typography>
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        {record.map((subject) => {
+          const { totals } = subject.row;
+          const streak = streaks[subject.subjectName];
+          const policy = policies[subject.subjectName];
+          return (
+            <Grid key={subject.subjectName} size={{ xs: 12, sm: 6, md: 4 }}>
+              <Paper sx={{ p: 2, borderRadius: 3, border: "1px solid #e0e0e0", boxShadow: "none", height: "100%" }}>
+                <Typography sx={{ fontWeight: 600 }}>{subject.subjectName}</Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {subject.course} / Sem {subject.semester}
+                </Typography>
+                <Box sx={{ display: "flex", alignItems: "baseline", gap: 1, my: 1 }}>
+                  <Typography variant="h5" sx={{ fontWeight: 700, color: getAttendanceBand(totals.percentage, policy).color }}>
+                    {formatReportPercentage(totals.percentage)}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {totals.present} / {totals.held} classes · needs {policy.threshold}%
+                  </Typography>
+                </Box>
+                <Stack direction="row" spacing={1} sx={{ mb: 1.5 }}>
+                  <Chip
+                    size="small"
+                    label={`Current streak: ${streak?.currentStreak || 0}`}
+                    color={streak?.currentStreak ? "error" : "default"}
+                    variant="outlined"
+                  />
+                  <Chip size="small" label={`Longest: ${streak?.longestStreak || 0}`} variant="outlined" />
+                </Stack>
+                <Button
+                  size="small"
+                  variant="outlined"
+                  color="warning"
+                  startIcon={<WarningAmber />}
+                  disabled={totals.held === 0 || !isBelowThreshold(totals.percentage, policy)} // Same rule as the dashboard's Contact button
+                  onClick={() => handleWarn(subject)}
+                  sx={{ borderRadius: "20px", textTransform: "none" }}
+                >
+                  Send Warning
+                </Button>
+              </Paper>
+            </Grid>
+          );
+        })}
+      </Grid>
+
+      <Grid container spacing={3}>
+        {/* --- MONTH-BY-MONTH TIMELINE --- */}
+        <Grid size={{ xs: 12, md: 8 }}>
+          <Paper sx={{ p: 2, borderRadius: 3, border: "1px solid #e0e0e0", boxShadow: "none" }}>
+            <Typography variant="h6" sx={{ fontWeight: 600, mb: 1 }}>Attendance Timeline</Typography>
+            {timeline.length === 0 && (
+              <Typography color="text.secondary" sx={{ py: 3, textAlign: "center" }}>No classes recorded yet.</Typography>
+            )}
+            {timeline.map((month, index) => (
+              <Box key={month.key}>
+                {index > 0 && <Divider sx={{ my: 1.5 }} />}
+                <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 1 }}>{month.label}</Typography>
+                {month.subjects.map((entry) => (
+                  <Box key={entry.subjectName} sx={{ display: "flex", alignItems: "center", gap: 2, mb: 1, flexWrap: "wrap" }}>
+                    <Box sx={{ width: 180 }}>
+                      <Typography variant="body2" noWrap>{entry.subjectName}</Typography>
+                      <Typography variant="caption" sx={{ color: getAttendanceBand(entry.totals.percentage, policies[entry.subjectName]).color, fontWeight: 600 }}>
+                        {entry.totals.present}/{entry.totals.held} ({formatReportPercentage(entry.totals.percentage)})
+                      </Typography>
+                    </Box>
+                    <Box sx={{ display: "flex", gap: 0.5, flexWrap: "wrap", flex: 1 }}>
+                      {entry.days.map((day) => (
+                        <DayMark key={day.date} date={day.date} code={day.code} />
+                      ))}
+                    </Box>
+                  </Box>
+                ))}
+              </Box>
+            ))}
+          </Paper>
+        </Grid>
+
+        {/* --- WARNINGS SENT --- */}
+        <Grid size={{ xs: 12, md: 4 }}>
+          <Paper sx={{ p: 2, borderRadius: 3, border: "1px solid #e0e0e0", boxShadow: "none" }}>
+            <Typography variant="h6" sx={{ fontWeight: 600, mb: 1 }}>Warnings Sent</Typography>
+            {warnings.length === 0 ? (
+              <Typography color="text.secondary" sx={{ py: 3, textAlign: "center" }}>No warning emails sent yet.</Typography>
+            ) : (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: "bold" }}>Sent</TableCell>
+                    <TableCell sx={{ fontWeight: "bold" }}>Subject</TableCell>
+                    <TableCell sx={{ fontWeight: "bold" }} align="right">At</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {warnings.map((warning) => (
+                    <TableRow key={`${warning.sentAt}-${warning.subjectName}`}>
+                      <TableCell>
+                        {new Date(warning.sentAt).toLocaleDateString()}
+                        {warning.mode === "bulk" && (
+                          <Typography variant="caption" color="text.secondary" display="block">Bulk</Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {warning.subjectName}
+                        {warning.template && (
+                          <Typography variant="caption" color="text.secondary" display="block">
+                            {warning.template.name} (v{warning.template.version})
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell align="right">{Math.round(warning.percentage)}%</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </Paper>
+        </Grid>
+      </Grid>
+
+      {/* --- Warning Dialog --- */}
+      <WarningEmailSingle open={!!studentToWarn} onClose={() => setStudentToWarn(null)} student={studentToWarn} />
+
+      {/* --- Guardian Dialog (remounted on every opening so it starts from the saved contact) --- */}
+      {editingGuardian && (
+        <GuardianContactDialog
+          open
+          onClose={() => setEditingGuardian(false)}
+          student={{ name: profile.student_name, rollNumber: profile.roll_number }}
+          guardian={guardian}
+          onSave={(contact) => saveGuardian(profile.roll_number, contact)}
+        />
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,35 @@
+/**
+ * @file StudentLink.jsx
+ * @description Student name rendered as a link to the student's detail page (/teacher/students/:studentId).
+ * Used by every teacher table that lists students, so each row leads to the full history.
+ * @author Mohd Waris
+ */
+
+import React from "react";
+import { Link } from "@mui/material";
+import { Link as RouterLink } from "react-router-dom";
+
+/**
+ * StudentLink Component
+ * Clicks do not propagate, so rows that select or expand on click keep working.
+ * @param {Object} props - Component props.
+ * @param {number|string} props.studentId - Database ID of the student.
+ * @param {React.ReactNode} props.children - Link content (usually the name).
+ * @param {Object} [props.sx] - Extra styles.
+ */
+export default function StudentLink({ studentId, children, sx }) {
+  if (studentId === undefined || studentId === null) return children;
+
+  return (
+    <Link
+      component={RouterLink}
+      to={`/teacher/students/${studentId}`}
+      underline="hover"
+      color="inherit"
+      onClick={(e) => e.stopPropagation()}
+      sx={sx}
+    >
+      {children}
+    </Link>
+  );
+}
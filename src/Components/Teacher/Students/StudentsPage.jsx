@@ -1,12 +1,12 @@
 /**
  * @file StudentsPage.jsx
  * @description Main component for the Teacher's Student Directory. 
- * Fetches and displays a paginated, filterable, and searchable list of all students assigned to the teacher.
+ * Displays a paginated, filterable, and searchable list of all students assigned to the teacher.
  * Includes visual indicators for attendance performance and student status.
  * @author Mohd Waris
  */
 
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useMemo } from 'react';
 import {
   Box,
   Typography,
@@ -38,26 +38,30 @@ import {
   EditOutlined,
   MoreVert,
 } from '@mui/icons-material';
-import { API_URL } from "../../../config";
+import { useTeacherStudents } from "../../../api/teacherQueries";
+import { getStoredUser } from "../../../utils/auth";
+import StudentLink from "./StudentLink";
+import { getRosterPolicy } from "../../../utils/attendancePolicy";
 
 /**
  * PerformanceChip Component
  * Renders a chip indicating student attendance performance status based on percentage value.
  * @param {Object} props - Component props.
  * @param {number} props.attendance - The student's attendance percentage.
+ * @param {import("../../../utils/attendancePolicy").AttendancePolicy} props.policy - Policy of the student's class.
  */
-const PerformanceChip = ({ attendance }) => {
+const PerformanceChip = ({ attendance, policy }) => {
   const theme = useTheme();
   let color = 'primary';
   let label = 'Good';
 
-  if (attendance >= 90) {
+  if (attendance >= policy.excellent) {
     color = 'success';
     label = 'Excellent';
-  } else if (attendance < 75) {
+  } else if (attendance < policy.threshold) {
     color = 'error';
     label = 'Low Attendance';
-  } else if (attendance < 80) {
+  } else if (attendance < policy.safe) {
     color = 'warning';
     label = 'Needs Improvement';
   }
@@ -103,14 +107,14 @@ const StatusChip = ({ status }) => {
 
 /**
  * StudentList Component (renamed to StudentList for internal use, exported as default function)
- * Fetches and manages the list of students, handles filtering, selection, and pagination.
+ * Reads the cached list of students, handles filtering, selection, and pagination.
  * @param {Object} props - Component props.
  * @param {Object} props.user - The current teacher user object.
  */
 export default function StudentList({ user }) {
-  const [students, setStudents] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const currentUser = user || getStoredUser(); // Fallback to localStorage if user prop is missing
+  const teacherId = currentUser?.contextId;
+  const studentsQuery = useTeacherStudents(teacherId);
   
   // Filter State
   const [searchQuery, setSearchQuery] = useState('');
@@ -123,71 +127,29 @@ export default function StudentList({ user }) {
   const [rowsPerPage, setRowsPerPage] = useState(10);
   const [selected, setSelected] = useState([]);
 
-  // --- Data Fetching ---
+  // --- Data Mapping ---
   /**
-   * Effect hook to fetch the list of students associated with the current teacher.
+   * Maps the cached roster (shared with the dashboard and attendance pages) to the table format.
    */
-  useEffect(() => {
-    const fetchData = async () => {
-      let currentUser = user;
-      // Fallback to localStorage if user prop is missing
-      if (!currentUser) {
-        const storedUser = localStorage.getItem("university_user");
-        if (storedUser) currentUser = JSON.parse(storedUser);
-      }
+  const students = useMemo(() => (studentsQuery.data || []).map((item) => ({
+      id: item.id, // Internal DB ID
+      rollNumber: item.roll_number,
+      name: item.student_name,
+      email: item.email,
+      phone: item.phone_number,
+      course: item.course?.course_name || "N/A",
+      subject: item.subject_name || "N/A",
+      semester: item.current_semester, // NEW: Map semester
+      attendance: item.attendance_percentage || 0, // Exact attendance percentage, rounded only for display
+      policy: getRosterPolicy(item), // Thresholds of the student's class
+      status: "Active", // Hardcoded active status
+      avatar: item.student_name ? item.student_name.charAt(0).toUpperCase() : '?',
+  })), [studentsQuery.data]);
 
-      if (!currentUser?.contextId) {
-          setError("User context not available. Cannot fetch student list.");
-          setLoading(false);
-          return;
-      }
-
-      const teacherId = currentUser.contextId;
-      // const baseUrl = "http://127.0.0.1:8000/api";
-      const token = localStorage.getItem("university_token");
-
-      setLoading(true);
-      
-      try {
-        if (!token) throw new Error("No authentication token found.");
-
-        const response = await fetch(`${API_URL}/teachers/${teacherId}/students/`, {
-            method: 'GET',
-            headers: { 
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}` 
-            }
-        });
-
-        if (!response.ok) throw new Error("Failed to fetch students");
-        const data = await response.json();
-
-        // Map API Data to Table Format
-        const mappedData = data.map((item) => ({
-            id: item.id, // Internal DB ID
-            rollNumber: item.roll_number,
-            name: item.student_name,
-            email: item.email,
-            phone: item.phone_number,
-            course: item.course?.course_name || "N/A",
-            subject: item.subject_name || "N/A",
-            semester: item.current_semester, // NEW: Map semester
-            attendance: Math.round(item.attendance_percentage || 0), // Attendance percentage
-            status: "Active", // Hardcoded active status
-            avatar: item.student_name ? item.student_name.charAt(0).toUpperCase() : '?',
-        }));
-
-        setStudents(mappedData);
-      } catch (err) {
-        console.error("Error fetching students:", err);
-        setError(err.message || "Failed to load student list.");
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchData();
-  }, [user]);
+  const loading = studentsQuery.isLoading;
+  const error = !teacherId
+    ? "User context not available. Cannot fetch student list."
+    : studentsQuery.error && (studentsQuery.error.message || "Failed to load student list.");
 
   // --- Filtering Logic ---
   const filteredStudents = useMemo(() => {
@@ -388,7 +350,9 @@ export default function StudentList({ user }) {
                                 {student.avatar}
                             </Avatar>
                             <Box>
-                                <Typography sx={{ fontWeight: 600, fontSize: '0.9rem' }}>{student.name}</Typography>
+                                <Typography sx={{ fontWeight: 600, fontSize: '0.9rem' }}>
+                                    <StudentLink studentId={student.id}>{student.name}</StudentLink>
+                                </Typography>
                                 <Typography variant="caption" color="text.secondary">{student.rollNumber}</Typography>
                             </Box>
                         </Box>
@@ -407,10 +371,10 @@ export default function StudentList({ user }) {
                             <Typography variant="body2" sx={{fontSize: '0.85rem'}}>{student.subject}</Typography>
                         </TableCell>
                         <TableCell>
-                        <Typography sx={{ fontWeight: 600 }}>{student.attendance}%</Typography>
+                        <Typography sx={{ fontWeight: 600 }}>{Math.round(student.attendance)}%</Typography>
                         </TableCell>
                         <TableCell>
-                        <PerformanceChip attendance={student.attendance} />
+                        <PerformanceChip attendance={student.attendance} policy={student.policy} />
                         </TableCell>
                         <TableCell>
                             <StatusChip status={student.status} />
@@ -0,0 +1,115 @@
+/**
+ * @file alertAutomation.jsx
+ * @description Runs the teacher's automatic alert rules (utils/alertRules.jsx) and sends their warnings.
+ * The dashboard calls runDueAlertRules when it loads and every minute while it is open: rules whose
+ * scheduled time has come are checked, alerts of "ask me first" rules wait in the review queue, and
+ * those of automatic rules are sent at once, through the same notification provider, email templates
+ * and warning log as the warning dialogs. Automatic sends skip students inside the warning cooldown;
+ * a failed send is left in the review queue with its reason.
+ * @author Mohd Waris
+ */
+
+import { sendWarnings } from "./notificationProviders";
+import { DELIVERY_STATUS } from "./warningDelivery";
+import { getAlertRules, saveAlertRules, evaluateAlertRules, addAlerts, updateAlerts } from "../utils/alertRules";
+import { getEmailTemplates, buildWarningRequest } from "../utils/emailTemplates";
+import { logWarningsSent, splitByCooldown, getWarningCooldown, formatWarningAge } from "../utils/warningLog";
+import { getStatsKey } from "../utils/attendanceStats";
+import { getStoredUser } from "../utils/auth";
+
+/** @type {number} How often (ms) the open dashboard checks for due rules. */
+export const ALERT_CHECK_INTERVAL = 60 * 1000;
+
+/**
+ * Sends the warnings of some alerts, rule by rule (each with its own template, recipients and channel).
+ * Sent alerts are resolved and logged; failed ones stay pending with the reason.
+ * @param {import("../utils/alertRules").AlertQueueEntry[]} alerts - Alerts to send.
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.students] - Current dashboard rows; used instead of the rows saved with the alerts.
+ * @param {boolean} [options.auto] - Whether the alerts are sent without approval.
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+export const sendAlerts = async (alerts, { students = [], auto = false } = {}) => {
+  const rules = getAlertRules();
+  const templates = getEmailTemplates();
+  const teacherName = getStoredUser()?.name;
+  const current = new Map(students.map((student) => [getStatsKey(student.rollNumber, student.subject), student]));
+  const resolved = [];
+
+  const ruleIds = [...new Set(alerts.map((alert) => alert.ruleId))];
+  for (const ruleId of ruleIds) {
+    const rule = rules.find((entry) => entry.id === ruleId);
+    const ruleAlerts = alerts.filter((alert) => alert.ruleId === ruleId);
+    if (!rule) {
+      // Rule deleted since: nothing to send with
+      resolved.push(...ruleAlerts.map((alert) => ({ ...alert, error: "The rule no longer exists." })));
+      continue;
+    }
+
+    const template = templates.find((entry) => entry.id === rule.templateId) || templates[0];
+    const targets = ruleAlerts.map((alert) => current.get(alert.key) || alert.student);
+    const outcomes = await sendWarnings(targets.map((student) => buildWarningRequest(student, template, teacherName, rule.delivery)), {
+      audience: rule.delivery.audience,
+    });
+
+    const resolvedAt = new Date().toISOString();
+    ruleAlerts.forEach((alert, index) => {
+      const failed = outcomes[index].status === DELIVERY_STATUS.FAILED;
+      resolved.push(failed
+        ? { ...alert, error: outcomes[index].error }
+        : { ...alert, status: "sent", auto, resolvedAt, error: null });
+    });
+    const accepted = targets.filter((_, index) => outcomes[index].status !== DELIVERY_STATUS.FAILED);
+    if (accepted.length) logWarningsSent(accepted, "alert", { template, teacherName, delivery: rule.delivery });
+  }
+
+  updateAlerts(resolved);
+  const sent = resolved.filter((alert) => alert.status === "sent").length;
+  return { sent, failed: resolved.length - sent };
+};
+
+/**
+ * Marks alerts as skipped: no warning is sent.
+ * @param {import("../utils/alertRules").AlertQueueEntry[]} alerts - Alerts to skip.
+ */
+export const skipAlerts = (alerts) => {
+  const resolvedAt = new Date().toISOString();
+  updateAlerts(alerts.map((alert) => ({ ...alert, status: "skipped", resolvedAt, error: null })));
+};
+
+/**
+ * Checks the rules that are due and handles their alerts.
+ * @param {Array<Object>} students - Dashboard student rows.
+ * @param {Date} [now] - Current time.
+ * @returns {Promise<{queued: number, sent: number, failed: number, skipped: number}|null>} Null when no rule was due.
+ */
+export const runDueAlertRules = async (students, now = new Date()) => {
+  const rules = getAlertRules();
+  const { rules: checked, alerts } = evaluateAlertRules(rules, students, now);
+  if (checked.every((rule, index) => rule === rules[index])) return null;
+
+  // Recorded before sending, so a second check meanwhile finds nothing due
+  saveAlertRules(checked);
+
+  const autoRuleIds = new Set(checked.filter((rule) => rule.mode === "auto").map((rule) => rule.id));
+  const forReview = alerts.filter((alert) => !autoRuleIds.has(alert.ruleId));
+  const automatic = alerts.filter((alert) => autoRuleIds.has(alert.ruleId));
+  addAlerts(forReview);
+
+  // Automatic sends respect the cooldown, like Warn All
+  const { coolingDown } = splitByCooldown(automatic.map((alert) => alert.student), getWarningCooldown());
+  const lastWarned = new Map(coolingDown.map(({ student, last }) => [student, last]));
+  skipAlerts(
+    automatic
+      .filter((alert) => lastWarned.has(alert.student))
+      .map((alert) => ({
+        ...alert,
+        auto: true,
+        reason: `${alert.reason}; already warned ${formatWarningAge(lastWarned.get(alert.student).sentAt, now)}`,
+      }))
+  );
+
+  const toSend = automatic.filter((alert) => !lastWarned.has(alert.student));
+  const { sent, failed } = toSend.length ? await sendAlerts(toSend, { students, auto: true }) : { sent: 0, failed: 0 };
+  return { queued: forReview.length + failed, sent, failed, skipped: coolingDown.length };
+};
@@ -0,0 +1,348 @@
+/**
+ * @file apiClient.jsx
+ * @description Single client for the AttendEase backend. Every data component calls these
+ * functions instead of building its own URLs, headers and error handling. Requests go through
+ * authFetch (token attach + refresh), support per-call timeouts and AbortController cancellation,
+ * and every failure is surfaced as an ApiError with the backend's message normalized from its
+ * `detail` / `message` / `error` / `msg` response shapes.
+ * @author Mohd Waris
+ */
+
+import { API_URL } from "../config";
+import authFetch from "./authFetch";
+
+// Default time (ms) before a request is aborted and reported as timed out
+export const DEFAULT_TIMEOUT = 15000;
+
+// --- Response Types ---
+
+/**
+ * A row of /teachers/{id}/students/ (one per student per subject taught).
+ * @typedef {Object} TeacherStudent
+ * @property {number} id - Database ID of the student.
+ * @property {string} roll_number - Student roll number.
+ * @property {string} student_name - Full name.
+ * @property {string} email - Student email.
+ * @property {string} [phone_number] - Contact number.
+ * @property {string} subject_name - Subject the teacher teaches this student.
+ * @property {{course_name: string}} [course] - Course the student is enrolled in.
+ * @property {number} current_semester - Current semester number.
+ * @property {number} [attendance_percentage] - Attendance percentage in this subject.
+ * @property {string} [guardian_name] - Guardian's name (see utils/guardianContacts.jsx).
+ * @property {string} [guardian_relation] - Guardian's relation to the student.
+ * @property {string} [guardian_email] - Guardian's email.
+ * @property {string} [guardian_phone] - Guardian's phone number.
+ */
+
+/**
+ * A row of /attendance/teacherwise/.
+ * @typedef {Object} AttendanceLog
+ * @property {string} date - Class date (YYYY-MM-DD).
+ * @property {string} status - Attendance status ('Present', 'Absent', 'Late', ... see utils/attendanceStatuses.jsx).
+ * @property {string} roll_number - Student roll number.
+ * @property {string} student_name - Student name.
+ * @property {string} subject_name - Subject name.
+ * @property {string} [created_at] - ISO timestamp of creation.
+ * @property {string} [updated_at] - ISO timestamp of the last change.
+ */
+
+/**
+ * A row of /teachers/me/teacher-subject-ids/.
+ * @typedef {Object} TeacherSubject
+ * @property {number} ts_id - Teacher-subject mapping ID used when marking attendance.
+ * @property {string} subject_name - Subject name.
+ */
+
+/**
+ * Body of POST /attendance/mark/.
+ * @typedef {Object} MarkAttendancePayload
+ * @property {number} ts_id - Teacher-subject mapping ID.
+ * @property {string} attendance_date - Class date (YYYY-MM-DD).
+ * @property {number[]} present - Database IDs of present students.
+ * @property {number[]} absent - Database IDs of absent students.
+ * @property {number[]} [late] - Database IDs per additional status, keyed by the status's payloadKey
+ * (late, excused, medical_leave, on_duty); only sent when used.
+ */
+
+/**
+ * Body of a warning email (one student of POST /send-bulk-attendance-warning/).
+ * Built by utils/emailTemplates.jsx from the roster row.
+ * @typedef {TeacherStudent & Object} WarningRequest
+ * @property {number} required_percentage - Required percentage of the student's attendance policy.
+ * @property {{id: string, name: string, version: number, subject: string, body: string}} template - Template chosen by the teacher.
+ * @property {string} email_subject - Subject rendered for the student.
+ * @property {string} email_body - Body rendered for the student.
+ * @property {string} channel - 'email' or 'sms'.
+ * @property {Array<{type: string, name: string, address: string}>} recipients - Student and/or guardian,
+ * with the email address or phone number for the channel.
+ * @property {string} [sms_body] - Short text sent instead of the email on the SMS channel.
+ */
+
+/**
+ * Per-recipient outcome the bulk warning endpoint may return, as { results: [...] } or a bare array
+ * (see warningDelivery.jsx; recipients without a result count as queued).
+ * @typedef {Object} BulkWarningResult
+ * @property {string} roll_number - Student roll number.
+ * @property {string} [subject_name] - Subject of the warning.
+ * @property {string} status - 'queued', 'sent' or 'failed'.
+ * @property {string} [error] - Reason of a failure (e.g. an invalid address).
+ */
+
+/**
+ * A row of /students/me/subjects-attendance/.
+ * @typedef {Object} SubjectAttendance
+ * @property {number} subject_id - Subject ID.
+ * @property {string} subject_name - Subject name.
+ * @property {string} subject_code - Subject code.
+ * @property {string} teacher_name - Teacher of the subject.
+ * @property {number} attended_classes - Classes attended.
+ * @property {number} total_classes - Classes held.
+ * @property {number} credits - Subject credits.
+ */
+
+/**
+ * Options accepted by every client function.
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Signal to cancel the request (e.g. on unmount).
+ * @property {number} [timeout] - Milliseconds before the request is aborted; defaults to DEFAULT_TIMEOUT.
+ */
+
+// --- Errors ---
+
+/**
+ * Error type thrown by every client function.
+ * @property {number} status - HTTP status (0 for network failures and timeouts).
+ * @property {string} code - 'http', 'network' or 'timeout'.
+ * @property {*} data - Parsed response body, if any.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = "http", data = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Extracts a human readable message from the backend's various error shapes.
+ * Handles { detail }, { message }, { error }, { msg } and DRF-style field errors ({ field: ["..."] }).
+ * @param {*} data - Parsed error body.
+ * @param {string} fallback - Message used when nothing readable is found.
+ * @returns {string} The normalized error message.
+ */
+export const extractErrorMessage = (data, fallback) => {
+  if (!data) return fallback;
+  if (typeof data === "string") return data;
+
+  const direct = data.detail || data.message || data.error || data.msg;
+  if (typeof direct === "string") return direct;
+  if (Array.isArray(direct) && direct.length > 0) return String(direct[0]);
+
+  // DRF validation errors: { field: ["msg"], non_field_errors: ["msg"] }
+  const firstField = Object.values(data).find((v) => Array.isArray(v) && v.length > 0);
+  if (firstField) return String(firstField[0]);
+
+  return fallback;
+};
+
+/**
+ * Checks whether an error came from a caller-initiated cancellation.
+ * Components use this to ignore errors from requests aborted on unmount.
+ * @param {Error} err - Any thrown error.
+ * @returns {boolean} True for aborts that were not timeouts.
+ */
+export const isAbortError = (err) => err?.name === "AbortError";
+
+// --- Core Request ---
+
+/**
+ * Performs an authenticated JSON request against API_URL.
+ * @param {string} path - Path below API_URL (e.g. '/attendance/mark/').
+ * @param {Object} [config] - Request configuration.
+ * @param {string} [config.method='GET'] - HTTP method.
+ * @param {*} [config.body] - Body, serialized as JSON.
+ * @param {string} [config.fallbackMessage] - Message used when the backend gives none.
+ * @param {AbortSignal} [config.signal] - Caller cancellation signal.
+ * @param {number} [config.timeout] - Timeout in milliseconds.
+ * @returns {Promise<*>} The parsed JSON body (or null for empty responses).
+ * @throws {ApiError|DOMException} ApiError on failure; the AbortError itself when the caller cancelled.
+ */
+export async function request(path, {
+  method = "GET",
+  body,
+  fallbackMessage = "Request failed. Please try again.",
+  signal,
+  timeout = DEFAULT_TIMEOUT,
+} = {}) {
+  // Combine the caller's signal with our own timeout
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const onCallerAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener("abort", onCallerAbort, { once: true });
+  }
+
+  try {
+    const response = await authFetch(`${API_URL}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    });
+
+    // Parse defensively: error pages and 204s are not JSON
+    const text = await response.text();
+    let data = null;
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch {
+        data = text;
+      }
+    }
+
+    if (!response.ok) {
+      throw new ApiError(extractErrorMessage(data, fallbackMessage), {
+        status: response.status,
+        data,
+      });
+    }
+    return data;
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+    if (isAbortError(err)) {
+      if (timedOut) {
+        throw new ApiError("The server took too long to respond.", { code: "timeout" });
+      }
+      throw err;
+    }
+    if (err instanceof TypeError) {
+      throw new ApiError("Unable to connect to server.", { code: "network" });
+    }
+    throw new ApiError(err.message || fallbackMessage);
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", onCallerAbort);
+  }
+}
+
+// --- Teacher Endpoints ---
+
+/**
+ * Fetches every student (per subject) taught by the teacher.
+ * @param {number} teacherId - The teacher's context ID.
+ * @param {RequestOptions} [options]
+ * @returns {Promise<TeacherStudent[]>}
+ */
+export const getTeacherStudents = (teacherId, options) =>
+  request(`/teachers/${teacherId}/students/`, {
+    ...options,
+    fallbackMessage: "Failed to fetch students",
+  });
+
+/**
+ * Fetches the full attendance history of the logged-in teacher's subjects.
+ * @param {RequestOptions} [options]
+ * @returns {Promise<AttendanceLog[]>}
+ */
+export const getTeacherAttendanceLogs = (options) =>
+  request("/attendance/teacherwise/", {
+    ...options,
+    fallbackMessage: "Failed to fetch attendance logs",
+  });
+
+/**
+ * Fetches the logged-in teacher's subject mappings (ts_id per subject).
+ * @param {RequestOptions} [options]
+ * @returns {Promise<TeacherSubject[]>}
+ */
+export const getTeacherSubjects = (options) =>
+  request("/teachers/me/teacher-subject-ids/", {
+    ...options,
+    fallbackMessage: "Failed to fetch subjects",
+  });
+
+/**
+ * Saves attendance for one subject and date.
+ * @param {MarkAttendancePayload} payload
+ * @param {RequestOptions} [options]
+ * @returns {Promise<*>}
+ */
+export const markAttendance = (payload, options) =>
+  request("/attendance/mark/", {
+    ...options,
+    method: "POST",
+    body: payload,
+    fallbackMessage: "Failed to save attendance",
+  });
+
+/**
+ * Sends an attendance warning email to a single student.
+ * @param {WarningRequest} student - The raw student row as returned by getTeacherStudents, with the email to send.
+ * @param {RequestOptions} [options]
+ * @returns {Promise<*>}
+ */
+export const sendAttendanceWarning = (student, options) =>
+  request("/send-attendance-warning/", {
+    ...options,
+    method: "POST",
+    body: student,
+    fallbackMessage: "Failed to send warning email.",
+  });
+
+/**
+ * Sends attendance warning emails to several students at once.
+ * @param {WarningRequest[]} students - Raw student rows, each with the email to send.
+ * @param {RequestOptions} [options]
+ * @returns {Promise<*>}
+ */
+export const sendBulkAttendanceWarning = (students, options) =>
+  request("/send-bulk-attendance-warning/", {
+    ...options,
+    method: "POST",
+    body: students,
+    fallbackMessage: "Failed to send bulk warning emails.",
+  });
+
+// --- Student Endpoints ---
+
+/**
+ * Fetches the logged-in student's profile.
+ * @param {RequestOptions} [options]
+ * @returns {Promise<{current_semester: number}>}
+ */
+export const getStudentProfile = (options) =>
+  request("/studentProfile/", {
+    ...options,
+    fallbackMessage: "Failed to fetch profile",
+  });
+
+/**
+ * Fetches the logged-in student's attendance summary per subject.
+ * @param {RequestOptions} [options]
+ * @returns {Promise<SubjectAttendance[]>}
+ */
+export const getMySubjectsAttendance = (options) =>
+  request("/students/me/subjects-attendance/", {
+    ...options,
+    fallbackMessage: "Failed to fetch attendance data",
+  });
+
+/**
+ * Fetches the logged-in student's daily attendance records for one subject.
+ * @param {number} subjectId - Subject ID.
+ * @param {RequestOptions} [options]
+ * @returns {Promise<{date: string, status: string}[]>}
+ */
+export const getMyAttendance = (subjectId, options) =>
+  request(`/students/me/attendance/?subject_id=${encodeURIComponent(subjectId)}`, {
+    ...options,
+    fallbackMessage: "Failed to fetch attendance logs",
+  });
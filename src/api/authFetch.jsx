@@ -0,0 +1,126 @@
+/**
+ * @file authFetch.jsx
+ * @description Authenticated wrapper around window.fetch used by every portal API call.
+ * Attaches the stored access token, transparently refreshes it with the stored refresh token
+ * when the backend answers 401 (sharing a single refresh between parallel requests), retries
+ * the original request once, and ends the session only when the refresh itself fails.
+ * @author Mohd Waris
+ */
+
+import { API_URL } from "../config";
+import {
+  TOKEN_KEY,
+  REFRESH_TOKEN_KEY,
+  clearSession,
+  isTokenExpired,
+} from "../utils/auth";
+
+const BASE_PATH = import.meta.env.VITE_BASE_PATH || "/";
+
+// The in-flight refresh request; shared so parallel 401s trigger only one refresh
+let refreshPromise = null;
+
+/**
+ * Exchanges the stored refresh token for a new access token.
+ * Concurrent callers receive the same pending promise.
+ * @returns {Promise<string>} The new access token.
+ * @throws {Error} If no usable refresh token exists or the backend rejects it.
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+      if (!refreshToken || isTokenExpired(refreshToken)) {
+        throw new Error("No valid refresh token found.");
+      }
+
+      const response = await fetch(`${API_URL}/token/refresh/`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refresh: refreshToken }),
+      });
+      if (!response.ok) throw new Error("Failed to refresh session.");
+
+      const data = await response.json();
+      if (!data.access) throw new Error("Refresh response did not contain an access token.");
+
+      localStorage.setItem(TOKEN_KEY, data.access);
+      // Backends with refresh-token rotation send a new refresh token as well
+      if (data.refresh) localStorage.setItem(REFRESH_TOKEN_KEY, data.refresh);
+      return data.access;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Decides what a failed refresh means for the session.
+ * A network failure (fetch rejects with a TypeError) keeps the session so the call can be
+ * retried once connectivity returns; a rejected or missing refresh token logs the user out.
+ * @param {Error} err - The error thrown by refreshAccessToken.
+ * @throws {Error} Always; either the original network error or a session-expired error.
+ */
+const handleRefreshFailure = (err) => {
+  if (err instanceof TypeError) throw err;
+
+  clearSession();
+  window.location.replace(BASE_PATH);
+  throw new Error("Your session has expired. Please log in again.");
+};
+
+/**
+ * Performs a fetch with the Authorization header attached.
+ * @param {string} url - Request URL.
+ * @param {Object} options - Fetch options.
+ * @param {string} token - Access token to send.
+ * @returns {Promise<Response>} The raw response.
+ */
+const fetchWithToken = (url, options, token) =>
+  fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      Authorization: `Bearer ${token}`,
+    },
+  });
+
+/**
+ * Fetch replacement for authenticated API calls.
+ * Behaves like fetch (resolves with the Response, including non-2xx ones) but handles
+ * access-token expiry: the token is refreshed once and the request retried before giving up.
+ * @param {string} url - Request URL.
+ * @param {Object} [options={}] - Standard fetch options (method, headers, body, signal, ...).
+ * @returns {Promise<Response>} The response of the (possibly retried) request.
+ * @throws {Error} If the session cannot be refreshed; the user is logged out in that case.
+ */
+export default async function authFetch(url, options = {}) {
+  let token = localStorage.getItem(TOKEN_KEY);
+
+  // Skip the guaranteed 401 when we already know the access token is stale
+  if (isTokenExpired(token)) {
+    try {
+      token = await refreshAccessToken();
+    } catch (err) {
+      handleRefreshFailure(err);
+    }
+  }
+
+  const response = await fetchWithToken(url, options, token);
+  if (response.status !== 401) return response;
+
+  // Another request may have refreshed the token while this one was in flight
+  const currentToken = localStorage.getItem(TOKEN_KEY);
+  if (currentToken && currentToken !== token) {
+    return fetchWithToken(url, options, currentToken);
+  }
+
+  let newToken;
+  try {
+    newToken = await refreshAccessToken();
+  } catch (err) {
+    handleRefreshFailure(err);
+  }
+  return fetchWithToken(url, options, newToken);
+}
@@ -0,0 +1,208 @@
+/**
+ * @file checkInService.jsx
+ * @description QR self check-in sessions. A teacher opens a session for one subject and date; the
+ * session issues short-lived tokens that are rotated into a QR code, and students who scan it are
+ * recorded as checked in. When the teacher closes the session the check-ins are saved through the
+ * normal attendance marking flow.
+ *
+ * This is the local development stand-in for the check-in endpoints: sessions live in localStorage,
+ * so teacher and student must use the same browser (e.g. two tabs). Every function is async and fails
+ * with an ApiError, so a backend-backed version can replace this module without touching the UI.
+ * @author Mohd Waris
+ */
+
+import { ApiError } from "./apiClient";
+
+const SESSIONS_KEY = "university_checkin_sessions";
+const BASE_PATH = import.meta.env.VITE_BASE_PATH || "/";
+
+// How often the QR code changes (ms)
+export const TOKEN_ROTATION_MS = 20 * 1000;
+// Extra validity after rotation so a scan made just before the code changed still counts
+const TOKEN_GRACE_MS = 10 * 1000;
+// Sessions left open longer than this stop accepting check-ins
+const SESSION_MAX_AGE_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} CheckIn
+ * @property {string} rollNumber - Student roll number.
+ * @property {number} [studentId] - Student context ID.
+ * @property {string} name - Student name.
+ * @property {string} checkedInAt - ISO timestamp.
+ */
+
+/**
+ * @typedef {Object} CheckInSession
+ * @property {string} id - Session ID.
+ * @property {number} teacherId - Teacher context ID.
+ * @property {number} tsId - Teacher-subject mapping ID.
+ * @property {string} subjectName - Subject name.
+ * @property {string} date - Class date (YYYY-MM-DD).
+ * @property {string} status - 'open' or 'closed'.
+ * @property {string} startedAt - ISO timestamp.
+ * @property {CheckIn[]} checkIns - Students checked in so far.
+ */
+
+// --- Local Storage Helpers ---
+
+/**
+ * Reads every stored session.
+ * @returns {Object<string, Object>} Sessions keyed by ID.
+ */
+const readSessions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSIONS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Persists every session, dropping ones older than a day.
+ * @param {Object<string, Object>} sessions - Sessions keyed by ID.
+ */
+const writeSessions = (sessions) => {
+  const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+  const kept = Object.fromEntries(
+    Object.entries(sessions).filter(([, s]) => Date.parse(s.startedAt) > cutoff)
+  );
+  localStorage.setItem(SESSIONS_KEY, JSON.stringify(kept));
+};
+
+/**
+ * Generates a random hex identifier.
+ * @param {number} [bytes=16] - Number of random bytes.
+ * @returns {string}
+ */
+const randomId = (bytes = 16) =>
+  Array.from(crypto.getRandomValues(new Uint8Array(bytes)), (b) => b.toString(16).padStart(2, "0")).join("");
+
+/**
+ * Loads a session or fails like the backend would.
+ * @param {Object<string, Object>} sessions - Sessions keyed by ID.
+ * @param {string} sessionId - Session ID.
+ * @returns {Object} The stored session.
+ * @throws {ApiError} 404 if it does not exist.
+ */
+const findSession = (sessions, sessionId) => {
+  const session = sessions[sessionId];
+  if (!session) throw new ApiError("Check-in session not found.", { status: 404 });
+  return session;
+};
+
+/**
+ * Strips the token list from a stored session.
+ * @param {Object} session - Stored session.
+ * @returns {CheckInSession}
+ */
+const toPublicSession = (stored) => {
+  const { tokens: _tokens, ...session } = stored;
+  return session;
+};
+
+// --- Teacher Side ---
+
+/**
+ * Opens a check-in session for a class.
+ * @param {{teacherId: number, tsId: number, subjectName: string, date: string}} details - The class.
+ * @returns {Promise<CheckInSession>}
+ */
+export const startCheckInSession = async ({ teacherId, tsId, subjectName, date }) => {
+  const sessions = readSessions();
+  const session = {
+    id: randomId(),
+    teacherId,
+    tsId,
+    subjectName,
+    date,
+    status: "open",
+    startedAt: new Date().toISOString(),
+    tokens: [],
+    checkIns: [],
+  };
+  sessions[session.id] = session;
+  writeSessions(sessions);
+  return toPublicSession(session);
+};
+
+/**
+ * Issues the next rotating token for the QR code. Expired tokens are discarded.
+ * @param {string} sessionId - Session ID.
+ * @returns {Promise<{token: string, rotatesAt: number}>} The token and when the next one is due.
+ */
+export const issueCheckInToken = async (sessionId) => {
+  const sessions = readSessions();
+  const session = findSession(sessions, sessionId);
+  const now = Date.now();
+
+  const token = randomId(12);
+  session.tokens = [
+    ...session.tokens.filter((t) => t.expiresAt > now),
+    { value: token, expiresAt: now + TOKEN_ROTATION_MS + TOKEN_GRACE_MS },
+  ];
+  writeSessions(sessions);
+  return { token, rotatesAt: now + TOKEN_ROTATION_MS };
+};
+
+/**
+ * Reads a session and its check-ins (polled by the teacher's live tally).
+ * @param {string} sessionId - Session ID.
+ * @returns {Promise<CheckInSession>}
+ */
+export const getCheckInSession = async (sessionId) =>
+  toPublicSession(findSession(readSessions(), sessionId));
+
+/**
+ * Closes a session so no further check-ins are accepted.
+ * @param {string} sessionId - Session ID.
+ * @returns {Promise<CheckInSession>} The final session with every check-in.
+ */
+export const closeCheckInSession = async (sessionId) => {
+  const sessions = readSessions();
+  const session = findSession(sessions, sessionId);
+  session.status = "closed";
+  session.tokens = [];
+  writeSessions(sessions);
+  return toPublicSession(session);
+};
+
+// --- Student Side ---
+
+/**
+ * Records a student's check-in. Checking in twice is not an error.
+ * @param {{sessionId: string, token: string, student: {rollNumber: string, studentId?: number, name: string}}} details
+ * @returns {Promise<CheckIn>} The student's check-in.
+ * @throws {ApiError} If the session is unknown, closed, or the QR code expired.
+ */
+export const submitCheckIn = async ({ sessionId, token, student }) => {
+  const sessions = readSessions();
+  const session = findSession(sessions, sessionId);
+  const now = Date.now();
+
+  if (session.status !== "open" || now - Date.parse(session.startedAt) > SESSION_MAX_AGE_MS) {
+    throw new ApiError("This check-in session has closed.", { status: 410 });
+  }
+  if (!session.tokens.some((t) => t.value === token && t.expiresAt > now)) {
+    throw new ApiError("This QR code has expired. Scan the code currently on screen.", { status: 400 });
+  }
+
+  const existing = session.checkIns.find((c) => c.rollNumber === student.rollNumber);
+  if (existing) return existing;
+
+  const checkIn = { ...student, checkedInAt: new Date(now).toISOString() };
+  session.checkIns.push(checkIn);
+  writeSessions(sessions);
+  return checkIn;
+};
+
+/**
+ * Builds the URL encoded in the QR code (the student portal's check-in page).
+ * @param {string} sessionId - Session ID.
+ * @param {string} token - Current token.
+ * @returns {string} Absolute URL.
+ */
+export const buildCheckInUrl = (sessionId, token) => {
+  const base = BASE_PATH.endsWith("/") ? BASE_PATH : `${BASE_PATH}/`;
+  const params = new URLSearchParams({ session: sessionId, token });
+  return `${window.location.origin}${base}student/check-in?${params}`;
+};
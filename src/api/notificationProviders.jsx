@@ -0,0 +1,144 @@
+/**
+ * @file notificationProviders.jsx
+ * @description Delivery of attendance warnings by email or SMS through a pluggable provider.
+ * The "api" provider hands the warnings to the backend (which sends to the recipients listed in each
+ * request); the "console" provider only logs them, for development without a mail or SMS gateway.
+ * VITE_NOTIFICATION_PROVIDER picks the provider; others can be added with registerNotificationProvider.
+ * Warnings without any recipient address are failed here instead of being sent.
+ * @author Mohd Waris
+ */
+
+import { NOTIFICATION_PROVIDER } from "../config";
+import { sendAttendanceWarning } from "./apiClient";
+import { DELIVERY_STATUS, sendBulkWarnings } from "./warningDelivery";
+import { describeMissingRecipients } from "../utils/guardianContacts";
+
+/**
+ * A way of delivering warnings.
+ * @typedef {Object} NotificationProvider
+ * @property {string} id - Key used in VITE_NOTIFICATION_PROVIDER.
+ * @property {string} label - Name shown to teachers.
+ * @property {string[]} channels - Channels it can deliver ('email', 'sms').
+ * @property {(request: import("./apiClient").WarningRequest) => Promise<import("./warningDelivery").DeliveryOutcome>} sendOne - Sends one warning.
+ * @property {(requests: import("./apiClient").WarningRequest[], options?: {onProgress?: Function}) => Promise<import("./warningDelivery").DeliveryOutcome[]>} sendMany - Sends several, reporting progress.
+ */
+
+// --- Providers ---
+
+/** @type {NotificationProvider} The backend sends the emails and SMS. */
+const apiProvider = {
+  id: "api",
+  label: "Server",
+  channels: ["email", "sms"],
+  sendOne: async (request) => {
+    const attemptedAt = new Date().toISOString();
+    try {
+      await sendAttendanceWarning(request);
+      return { status: DELIVERY_STATUS.QUEUED, error: null, attemptedAt };
+    } catch (err) {
+      console.error(err);
+      return { status: DELIVERY_STATUS.FAILED, error: err.message || "Error sending warning.", attemptedAt };
+    }
+  },
+  sendMany: sendBulkWarnings,
+};
+
+/** @type {NotificationProvider} Logs the warnings to the browser console instead of sending them. */
+const consoleProvider = {
+  id: "console",
+  label: "Console (development)",
+  channels: ["email", "sms"],
+  sendOne: async (request) => {
+    request.recipients.forEach((recipient) => {
+      const content = request.channel === "sms" ? request.sms_body : `${request.email_subject}\n\n${request.email_body}`;
+      console.info(`[${request.channel}] to ${recipient.name} <${recipient.address}> (${recipient.type})\n${content}`);
+    });
+    return { status: DELIVERY_STATUS.SENT, error: null, attemptedAt: new Date().toISOString() };
+  },
+  sendMany: async (requests, { onProgress } = {}) => {
+    const outcomes = [];
+    for (const request of requests) {
+      outcomes.push(await consoleProvider.sendOne(request));
+      if (onProgress) onProgress([...outcomes]);
+    }
+    return outcomes;
+  },
+};
+
+/** @type {Object<string, NotificationProvider>} Registered providers by ID. */
+const NOTIFICATION_PROVIDERS = {
+  [apiProvider.id]: apiProvider,
+  [consoleProvider.id]: consoleProvider,
+};
+
+/**
+ * Adds (or replaces) a provider, e.g. one talking to an SMS gateway directly.
+ * @param {NotificationProvider} provider - Provider to register.
+ */
+export const registerNotificationProvider = (provider) => {
+  NOTIFICATION_PROVIDERS[provider.id] = provider;
+};
+
+/**
+ * Provider configured by VITE_NOTIFICATION_PROVIDER; an unknown ID falls back to the server.
+ * @returns {NotificationProvider}
+ */
+export const getNotificationProvider = () => {
+  const provider = NOTIFICATION_PROVIDERS[NOTIFICATION_PROVIDER];
+  if (!provider) console.warn(`Unknown notification provider "${NOTIFICATION_PROVIDER}", using the server.`);
+  return provider || apiProvider;
+};
+
+// --- Sending ---
+
+/**
+ * Outcome of a warning nobody can receive.
+ * @param {import("./apiClient").WarningRequest} request - Warning without recipients.
+ * @param {string} audience - Who it was meant for.
+ * @returns {import("./warningDelivery").DeliveryOutcome}
+ */
+const unreachable = (request, audience) => ({
+  status: DELIVERY_STATUS.FAILED,
+  error: describeMissingRecipients({ audience, channel: request.channel }),
+  attemptedAt: new Date().toISOString(),
+});
+
+/**
+ * Sends one warning through the configured provider.
+ * @param {import("./apiClient").WarningRequest} request - Warning built by buildWarningRequest.
+ * @param {string} audience - Who it is meant for (for the reason of a failure).
+ * @returns {Promise<import("./warningDelivery").DeliveryOutcome>}
+ */
+export const sendWarning = (request, audience) =>
+  request.recipients.length ? getNotificationProvider().sendOne(request) : Promise.resolve(unreachable(request, audience));
+
+/**
+ * Sends several warnings through the configured provider. Warnings without recipients fail at once;
+ * the others are sent together.
+ * @param {import("./apiClient").WarningRequest[]} requests - Warnings built by buildWarningRequest.
+ * @param {Object} options
+ * @param {string} options.audience - Who they are meant for (for the reason of a failure).
+ * @param {Function} [options.onProgress] - Called with the outcomes so far, one slot per request (empty until known).
+ * @returns {Promise<import("./warningDelivery").DeliveryOutcome[]>} One outcome per request, in order.
+ */
+export const sendWarnings = async (requests, { audience, onProgress }) => {
+  const outcomes = requests.map((request) => (request.recipients.length ? undefined : unreachable(request, audience)));
+  const reachable = requests.map((_, index) => index).filter((index) => !outcomes[index]);
+
+  // Merges the outcomes of the reachable warnings back into request order
+  const merge = (partial) => {
+    partial.forEach((outcome, position) => {
+      outcomes[reachable[position]] = outcome;
+    });
+    return [...outcomes];
+  };
+
+  if (onProgress) onProgress([...outcomes]);
+  if (reachable.length) {
+    const sent = await getNotificationProvider().sendMany(reachable.map((index) => requests[index]), {
+      onProgress: onProgress && ((partial) => onProgress(merge(partial))),
+    });
+    merge(sent);
+  }
+  return outcomes;
+};
@@ -0,0 +1,354 @@
+/**
+ * @file offlineQueue.jsx
+ * @description Durable outbox for attendance marks. Every save from the attendance register is
+ * written to IndexedDB first and then replayed against /attendance/mark/, so marks survive a
+ * dropped connection or a closed tab and are sent automatically once the browser is back online.
+ * Before replaying, the server's current marks are compared with the ones the teacher saw when
+ * marking; if someone else changed them in the meantime the entry is held as a conflict for the
+ * teacher to resolve. Entries are keyed by teacher-subject mapping (ts_id) and compared on their own
+ * students' marks, so two mappings with the same subject name (e.g. two courses) do not collide.
+ * @author Mohd Waris
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { getTeacherAttendanceLogs, markAttendance } from "./apiClient";
+import { fetchQuery, invalidateQueries } from "./queryCache";
+import { teacherKeys } from "./teacherQueries";
+
+const DB_NAME = "attendease-offline";
+const DB_VERSION = 1;
+const STORE_NAME = "attendance-queue";
+
+// Entry states
+export const QUEUE_STATUS = {
+  PENDING: "pending",   // Waiting to be sent
+  CONFLICT: "conflict", // Server marks changed since the teacher marked
+  FAILED: "failed",     // Rejected by the server (not a connectivity problem)
+};
+
+/**
+ * A queued save for one subject on one date.
+ * @typedef {Object} QueuedAttendance
+ * @property {string} id - `${teacherId}:${tsId}:${date}`; a later save for the same class replaces it.
+ * @property {number} teacherId - Teacher context ID the entry belongs to.
+ * @property {string} subjectName - Subject name (for display and matching logs with the students' marks).
+ * @property {string} date - Class date (YYYY-MM-DD).
+ * @property {import("./apiClient").MarkAttendancePayload} payload - Body for /attendance/mark/.
+ * @property {import("./apiClient").AttendanceLog[]} logs - The teacher's marks, in log shape, for display.
+ * @property {{roll_number: string, status: string}[]} baseline - Server marks the teacher saw when marking.
+ * @property {{roll_number: string, status: string}[]} [serverMarks] - Server marks found on a conflict.
+ * @property {string} status - One of QUEUE_STATUS.
+ * @property {string} [error] - Server message for failed entries.
+ * @property {string} queuedAt - ISO timestamp of the first save.
+ */
+
+// --- IndexedDB Helpers ---
+
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates) the offline database.
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: "id" });
+        store.createIndex("teacherId", "teacherId");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Runs a single request against the queue store and resolves once its transaction commits.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {Function} operation - Receives the object store and returns an IDBRequest.
+ * @returns {Promise<*>} The request's result.
+ */
+const runTransaction = async (mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = operation(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// --- Queue Access ---
+
+/**
+ * Lists a teacher's queued saves, oldest first.
+ * @param {number} teacherId - Teacher context ID.
+ * @returns {Promise<QueuedAttendance[]>}
+ */
+export const getQueuedAttendance = async (teacherId) => {
+  const entries = await runTransaction("readonly", (store) =>
+    store.index("teacherId").getAll(teacherId)
+  );
+  return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+};
+
+/**
+ * Stores a save in the queue. Re-saving the same subject and date replaces the marks
+ * but keeps the original baseline, so conflicts are still detected against what the
+ * teacher first saw.
+ * @param {Omit<QueuedAttendance, "id"|"status"|"queuedAt">} entry - The save to queue.
+ * @returns {Promise<QueuedAttendance>} The stored entry.
+ */
+export const enqueueAttendance = async (entry) => {
+  const id = `${entry.teacherId}:${entry.payload.ts_id}:${entry.date}`;
+  const existing = await runTransaction("readonly", (store) => store.get(id));
+
+  const queued = {
+    ...entry,
+    id,
+    baseline: existing ? existing.baseline : entry.baseline,
+    status: QUEUE_STATUS.PENDING,
+    queuedAt: existing ? existing.queuedAt : new Date().toISOString(),
+  };
+  await runTransaction("readwrite", (store) => store.put(queued));
+  return queued;
+};
+
+/**
+ * Removes an entry from the queue.
+ * @param {string} id - Entry ID.
+ */
+export const removeQueuedAttendance = (id) =>
+  runTransaction("readwrite", (store) => store.delete(id));
+
+/**
+ * Updates an entry in place.
+ * @param {QueuedAttendance} entry - The full entry to store.
+ */
+const putQueuedAttendance = (entry) =>
+  runTransaction("readwrite", (store) => store.put(entry));
+
+// --- Conflict Detection ---
+
+/**
+ * Extracts the marks recorded for one class on one date. Logs do not carry the ts_id, so the class is
+ * told apart from other mappings with the same subject name by its students.
+ * @param {import("./apiClient").AttendanceLog[]} logs - Attendance logs.
+ * @param {string} subjectName - Subject name.
+ * @param {string} date - Class date (YYYY-MM-DD).
+ * @param {string[]} rollNumbers - Roll numbers of the class's students.
+ * @returns {{roll_number: string, status: string}[]}
+ */
+export const getClassMarks = (logs, subjectName, date, rollNumbers) => {
+  const students = new Set(rollNumbers);
+  return logs
+    .filter((log) => log.subject_name === subjectName && log.date === date && students.has(log.roll_number))
+    .map(({ roll_number, status }) => ({ roll_number, status }));
+};
+
+/**
+ * Compares two sets of marks regardless of order.
+ * @param {{roll_number: string, status: string}[]} a
+ * @param {{roll_number: string, status: string}[]} b
+ * @returns {boolean} True if every student has the same status in both.
+ */
+const sameMarks = (a, b) => {
+  if (a.length !== b.length) return false;
+  const lookup = new Map(a.map((m) => [m.roll_number, m.status]));
+  return b.every((m) => lookup.get(m.roll_number) === m.status);
+};
+
+/**
+ * Checks whether an error means the server could not be reached.
+ * @param {Error} err - Error thrown by the API client.
+ * @returns {boolean}
+ */
+const isConnectivityError = (err) => err?.code === "network" || err?.code === "timeout";
+
+/**
+ * Refreshes the shared logs and roster after the queue changed server data.
+ * @param {number} teacherId - Teacher context ID.
+ */
+const refreshTeacherData = (teacherId) =>
+  Promise.all([
+    invalidateQueries(teacherKeys.attendanceLogs(teacherId)),
+    invalidateQueries(teacherKeys.students(teacherId)),
+  ]);
+
+// --- Sync ---
+
+// The running sync; the online event, page mount and Save can all trigger one
+let syncPromise = null;
+// A second run queued behind the running one, shared by every caller that arrives meanwhile
+let followUpPromise = null;
+
+/**
+ * Sends every pending entry of a teacher to the server.
+ * Stops at the first connectivity error and leaves the remaining entries queued.
+ * @param {number} teacherId - Teacher context ID.
+ * @returns {Promise<{synced: number, conflicts: number, failed: number, offline: boolean}>}
+ */
+export const syncAttendanceQueue = (teacherId) => {
+  if (!syncPromise) {
+    syncPromise = runSync(teacherId).finally(() => {
+      syncPromise = null;
+    });
+    return syncPromise;
+  }
+
+  // The running sync may have read the queue before the caller's save was added
+  if (!followUpPromise) {
+    followUpPromise = syncPromise
+      .catch(() => {})
+      .then(() => {
+        followUpPromise = null;
+        return syncAttendanceQueue(teacherId);
+      });
+  }
+  return followUpPromise;
+};
+
+/**
+ * Implementation of syncAttendanceQueue.
+ * @param {number} teacherId - Teacher context ID.
+ */
+const runSync = async (teacherId) => {
+  const result = { synced: 0, conflicts: 0, failed: 0, offline: false };
+  const pending = (await getQueuedAttendance(teacherId)).filter(
+    (entry) => entry.status === QUEUE_STATUS.PENDING
+  );
+  if (pending.length === 0) return result;
+
+  let serverLogs;
+  try {
+    // Goes through the shared cache so open pages see the fresh logs too
+    serverLogs = await fetchQuery(teacherKeys.attendanceLogs(teacherId), () => getTeacherAttendanceLogs());
+  } catch (err) {
+    if (isConnectivityError(err)) return { ...result, offline: true };
+    throw err;
+  }
+
+  for (const entry of pending) {
+    // Only the students of the entry's mapping are compared
+    const rollNumbers = entry.logs.map((log) => log.roll_number);
+    const serverMarks = getClassMarks(serverLogs, entry.subjectName, entry.date, rollNumbers);
+    const myMarks = getClassMarks(entry.logs, entry.subjectName, entry.date, rollNumbers);
+
+    // Already on the server (e.g. saved from another device): nothing to send
+    if (sameMarks(serverMarks, myMarks)) {
+      await removeQueuedAttendance(entry.id);
+      result.synced++;
+      continue;
+    }
+
+    // Someone changed this class since the teacher marked it
+    if (!sameMarks(serverMarks, entry.baseline)) {
+      await putQueuedAttendance({ ...entry, status: QUEUE_STATUS.CONFLICT, serverMarks });
+      result.conflicts++;
+      continue;
+    }
+
+    try {
+      await markAttendance(entry.payload);
+      await removeQueuedAttendance(entry.id);
+      result.synced++;
+    } catch (err) {
+      if (isConnectivityError(err)) {
+        result.offline = true;
+        break;
+      }
+      await putQueuedAttendance({ ...entry, status: QUEUE_STATUS.FAILED, error: err.message });
+      result.failed++;
+    }
+  }
+
+  if (result.synced > 0) await refreshTeacherData(teacherId);
+  return result;
+};
+
+/**
+ * Settles a conflicted or failed entry.
+ * @param {QueuedAttendance} entry - The entry to settle.
+ * @param {boolean} keepMine - True to send the teacher's marks anyway; false to drop them.
+ * @throws {ApiError} If sending fails; the entry stays queued.
+ */
+export const resolveQueuedAttendance = async (entry, keepMine) => {
+  if (keepMine) await markAttendance(entry.payload);
+  await removeQueuedAttendance(entry.id);
+  await refreshTeacherData(entry.teacherId);
+};
+
+// --- Hook ---
+
+/**
+ * Exposes a teacher's queue to the attendance page and replays it when the browser comes online.
+ * @param {number} teacherId - Teacher context ID.
+ * @returns {{entries: QueuedAttendance[], isOnline: boolean, syncing: boolean, enqueue: Function, sync: Function, resolve: Function}}
+ */
+export function useAttendanceQueue(teacherId) {
+  const [entries, setEntries] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+
+  const reload = useCallback(async () => {
+    if (!teacherId) return;
+    setEntries(await getQueuedAttendance(teacherId));
+  }, [teacherId]);
+
+  const sync = useCallback(async () => {
+    if (!teacherId) return null;
+    setSyncing(true);
+    try {
+      return await syncAttendanceQueue(teacherId);
+    } finally {
+      await reload();
+      setSyncing(false);
+    }
+  }, [teacherId, reload]);
+
+  const enqueue = useCallback(async (entry) => {
+    const queued = await enqueueAttendance({ ...entry, teacherId });
+    await reload();
+    return queued;
+  }, [teacherId, reload]);
+
+  const resolve = useCallback(async (entry, keepMine) => {
+    try {
+      await resolveQueuedAttendance(entry, keepMine);
+    } finally {
+      await reload();
+    }
+  }, [reload]);
+
+  // Load what is left from earlier sessions and replay it
+  useEffect(() => {
+    reload()
+      .then(() => navigator.onLine && sync())
+      .catch((err) => console.error("Offline queue unavailable:", err));
+  }, [reload, sync]);
+
+  // Replay as soon as connectivity returns
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      sync().catch((err) => console.error("Attendance sync failed:", err));
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, [sync]);
+
+  return { entries, isOnline, syncing, enqueue, sync, resolve };
+}
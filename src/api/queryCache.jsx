@@ -0,0 +1,157 @@
+/**
+ * @file queryCache.jsx
+ * @description Minimal client-side query cache shared by every page of the portal.
+ * Each query is identified by a string key; its result is kept in memory so navigating between
+ * pages shows the cached data instantly (stale-while-revalidate) while a background refetch runs.
+ * Concurrent requests for the same key are deduplicated, and mutations can invalidate keys so
+ * every subscribed component refetches.
+ * @author Mohd Waris
+ */
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from "react";
+
+// Data younger than this (ms) is served from cache without a background refetch
+export const DEFAULT_STALE_TIME = 60 * 1000;
+
+const INITIAL_STATE = {
+  data: undefined,
+  error: null,
+  updatedAt: 0,
+  isFetching: false,
+};
+
+// key -> { state, promise, fetcher, listeners }
+const entries = new Map();
+
+/**
+ * Returns (creating on first use) the cache entry for a key.
+ * @param {string} key - Query key.
+ * @returns {Object} The mutable cache entry.
+ */
+const getEntry = (key) => {
+  if (!entries.has(key)) {
+    entries.set(key, { state: INITIAL_STATE, promise: null, fetcher: null, listeners: new Set() });
+  }
+  return entries.get(key);
+};
+
+/**
+ * Replaces an entry's state immutably and notifies subscribers.
+ * @param {Object} entry - Cache entry.
+ * @param {Object} patch - Fields to update.
+ */
+const setEntryState = (entry, patch) => {
+  entry.state = { ...entry.state, ...patch };
+  entry.listeners.forEach((listener) => listener());
+};
+
+/**
+ * Runs (or joins) the request for a key and stores its result.
+ * If a request for the key is already in flight, the same promise is returned.
+ * @param {string} key - Query key.
+ * @param {Function} [fetcher] - Async function returning the data; defaults to the last one registered for the key.
+ * @returns {Promise<*>} The fetched data.
+ */
+export const fetchQuery = (key, fetcher) => {
+  const entry = getEntry(key);
+  if (fetcher) entry.fetcher = fetcher;
+  if (entry.promise) return entry.promise;
+  if (!entry.fetcher) return Promise.resolve(entry.state.data);
+
+  setEntryState(entry, { isFetching: true });
+  entry.promise = entry
+    .fetcher()
+    .then(
+      (data) => {
+        setEntryState(entry, { data, error: null, updatedAt: Date.now(), isFetching: false });
+        return data;
+      },
+      (error) => {
+        setEntryState(entry, { error, isFetching: false });
+        throw error;
+      }
+    )
+    .finally(() => {
+      entry.promise = null;
+    });
+  return entry.promise;
+};
+
+/**
+ * Marks matching queries as stale and refetches the ones currently on screen.
+ * @param {string|Function} match - A key prefix, or a predicate receiving each key.
+ * @returns {Promise<void>} Resolves once the on-screen refetches have settled.
+ */
+export const invalidateQueries = (match) => {
+  const matches = typeof match === "function" ? match : (key) => key.startsWith(match);
+  const refetches = [];
+
+  entries.forEach((entry, key) => {
+    if (!matches(key)) return;
+    setEntryState(entry, { updatedAt: 0 });
+    if (entry.listeners.size > 0 && entry.fetcher) {
+      refetches.push(fetchQuery(key).catch(() => {}));
+    }
+  });
+
+  return Promise.all(refetches).then(() => {});
+};
+
+/**
+ * Overwrites the cached data for a key (e.g. after a mutation returns fresh data).
+ * @param {string} key - Query key.
+ * @param {*|Function} updater - New data, or a function receiving the current data.
+ */
+export const setQueryData = (key, updater) => {
+  const entry = getEntry(key);
+  const data = typeof updater === "function" ? updater(entry.state.data) : updater;
+  setEntryState(entry, { data, updatedAt: Date.now() });
+};
+
+/**
+ * Subscribes a component to a cached query.
+ * Serves cached data immediately and refetches in the background when it is stale.
+ * @param {string} key - Query key (include every parameter the fetcher depends on).
+ * @param {Function} fetcher - Async function returning the data.
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - Set false to skip fetching (e.g. while an ID is missing).
+ * @param {number} [options.staleTime=DEFAULT_STALE_TIME] - Age (ms) after which data is refetched.
+ * @returns {{data: *, error: Error|null, isLoading: boolean, isFetching: boolean, refetch: Function}}
+ */
+export function useQuery(key, fetcher, { enabled = true, staleTime = DEFAULT_STALE_TIME } = {}) {
+  // Keep the latest fetcher without re-running the fetch effect on every render
+  const fetcherRef = useRef(fetcher);
+  useEffect(() => {
+    fetcherRef.current = fetcher;
+  });
+
+  const subscribe = useCallback(
+    (listener) => {
+      const entry = getEntry(key);
+      entry.listeners.add(listener);
+      return () => entry.listeners.delete(listener);
+    },
+    [key]
+  );
+  const state = useSyncExternalStore(subscribe, () => getEntry(key).state);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const entry = getEntry(key);
+    const isStale = Date.now() - entry.state.updatedAt > staleTime;
+    if (isStale || entry.state.error) {
+      // Errors are exposed through state; swallow the rejection here
+      fetchQuery(key, () => fetcherRef.current()).catch(() => {});
+    }
+  }, [key, enabled, staleTime]);
+
+  const refetch = useCallback(() => fetchQuery(key, () => fetcherRef.current()), [key]);
+
+  return {
+    data: state.data,
+    error: state.error,
+    isLoading: enabled && state.data === undefined && !state.error,
+    isFetching: state.isFetching,
+    refetch,
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * @file teacherQueries.jsx
+ * @description Cached queries for the teacher portal. The dashboard, attendance and students
+ * pages all read the roster, attendance logs and subject mappings through these hooks, so the
+ * data is fetched once, shared between pages, and refreshed everywhere after attendance is saved.
+ * @author Mohd Waris
+ */
+
+import { useQuery, invalidateQueries } from "./queryCache";
+import {
+  getTeacherStudents,
+  getTeacherAttendanceLogs,
+  getTeacherSubjects,
+  markAttendance,
+} from "./apiClient";
+
+// --- Query Keys ---
+// Every key is scoped to the teacher so a different login in the same tab never sees stale data
+
+export const teacherKeys = {
+  all: (teacherId) => `teacher:${teacherId}:`,
+  students: (teacherId) => `teacher:${teacherId}:students`,
+  attendanceLogs: (teacherId) => `teacher:${teacherId}:attendance-logs`,
+  subjects: (teacherId) => `teacher:${teacherId}:subjects`,
+};
+
+// --- Hooks ---
+
+/**
+ * Roster of every student (per subject) taught by the teacher.
+ * @param {number} teacherId - The teacher's context ID.
+ * @returns {ReturnType<typeof useQuery>} Query state with TeacherStudent[] data.
+ */
+export const useTeacherStudents = (teacherId) =>
+  useQuery(teacherKeys.students(teacherId), () => getTeacherStudents(teacherId), {
+    enabled: !!teacherId,
+  });
+
+/**
+ * Full attendance history of the teacher's subjects.
+ * @param {number} teacherId - The teacher's context ID.
+ * @returns {ReturnType<typeof useQuery>} Query state with AttendanceLog[] data.
+ */
+export const useTeacherAttendanceLogs = (teacherId) =>
+  useQuery(teacherKeys.attendanceLogs(teacherId), () => getTeacherAttendanceLogs(), {
+    enabled: !!teacherId,
+  });
+
+/**
+ * Subject mappings (ts_id per subject) of the teacher.
+ * @param {number} teacherId - The teacher's context ID.
+ * @returns {ReturnType<typeof useQuery>} Query state with TeacherSubject[] data.
+ */
+export const useTeacherSubjects = (teacherId) =>
+  useQuery(teacherKeys.subjects(teacherId), () => getTeacherSubjects(), {
+    enabled: !!teacherId,
+  });
+
+// --- Mutations ---
+
+/**
+ * Saves attendance and refreshes the cached logs and roster (whose percentages change).
+ * @param {number} teacherId - The teacher's context ID.
+ * @param {import("./apiClient").MarkAttendancePayload} payload - Attendance to save.
+ * @returns {Promise<void>} Resolves once the save and the refetch of on-screen data finish.
+ */
+export const saveAttendance = async (teacherId, payload) => {
+  await markAttendance(payload);
+  await Promise.all([
+    invalidateQueries(teacherKeys.attendanceLogs(teacherId)),
+    invalidateQueries(teacherKeys.students(teacherId)),
+  ]);
+};
@@ -0,0 +1,90 @@
+/**
+ * @file warningDelivery.jsx
+ * @description Sends bulk attendance warnings in small batches and reports the outcome of every recipient.
+ * Each batch goes to /send-bulk-attendance-warning/; when the response lists per-recipient results
+ * (queued, sent or failed with a reason) they are used, otherwise the accepted recipients count as queued.
+ * A batch that fails as a whole marks its recipients failed with the error, so they can be retried.
+ * @author Mohd Waris
+ */
+
+import { sendBulkAttendanceWarning } from "./apiClient";
+
+/** @type {number} Recipients per request; progress is reported after each batch. */
+export const BULK_BATCH_SIZE = 10;
+
+// Recipient states
+export const DELIVERY_STATUS = {
+  PENDING: "pending", // Not sent yet
+  QUEUED: "queued",   // Accepted by the server, delivery not confirmed
+  SENT: "sent",       // Delivered to the mail server
+  FAILED: "failed",   // Rejected (bad address, server error, ...)
+};
+
+/**
+ * Outcome of one recipient.
+ * @typedef {Object} DeliveryOutcome
+ * @property {string} status - One of DELIVERY_STATUS.
+ * @property {string|null} error - Reason of a failure.
+ * @property {string} attemptedAt - ISO timestamp of the request.
+ */
+
+/**
+ * Reads the per-recipient results of a response, if the server sent any.
+ * @param {*} response - Parsed response body.
+ * @returns {import("./apiClient").BulkWarningResult[]}
+ */
+const getResultList = (response) => {
+  if (Array.isArray(response)) return response;
+  if (response && Array.isArray(response.results)) return response.results;
+  return [];
+};
+
+/**
+ * Matches the server's results with the recipients of a batch (by roll number and subject).
+ * @param {import("./apiClient").WarningRequest[]} batch - Requests sent.
+ * @param {*} response - Parsed response body.
+ * @param {string} attemptedAt - ISO timestamp of the request.
+ * @returns {DeliveryOutcome[]} One outcome per request, in order.
+ */
+const matchResults = (batch, response, attemptedAt) => {
+  const results = getResultList(response);
+  return batch.map((request) => {
+    const result =
+      results.find((entry) => entry.roll_number === request.roll_number && entry.subject_name === request.subject_name) ||
+      results.find((entry) => entry.roll_number === request.roll_number && !entry.subject_name);
+    if (!result) return { status: DELIVERY_STATUS.QUEUED, error: null, attemptedAt };
+
+    const status = String(result.status || "").toLowerCase();
+    if (status === DELIVERY_STATUS.FAILED) {
+      return { status, error: result.error || result.reason || "Rejected by the server.", attemptedAt };
+    }
+    return { status: status === DELIVERY_STATUS.SENT ? status : DELIVERY_STATUS.QUEUED, error: null, attemptedAt };
+  });
+};
+
+/**
+ * Sends warnings batch by batch.
+ * @param {import("./apiClient").WarningRequest[]} requests - One request per recipient.
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called after each batch with the outcomes so far (in request order).
+ * @returns {Promise<DeliveryOutcome[]>} One outcome per request, in order.
+ */
+export const sendBulkWarnings = async (requests, { onProgress } = {}) => {
+  const outcomes = [];
+
+  for (let start = 0; start < requests.length; start += BULK_BATCH_SIZE) {
+    const batch = requests.slice(start, start + BULK_BATCH_SIZE);
+    const attemptedAt = new Date().toISOString();
+    try {
+      const response = await sendBulkAttendanceWarning(batch);
+      outcomes.push(...matchResults(batch, response, attemptedAt));
+    } catch (err) {
+      console.error(err);
+      const error = err.message || "Error sending emails.";
+      outcomes.push(...batch.map(() => ({ status: DELIVERY_STATUS.FAILED, error, attemptedAt })));
+    }
+    if (onProgress) onProgress([...outcomes]);
+  }
+
+  return outcomes;
+};
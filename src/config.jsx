@@ -1,2 +1,9 @@
 export const API_URL = import.meta.env.VITE_API_URL;
 export const APP_NAME = import.meta.env.VITE_PROJECT_NAME;
+// Letterhead of printed registers (PDF export)
+export const INSTITUTION_NAME = import.meta.env.VITE_INSTITUTION_NAME || "University Of Delhi";
+export const INSTITUTION_LOGO_URL = import.meta.env.VITE_INSTITUTION_LOGO_URL || "";
+// Attendance policy overrides as JSON (see utils/attendancePolicy.jsx); empty uses the built-in policy
+export const ATTENDANCE_POLICY_CONFIG = import.meta.env.VITE_ATTENDANCE_POLICY || "";
+// Delivers warning emails/SMS (see api/notificationProviders.jsx): "api" (the backend) or "console" (development)
+export const NOTIFICATION_PROVIDER = import.meta.env.VITE_NOTIFICATION_PROVIDER || "api";
@@ -0,0 +1,368 @@
+/**
+ * @file alertRules.jsx
+ * @description Automatic attendance alerts. A rule names a condition (below the required attendance,
+ * below a fixed percentage or a run of consecutive absences), a schedule on which it is checked, and
+ * whether its warnings wait for the teacher's approval or are sent straight away. A rule raises an alert
+ * only when a student crosses into its condition (not again while they stay there), and alerts waiting for
+ * approval are kept in a review queue. Rules and the queue live in localStorage, like the warning log.
+ * @author Mohd Waris
+ */
+
+import dayjs from "dayjs";
+import { getStatsKey } from "./attendanceStats";
+import { isBelowThreshold } from "./attendancePolicy";
+import { DEFAULT_DELIVERY } from "./guardianContacts";
+import { DEFAULT_TEMPLATE_ID } from "./emailTemplates";
+
+const RULES_KEY = "university_alert_rules";
+const QUEUE_KEY = "university_alert_queue";
+
+// Resolved alerts kept for the record; older ones are dropped
+const MAX_RESOLVED = 200;
+
+/** Conditions a rule can watch; `unit` is the unit of its value (none when it uses the student's policy). */
+export const ALERT_CONDITIONS = [
+  { key: "below_policy", label: "Below the required attendance", unit: null },
+  { key: "below_percentage", label: "Attendance below", unit: "%" },
+  { key: "consecutive_absences", label: "Consecutive absences", unit: "classes" },
+];
+
+/** How often a rule is checked. */
+export const ALERT_FREQUENCIES = [
+  { key: "daily", label: "Every day" },
+  { key: "weekdays", label: "Weekdays (Mon-Fri)" },
+  { key: "weekly", label: "Once a week" },
+];
+
+/** Days of the week, in dayjs order (0 is Sunday). */
+export const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/** What happens to a rule's alerts. */
+export const ALERT_MODES = [
+  { key: "approval", label: "Ask me first" },
+  { key: "auto", label: "Send automatically" },
+];
+
+/**
+ * @typedef {Object} AlertRule
+ * @property {string} id - Rule ID.
+ * @property {string} name - Name shown to the teacher.
+ * @property {boolean} enabled - Whether the rule is checked.
+ * @property {{type: string, value: number|null}} condition - One of ALERT_CONDITIONS and its value.
+ * @property {{frequency: string, time: string, weekday: number}} schedule - Frequency, time of day (HH:mm)
+ * and, for weekly rules, the day of the week.
+ * @property {string} mode - 'approval' or 'auto'.
+ * @property {{audience: string, channel: string}} delivery - Recipients and channel of its warnings.
+ * @property {string} templateId - Email template of its warnings.
+ * @property {string|null} lastRunAt - ISO timestamp of the last check.
+ * @property {string[]} matched - Students (getStatsKey) in the condition at the last check.
+ */
+
+/**
+ * @typedef {Object} AlertQueueEntry
+ * @property {string} id - Alert ID.
+ * @property {string} ruleId - Rule that raised it.
+ * @property {string} ruleName - Name of the rule at the time.
+ * @property {string} key - Student and subject (getStatsKey).
+ * @property {Object} student - Dashboard student row at the time (see toAlertStudent).
+ * @property {string} reason - Why the alert was raised, e.g. "Attendance 68% (required 75%)".
+ * @property {string} createdAt - ISO timestamp.
+ * @property {string} status - 'pending', 'sent' (approved or automatic) or 'skipped'.
+ * @property {boolean} auto - Whether it was sent without approval.
+ * @property {string|null} resolvedAt - ISO timestamp of the approval, skip or automatic send.
+ * @property {string|null} error - Reason the last send failed (the alert stays pending).
+ */
+
+/** @type {Omit<AlertRule, "id">} Starting point of a new rule. */
+export const NEW_ALERT_RULE = {
+  name: "",
+  enabled: true,
+  condition: { type: "below_policy", value: null },
+  schedule: { frequency: "daily", time: "08:00", weekday: 1 },
+  mode: "approval",
+  delivery: DEFAULT_DELIVERY,
+  templateId: DEFAULT_TEMPLATE_ID,
+  lastRunAt: null,
+  matched: [],
+};
+
+// --- Rules ---
+
+/**
+ * Reads the teacher's rules.
+ * @returns {AlertRule[]}
+ */
+export const getAlertRules = () => {
+  try {
+    return JSON.parse(localStorage.getItem(RULES_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Writes the rules back.
+ * @param {AlertRule[]} rules - Rules.
+ * @returns {AlertRule[]} The rules written.
+ */
+export const saveAlertRules = (rules) => {
+  localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+  return rules;
+};
+
+/**
+ * Saves a rule: a new one when it has no ID, otherwise an update. Changing the condition starts
+ * the rule afresh, so students already in the new condition are alerted at its next check.
+ * @param {AlertRule|Omit<AlertRule, "id">} rule - Rule to save.
+ * @returns {AlertRule[]} The updated rules.
+ */
+export const saveAlertRule = (rule) => {
+  const rules = getAlertRules();
+  const existing = rule.id && rules.find((entry) => entry.id === rule.id);
+  if (!existing) return saveAlertRules([...rules, { ...rule, id: `rule-${Date.now()}` }]);
+
+  const conditionChanged =
+    existing.condition.type !== rule.condition.type || existing.condition.value !== rule.condition.value;
+  const updated = conditionChanged ? { ...rule, lastRunAt: null, matched: [] } : rule;
+  return saveAlertRules(rules.map((entry) => (entry.id === rule.id ? updated : entry)));
+};
+
+/**
+ * Deletes a rule and its pending alerts.
+ * @param {string} id - Rule ID.
+ * @returns {AlertRule[]} The remaining rules.
+ */
+export const deleteAlertRule = (id) => {
+  storeQueue(getAlertQueue().filter((entry) => entry.ruleId !== id || entry.status !== "pending"));
+  return saveAlertRules(getAlertRules().filter((rule) => rule.id !== id));
+};
+
+// --- Conditions ---
+
+/**
+ * Whether a student is in a rule's condition.
+ * @param {Object} student - Dashboard student row ({ attendanceRate, consecutiveAbsences, policy }).
+ * @param {{type: string, value: number|null}} condition - Rule condition.
+ * @returns {boolean}
+ */
+export const matchesCondition = (student, { type, value }) => {
+  if (type === "below_percentage") return student.attendanceRate < value;
+  if (type === "consecutive_absences") return student.consecutiveAbsences >= value;
+  return isBelowThreshold(student.attendanceRate, student.policy);
+};
+
+/**
+ * Describes a condition, e.g. "Attendance below 60%".
+ * @param {{type: string, value: number|null}} condition - Rule condition.
+ * @returns {string}
+ */
+export const describeCondition = ({ type, value }) => {
+  if (type === "below_percentage") return `Attendance below ${value}%`;
+  if (type === "consecutive_absences") return `${value} or more consecutive absences`;
+  return "Below the required attendance";
+};
+
+/**
+ * Why a student was alerted, e.g. "Attendance 68% (required 75%)".
+ * @param {Object} student - Dashboard student row.
+ * @param {{type: string, value: number|null}} condition - Rule condition.
+ * @returns {string}
+ */
+const describeMatch = (student, { type, value }) => {
+  if (type === "consecutive_absences") return `${student.consecutiveAbsences} consecutive absences`;
+  const required = type === "below_percentage" ? value : student.policy.threshold;
+  return `Attendance ${Math.round(student.attendanceRate)}% (required ${required}%)`;
+};
+
+// --- Schedule ---
+
+/**
+ * Whether a rule's schedule has a check on a given day.
+ * @param {{frequency: string, weekday: number}} schedule - Rule schedule.
+ * @param {number} day - Day of the week (0 is Sunday).
+ * @returns {boolean}
+ */
+const runsOnDay = ({ frequency, weekday }, day) => {
+  if (frequency === "weekdays") return day >= 1 && day <= 5;
+  if (frequency === "weekly") return day === weekday;
+  return true;
+};
+
+/**
+ * A day at the schedule's time.
+ * @param {dayjs.Dayjs} day - Day.
+ * @param {string} time - Time of day (HH:mm).
+ * @returns {dayjs.Dayjs}
+ */
+const atTime = (day, time) => {
+  const [hour, minute] = time.split(":").map(Number);
+  return day.hour(hour).minute(minute).second(0).millisecond(0);
+};
+
+/**
+ * Most recent scheduled check at or before a moment.
+ * @param {{frequency: string, time: string, weekday: number}} schedule - Rule schedule.
+ * @param {Date} [now] - Current time.
+ * @returns {dayjs.Dayjs}
+ */
+export const getLastScheduledRun = (schedule, now = new Date()) => {
+  const moment = dayjs(now);
+  for (let back = 0; back <= 7; back += 1) {
+    const run = atTime(moment.subtract(back, "day"), schedule.time);
+    if (!run.isAfter(moment) && runsOnDay(schedule, run.day())) return run;
+  }
+  return atTime(moment.subtract(7, "day"), schedule.time);
+};
+
+/**
+ * Next scheduled check after a moment.
+ * @param {{frequency: string, time: string, weekday: number}} schedule - Rule schedule.
+ * @param {Date} [now] - Current time.
+ * @returns {dayjs.Dayjs}
+ */
+export const getNextScheduledRun = (schedule, now = new Date()) => {
+  const moment = dayjs(now);
+  for (let ahead = 0; ahead <= 7; ahead += 1) {
+    const run = atTime(moment.add(ahead, "day"), schedule.time);
+    if (run.isAfter(moment) && runsOnDay(schedule, run.day())) return run;
+  }
+  return atTime(moment.add(7, "day"), schedule.time);
+};
+
+/**
+ * Describes a schedule, e.g. "Every Monday at 08:00".
+ * @param {{frequency: string, time: string, weekday: number}} schedule - Rule schedule.
+ * @returns {string}
+ */
+export const describeSchedule = ({ frequency, time, weekday }) => {
+  if (frequency === "weekly") return `Every ${WEEKDAYS[weekday]} at ${time}`;
+  if (frequency === "weekdays") return `Weekdays at ${time}`;
+  return `Every day at ${time}`;
+};
+
+/**
+ * Whether a rule is due: enabled, and not checked since its last scheduled time.
+ * A rule never checked is due at once.
+ * @param {AlertRule} rule - Rule.
+ * @param {Date} [now] - Current time.
+ * @returns {boolean}
+ */
+export const isRuleDue = (rule, now = new Date()) =>
+  rule.enabled && (!rule.lastRunAt || dayjs(rule.lastRunAt).isBefore(getLastScheduledRun(rule.schedule, now)));
+
+// --- Evaluation ---
+
+/**
+ * Copy of a dashboard row small enough to keep in the queue (what the warning request and the queue need).
+ * @param {Object} student - Dashboard student row.
+ * @returns {Object}
+ */
+export const toAlertStudent = (student) => ({
+  id: student.id,
+  name: student.name,
+  rollNumber: student.rollNumber,
+  subject: student.subject,
+  email: student.email,
+  attendanceRate: student.attendanceRate,
+  consecutiveAbsences: student.consecutiveAbsences,
+  attended: student.attended,
+  total: student.total,
+  policy: student.policy,
+  raw: student.raw,
+});
+
+/**
+ * Checks the due rules against the students. Only students who entered a rule's condition since its
+ * previous check raise an alert.
+ * @param {AlertRule[]} rules - Every rule.
+ * @param {Array<Object>} students - Dashboard student rows.
+ * @param {Date} [now] - Current time.
+ * @returns {{rules: AlertRule[], alerts: AlertQueueEntry[]}} The rules with their check recorded, and the new
+ * alerts (pending) of the rules that were due.
+ */
+export const evaluateAlertRules = (rules, students, now = new Date()) => {
+  const checkedAt = now.toISOString();
+  const alerts = [];
+
+  const updated = rules.map((rule) => {
+    if (!isRuleDue(rule, now)) return rule;
+    const previous = new Set(rule.matched);
+    const matching = students.filter((student) => matchesCondition(student, rule.condition));
+
+    matching.forEach((student) => {
+      const key = getStatsKey(student.rollNumber, student.subject);
+      if (previous.has(key)) return;
+      alerts.push({
+        id: `alert-${now.getTime()}-${alerts.length}`,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        key,
+        student: toAlertStudent(student),
+        reason: describeMatch(student, rule.condition),
+        createdAt: checkedAt,
+        status: "pending",
+        auto: false,
+        resolvedAt: null,
+        error: null,
+      });
+    });
+
+    return { ...rule, lastRunAt: checkedAt, matched: matching.map((student) => getStatsKey(student.rollNumber, student.subject)) };
+  });
+
+  return { rules: updated, alerts };
+};
+
+// --- Review Queue ---
+
+/**
+ * Reads the queue: pending alerts and the resolved ones kept for the record.
+ * @returns {AlertQueueEntry[]} Newest first.
+ */
+export const getAlertQueue = () => {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Writes the queue back, keeping every pending alert and the most recent resolved ones.
+ * @param {AlertQueueEntry[]} queue - Queue, newest first.
+ */
+const storeQueue = (queue) => {
+  const pending = queue.filter((entry) => entry.status === "pending");
+  const resolved = queue.filter((entry) => entry.status !== "pending").slice(0, MAX_RESOLVED);
+  localStorage.setItem(QUEUE_KEY, JSON.stringify([...pending, ...resolved]));
+};
+
+/**
+ * Alerts waiting for the teacher.
+ * @returns {AlertQueueEntry[]} Newest first.
+ */
+export const getPendingAlerts = () => getAlertQueue().filter((entry) => entry.status === "pending");
+
+/**
+ * Adds alerts to the queue. An alert for a student who already has one pending from the same rule is dropped.
+ * @param {AlertQueueEntry[]} alerts - New alerts.
+ */
+export const addAlerts = (alerts) => {
+  const queue = getAlertQueue();
+  const pending = new Set(queue.filter((entry) => entry.status === "pending").map((entry) => `${entry.ruleId}|${entry.key}`));
+  storeQueue([...alerts.filter((alert) => !pending.has(`${alert.ruleId}|${alert.key}`)), ...queue]);
+};
+
+/**
+ * Records what happened to alerts. Alerts not in the queue yet (automatic sends) are added.
+ * @param {Array<AlertQueueEntry>} alerts - Alerts with their new status, auto flag and error.
+ */
+export const updateAlerts = (alerts) => {
+  const byId = new Map(alerts.map((alert) => [alert.id, alert]));
+  const queue = getAlertQueue();
+  const known = new Set(queue.map((entry) => entry.id));
+  storeQueue([
+    ...alerts.filter((alert) => !known.has(alert.id)),
+    ...queue.map((entry) => byId.get(entry.id) || entry),
+  ]);
+};
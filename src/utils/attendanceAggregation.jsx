@@ -0,0 +1,107 @@
+/**
+ * @file attendanceAggregation.jsx
+ * @description Combines a student's subjects into one overall attendance percentage. The method is
+ * chosen by the attendance policy (POLICY_CONFIG.aggregation): the raw sum of classes, the mean
+ * weighted by subject credits, or the simple mean of the subject percentages. Each subject's weight
+ * and contribution is returned too so the student can see how the overall figure is made up.
+ * @author Mohd Waris
+ */
+
+import { POLICY_CONFIG } from "./attendancePolicy";
+
+/**
+ * Aggregation methods, keyed by the value used in the policy configuration.
+ * @type {Object<string, {key: string, label: string, description: string}>}
+ */
+export const AGGREGATION_METHODS = {
+  sum: {
+    key: "sum",
+    label: "Total classes",
+    description: "All classes attended divided by all classes held, so subjects with more classes weigh more.",
+  },
+  credits: {
+    key: "credits",
+    label: "Credit-weighted",
+    description: "Each subject's percentage weighted by its credits, as the regulations require.",
+  },
+  mean: {
+    key: "mean",
+    label: "Average of subjects",
+    description: "The plain average of the subject percentages; every subject weighs the same.",
+  },
+};
+
+/** @type {string} Method configured for the institution, 'credits' unless the policy says otherwise. */
+export const AGGREGATION_METHOD = AGGREGATION_METHODS[POLICY_CONFIG.aggregation]
+  ? POLICY_CONFIG.aggregation
+  : AGGREGATION_METHODS.credits.key;
+
+/**
+ * @typedef {Object} SubjectContribution
+ * @property {number|string} id - Subject ID.
+ * @property {string} name - Subject name.
+ * @property {number} credits - Subject credits (0 when unknown).
+ * @property {number|null} percentage - Subject percentage, or null when no class was held.
+ * @property {number} weight - Share of the overall figure (0-1); 0 for subjects left out.
+ * @property {number} contribution - Percentage points the subject adds to the overall figure.
+ */
+
+/**
+ * @typedef {Object} OverallAttendance
+ * @property {number} percentage - Overall percentage (0 without any class).
+ * @property {string} method - Method actually used (see AGGREGATION_METHODS).
+ * @property {boolean} fellBack - True when credit weighting was asked for but no subject has credits.
+ * @property {SubjectContribution[]} subjects - Contribution of every subject, in the input order.
+ */
+
+/**
+ * Weight of a subject under a method, before normalising.
+ * @param {{attended: number, total: number, credits: number}} subject - Subject counts.
+ * @param {string} method - Aggregation method.
+ * @returns {number}
+ */
+const rawWeight = (subject, method) => {
+  if (!subject.total) return 0; // Nothing held yet -> nothing to count
+  if (method === AGGREGATION_METHODS.sum.key) return subject.total;
+  if (method === AGGREGATION_METHODS.credits.key) return subject.credits > 0 ? subject.credits : 0;
+  return 1;
+};
+
+/**
+ * Computes the overall attendance of a student's subjects.
+ * Subjects with no class held are left out; so are subjects without credits under credit weighting.
+ * If no subject has credits, the raw sum of classes is used instead.
+ * @param {Array<{id: number|string, name: string, attended: number, total: number, credits?: number}>} subjects - Subject counts.
+ * @param {string} [method] - Aggregation method; the configured one if omitted.
+ * @returns {OverallAttendance}
+ */
+export const computeOverallAttendance = (subjects, method = AGGREGATION_METHOD) => {
+  const rows = subjects.map((subject) => ({ ...subject, credits: Number(subject.credits) || 0 }));
+  const usable = (key) => rows.some((subject) => rawWeight(subject, key) > 0);
+
+  let used = method;
+  if (used === AGGREGATION_METHODS.credits.key && !usable(used)) used = AGGREGATION_METHODS.sum.key;
+
+  const weights = rows.map((subject) => rawWeight(subject, used));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  const contributions = rows.map((subject, index) => {
+    const percentage = subject.total ? (subject.attended / subject.total) * 100 : null;
+    const weight = totalWeight ? weights[index] / totalWeight : 0;
+    return {
+      id: subject.id,
+      name: subject.name,
+      credits: subject.credits,
+      percentage,
+      weight,
+      contribution: percentage === null ? 0 : weight * percentage,
+    };
+  });
+
+  return {
+    percentage: contributions.reduce((sum, subject) => sum + subject.contribution, 0),
+    method: used,
+    fellBack: used !== method,
+    subjects: contributions,
+  };
+};
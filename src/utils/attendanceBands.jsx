@@ -0,0 +1,40 @@
+/**
+ * @file attendanceBands.jsx
+ * @description Red / amber / green bands used to colour attendance percentages.
+ * Shared by the teacher dashboard list and the Excel export so both show the same colours.
+ * The band limits come from the attendance policy: red below the threshold, amber up to the
+ * safe percentage, green above it.
+ * @author Mohd Waris
+ */
+
+import { DEFAULT_POLICY } from "./attendancePolicy";
+
+/**
+ * @typedef {Object} AttendanceBand
+ * @property {string} key - 'low', 'warning' or 'good'.
+ * @property {number} min - Lowest percentage in the band (inclusive).
+ * @property {string} color - Text / dot colour.
+ * @property {string} bgColor - Light background colour for cells.
+ */
+
+/**
+ * Builds the bands of a policy.
+ * @param {import("./attendancePolicy").AttendancePolicy} [policy] - Policy; the default policy if omitted.
+ * @returns {AttendanceBand[]} Ordered from the highest band down.
+ */
+export const getAttendanceBands = (policy = DEFAULT_POLICY) => [
+  { key: "good", min: policy.safe, color: "#4caf50", bgColor: "#e8f5e9" },
+  { key: "warning", min: policy.threshold, color: "#ff9800", bgColor: "#fff3e0" },
+  { key: "low", min: 0, color: "#f44336", bgColor: "#ffebee" },
+];
+
+/**
+ * Finds the band of a percentage.
+ * @param {number} rate - Attendance percentage (0-100).
+ * @param {import("./attendancePolicy").AttendancePolicy} [policy] - Policy; the default policy if omitted.
+ * @returns {AttendanceBand}
+ */
+export const getAttendanceBand = (rate, policy = DEFAULT_POLICY) => {
+  const bands = getAttendanceBands(policy);
+  return bands.find((band) => rate >= band.min) || bands[bands.length - 1];
+};
@@ -0,0 +1,174 @@
+/**
+ * @file attendanceCharts.jsx
+ * @description Series behind the teacher dashboard charts, built from the attendance logs:
+ * the class attendance rate of each day (calendar heatmap), a rolling average per subject
+ * (line chart) and the rate of each weekday (bar chart). Logs with an unknown status are ignored.
+ * @author Mohd Waris
+ */
+
+import dayjs from "dayjs";
+import { getAttendanceStatus, countsAsPresent } from "./attendanceStatuses";
+
+// How far back the charts look, unless the teacher picks another range
+export const DEFAULT_CHART_RANGE_DAYS = 90;
+export const CHART_RANGE_OPTIONS = [30, 90, 180, 365];
+
+// Monday first, as on the timetable
+export const WEEKDAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+/**
+ * @typedef {Object} DayRate
+ * @property {string} date - Day (YYYY-MM-DD).
+ * @property {number} attended - Marks counted as attended.
+ * @property {number} total - Marks recorded.
+ * @property {number} rate - attended / total as a percentage.
+ */
+
+/**
+ * Converts counts to a percentage.
+ * @param {number} attended - Marks counted as attended.
+ * @param {number} total - Marks recorded.
+ * @returns {number|null} The percentage, or null without marks.
+ */
+const toRate = (attended, total) => (total ? (attended / total) * 100 : null);
+
+/**
+ * Keeps the logs with a known status between two dates.
+ * @param {Array} logs - Attendance logs.
+ * @param {string} startDate - First day (YYYY-MM-DD, inclusive).
+ * @param {string} endDate - Last day (YYYY-MM-DD, inclusive).
+ * @returns {Array}
+ */
+const logsBetween = (logs, startDate, endDate) =>
+  logs.filter((log) => log.date >= startDate && log.date <= endDate && getAttendanceStatus(log.status));
+
+/**
+ * Builds the first and last day of a chart range ending on a date.
+ * @param {string} endDate - Last day (YYYY-MM-DD).
+ * @param {number} rangeDays - Range length in days.
+ * @returns {{start: string, end: string}}
+ */
+export const getChartRange = (endDate, rangeDays) => ({
+  start: dayjs(endDate).subtract(rangeDays - 1, "day").format("YYYY-MM-DD"),
+  end: dayjs(endDate).format("YYYY-MM-DD"),
+});
+
+// --- Daily Rates (heatmap) ---
+
+/**
+ * Computes the class attendance rate of every day with marks in the range.
+ * @param {Array} logs - Attendance logs.
+ * @param {{start: string, end: string}} range - Days included.
+ * @returns {Map<string, DayRate>} Rates keyed by date.
+ */
+export const computeDailyRates = (logs, range) => {
+  const days = new Map();
+  logsBetween(logs, range.start, range.end).forEach((log) => {
+    if (!days.has(log.date)) days.set(log.date, { date: log.date, attended: 0, total: 0, rate: 0 });
+    const day = days.get(log.date);
+    day.total++;
+    if (countsAsPresent(log.status)) day.attended++;
+  });
+  days.forEach((day) => {
+    day.rate = toRate(day.attended, day.total);
+  });
+  return days;
+};
+
+/**
+ * Lays the range out as calendar weeks (Monday to Sunday) for the heatmap.
+ * Days outside the range are null so the first and last weeks keep their shape.
+ * @param {{start: string, end: string}} range - Days included.
+ * @returns {Array<Array<string|null>>} Weeks of seven dates (YYYY-MM-DD) or null.
+ */
+export const buildCalendarWeeks = (range) => {
+  const start = dayjs(range.start);
+  const end = dayjs(range.end);
+  // dayjs weeks start on Sunday; shift so Monday is 0
+  let day = start.subtract((start.day() + 6) % 7, "day");
+  const weeks = [];
+
+  while (!day.isAfter(end)) {
+    const week = [];
+    for (let i = 0; i < 7; i++) {
+      const date = day.format("YYYY-MM-DD");
+      week.push(date >= range.start && date <= range.end ? date : null);
+      day = day.add(1, "day");
+    }
+    weeks.push(week);
+  }
+  return weeks;
+};
+
+// --- Rolling Average (line chart) ---
+
+/**
+ * Computes each subject's attendance averaged over the days up to every class day in the range.
+ * The average pools the marks of the whole window rather than averaging daily rates, so busy
+ * days weigh more; a subject without marks in a window has no point there.
+ * @param {Array} logs - Attendance logs.
+ * @param {Object} options
+ * @param {{start: string, end: string}} options.range - Days shown on the chart.
+ * @param {number} options.windowDays - Length of the rolling window in days.
+ * @returns {{dates: string[], series: Array<{subjectName: string, data: Array<number|null>}>}}
+ * One point per class day (any subject) in the range, subjects sorted by name.
+ */
+export const computeRollingAverages = (logs, { range, windowDays }) => {
+  // Marks before the range still count towards the first windows
+  const windowStart = dayjs(range.start).subtract(windowDays - 1, "day").format("YYYY-MM-DD");
+  const counts = new Map(); // subject -> date -> { attended, total }
+
+  logsBetween(logs, windowStart, range.end).forEach((log) => {
+    if (!counts.has(log.subject_name)) counts.set(log.subject_name, new Map());
+    const byDate = counts.get(log.subject_name);
+    if (!byDate.has(log.date)) byDate.set(log.date, { attended: 0, total: 0 });
+    const entry = byDate.get(log.date);
+    entry.total++;
+    if (countsAsPresent(log.status)) entry.attended++;
+  });
+
+  const dates = [
+    ...new Set([...counts.values()].flatMap((byDate) => [...byDate.keys()]).filter((date) => date >= range.start)),
+  ].sort();
+
+  const series = [...counts.keys()].sort((a, b) => a.localeCompare(b)).map((subjectName) => {
+    const byDate = counts.get(subjectName);
+    const data = dates.map((date) => {
+      const from = dayjs(date).subtract(windowDays - 1, "day").format("YYYY-MM-DD");
+      let attended = 0;
+      let total = 0;
+      byDate.forEach((entry, day) => {
+        if (day >= from && day <= date) {
+          attended += entry.attended;
+          total += entry.total;
+        }
+      });
+      return toRate(attended, total);
+    });
+    return { subjectName, data };
+  });
+
+  return { dates, series };
+};
+
+// --- Weekday Breakdown (bar chart) ---
+
+/**
+ * Computes the attendance rate of each weekday over the range.
+ * @param {Array} logs - Attendance logs.
+ * @param {{start: string, end: string}} range - Days included.
+ * @returns {Array<{weekday: string, attended: number, total: number, rate: number|null}>}
+ * Monday to Sunday; Sunday is left out when no class was held on it.
+ */
+export const computeWeekdayRates = (logs, range) => {
+  const weekdays = WEEKDAY_LABELS.map((weekday) => ({ weekday, attended: 0, total: 0, rate: null }));
+  logsBetween(logs, range.start, range.end).forEach((log) => {
+    const entry = weekdays[(dayjs(log.date).day() + 6) % 7];
+    entry.total++;
+    if (countsAsPresent(log.status)) entry.attended++;
+  });
+  weekdays.forEach((entry) => {
+    entry.rate = toRate(entry.attended, entry.total);
+  });
+  return weekdays[6].total ? weekdays : weekdays.slice(0, 6);
+};
@@ -0,0 +1,251 @@
+/**
+ * @file attendanceImport.jsx
+ * @description Reads attendance registers kept in Excel or CSV and turns them into attendance logs.
+ * The expected layout is the one written by the Excel export (Roll No, Name, one column per day holding
+ * a status code), but columns can be remapped and day columns may also be headed with full dates.
+ * The resulting plan is validated against the teacher's roster and compared with the existing logs.
+ * @author Mohd Waris
+ */
+
+import * as XLSX from "xlsx";
+import { ATTENDANCE_STATUSES, getAttendanceStatus, NOT_MARKED_CODE } from "./attendanceStatuses";
+
+// Accepted file types for the import picker
+export const IMPORT_FILE_TYPES = ".xlsx,.xls,.csv";
+
+// Header texts recognised as the roll number / name columns (lowercase, letters only)
+const ROLL_HEADERS = ["rollno", "rollnumber", "roll", "enrollmentno", "id"];
+const NAME_HEADERS = ["name", "studentname", "student"];
+
+/**
+ * Normalises a header for comparison ("Roll No." -> "rollno").
+ * @param {string} header - Header text.
+ * @returns {string}
+ */
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z]/g, "");
+
+/**
+ * @typedef {Object} ParsedSheet
+ * @property {string[]} headers - Header row (the row holding "Roll No", or the first non-empty row).
+ * @property {string[][]} rows - Data rows below the header, as displayed text.
+ * @property {string} sheetName - Name of the sheet that was read.
+ * @property {number} headerRow - Spreadsheet row number of the header (1-based).
+ * @property {string|null} month - Month (YYYY-MM) of an export month sheet, read from its name; null otherwise.
+ */
+
+/**
+ * @typedef {Object} ColumnMapping
+ * @property {number} rollColumn - Index of the roll number column (-1 if none).
+ * @property {number} nameColumn - Index of the student name column (-1 if none).
+ * @property {Object<number, string>} dateColumns - Date (YYYY-MM-DD) for each attendance column index.
+ */
+
+/**
+ * @typedef {Object} ImportChange
+ * @property {string} rollNumber - Student roll number.
+ * @property {string} name - Student name from the roster.
+ * @property {string} date - Class date (YYYY-MM-DD).
+ * @property {string|null} before - Status key currently recorded, or null.
+ * @property {string} after - Status key in the file.
+ */
+
+/**
+ * @typedef {Object} ImportPlan
+ * @property {ImportChange[]} changes - New or different marks.
+ * @property {number} unchanged - Marks identical to what is already recorded.
+ * @property {string[]} unknownRolls - Roll numbers not enrolled in the subject.
+ * @property {Array<{row: number, column: string, value: string}>} invalidCells - Unrecognised status values.
+ */
+
+// --- Reading Files ---
+
+// Month abbreviations of the export's month sheet names ("Jan 2025")
+const MONTH_ABBREVIATIONS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+/**
+ * Reads the month from a sheet named like the export's month sheets ("Jan 2025").
+ * @param {string} sheetName - Sheet name.
+ * @returns {string|null} The month (YYYY-MM), or null for any other name.
+ */
+const parseSheetMonth = (sheetName) => {
+  const match = String(sheetName).trim().match(/^([A-Za-z]{3}) (\d{4})$/);
+  const index = match ? MONTH_ABBREVIATIONS.indexOf(match[1].toLowerCase()) : -1;
+  return index === -1 ? null : `${match[2]}-${String(index + 1).padStart(2, "0")}`;
+};
+
+/**
+ * Parses one sheet into its header row and data rows.
+ * @param {Object} worksheet - SheetJS worksheet.
+ * @param {string} sheetName - Sheet name.
+ * @returns {ParsedSheet|null} Null for an empty sheet.
+ */
+const parseSheet = (worksheet, sheetName) => {
+  const table = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: "", raw: false, blankrows: true });
+  // Exports start with a metadata block (Teacher, Subject, ...), so look for the roll number header first
+  const rollHeaderIndex = table.findIndex((row) => row.some((cell) => ROLL_HEADERS.includes(normalizeHeader(cell))));
+  const headerIndex = rollHeaderIndex !== -1
+    ? rollHeaderIndex
+    : table.findIndex((row) => row.some((cell) => String(cell).trim() !== ""));
+  if (headerIndex === -1) return null;
+
+  const headers = table[headerIndex].map((cell) => String(cell).trim());
+  const rows = table
+    .slice(headerIndex + 1)
+    .map((row) => headers.map((_, i) => String(row[i] ?? "").trim()));
+
+  return { headers, rows, sheetName, headerRow: headerIndex + 1, month: parseSheetMonth(sheetName) };
+};
+
+/**
+ * Checks whether a parsed sheet is a register: a roll number column and at least one day or date column.
+ * @param {ParsedSheet} sheet - Parsed sheet.
+ * @returns {boolean}
+ */
+const isRegisterSheet = (sheet) => {
+  const normalized = sheet.headers.map(normalizeHeader);
+  // Any month with 31 days accepts every day number
+  return normalized.some((h) => ROLL_HEADERS.includes(h)) && sheet.headers.some((header) => parseHeaderDate(header, "2000-01"));
+};
+
+/**
+ * Reads the register of an XLSX/XLS/CSV file: the first sheet with a roll number column and day columns,
+ * so the Summary, Overview and Legend sheets of an export are passed over. Falls back to the first
+ * non-empty sheet, whose columns can then be mapped by hand.
+ * @param {File} file - File chosen by the user.
+ * @returns {Promise<ParsedSheet>}
+ * @throws {Error} If the file cannot be read or has no data.
+ */
+export const readAttendanceFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const workbook = XLSX.read(buffer, { type: "array", cellDates: false });
+  if (!workbook.SheetNames.length) throw new Error("The file does not contain any sheet.");
+
+  const sheets = workbook.SheetNames.map((name) => parseSheet(workbook.Sheets[name], name));
+  const sheet = sheets.find((entry) => entry && isRegisterSheet(entry)) || sheets.find(Boolean);
+  if (!sheet) throw new Error("The file is empty.");
+  return sheet;
+};
+
+// --- Column Mapping ---
+
+/**
+ * Interprets a column header as a class date.
+ * Day numbers ("1" ... "31", as written by the export) are placed in the given month;
+ * full dates may be written as YYYY-MM-DD, DD/MM/YYYY or DD-MM-YYYY.
+ * @param {string} header - Column header.
+ * @param {string} month - Month used for day-number headers (YYYY-MM).
+ * @returns {string|null} The date (YYYY-MM-DD), or null if the header is not a date.
+ */
+export const parseHeaderDate = (header, month) => {
+  const text = String(header).trim();
+  let year;
+  let monthNum;
+  let day;
+
+  let match;
+  if ((match = text.match(/^(\d{1,2})$/)) && month) {
+    [year, monthNum] = month.split("-").map(Number);
+    day = Number(match[1]);
+  } else if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    [, year, monthNum, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/))) {
+    [, day, monthNum, year] = match.map(Number);
+  } else {
+    return null;
+  }
+
+  // Reject impossible dates such as 31 in a 30-day month
+  const date = new Date(year, monthNum - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== monthNum - 1 || date.getDate() !== day) return null;
+  return `${year}-${String(monthNum).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+};
+
+/**
+ * Guesses the column mapping from the header row.
+ * @param {string[]} headers - Header row.
+ * @param {string} month - Month used for day-number headers (YYYY-MM).
+ * @returns {ColumnMapping}
+ */
+export const guessColumnMapping = (headers, month) => {
+  const normalized = headers.map(normalizeHeader);
+  const rollColumn = normalized.findIndex((h) => ROLL_HEADERS.includes(h));
+  const nameColumn = normalized.findIndex((h) => NAME_HEADERS.includes(h));
+
+  const dateColumns = {};
+  headers.forEach((header, index) => {
+    if (index === rollColumn || index === nameColumn) return;
+    const date = parseHeaderDate(header, month);
+    if (date) dateColumns[index] = date;
+  });
+
+  return { rollColumn, nameColumn, dateColumns };
+};
+
+// --- Validation & Diff ---
+
+/**
+ * Interprets a status cell.
+ * @param {string} value - Cell text (code such as 'P'/'A' or a label such as 'Present').
+ * @returns {{status: Object|null, invalid: boolean}} The status config, or null for an empty / not-marked cell.
+ */
+export const parseStatusCell = (value) => {
+  const text = String(value).trim();
+  if (text === "" || text === NOT_MARKED_CODE) return { status: null, invalid: false };
+
+  // Export codes ('P', 'od', ...) first, then labels / API values ('Present', 'Medical Leave', ...)
+  const status = ATTENDANCE_STATUSES.find((s) => s.code === text.toUpperCase()) || getAttendanceStatus(text);
+  return { status: status || null, invalid: !status };
+};
+
+/**
+ * Builds the import plan for one subject: which marks the file adds or changes.
+ * @param {Object} params
+ * @param {ParsedSheet} params.sheet - Parsed file.
+ * @param {ColumnMapping} params.mapping - Column mapping.
+ * @param {string} params.subjectName - Subject the register belongs to.
+ * @param {Array} params.students - Roster rows ({ id: roll number, name, class }).
+ * @param {Array} params.logs - Existing attendance logs (saved and pending).
+ * @returns {ImportPlan}
+ */
+export const buildImportPlan = ({ sheet, mapping, subjectName, students, logs }) => {
+  const roster = new Map(students.filter((s) => s.class === subjectName).map((s) => [s.id, s]));
+  const existing = new Map(
+    logs
+      .filter((log) => log.subject_name === subjectName)
+      .map((log) => [`${log.roll_number}|${log.date}`, getAttendanceStatus(log.status)?.key || null])
+  );
+
+  const plan = { changes: [], unchanged: 0, unknownRolls: [], invalidCells: [] };
+  const dateEntries = Object.entries(mapping.dateColumns).filter(([, date]) => date);
+
+  sheet.rows.forEach((row, rowIndex) => {
+    const rollNumber = row[mapping.rollColumn];
+    if (!rollNumber) return;
+
+    const student = roster.get(rollNumber);
+    if (!student) {
+      if (!plan.unknownRolls.includes(rollNumber)) plan.unknownRolls.push(rollNumber);
+      return;
+    }
+
+    dateEntries.forEach(([columnIndex, date]) => {
+      const value = row[columnIndex];
+      const { status, invalid } = parseStatusCell(value);
+      if (invalid) {
+        plan.invalidCells.push({ row: sheet.headerRow + rowIndex + 1, column: sheet.headers[columnIndex], value });
+        return;
+      }
+      if (!status) return;
+
+      const before = existing.get(`${rollNumber}|${date}`) ?? null;
+      if (before === status.key) {
+        plan.unchanged++;
+        return;
+      }
+      plan.changes.push({ rollNumber, name: student.name, date, before, after: status.key });
+    });
+  });
+
+  plan.changes.sort((a, b) => a.date.localeCompare(b.date) || a.rollNumber.localeCompare(b.rollNumber));
+  return plan;
+};
@@ -0,0 +1,401 @@
+/**
+ * @file attendancePdf.jsx
+ * @description Generates the printable PDF attendance register in the browser with jsPDF.
+ * Every page carries the institution letterhead (logo and name) and the subject/course/semester header;
+ * each month is printed as a day grid with its totals, followed by a summary for the whole range,
+ * a signature block for the teacher and the generated-on timestamp.
+ * The exam-eligibility (detained) list is printed with the same letterhead and signature block.
+ * @author Mohd Waris
+ */
+
+import { jsPDF } from "jspdf";
+import { autoTable } from "jspdf-autotable";
+import dayjs from "dayjs";
+import { ATTENDANCE_STATUSES, NOT_MARKED_CODE } from "./attendanceStatuses";
+import { formatReportPercentage } from "./attendanceReport";
+import { ELIGIBILITY_STATUSES, summarizeEligibility } from "./examEligibility";
+import { formatThresholds } from "./attendancePolicy";
+
+// Page geometry (A4 landscape, millimetres)
+const PAGE_MARGIN = 10;
+const HEADER_HEIGHT = 26;
+const FOOTER_HEIGHT = 10;
+const LOGO_SIZE = 16;
+const BRAND_COLOR = "#6a65ff";
+
+/**
+ * @typedef {Object} RegisterDetails
+ * @property {string} institutionName - Name printed in the letterhead.
+ * @property {string} [logoUrl] - Logo image URL (PNG, JPG or SVG); initials are drawn when missing.
+ * @property {string} course - Course name.
+ * @property {string|number} semester - Semester.
+ * @property {string} teacherName - Name printed under the signature line.
+ * @property {boolean} [withCumulative] - Adds a cumulative-to-date column to each month.
+ */
+
+/**
+ * Loads an image and converts it to a PNG data URL so jsPDF can embed it (SVG included).
+ * @param {string} url - Image URL.
+ * @returns {Promise<string|null>} The data URL, or null if the image cannot be loaded.
+ */
+const loadImageAsDataUrl = (url) =>
+  new Promise((resolve) => {
+    if (!url) {
+      resolve(null);
+      return;
+    }
+    const image = new Image();
+    image.crossOrigin = "anonymous";
+    image.onload = () => {
+      try {
+        const canvas = document.createElement("canvas");
+        // Render at a higher resolution than printed for a sharp logo
+        canvas.width = 256;
+        canvas.height = 256;
+        const ctx = canvas.getContext("2d");
+        const scale = Math.min(256 / image.width, 256 / image.height);
+        const w = image.width * scale;
+        const h = image.height * scale;
+        ctx.drawImage(image, (256 - w) / 2, (256 - h) / 2, w, h);
+        resolve(canvas.toDataURL("image/png"));
+      } catch (err) {
+        // Tainted canvas (logo served without CORS headers)
+        console.error(err);
+        resolve(null);
+      }
+    };
+    image.onerror = () => resolve(null);
+    image.src = url;
+  });
+
+/**
+ * Builds initials from the institution name for the fallback emblem.
+ * @param {string} name - Institution name.
+ * @returns {string} Up to three initials.
+ */
+const getInitials = (name) =>
+  name
+    .split(/\s+/)
+    .filter((word) => word && word[0] === word[0].toUpperCase() && /[a-z]/i.test(word[0]))
+    .map((word) => word[0])
+    .join("")
+    .slice(0, 3);
+
+/**
+ * Draws the letterhead and document header at the top of the current page.
+ * @param {jsPDF} doc - PDF document.
+ * @param {Object} params
+ * @param {RegisterDetails} params.details - Document details (institution name).
+ * @param {string|null} params.logo - Logo data URL.
+ * @param {string} params.title - Document title printed under the institution name.
+ * @param {string} params.subtitle - Line describing the document's scope (subject, period, ...).
+ */
+const drawHeader = (doc, { details, logo, title, subtitle }) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const top = PAGE_MARGIN;
+
+  // Logo (or initials emblem)
+  if (logo) {
+    doc.addImage(logo, "PNG", PAGE_MARGIN, top, LOGO_SIZE, LOGO_SIZE);
+  } else {
+    doc.setFillColor(BRAND_COLOR);
+    doc.circle(PAGE_MARGIN + LOGO_SIZE / 2, top + LOGO_SIZE / 2, LOGO_SIZE / 2, "F");
+    doc.setTextColor("#ffffff");
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(10);
+    doc.text(getInitials(details.institutionName), PAGE_MARGIN + LOGO_SIZE / 2, top + LOGO_SIZE / 2, {
+      align: "center",
+      baseline: "middle",
+    });
+  }
+
+  // Institution name & document title
+  doc.setTextColor("#000000");
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(16);
+  doc.text(details.institutionName, pageWidth / 2, top + 6, { align: "center" });
+  doc.setFontSize(11);
+  doc.text(title, pageWidth / 2, top + 12, { align: "center" });
+
+  // Scope (subject, course, period, ...)
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9);
+  doc.text(subtitle, pageWidth / 2, top + 19, { align: "center" });
+
+  doc.setDrawColor(BRAND_COLOR);
+  doc.setLineWidth(0.6);
+  doc.line(PAGE_MARGIN, top + 22, pageWidth - PAGE_MARGIN, top + 22);
+};
+
+/**
+ * Draws the generated-on timestamp and page numbers on every page.
+ * @param {jsPDF} doc - PDF document.
+ * @param {string} generatedOn - Formatted timestamp.
+ */
+const drawFooters = (doc, generatedOn) => {
+  const pageCount = doc.getNumberOfPages();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const y = doc.internal.pageSize.getHeight() - PAGE_MARGIN / 2;
+
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(8);
+    doc.setTextColor("#666666");
+    doc.text(`Generated on ${generatedOn}`, PAGE_MARGIN, y);
+    doc.text(`Page ${page} of ${pageCount}`, pageWidth - PAGE_MARGIN, y, { align: "right" });
+  }
+};
+
+/**
+ * Colours a grid cell with its status colours.
+ * @param {Object} data - autoTable cell hook data.
+ */
+const colourStatusCell = (data) => {
+  if (data.section !== "body") return;
+  const status = ATTENDANCE_STATUSES.find((s) => s.code === data.cell.raw);
+  if (status) {
+    data.cell.styles.fillColor = status.bgColor;
+    data.cell.styles.textColor = status.color;
+    data.cell.styles.fontStyle = "bold";
+  } else if (data.cell.raw === NOT_MARKED_CODE) {
+    data.cell.styles.textColor = "#999999";
+  }
+};
+
+/**
+ * Draws the legend and the teacher signature block (with a countersignature line) below the last table.
+ * Starts a new page when there is not enough room left.
+ * @param {jsPDF} doc - PDF document.
+ * @param {Object} params
+ * @param {RegisterDetails} params.details - Register details.
+ * @param {string} params.legend - Legend / note printed above the signatures.
+ * @param {Function} params.onNewPage - Draws the header of a new page.
+ */
+const drawSignatureBlock = (doc, { details, legend, onNewPage }) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const blockHeight = 40;
+
+  let y = (doc.lastAutoTable?.finalY || PAGE_MARGIN + HEADER_HEIGHT) + 5;
+  if (y + blockHeight > pageHeight - FOOTER_HEIGHT - PAGE_MARGIN) {
+    doc.addPage();
+    onNewPage();
+    y = PAGE_MARGIN + HEADER_HEIGHT;
+  }
+
+  // Legend
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(7);
+  doc.setTextColor("#444444");
+  doc.text(legend, PAGE_MARGIN, y, { maxWidth: pageWidth - 2 * PAGE_MARGIN });
+  y += 18;
+
+  doc.setDrawColor("#000000");
+  doc.setLineWidth(0.3);
+  doc.setTextColor("#000000");
+  doc.setFontSize(9);
+
+  // Teacher
+  doc.line(PAGE_MARGIN, y, PAGE_MARGIN + 70, y);
+  doc.setFont("helvetica", "bold");
+  doc.text("Signature of Teacher", PAGE_MARGIN, y + 5);
+  doc.setFont("helvetica", "normal");
+  doc.text(`Name: ${details.teacherName || ""}`, PAGE_MARGIN, y + 10);
+  doc.text("Date: ____________________", PAGE_MARGIN, y + 15);
+
+  // Head of Department / Examination Cell
+  const right = pageWidth - PAGE_MARGIN - 70;
+  doc.line(right, y, pageWidth - PAGE_MARGIN, y);
+  doc.setFont("helvetica", "bold");
+  doc.text("Head of Department / Examination Cell", right, y + 5);
+  doc.setFont("helvetica", "normal");
+  doc.text("Date: ____________________", right, y + 15);
+};
+
+/**
+ * Builds the PDF register for a report.
+ * @param {import("./attendanceReport").AttendanceReport} report - Report data (see buildAttendanceReport).
+ * @param {RegisterDetails} details - Register details.
+ * @returns {Promise<jsPDF>} The document, ready to save.
+ */
+export const buildAttendancePdf = async (report, details) => {
+  const doc = new jsPDF({ orientation: "landscape", unit: "mm", format: "a4" });
+  const logo = await loadImageAsDataUrl(details.logoUrl);
+  const generatedOn = dayjs().format("DD MMM YYYY, hh:mm A");
+  const period = `${dayjs(report.startDate).format("DD MMM YYYY")} - ${dayjs(report.endDate).format("DD MMM YYYY")}`;
+  const drawPageHeader = () =>
+    drawHeader(doc, {
+      details,
+      logo,
+      title: "Attendance Register",
+      subtitle: `Subject: ${report.subjectName}    Course: ${details.course}    Semester: ${details.semester}    Period: ${period}`,
+    });
+
+  const tableDefaults = {
+    theme: "grid",
+    margin: { top: PAGE_MARGIN + HEADER_HEIGHT, bottom: PAGE_MARGIN + FOOTER_HEIGHT, left: PAGE_MARGIN, right: PAGE_MARGIN },
+    styles: { fontSize: 7, cellPadding: 1, halign: "center", valign: "middle", lineColor: "#cccccc" },
+    headStyles: { fillColor: BRAND_COLOR, textColor: "#ffffff", fontStyle: "bold" },
+    columnStyles: { 0: { halign: "left", cellWidth: 22 }, 1: { halign: "left", cellWidth: 38 } },
+    didDrawPage: drawPageHeader,
+  };
+
+  // --- One day grid per month ---
+  report.months.forEach((month, index) => {
+    if (index > 0) doc.addPage();
+    const days = month.dates.map((date) => String(Number(date.slice(8))));
+    const head = ["Roll No", "Name", ...days, "Classes", "Present", "%"];
+    if (details.withCumulative) head.push("Cum. %");
+
+    autoTable(doc, {
+      ...tableDefaults,
+      startY: PAGE_MARGIN + HEADER_HEIGHT,
+      head: [
+        [{ content: month.label, colSpan: head.length, styles: { halign: "left", fillColor: "#ffffff", textColor: "#000000", fontSize: 9 } }],
+        head,
+      ],
+      body: report.rows.map((row) => {
+        const totals = row.monthTotals[month.key];
+        const cells = [
+          row.rollNumber,
+          row.name,
+          ...month.dates.map((date) => row.marks[date]),
+          totals.held,
+          totals.present,
+          formatReportPercentage(totals.percentage),
+        ];
+        if (details.withCumulative) cells.push(formatReportPercentage(row.cumulative[month.key].percentage));
+        return cells;
+      }),
+      didParseCell: colourStatusCell,
+    });
+  });
+
+  // --- Summary over the whole range ---
+  if (report.months.length > 1) {
+    doc.addPage();
+    autoTable(doc, {
+      ...tableDefaults,
+      startY: PAGE_MARGIN + HEADER_HEIGHT,
+      styles: { ...tableDefaults.styles, fontSize: 8, cellPadding: 1.5 },
+      columnStyles: { 0: { halign: "left", cellWidth: 30 }, 1: { halign: "left", cellWidth: 60 } },
+      head: [
+        [{ content: "Summary for the whole period", colSpan: 5, styles: { halign: "left", fillColor: "#ffffff", textColor: "#000000", fontSize: 9 } }],
+        ["Roll No", "Name", "Total Classes", "Days Present", "Percentage"],
+      ],
+      body: report.rows.map((row) => [
+        row.rollNumber,
+        row.name,
+        row.totals.held,
+        row.totals.present,
+        formatReportPercentage(row.totals.percentage),
+      ]),
+    });
+  }
+
+  // --- Legend, signatures & footers ---
+  drawSignatureBlock(doc, {
+    details,
+    legend: [...ATTENDANCE_STATUSES.map((s) => `${s.code} = ${s.label}`), `${NOT_MARKED_CODE} = Not Marked`].join("   "),
+    onNewPage: drawPageHeader,
+  });
+  drawFooters(doc, generatedOn);
+
+  return doc;
+};
+
+/**
+ * @typedef {Object} EligibilityDetails
+ * @property {string} institutionName - Name printed in the letterhead.
+ * @property {string} [logoUrl] - Logo image URL.
+ * @property {string} teacherName - Name printed under the signature line.
+ * @property {string} subjectLabel - Subject(s) covered by the list.
+ * @property {string} cutoffDate - Last date counted (YYYY-MM-DD).
+ */
+
+/**
+ * Builds the PDF exam-eligibility list for the examination cell: the detained students,
+ * then the condoned students with their reasons, then the counts and the signature block.
+ * Each row carries the percentage its student needed, from the attendance policy.
+ * @param {import("./examEligibility").EligibilityRow[]} rows - Eligibility rows.
+ * @param {EligibilityDetails} details - List details.
+ * @returns {Promise<jsPDF>} The document, ready to save.
+ */
+export const buildEligibilityPdf = async (rows, details) => {
+  const doc = new jsPDF({ orientation: "portrait", unit: "mm", format: "a4" });
+  const logo = await loadImageAsDataUrl(details.logoUrl);
+  const generatedOn = dayjs().format("DD MMM YYYY, hh:mm A");
+  const minimum = formatThresholds(rows.map((row) => row.policy));
+  const drawPageHeader = () =>
+    drawHeader(doc, {
+      details,
+      logo,
+      title: "Attendance Shortage / Detained List",
+      subtitle: `Subject: ${details.subjectLabel}    Attendance up to: ${dayjs(details.cutoffDate).format("DD MMM YYYY")}    Minimum: ${minimum}`,
+    });
+
+  const summary = summarizeEligibility(rows);
+  const detained = rows.filter((row) => row.status === ELIGIBILITY_STATUSES.detained.key);
+  const condoned = rows.filter((row) => row.status === ELIGIBILITY_STATUSES.condoned.key);
+  const tableDefaults = {
+    theme: "grid",
+    margin: { top: PAGE_MARGIN + HEADER_HEIGHT, bottom: PAGE_MARGIN + FOOTER_HEIGHT, left: PAGE_MARGIN, right: PAGE_MARGIN },
+    styles: { fontSize: 8, cellPadding: 1.5, valign: "middle", lineColor: "#cccccc" },
+    headStyles: { fillColor: BRAND_COLOR, textColor: "#ffffff", fontStyle: "bold" },
+    didDrawPage: drawPageHeader,
+  };
+  const sectionTitle = (content, colSpan) => [
+    { content, colSpan, styles: { halign: "left", fillColor: "#ffffff", textColor: "#000000", fontSize: 9 } },
+  ];
+  const studentCells = (row, index) => [
+    index + 1,
+    row.rollNumber,
+    row.name,
+    `${row.course} / Sem ${row.semester}`,
+    row.subjectName,
+    `${row.attended} / ${row.held}`,
+    formatReportPercentage(row.percentage ?? 0),
+    `${row.threshold}%`,
+  ];
+  const studentHead = ["S.No", "Roll No", "Name", "Course / Sem", "Subject", "Attended", "%", "Required"];
+
+  // --- Detained students ---
+  autoTable(doc, {
+    ...tableDefaults,
+    startY: PAGE_MARGIN + HEADER_HEIGHT,
+    head: [sectionTitle(`Detained students (${detained.length})`, studentHead.length), studentHead],
+    body: detained.length
+      ? detained.map(studentCells)
+      : [[{ content: "No student is below the minimum attendance.", colSpan: studentHead.length, styles: { halign: "center" } }]],
+  });
+
+  // --- Condoned students ---
+  if (condoned.length) {
+    autoTable(doc, {
+      ...tableDefaults,
+      startY: doc.lastAutoTable.finalY + 6,
+      head: [sectionTitle(`Shortage condoned (${condoned.length})`, studentHead.length + 1), [...studentHead, "Reason"]],
+      body: condoned.map((row, index) => [...studentCells(row, index), row.condonation.reason]),
+    });
+  }
+
+  // --- Counts ---
+  autoTable(doc, {
+    ...tableDefaults,
+    startY: doc.lastAutoTable.finalY + 6,
+    tableWidth: 90,
+    head: [["Students evaluated", "Eligible", "Condoned", "Detained"]],
+    body: [[summary.total, summary.eligible, summary.condoned, summary.detained]],
+    styles: { ...tableDefaults.styles, halign: "center" },
+  });
+
+  drawSignatureBlock(doc, {
+    details,
+    legend: `Attendance counted up to ${dayjs(details.cutoffDate).format("DD MMM YYYY")}; students below their required percentage (${minimum}) are not eligible to appear unless condoned.`,
+    onNewPage: drawPageHeader,
+  });
+  drawFooters(doc, generatedOn);
+
+  return doc;
+};
@@ -0,0 +1,73 @@
+/**
+ * @file attendancePlanner.jsx
+ * @description Works out, for one subject, how many classes a student can still miss without falling
+ * below the threshold of their attendance policy, or how many they must attend in a row to get back
+ * above it. With the number of classes expected in the rest of the semester, it also gives how many
+ * of them the student must attend, and the best percentage they can still reach.
+ * @author Mohd Waris
+ */
+
+/** @type {number} Largest number of remaining classes offered by the what-if slider. */
+export const MAX_REMAINING_CLASSES = 60;
+
+// Keeps exact ratios (e.g. 3/4 at 75%) from being lost to floating point
+const EPSILON = 1e-9;
+
+/**
+ * @typedef {Object} SemesterPlan
+ * @property {number} remaining - Classes expected in the rest of the semester.
+ * @property {boolean} reachable - Whether the threshold can still be met by the end of the semester.
+ * @property {number} mustAttend - Remaining classes the student must attend (all of them when unreachable).
+ * @property {number} canMiss - Remaining classes the student can miss.
+ * @property {number} finalPercentage - Percentage at the end of the semester, attending exactly mustAttend.
+ */
+
+/**
+ * @typedef {Object} SubjectPlan
+ * @property {number|null} percentage - Current percentage, or null when no class was held.
+ * @property {boolean} belowThreshold - Whether the student is short of the threshold now.
+ * @property {number} canMissNow - Classes in a row the student can miss and still be at the threshold.
+ * @property {number|null} mustAttendNow - Classes in a row the student must attend to get back to the
+ * threshold (0 when not short; null when it can never be reached, e.g. a 100% threshold).
+ * @property {SemesterPlan|null} semester - Plan for the rest of the semester (null without remaining classes).
+ */
+
+/**
+ * Plans a subject's attendance against its policy's threshold.
+ * @param {{attended: number, total: number}} subject - Classes attended and held so far.
+ * @param {import("./attendancePolicy").AttendancePolicy} policy - Policy of the subject.
+ * @param {number} [remaining=0] - Classes expected in the rest of the semester.
+ * @returns {SubjectPlan}
+ */
+export const planSubjectAttendance = ({ attended, total }, policy, remaining = 0) => {
+  const required = policy.threshold / 100;
+  const percentage = total ? (attended / total) * 100 : null;
+  const belowThreshold = attended < required * total - EPSILON;
+
+  // Missing k classes keeps attended / (total + k) >= required
+  const canMissNow = belowThreshold || required === 0
+    ? 0
+    : Math.max(0, Math.floor(attended / required - total + EPSILON));
+
+  // Attending x classes reaches (attended + x) / (total + x) >= required
+  let mustAttendNow = 0;
+  if (belowThreshold) {
+    mustAttendNow = required >= 1 ? null : Math.ceil((required * total - attended) / (1 - required) - EPSILON);
+  }
+
+  let semester = null;
+  if (remaining > 0) {
+    const needed = Math.max(0, Math.ceil(required * (total + remaining) - attended - EPSILON));
+    const reachable = needed <= remaining;
+    const mustAttend = Math.min(needed, remaining);
+    semester = {
+      remaining,
+      reachable,
+      mustAttend,
+      canMiss: remaining - mustAttend,
+      finalPercentage: ((attended + mustAttend) / (total + remaining)) * 100,
+    };
+  }
+
+  return { percentage, belowThreshold, canMissNow, mustAttendNow, semester };
+};
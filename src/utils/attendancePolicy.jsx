@@ -0,0 +1,187 @@
+/**
+ * @file attendancePolicy.jsx
+ * @description Single source of truth for the attendance a student needs. A policy gives the required
+ * percentage (threshold), the percentage above which a student is out of the warning band (safe) and the
+ * percentage shown as excellent. The institution default can be overridden per course, subject type
+ * (theory, lab, ...) or semester by rules, loaded from VITE_ATTENDANCE_POLICY (see config.jsx).
+ * Dashboards, warning emails, eligibility lists and exports all read their thresholds from here.
+ * The configuration also picks how a student's subjects are combined into one overall percentage.
+ * @author Mohd Waris
+ */
+
+import { ATTENDANCE_POLICY_CONFIG } from "../config";
+
+/**
+ * @typedef {Object} AttendancePolicy
+ * @property {number} threshold - Required percentage; below it a student is short of attendance.
+ * @property {number} safe - Percentage from which a student is no longer in the warning band.
+ * @property {number} excellent - Percentage from which attendance is shown as excellent.
+ */
+
+/**
+ * @typedef {Object} PolicyRule
+ * @property {Object} match - Conditions that must all hold for the rule to apply.
+ * @property {string} [match.course] - Course name.
+ * @property {number} [match.semester] - Semester.
+ * @property {string} [match.subjectType] - Subject type (see subjectTypes).
+ * @property {string} [match.subject] - Subject name.
+ * @property {number} [threshold] - Overrides the threshold.
+ * @property {number} [safe] - Overrides the safe percentage.
+ * @property {number} [excellent] - Overrides the excellent percentage.
+ */
+
+/**
+ * @typedef {Object} PolicyConfig
+ * @property {AttendancePolicy} default - Institution-wide policy.
+ * @property {Object<string, string[]>} subjectTypes - Words in a subject's name that give its type
+ * (e.g. { lab: ["Lab", "Practical"] }); subjects matching none are 'theory'.
+ * @property {PolicyRule[]} rules - Overrides, applied in order; later rules win.
+ * @property {string} aggregation - How the overall percentage is computed: 'sum', 'credits' or 'mean'
+ * (see utils/attendanceAggregation.jsx).
+ */
+
+/** @type {PolicyConfig} Used when VITE_ATTENDANCE_POLICY is not set. */
+export const DEFAULT_POLICY_CONFIG = {
+  default: { threshold: 75, safe: 80, excellent: 90 },
+  subjectTypes: { lab: ["Lab", "Laboratory", "Practical"] },
+  rules: [{ match: { subjectType: "lab" }, threshold: 80, safe: 85, excellent: 95 }],
+  aggregation: "credits",
+};
+
+const DEFAULT_SUBJECT_TYPE = "theory";
+
+/**
+ * Reads the configured policy, falling back to the defaults for anything missing or invalid.
+ * @param {string} raw - JSON from VITE_ATTENDANCE_POLICY (may be empty).
+ * @returns {PolicyConfig}
+ */
+const loadPolicyConfig = (raw) => {
+  if (!raw) return DEFAULT_POLICY_CONFIG;
+  try {
+    const config = JSON.parse(raw);
+    return {
+      default: { ...DEFAULT_POLICY_CONFIG.default, ...config.default },
+      subjectTypes: config.subjectTypes || DEFAULT_POLICY_CONFIG.subjectTypes,
+      rules: Array.isArray(config.rules) ? config.rules : DEFAULT_POLICY_CONFIG.rules,
+      aggregation: config.aggregation || DEFAULT_POLICY_CONFIG.aggregation,
+    };
+  } catch (err) {
+    console.error("Invalid VITE_ATTENDANCE_POLICY, using the default policy:", err);
+    return DEFAULT_POLICY_CONFIG;
+  }
+};
+
+/** @type {PolicyConfig} */
+export const POLICY_CONFIG = loadPolicyConfig(ATTENDANCE_POLICY_CONFIG);
+
+/** @type {AttendancePolicy} Policy of a class with no course, semester or subject to go by. */
+export const DEFAULT_POLICY = POLICY_CONFIG.default;
+
+/**
+ * Escapes a word for use inside a regular expression.
+ * @param {string} word - Word.
+ * @returns {string}
+ */
+const escapeRegExp = (word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Works out a subject's type from the words in its name (whole words, plural allowed).
+ * @param {string} subjectName - Subject name.
+ * @returns {string} A key of subjectTypes, or 'theory'.
+ */
+export const getSubjectType = (subjectName) => {
+  const name = subjectName || "";
+  const match = Object.entries(POLICY_CONFIG.subjectTypes).find(([, words]) =>
+    words.some((word) => new RegExp(`\\b${escapeRegExp(word)}s?\\b`, "i").test(name))
+  );
+  return match ? match[0] : DEFAULT_SUBJECT_TYPE;
+};
+
+/**
+ * Resolves the policy of a class. Conditions of a rule that the caller cannot fill
+ * (e.g. no course on the student portal) do not match.
+ * @param {Object} [context]
+ * @param {string} [context.course] - Course name.
+ * @param {number} [context.semester] - Semester.
+ * @param {string} [context.subjectName] - Subject name.
+ * @returns {AttendancePolicy}
+ */
+export const getAttendancePolicy = ({ course, semester, subjectName } = {}) => {
+  const values = {
+    course,
+    semester: semester === undefined || semester === null ? undefined : Number(semester),
+    subject: subjectName,
+    subjectType: subjectName ? getSubjectType(subjectName) : undefined,
+  };
+
+  return POLICY_CONFIG.rules.reduce((policy, rule) => {
+    const applies = Object.entries(rule.match || {}).every(([key, expected]) =>
+      key === "semester" ? values.semester === Number(expected) : values[key] === expected
+    );
+    if (!applies) return policy;
+    const { threshold = policy.threshold, safe = policy.safe, excellent = policy.excellent } = rule;
+    return { threshold, safe, excellent };
+  }, POLICY_CONFIG.default);
+};
+
+/**
+ * Resolves the policy of a roster row returned by the teacher endpoints.
+ * @param {import("../api/apiClient").TeacherStudent} student - Roster row (one student in one subject).
+ * @returns {AttendancePolicy}
+ */
+export const getRosterPolicy = (student) =>
+  getAttendancePolicy({
+    course: student.course?.course_name,
+    semester: student.current_semester,
+    subjectName: student.subject_name,
+  });
+
+/**
+ * Checks whether a percentage is short of a policy's threshold.
+ * @param {number|null} rate - Attendance percentage (null when no class was held).
+ * @param {AttendancePolicy} [policy] - Policy; the default policy if omitted.
+ * @returns {boolean}
+ */
+export const isBelowThreshold = (rate, policy = DEFAULT_POLICY) =>
+  rate !== null && rate !== undefined && rate < policy.threshold;
+
+/**
+ * Describes the thresholds of several classes for headings and email copy.
+ * @param {AttendancePolicy[]} policies - Policies of the classes shown.
+ * @returns {string} "75%" when they agree, "75–80%" when they differ.
+ */
+export const formatThresholds = (policies) => {
+  const thresholds = [...new Set((policies.length ? policies : [DEFAULT_POLICY]).map((policy) => policy.threshold))];
+  const min = Math.min(...thresholds);
+  const max = Math.max(...thresholds);
+  return min === max ? `${min}%` : `${min}–${max}%`;
+};
+
+/**
+ * Picks the policy shared by several classes.
+ * @param {AttendancePolicy[]} policies - Policies of the classes shown.
+ * @returns {AttendancePolicy} Their common policy, or the default policy when they differ.
+ */
+export const getCommonPolicy = (policies) => {
+  const [first] = policies;
+  const same = first && policies.every(
+    (policy) => policy.threshold === first.threshold && policy.safe === first.safe && policy.excellent === first.excellent
+  );
+  return same ? first : DEFAULT_POLICY;
+};
+
+/**
+ * Replaces a policy's threshold with one typed by the teacher (e.g. on a report screen),
+ * keeping the bands above it in order.
+ * @param {AttendancePolicy} policy - Policy of the class.
+ * @param {number|null} [threshold] - Override; null or undefined keeps the policy's threshold.
+ * @returns {AttendancePolicy}
+ */
+export const withThresholdOverride = (policy, threshold) => {
+  if (threshold === null || threshold === undefined) return policy;
+  return {
+    threshold,
+    safe: Math.max(policy.safe, threshold),
+    excellent: Math.max(policy.excellent, threshold),
+  };
+};
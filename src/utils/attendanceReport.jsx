@@ -0,0 +1,245 @@
+/**
+ * @file attendanceReport.jsx
+ * @description Builds the data behind the attendance report export for one subject over a date range:
+ * one status code per student and day, per-month totals, cumulative figures and totals for the whole range.
+ * The result is independent of the output format so every export writer shares the same numbers.
+ * The same report, built per subject for a single student, backs the student detail page and its export.
+ * @author Mohd Waris
+ */
+
+import dayjs from "dayjs";
+import { getAttendanceStatus, NOT_MARKED_CODE } from "./attendanceStatuses";
+
+/**
+ * @typedef {Object} ReportMonth
+ * @property {string} key - Month (YYYY-MM).
+ * @property {string} label - Display label, e.g. "Jan 2025".
+ * @property {string[]} dates - Every date of the month inside the range (YYYY-MM-DD).
+ * @property {number} classesHeld - Distinct dates in the month on which the subject was marked.
+ */
+
+/**
+ * @typedef {Object} ClassTotals
+ * @property {number} held - Classes held.
+ * @property {number} present - Classes attended (statuses flagged countsAsPresent).
+ * @property {number} percentage - Attendance percentage (0 when no classes were held).
+ */
+
+/**
+ * @typedef {Object} ReportRow
+ * @property {string} rollNumber - Student roll number.
+ * @property {string} name - Student name.
+ * @property {Object<string, string>} marks - Cell per date: a status code, NOT_MARKED_CODE, or '' when no class.
+ * @property {Object<string, ClassTotals>} monthTotals - Totals per month key.
+ * @property {Object<string, ClassTotals>} cumulative - Totals from the range start to the end of each month.
+ * @property {ClassTotals} totals - Totals over the whole range.
+ */
+
+/**
+ * @typedef {Object} AttendanceReport
+ * @property {string} subjectName - Subject name.
+ * @property {string} startDate - First date (YYYY-MM-DD).
+ * @property {string} endDate - Last date (YYYY-MM-DD).
+ * @property {ReportMonth[]} months - Months covered by the range, in order.
+ * @property {number} classesHeld - Distinct class dates in the whole range.
+ * @property {ReportRow[]} rows - One row per student.
+ */
+
+/**
+ * Builds totals from classes held and attended.
+ * @param {number} held - Classes held.
+ * @param {number} present - Classes attended.
+ * @returns {ClassTotals}
+ */
+const toTotals = (held, present) => ({
+  held,
+  present,
+  percentage: held > 0 ? (present / held) * 100 : 0,
+});
+
+/**
+ * Formats a percentage the way the report prints it.
+ * @param {number} percentage - Percentage.
+ * @returns {string} e.g. "82.50%".
+ */
+export const formatReportPercentage = (percentage) => `${percentage.toFixed(2)}%`;
+
+/**
+ * Lists the months covered by a date range, with their dates inside the range.
+ * @param {string} startDate - First date (YYYY-MM-DD).
+ * @param {string} endDate - Last date (YYYY-MM-DD).
+ * @returns {Array<{key: string, label: string, dates: string[]}>}
+ */
+export const getRangeMonths = (startDate, endDate) => {
+  const months = [];
+  let day = dayjs(startDate);
+  const last = dayjs(endDate);
+
+  while (!day.isAfter(last, "day")) {
+    const key = day.format("YYYY-MM");
+    let month = months[months.length - 1];
+    if (!month || month.key !== key) {
+      month = { key, label: day.format("MMM YYYY"), dates: [] };
+      months.push(month);
+    }
+    month.dates.push(day.format("YYYY-MM-DD"));
+    day = day.add(1, "day");
+  }
+
+  return months;
+};
+
+/**
+ * Keeps the logs of one class's students, so that days when only another course or semester
+ * had the subject do not count as held for this class.
+ * @param {Array} logs - Attendance logs.
+ * @param {Array} students - Roster rows of the class ({ id: roll number }).
+ * @returns {Array} The class's logs.
+ */
+export const getClassLogs = (logs, students) => {
+  const rollNumbers = new Set(students.map((student) => student.id));
+  return logs.filter((log) => rollNumbers.has(log.roll_number));
+};
+
+/**
+ * Builds the report for one subject and a set of students.
+ * @param {Object} params
+ * @param {Array} params.students - Roster rows to include ({ id: roll number, name }).
+ * @param {Array} params.logs - Attendance logs of the students' class (see getClassLogs).
+ * @param {string} params.subjectName - Subject name.
+ * @param {string} params.startDate - First date (YYYY-MM-DD).
+ * @param {string} params.endDate - Last date (YYYY-MM-DD).
+ * @returns {AttendanceReport}
+ */
+export const buildAttendanceReport = ({ students, logs, subjectName, startDate, endDate }) => {
+  // 1. Logs of the subject inside the range, indexed by student and date
+  const rangeLogs = logs.filter(
+    (log) => log.subject_name === subjectName && log.date >= startDate && log.date <= endDate
+  );
+  const logIndex = new Map(rangeLogs.map((log) => [`${log.roll_number}|${log.date}`, log]));
+  // A class counts as held on every date the subject was marked for anyone in the logs given
+  const classDates = new Set(rangeLogs.map((log) => log.date));
+
+  const months = getRangeMonths(startDate, endDate).map((month) => ({
+    ...month,
+    classesHeld: month.dates.filter((date) => classDates.has(date)).length,
+  }));
+
+  // 2. One row per student
+  const rows = students.map((student) => {
+    const marks = {};
+    const monthTotals = {};
+    const cumulative = {};
+    let runningHeld = 0;
+    let runningPresent = 0;
+
+    months.forEach((month) => {
+      let present = 0;
+      month.dates.forEach((date) => {
+        const status = getAttendanceStatus(logIndex.get(`${student.id}|${date}`)?.status);
+        if (status) {
+          marks[date] = status.code;
+          if (status.countsAsPresent) present++;
+        } else {
+          // Class held but student not in log -> Not Marked; no class -> empty cell
+          marks[date] = classDates.has(date) ? NOT_MARKED_CODE : "";
+        }
+      });
+
+      runningHeld += month.classesHeld;
+      runningPresent += present;
+      monthTotals[month.key] = toTotals(month.classesHeld, present);
+      cumulative[month.key] = toTotals(runningHeld, runningPresent);
+    });
+
+    return {
+      rollNumber: student.id,
+      name: student.name,
+      marks,
+      monthTotals,
+      cumulative,
+      totals: toTotals(runningHeld, runningPresent),
+    };
+  });
+
+  return { subjectName, startDate, endDate, months, classesHeld: classDates.size, rows };
+};
+
+/**
+ * Splits the roster into classes: one group per subject, course and semester combination.
+ * Only subjects assigned to the teacher are included, in the order of the subject list.
+ * @param {Array} students - Roster rows ({ id, name, class, course, semester }).
+ * @param {Array} subjects - Subject mappings ({ ts_id, subject_name }).
+ * @returns {Array<{subjectName: string, course: string, semester: number, students: Array}>}
+ */
+export const groupStudentsByClass = (students, subjects) =>
+  subjects.flatMap((subject) => {
+    const groups = new Map();
+    students
+      .filter((student) => student.class === subject.subject_name)
+      .forEach((student) => {
+        const key = `${student.course}|${student.semester}`;
+        if (!groups.has(key)) {
+          groups.set(key, { subjectName: subject.subject_name, course: student.course, semester: student.semester, students: [] });
+        }
+        groups.get(key).students.push(student);
+      });
+    return [...groups.values()].sort((a, b) => String(a.course).localeCompare(String(b.course)) || a.semester - b.semester);
+  });
+
+/**
+ * @typedef {Object} SubjectRecord
+ * @property {string} subjectName - Subject name.
+ * @property {string} course - Course name.
+ * @property {number} semester - Semester.
+ * @property {Object} enrolment - The roster row as returned by the API (sent with warnings).
+ * @property {AttendanceReport} report - Report of the subject, from its first class to the end date.
+ * @property {ReportRow} row - The student's row in that report.
+ */
+
+/**
+ * Builds one student's record in every subject they share with the teacher.
+ * Only classes of the student's own section (same subject, course and semester) count as held,
+ * so a subject taught to several courses does not show the other sections' classes as missed.
+ * @param {Object} params
+ * @param {number|string} params.studentId - Database ID of the student.
+ * @param {Array} params.roster - Teacher roster as returned by the API (one row per student and subject).
+ * @param {Array} params.logs - Attendance logs.
+ * @param {string} params.endDate - Last date (YYYY-MM-DD).
+ * @returns {SubjectRecord[]} One entry per subject, in roster order.
+ */
+export const buildStudentRecord = ({ studentId, roster, logs, endDate }) =>
+  roster
+    .filter((enrolment) => String(enrolment.id) === String(studentId))
+    .map((enrolment) => {
+      const course = enrolment.course?.course_name || "N/A";
+      const classmates = new Set(
+        roster
+          .filter(
+            (r) =>
+              r.subject_name === enrolment.subject_name &&
+              (r.course?.course_name || "N/A") === course &&
+              r.current_semester === enrolment.current_semester
+          )
+          .map((r) => r.roll_number)
+      );
+      const classLogs = logs.filter((log) => log.subject_name === enrolment.subject_name && classmates.has(log.roll_number));
+      const firstDate = classLogs.reduce((first, log) => (log.date < first ? log.date : first), endDate);
+
+      const report = buildAttendanceReport({
+        students: [{ id: enrolment.roll_number, name: enrolment.student_name }],
+        logs: classLogs,
+        subjectName: enrolment.subject_name,
+        startDate: firstDate,
+        endDate,
+      });
+
+      return {
+        subjectName: enrolment.subject_name,
+        course,
+        semester: enrolment.current_semester,
+        enrolment,
+        report,
+        row: report.rows[0],
+      };
+    });
@@ -0,0 +1,128 @@
+/**
+ * @file attendanceStats.jsx
+ * @description Per-student, per-subject statistics derived from the teacher's attendance logs:
+ * running attendance percentage, current absence streak and longest absence streak.
+ * Also stores the streak threshold at which the register highlights a student.
+ * @author Mohd Waris
+ */
+
+import { getAttendanceStatus, countsAsPresent, countsAsAbsence } from "./attendanceStatuses";
+
+// Consecutive missed classes at which a row is highlighted, unless the teacher changes it
+export const DEFAULT_STREAK_THRESHOLD = 3;
+
+const STREAK_THRESHOLD_KEY = "university_streak_threshold";
+
+/**
+ * @typedef {Object} StudentSubjectStats
+ * @property {number} attended - Classes counted as attended (statuses flagged countsAsPresent).
+ * @property {number} total - Classes the student was marked for.
+ * @property {number|null} percentage - Exact attendance percentage (round it only for display), or null with no marked classes.
+ * @property {number} currentStreak - Consecutive most recent absences (medical leave neither extends nor ends a run).
+ * @property {number} longestStreak - Longest run of consecutive absences.
+ */
+
+/** @type {StudentSubjectStats} */
+export const EMPTY_STATS = {
+  attended: 0,
+  total: 0,
+  percentage: null,
+  currentStreak: 0,
+  longestStreak: 0,
+};
+
+/**
+ * Builds the lookup key for a student in a subject.
+ * @param {string} rollNumber - Student roll number.
+ * @param {string} subjectName - Subject name.
+ * @returns {string}
+ */
+export const getStatsKey = (rollNumber, subjectName) => `${rollNumber}|${subjectName}`;
+
+/**
+ * Computes statistics for every student and subject found in the logs.
+ * Logs with an unknown status are ignored.
+ * @param {import("../api/apiClient").AttendanceLog[]} logs - Attendance logs.
+ * @param {Object} [options]
+ * @param {string} [options.upTo] - Only count classes on or before this date (YYYY-MM-DD).
+ * @returns {Map<string, StudentSubjectStats>} Stats keyed by getStatsKey(roll, subject).
+ */
+export const computeAttendanceStats = (logs, { upTo } = {}) => {
+  // 1. Group logs per student and subject
+  const grouped = new Map();
+  logs.forEach((log) => {
+    if (upTo && log.date > upTo) return;
+    if (!getAttendanceStatus(log.status)) return;
+
+    const key = getStatsKey(log.roll_number, log.subject_name);
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(log);
+  });
+
+  // 2. Walk each student's classes in date order
+  const stats = new Map();
+  grouped.forEach((studentLogs, key) => {
+    studentLogs.sort((a, b) => a.date.localeCompare(b.date));
+
+    let attended = 0;
+    let currentStreak = 0;
+    let longestStreak = 0;
+    studentLogs.forEach((log) => {
+      if (countsAsPresent(log.status)) attended++;
+
+      if (countsAsAbsence(log.status)) {
+        currentStreak++;
+        longestStreak = Math.max(longestStreak, currentStreak);
+      } else if (countsAsPresent(log.status)) {
+        currentStreak = 0;
+      }
+    });
+
+    stats.set(key, {
+      attended,
+      total: studentLogs.length,
+      percentage: (attended / studentLogs.length) * 100,
+      currentStreak,
+      longestStreak,
+    });
+  });
+
+  return stats;
+};
+
+/**
+ * Reads one student's stats from a computed map.
+ * @param {Map<string, StudentSubjectStats>} stats - Result of computeAttendanceStats.
+ * @param {string} rollNumber - Student roll number.
+ * @param {string} subjectName - Subject name.
+ * @returns {StudentSubjectStats} The stats, or EMPTY_STATS if the student has no marked classes.
+ */
+export const getStudentStats = (stats, rollNumber, subjectName) =>
+  stats.get(getStatsKey(rollNumber, subjectName)) || EMPTY_STATS;
+
+// --- Streak Threshold ---
+
+/**
+ * Checks whether an absence streak should be highlighted.
+ * @param {number} streak - Current consecutive missed classes.
+ * @param {number} threshold - Streak threshold.
+ * @returns {boolean}
+ */
+export const isStreakFlagged = (streak, threshold) => streak > 0 && streak >= threshold;
+
+/**
+ * Reads the teacher's streak threshold.
+ * @returns {number} The saved threshold, or DEFAULT_STREAK_THRESHOLD.
+ */
+export const getStreakThreshold = () => {
+  const saved = parseInt(localStorage.getItem(STREAK_THRESHOLD_KEY), 10);
+  return saved > 0 ? saved : DEFAULT_STREAK_THRESHOLD;
+};
+
+/**
+ * Saves the teacher's streak threshold.
+ * @param {number} threshold - Consecutive missed classes that trigger highlighting (>= 1).
+ */
+export const saveStreakThreshold = (threshold) => {
+  localStorage.setItem(STREAK_THRESHOLD_KEY, String(threshold));
+};
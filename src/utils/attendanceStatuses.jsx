@@ -0,0 +1,169 @@
+/**
+ * @file attendanceStatuses.jsx
+ * @description Single source of truth for the attendance statuses a teacher can record.
+ * Each status defines its label, the value stored by the backend, a short code for exports (one or two letters),
+ * colours for chips/cells, the key it is sent under in /attendance/mark/ payloads, whether
+ * it counts towards a student's attendance percentage and whether it is an absence for streaks. Add, remove or recolour statuses here;
+ * the marking table, read-only table, summary cards, student calendar and exports follow.
+ * @author Mohd Waris
+ */
+
+import {
+  CheckCircle,
+  Cancel,
+  AccessTime,
+  EventAvailable,
+  LocalHospital,
+  BusinessCenter,
+} from "@mui/icons-material";
+
+/**
+ * @typedef {Object} AttendanceStatus
+ * @property {string} key - Internal key used by the UI state ('present', 'medical_leave', ...).
+ * @property {string} label - Human readable label.
+ * @property {string} apiValue - Value stored in attendance logs by the backend.
+ * @property {string} code - Short code used in spreadsheet exports.
+ * @property {string} payloadKey - Array key in the /attendance/mark/ payload.
+ * @property {boolean} countsAsPresent - True if the class counts as attended for percentages.
+ * @property {boolean} countsAsAbsence - True if the class extends an absence streak. Statuses that are
+ * neither (medical leave) leave the streak as it was.
+ * @property {string} color - Foreground colour.
+ * @property {string} bgColor - Background colour for chips and calendar cells.
+ * @property {import("react").ElementType} icon - MUI icon component.
+ */
+
+/** @type {AttendanceStatus[]} */
+export const ATTENDANCE_STATUSES = [
+  {
+    key: "present",
+    label: "Present",
+    apiValue: "Present",
+    code: "P",
+    payloadKey: "present",
+    countsAsPresent: true,
+    countsAsAbsence: false,
+    color: "#1e8e3e",
+    bgColor: "#e6f4ea",
+    icon: CheckCircle,
+  },
+  {
+    key: "absent",
+    label: "Absent",
+    apiValue: "Absent",
+    code: "A",
+    payloadKey: "absent",
+    countsAsPresent: false,
+    countsAsAbsence: true,
+    color: "#d93025",
+    bgColor: "#fce8e6",
+    icon: Cancel,
+  },
+  {
+    key: "late",
+    label: "Late",
+    apiValue: "Late",
+    code: "L",
+    payloadKey: "late",
+    countsAsPresent: true,
+    countsAsAbsence: false,
+    color: "#e8710a",
+    bgColor: "#feefe3",
+    icon: AccessTime,
+  },
+  {
+    key: "excused",
+    label: "Excused",
+    apiValue: "Excused",
+    code: "E",
+    payloadKey: "excused",
+    countsAsPresent: true,
+    countsAsAbsence: false,
+    color: "#1a73e8",
+    bgColor: "#e8f0fe",
+    icon: EventAvailable,
+  },
+  {
+    key: "medical_leave",
+    label: "Medical Leave",
+    apiValue: "Medical Leave",
+    code: "M",
+    payloadKey: "medical_leave",
+    countsAsPresent: false,
+    countsAsAbsence: false,
+    color: "#9334e6",
+    bgColor: "#f3e8fd",
+    icon: LocalHospital,
+  },
+  {
+    key: "on_duty",
+    label: "On Duty",
+    apiValue: "On Duty",
+    code: "OD",
+    payloadKey: "on_duty",
+    countsAsPresent: true,
+    countsAsAbsence: false,
+    color: "#007b83",
+    bgColor: "#e4f7fb",
+    icon: BusinessCenter,
+  },
+];
+
+// Code shown in exports for a class that was held but not marked for the student
+export const NOT_MARKED_CODE = "-";
+
+/**
+ * Normalizes a status string so 'Medical Leave', 'medical_leave' and 'MEDICAL-LEAVE' compare equal.
+ * @param {string} value - Raw status.
+ * @returns {string} Normalized status.
+ */
+const normalize = (value) => String(value).trim().toLowerCase().replace(/[\s-]+/g, "_");
+
+/**
+ * Looks up a status by its key, label or backend value.
+ * @param {string} value - Status as found in UI state or API data.
+ * @returns {AttendanceStatus|undefined} The matching status, if any.
+ */
+export const getAttendanceStatus = (value) => {
+  if (!value) return undefined;
+  const needle = normalize(value);
+  return ATTENDANCE_STATUSES.find(
+    (status) => status.key === needle || normalize(status.apiValue) === needle || normalize(status.label) === needle
+  );
+};
+
+/**
+ * Checks whether a recorded status counts as attended.
+ * @param {string} value - Status as found in UI state or API data.
+ * @returns {boolean} True for statuses flagged countsAsPresent.
+ */
+export const countsAsPresent = (value) => !!getAttendanceStatus(value)?.countsAsPresent;
+
+/**
+ * Checks whether a recorded status extends an absence streak.
+ * @param {string} value - Status as found in UI state or API data.
+ * @returns {boolean} True for statuses flagged countsAsAbsence.
+ */
+export const countsAsAbsence = (value) => !!getAttendanceStatus(value)?.countsAsAbsence;
+
+/**
+ * Builds the body of POST /attendance/mark/ from a class's logs.
+ * `present` and `absent` are always sent; the other status arrays only when used.
+ * @param {number} tsId - Teacher-subject mapping ID.
+ * @param {string} date - Class date (YYYY-MM-DD).
+ * @param {Array<{roll_number: string, status: string}>} logs - Marks of the class.
+ * @param {Function} getInternalId - Maps a roll number to the student's database ID.
+ * @returns {Object} The payload.
+ */
+export const buildMarkPayload = (tsId, date, logs, getInternalId) => {
+  const payload = { ts_id: tsId, attendance_date: date, present: [], absent: [] };
+
+  logs.forEach((log) => {
+    const status = getAttendanceStatus(log.status);
+    const internalId = getInternalId(log.roll_number);
+    if (!status || !internalId) return;
+    if (!payload[status.payloadKey]) payload[status.payloadKey] = [];
+    payload[status.payloadKey].push(internalId);
+  });
+
+  return payload;
+};
@@ -0,0 +1,156 @@
+/**
+ * @file attendanceTrends.jsx
+ * @description Week-over-week (or any window) attendance trends derived from the teacher's attendance logs.
+ * Each student's and each subject's attendance rate over the most recent window is compared with the
+ * window before it; the difference in percentage points drives the dashboard's trend arrows, the stat
+ * card trends and the "biggest drops" panel. Also stores the window length chosen by the teacher.
+ * @author Mohd Waris
+ */
+
+import dayjs from "dayjs";
+import { getAttendanceStatus, countsAsPresent } from "./attendanceStatuses";
+import { getStatsKey } from "./attendanceStats";
+
+// Length of the recent window compared with the one before it, unless the teacher changes it
+export const DEFAULT_TREND_WINDOW_DAYS = 7;
+export const TREND_WINDOW_OPTIONS = [7, 14, 30];
+
+// Changes smaller than this (percentage points) are shown as no change
+const TREND_TOLERANCE = 1;
+
+const TREND_WINDOW_KEY = "university_trend_window";
+
+/**
+ * @typedef {Object} TrendWindows
+ * @property {{start: string, end: string}} current - Most recent window (YYYY-MM-DD, inclusive).
+ * @property {{start: string, end: string}} previous - The window just before it.
+ */
+
+/**
+ * @typedef {Object} AttendanceTrend
+ * @property {number|null} current - Attendance rate in the recent window, or null without classes.
+ * @property {number|null} previous - Attendance rate in the previous window, or null without classes.
+ * @property {number|null} change - current - previous in percentage points, or null if either is missing.
+ * @property {string} trend - 'up', 'down' or 'neutral'.
+ */
+
+/** @type {AttendanceTrend} */
+export const NEUTRAL_TREND = { current: null, previous: null, change: null, trend: "neutral" };
+
+/**
+ * Builds the recent and previous windows ending on a date.
+ * @param {string} endDate - Last day of the recent window (YYYY-MM-DD).
+ * @param {number} windowDays - Window length in days.
+ * @returns {TrendWindows}
+ */
+export const getTrendWindows = (endDate, windowDays) => {
+  const end = dayjs(endDate);
+  const format = (day) => day.format("YYYY-MM-DD");
+  return {
+    current: { start: format(end.subtract(windowDays - 1, "day")), end: format(end) },
+    previous: { start: format(end.subtract(2 * windowDays - 1, "day")), end: format(end.subtract(windowDays, "day")) },
+  };
+};
+
+/**
+ * Turns the class counts of both windows into a trend.
+ * @param {{attended: number, total: number}} current - Counts in the recent window.
+ * @param {{attended: number, total: number}} previous - Counts in the previous window.
+ * @returns {AttendanceTrend}
+ */
+const toTrend = (current, previous) => {
+  const currentRate = current.total ? (current.attended / current.total) * 100 : null;
+  const previousRate = previous.total ? (previous.attended / previous.total) * 100 : null;
+  if (currentRate === null || previousRate === null) {
+    return { ...NEUTRAL_TREND, current: currentRate, previous: previousRate };
+  }
+
+  const change = currentRate - previousRate;
+  let trend = "neutral";
+  if (change >= TREND_TOLERANCE) trend = "up";
+  else if (change <= -TREND_TOLERANCE) trend = "down";
+  return { current: currentRate, previous: previousRate, change, trend };
+};
+
+/**
+ * Computes the trend of every student (per subject), of every subject, and of all the logs together.
+ * Logs with an unknown status are ignored.
+ * @param {import("../api/apiClient").AttendanceLog[]} logs - Attendance logs.
+ * @param {Object} options
+ * @param {string} options.endDate - Last day of the recent window (YYYY-MM-DD).
+ * @param {number} options.windowDays - Window length in days.
+ * @returns {{students: Map<string, AttendanceTrend>, subjects: Map<string, AttendanceTrend>, overall: AttendanceTrend, windows: TrendWindows}}
+ * Student trends keyed by getStatsKey(roll, subject), subject trends keyed by subject name.
+ */
+export const computeAttendanceTrends = (logs, { endDate, windowDays }) => {
+  const windows = getTrendWindows(endDate, windowDays);
+  const studentCounts = new Map();
+  const subjectCounts = new Map();
+  const overallCounts = new Map();
+
+  /**
+   * Adds one class to the counts of a key.
+   * @param {Map} counts - Counts being built.
+   * @param {string} key - Student or subject key ('' for the overall counts).
+   * @param {string} period - 'current' or 'previous'.
+   * @param {boolean} attended - Whether the class counts as attended.
+   */
+  const add = (counts, key, period, attended) => {
+    if (!counts.has(key)) counts.set(key, { current: { attended: 0, total: 0 }, previous: { attended: 0, total: 0 } });
+    const entry = counts.get(key)[period];
+    entry.total++;
+    if (attended) entry.attended++;
+  };
+
+  logs.forEach((log) => {
+    if (!getAttendanceStatus(log.status)) return;
+    let period = null;
+    if (log.date >= windows.current.start && log.date <= windows.current.end) period = "current";
+    else if (log.date >= windows.previous.start && log.date <= windows.previous.end) period = "previous";
+    if (!period) return;
+
+    const attended = countsAsPresent(log.status);
+    add(studentCounts, getStatsKey(log.roll_number, log.subject_name), period, attended);
+    add(subjectCounts, log.subject_name, period, attended);
+    add(overallCounts, "", period, attended);
+  });
+
+  const toTrends = (counts) => new Map([...counts].map(([key, entry]) => [key, toTrend(entry.current, entry.previous)]));
+  return {
+    students: toTrends(studentCounts),
+    subjects: toTrends(subjectCounts),
+    overall: toTrends(overallCounts).get("") || NEUTRAL_TREND,
+    windows,
+  };
+};
+
+/**
+ * Picks the largest drops, biggest first.
+ * @param {Array<{trend: AttendanceTrend}>} items - Items carrying a trend.
+ * @param {number} limit - Maximum number of items.
+ * @returns {Array} Items whose trend is 'down'.
+ */
+export const getBiggestDrops = (items, limit) =>
+  items
+    .filter((item) => item.trend.trend === "down")
+    .sort((a, b) => a.trend.change - b.trend.change)
+    .slice(0, limit);
+
+// --- Trend Window ---
+
+/**
+ * Reads the teacher's trend window.
+ * @returns {number} The saved window in days, or DEFAULT_TREND_WINDOW_DAYS.
+ */
+export const getTrendWindow = () => {
+  const saved = parseInt(localStorage.getItem(TREND_WINDOW_KEY), 10);
+  return saved > 0 ? saved : DEFAULT_TREND_WINDOW_DAYS;
+};
+
+/**
+ * Saves the teacher's trend window.
+ * @param {number} days - Window length in days.
+ */
+export const saveTrendWindow = (days) => {
+  localStorage.setItem(TREND_WINDOW_KEY, String(days));
+};
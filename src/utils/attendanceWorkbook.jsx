@@ -0,0 +1,603 @@
+/**
+ * @file attendanceWorkbook.jsx
+ * @description Writes the Excel attendance reports and the exam-eligibility list with ExcelJS so the sheets can be styled:
+ * a metadata block (teacher, subject, export date), frozen Roll No / Name columns and header row,
+ * colour-coded status cells, a footer row with the daily present count, and percentages coloured
+ * with the dashboard's red / amber / green bands, whose limits come from each class's attendance policy.
+ * ExcelJS is loaded on demand so it does not weigh on the initial page load.
+ * @author Mohd Waris
+ */
+
+import dayjs from "dayjs";
+import { ATTENDANCE_STATUSES, NOT_MARKED_CODE } from "./attendanceStatuses";
+import { getAttendanceBand } from "./attendanceBands";
+import { ELIGIBILITY_STATUSES } from "./examEligibility";
+import { getAttendancePolicy, getRosterPolicy, withThresholdOverride, formatThresholds, DEFAULT_POLICY } from "./attendancePolicy";
+
+const BRAND_COLOR = "#6a65ff";
+const FLAG_BG_COLOR = "#ffebee";
+const FLAG_COLOR = "#c62828";
+// Characters Excel does not allow in sheet names
+const INVALID_SHEET_CHARS = /[\\/?*[\]:]/g;
+const SUMMARY_COLUMNS = ["Total Classes", "Days Present", "Percentage"];
+
+/**
+ * @typedef {Object} SheetColumn
+ * @property {string} header - Header text.
+ * @property {number} width - Column width (characters).
+ * @property {string} [kind] - 'text' (default), 'status', 'number' or 'percentage' (0-100 or '-').
+ */
+
+/**
+ * @typedef {Object} SheetSpec
+ * @property {string} name - Sheet name.
+ * @property {Array<[string, string]>} metadata - Label / value pairs printed above the table.
+ * @property {SheetColumn[]} columns - Columns.
+ * @property {Array<Array>} rows - Cell values, one array per row.
+ * @property {boolean} [dailyTotals] - Adds a footer row counting present marks per status column.
+ * @property {import("./attendancePolicy").AttendancePolicy} [policy] - Policy colouring the percentages (default policy if omitted).
+ * @property {Function} [getPolicy] - (rowIndex, columnIndex) => policy, for sheets mixing classes; wins over policy.
+ * @property {boolean} [flagShort] - Highlights percentages below the policy's threshold.
+ */
+
+/**
+ * @typedef {Object} ExportMeta
+ * @property {string} [teacherName] - Teacher name.
+ * @property {string} [course] - Course name.
+ * @property {string|number} [semester] - Semester.
+ * @property {import("./attendancePolicy").AttendancePolicy} [policy] - Policy of the class, printed as the required attendance.
+ */
+
+// --- Colour Helpers ---
+
+/**
+ * Converts a #rrggbb colour to ExcelJS ARGB.
+ * @param {string} hex - Colour.
+ * @returns {{argb: string}}
+ */
+const argb = (hex) => ({ argb: `FF${hex.replace("#", "").toUpperCase()}` });
+
+/**
+ * Builds a solid fill.
+ * @param {string} hex - Colour.
+ * @returns {Object} ExcelJS fill.
+ */
+const solidFill = (hex) => ({ type: "pattern", pattern: "solid", fgColor: argb(hex) });
+
+// --- Sheet Specs ---
+
+/**
+ * Builds a unique, Excel-safe sheet name (at most 31 characters).
+ * @param {string} name - Desired name.
+ * @param {Set<string>} usedNames - Names already in the workbook (updated in place).
+ * @returns {string}
+ */
+const toSheetName = (name, usedNames) => {
+  const base = name.replace(INVALID_SHEET_CHARS, " ").trim().slice(0, 31);
+  let candidate = base;
+  for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+    candidate = `${base.slice(0, 31 - String(n).length - 1)}~${n}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+};
+
+/**
+ * Builds the metadata block of a report sheet.
+ * @param {ExportMeta} meta - Export details.
+ * @param {string} subject - Subject label.
+ * @param {import("./attendanceReport").AttendanceReport} report - Report (for the period).
+ * @returns {Array<[string, string]>}
+ */
+const buildMetadata = (meta, subject, report) => [
+  ["Teacher", meta.teacherName || "-"],
+  ["Subject", subject],
+  ...(meta.course ? [["Course / Semester", `${meta.course} / Sem ${meta.semester}`]] : []),
+  ...(meta.policy ? [["Required attendance", `${meta.policy.threshold}%`]] : []),
+  ["Period", `${dayjs(report.startDate).format("DD MMM YYYY")} - ${dayjs(report.endDate).format("DD MMM YYYY")}`],
+  ["Exported on", dayjs().format("DD MMM YYYY, hh:mm A")],
+];
+
+const ROLL_COLUMNS = [
+  { header: "Roll No", width: 15 },
+  { header: "Name", width: 22 },
+];
+
+/**
+ * Builds the summary columns (Total Classes, Days Present, Percentage).
+ * @returns {SheetColumn[]}
+ */
+const summaryColumns = () => [
+  { header: SUMMARY_COLUMNS[0], width: 13, kind: "number" },
+  { header: SUMMARY_COLUMNS[1], width: 13, kind: "number" },
+  { header: SUMMARY_COLUMNS[2], width: 12, kind: "percentage" },
+];
+
+/**
+ * Builds the summary cells of a row.
+ * @param {import("./attendanceReport").ClassTotals} totals - Totals.
+ * @returns {Array}
+ */
+const summaryCells = (totals) => [totals.held, totals.present, totals.percentage];
+
+/**
+ * Builds one continuous sheet: every date of the range (as YYYY-MM-DD, so the sheet can be imported
+ * again), optionally followed by a cumulative column after each month, then the totals for the whole range.
+ * @param {import("./attendanceReport").AttendanceReport} report - Report data.
+ * @param {Object} options
+ * @param {string} options.name - Sheet name.
+ * @param {boolean} options.withCumulative - Whether to add the cumulative columns.
+ * @param {Array<[string, string]>} options.metadata - Metadata block.
+ * @param {import("./attendancePolicy").AttendancePolicy} options.policy - Policy of the class.
+ * @returns {SheetSpec}
+ */
+const buildContinuousSheet = (report, { name, withCumulative, metadata, policy }) => {
+  const columns = [...ROLL_COLUMNS];
+  report.months.forEach((month) => {
+    columns.push(...month.dates.map((date) => ({ header: date, width: 11, kind: "status" })));
+    if (withCumulative) columns.push({ header: `Cumulative % (${month.label})`, width: 24, kind: "percentage" });
+  });
+  columns.push(...summaryColumns());
+
+  const rows = report.rows.map((row) => {
+    const cells = [row.rollNumber, row.name];
+    report.months.forEach((month) => {
+      cells.push(...month.dates.map((date) => row.marks[date]));
+      if (withCumulative) cells.push(row.cumulative[month.key].percentage);
+    });
+    return [...cells, ...summaryCells(row.totals)];
+  });
+
+  return { name, metadata, columns, rows, dailyTotals: true, policy };
+};
+
+/**
+ * Builds the sheet of one month in the original report layout (day numbers as columns).
+ * The totals are the month's own; the optional cumulative column runs from the range start.
+ * @param {import("./attendanceReport").AttendanceReport} report - Report data.
+ * @param {import("./attendanceReport").ReportMonth} month - Month to write.
+ * @param {Object} options
+ * @param {boolean} options.withCumulative - Whether to add the cumulative column.
+ * @param {Array<[string, string]>} options.metadata - Metadata block.
+ * @param {import("./attendancePolicy").AttendancePolicy} options.policy - Policy of the class.
+ * @returns {SheetSpec}
+ */
+const buildMonthSheet = (report, month, { withCumulative, metadata, policy }) => {
+  const columns = [
+    ...ROLL_COLUMNS,
+    ...month.dates.map((date) => ({ header: String(Number(date.slice(8))), width: 4.5, kind: "status" })),
+    ...summaryColumns(),
+  ];
+  if (withCumulative) columns.push({ header: "Cumulative %", width: 14, kind: "percentage" });
+
+  const rows = report.rows.map((row) => {
+    const cells = [row.rollNumber, row.name, ...month.dates.map((date) => row.marks[date]), ...summaryCells(row.monthTotals[month.key])];
+    if (withCumulative) cells.push(row.cumulative[month.key].percentage);
+    return cells;
+  });
+
+  return { name: month.label, metadata, columns, rows, dailyTotals: true, policy };
+};
+
+/**
+ * Builds the summary sheet of the per-month layout: totals over the whole range,
+ * optionally preceded by the cumulative percentage at the end of each month.
+ * @param {import("./attendanceReport").AttendanceReport} report - Report data.
+ * @param {Object} options
+ * @param {boolean} options.withCumulative - Whether to add the cumulative columns.
+ * @param {Array<[string, string]>} options.metadata - Metadata block.
+ * @param {import("./attendancePolicy").AttendancePolicy} options.policy - Policy of the class.
+ * @returns {SheetSpec}
+ */
+const buildSummarySheet = (report, { withCumulative, metadata, policy }) => {
+  const columns = [...ROLL_COLUMNS];
+  if (withCumulative) {
+    columns.push(...report.months.map((month) => ({ header: `Cumulative % (${month.label})`, width: 24, kind: "percentage" })));
+  }
+  columns.push(...summaryColumns());
+
+  const rows = report.rows.map((row) => [
+    row.rollNumber,
+    row.name,
+    ...(withCumulative ? report.months.map((month) => row.cumulative[month.key].percentage) : []),
+    ...summaryCells(row.totals),
+  ]);
+
+  return { name: "Summary", metadata, columns, rows, policy };
+};
+
+/**
+ * Builds the overview sheet of the multi-subject workbook: one row per student with their
+ * percentage in every subject, and the subjects in which they are below the required percentage
+ * of that class's attendance policy (or below the threshold given instead).
+ * @param {Array<{group: Object, report: Object}>} classReports - Report of every class.
+ * @param {number|null} threshold - Percentage below which a student is flagged; null uses each class's policy.
+ * @param {Array<[string, string]>} metadata - Metadata block.
+ * @returns {SheetSpec}
+ */
+const buildOverviewSheet = (classReports, threshold, metadata) => {
+  const subjectNames = [...new Set(classReports.map(({ group }) => group.subjectName))];
+  const students = new Map();
+
+  classReports.forEach(({ group, report }) => {
+    const policy = withThresholdOverride(
+      getAttendancePolicy({ course: group.course, semester: group.semester, subjectName: group.subjectName }),
+      threshold
+    );
+    report.rows.forEach((row) => {
+      if (!students.has(row.rollNumber)) {
+        students.set(row.rollNumber, { rollNumber: row.rollNumber, name: row.name, course: group.course, semester: group.semester, rates: {}, policies: {}, below: [] });
+      }
+      const entry = students.get(row.rollNumber);
+      entry.policies[group.subjectName] = policy;
+      // No classes held in the range -> nothing to judge
+      if (row.totals.held === 0) {
+        entry.rates[group.subjectName] = "-";
+        return;
+      }
+      entry.rates[group.subjectName] = row.totals.percentage;
+      if (row.totals.percentage < policy.threshold) entry.below.push(group.subjectName);
+    });
+  });
+
+  const columns = [
+    ...ROLL_COLUMNS,
+    { header: "Course", width: 14 },
+    { header: "Semester", width: 10 },
+    ...subjectNames.map((name) => ({ header: name, width: Math.max(12, name.length + 2), kind: "percentage" })),
+    { header: threshold === null ? "Below Required %" : `Below ${threshold}%`, width: 32, kind: "flag" },
+  ];
+
+  const entries = [...students.values()].sort((a, b) => String(a.rollNumber).localeCompare(String(b.rollNumber)));
+  const firstSubjectColumn = ROLL_COLUMNS.length + 2;
+  const rows = entries.map((entry) => [
+    entry.rollNumber,
+    entry.name,
+    entry.course,
+    entry.semester,
+    ...subjectNames.map((name) => entry.rates[name] ?? ""),
+    entry.below.length ? `YES: ${entry.below.join(", ")}` : "",
+  ]);
+
+  return {
+    name: "Overview",
+    metadata,
+    columns,
+    rows,
+    getPolicy: (rowIndex, columnIndex) => entries[rowIndex].policies[subjectNames[columnIndex - firstSubjectColumn]] || DEFAULT_POLICY,
+    flagShort: true,
+  };
+};
+
+/**
+ * Builds a sheet of the exam-eligibility list.
+ * @param {import("./examEligibility").EligibilityRow[]} rows - Rows to list.
+ * @param {Object} options
+ * @param {string} options.name - Sheet name.
+ * @param {Array<[string, string]>} options.metadata - Metadata block.
+ * @returns {SheetSpec}
+ */
+const buildEligibilitySheet = (rows, { name, metadata }) => ({
+  name,
+  metadata,
+  columns: [
+    ...ROLL_COLUMNS,
+    { header: "Course", width: 14 },
+    { header: "Semester", width: 10 },
+    { header: "Subject", width: 22 },
+    { header: "Classes Held", width: 13, kind: "number" },
+    { header: "Classes Attended", width: 16, kind: "number" },
+    { header: "Percentage", width: 12, kind: "percentage" },
+    { header: "Required", width: 10 },
+    { header: "Status", width: 12 },
+    { header: "Remarks", width: 36 },
+  ],
+  rows: rows.map((row) => [
+    row.rollNumber,
+    row.name,
+    row.course,
+    row.semester,
+    row.subjectName,
+    row.held,
+    row.attended,
+    row.percentage ?? "-",
+    `${row.threshold}%`,
+    ELIGIBILITY_STATUSES[row.status].label,
+    row.condonation ? `Condoned: ${row.condonation.reason}` : "",
+  ]),
+  getPolicy: (rowIndex) => rows[rowIndex].policy,
+  flagShort: true,
+});
+
+/**
+ * Builds the legend sheet explaining the status codes.
+ * @returns {SheetSpec}
+ */
+const buildLegendSheet = () => ({
+  name: "Legend",
+  metadata: [],
+  columns: [
+    { header: "Code", width: 8, kind: "status" },
+    { header: "Status", width: 18 },
+    { header: "Counts as Present", width: 18 },
+  ],
+  rows: [
+    ...ATTENDANCE_STATUSES.map((s) => [s.code, s.label, s.countsAsPresent ? "Yes" : "No"]),
+    [NOT_MARKED_CODE, "Not Marked", "No"],
+  ],
+});
+
+// --- Rendering ---
+
+/**
+ * Styles a percentage cell with its band (or the flag colours when below the threshold).
+ * @param {Object} cell - ExcelJS cell.
+ * @param {number|string} value - Percentage (0-100) or '-'.
+ * @param {import("./attendancePolicy").AttendancePolicy} policy - Policy giving the bands and threshold.
+ * @param {boolean} [flagShort] - Whether to flag percentages below the threshold.
+ */
+const writePercentageCell = (cell, value, policy, flagShort) => {
+  if (typeof value !== "number") {
+    cell.value = value;
+    return;
+  }
+  cell.value = value / 100;
+  cell.numFmt = "0.00%";
+  const band = getAttendanceBand(value, policy);
+  cell.font = { bold: true, color: argb(band.color) };
+  if (flagShort && value < policy.threshold) {
+    cell.fill = solidFill(FLAG_BG_COLOR);
+    cell.font = { bold: true, color: argb(FLAG_COLOR) };
+  }
+};
+
+/**
+ * Styles a status code cell with the status colours.
+ * @param {Object} cell - ExcelJS cell.
+ * @param {string} code - Status code, NOT_MARKED_CODE or ''.
+ */
+const writeStatusCell = (cell, code) => {
+  cell.value = code;
+  cell.alignment = { horizontal: "center" };
+  const status = ATTENDANCE_STATUSES.find((s) => s.code === code);
+  if (status) {
+    cell.fill = solidFill(status.bgColor);
+    cell.font = { bold: true, color: argb(status.color) };
+  } else if (code === NOT_MARKED_CODE) {
+    cell.font = { color: argb("#9e9e9e") };
+  }
+};
+
+/**
+ * Renders a sheet spec into the workbook.
+ * @param {Object} workbook - ExcelJS workbook.
+ * @param {SheetSpec} spec - Sheet to write.
+ */
+const renderSheet = (workbook, spec) => {
+  const sheet = workbook.addWorksheet(spec.name);
+  sheet.columns = spec.columns.map((column) => ({ width: column.width }));
+
+  // 1. Metadata block
+  spec.metadata.forEach(([label, value]) => {
+    const row = sheet.addRow([label, value]);
+    row.getCell(1).font = { bold: true };
+  });
+  if (spec.metadata.length) sheet.addRow([]);
+
+  // 2. Header row
+  const headerRow = sheet.addRow(spec.columns.map((column) => column.header));
+  headerRow.eachCell((cell) => {
+    cell.font = { bold: true, color: argb("#ffffff") };
+    cell.fill = solidFill(BRAND_COLOR);
+    cell.alignment = { horizontal: "center", vertical: "middle" };
+  });
+
+  // 3. Data rows
+  const policyOf = (rowIndex, columnIndex) =>
+    spec.getPolicy ? spec.getPolicy(rowIndex, columnIndex) : spec.policy || DEFAULT_POLICY;
+  spec.rows.forEach((values, rowIndex) => {
+    const row = sheet.addRow([]);
+    spec.columns.forEach((column, index) => {
+      const cell = row.getCell(index + 1);
+      const value = values[index];
+      if (column.kind === "status") writeStatusCell(cell, value);
+      else if (column.kind === "percentage") writePercentageCell(cell, value, policyOf(rowIndex, index), spec.flagShort);
+      else {
+        cell.value = value;
+        if (column.kind === "flag" && value) cell.font = { bold: true, color: argb(FLAG_COLOR) };
+      }
+    });
+  });
+
+  // 4. Footer: daily present count for every status column
+  if (spec.dailyTotals) {
+    const presentCodes = new Set(ATTENDANCE_STATUSES.filter((s) => s.countsAsPresent).map((s) => s.code));
+    const totals = spec.columns.map((column, index) => {
+      if (index === 1) return "Present (daily)";
+      if (column.kind !== "status") return null;
+      const marked = spec.rows.filter((row) => row[index]);
+      return marked.length ? spec.rows.filter((row) => presentCodes.has(row[index])).length : null;
+    });
+    const footer = sheet.addRow(totals);
+    footer.eachCell((cell) => {
+      cell.font = { bold: true };
+      cell.fill = solidFill("#f1f0ff");
+      cell.alignment = { horizontal: "center" };
+    });
+    footer.getCell(2).alignment = { horizontal: "left" };
+  }
+
+  // 5. Freeze the Roll No / Name columns and everything down to the header row
+  sheet.views = [{ state: "frozen", xSplit: spec.columns.length > 2 ? 2 : 0, ySplit: headerRow.number }];
+};
+
+/**
+ * Renders the specs into a workbook and downloads it.
+ * @param {SheetSpec[]} specs - Sheets in order.
+ * @param {string} fileName - File name (.xlsx).
+ * @returns {Promise<void>}
+ */
+const downloadWorkbook = async (specs, fileName) => {
+  const { default: ExcelJS } = await import("exceljs");
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const usedNames = new Set();
+  specs.forEach((spec) => renderSheet(workbook, { ...spec, name: toSheetName(spec.name, usedNames) }));
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  const url = URL.createObjectURL(
+    new Blob([buffer], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// --- Public API ---
+
+/**
+ * Downloads the report of one class.
+ * @param {import("./attendanceReport").AttendanceReport} report - Report data.
+ * @param {Object} options
+ * @param {string} options.layout - 'perMonth' (summary + one sheet per month) or 'continuous'.
+ * @param {boolean} options.withCumulative - Whether to add cumulative columns.
+ * @param {ExportMeta} options.meta - Export details.
+ * @param {string} options.fileName - File name (.xlsx).
+ * @returns {Promise<void>}
+ */
+export const downloadClassWorkbook = (report, { layout, withCumulative, meta, fileName }) => {
+  const policy = getAttendancePolicy({ course: meta.course, semester: meta.semester, subjectName: report.subjectName });
+  const metadata = buildMetadata({ ...meta, policy }, report.subjectName, report);
+  const specs =
+    layout === "continuous"
+      ? [buildContinuousSheet(report, { name: "Attendance Report", withCumulative, metadata, policy })]
+      : [
+          buildSummarySheet(report, { withCumulative, metadata, policy }),
+          ...report.months.map((month) => buildMonthSheet(report, month, { withCumulative, metadata, policy })),
+        ];
+  return downloadWorkbook([...specs, buildLegendSheet()], fileName);
+};
+
+/**
+ * Downloads the multi-subject workbook: an overview sheet, one continuous sheet per class, and the legend.
+ * @param {Array<{group: Object, report: Object}>} classReports - Report of every class.
+ * @param {Object} options
+ * @param {number|null} options.threshold - Percentage below which the overview flags a student; null uses each class's policy.
+ * @param {boolean} options.withCumulative - Whether to add cumulative columns.
+ * @param {ExportMeta} options.meta - Export details (teacher name).
+ * @param {string} options.fileName - File name (.xlsx).
+ * @returns {Promise<void>}
+ */
+export const downloadAllSubjectsWorkbook = (classReports, { threshold, withCumulative, meta, fileName }) => {
+  const { report: firstReport } = classReports[0];
+  const specs = [
+    buildOverviewSheet(classReports, threshold, buildMetadata({ teacherName: meta.teacherName }, "All subjects", firstReport)),
+    ...classReports.map(({ group, report }) => {
+      const policy = getAttendancePolicy({ course: group.course, semester: group.semester, subjectName: group.subjectName });
+      return buildContinuousSheet(report, {
+        name: `${group.subjectName} ${group.course} S${group.semester}`,
+        withCumulative,
+        metadata: buildMetadata({ ...meta, course: group.course, semester: group.semester, policy }, group.subjectName, report),
+        policy,
+      });
+    }),
+    buildLegendSheet(),
+  ];
+  return downloadWorkbook(specs, fileName);
+};
+
+/**
+ * Downloads the exam-eligibility list: the detained students, the condoned students with their reasons,
+ * and every student evaluated, each on its own sheet.
+ * @param {import("./examEligibility").EligibilityRow[]} rows - Eligibility rows.
+ * @param {Object} options
+ * @param {string} options.cutoffDate - Last date counted (YYYY-MM-DD).
+ * @param {string} options.subjectLabel - Subject(s) covered by the list.
+ * @param {ExportMeta} options.meta - Export details (teacher name).
+ * @param {string} options.fileName - File name (.xlsx).
+ * @returns {Promise<void>}
+ */
+export const downloadEligibilityWorkbook = (rows, { cutoffDate, subjectLabel, meta, fileName }) => {
+  const metadata = [
+    ["Teacher", meta.teacherName || "-"],
+    ["Subject", subjectLabel],
+    ["Attendance up to", dayjs(cutoffDate).format("DD MMM YYYY")],
+    ["Minimum attendance", formatThresholds(rows.map((row) => row.policy))],
+    ["Exported on", dayjs().format("DD MMM YYYY, hh:mm A")],
+  ];
+  const byStatus = (status) => rows.filter((row) => row.status === status);
+
+  return downloadWorkbook(
+    [
+      buildEligibilitySheet(byStatus(ELIGIBILITY_STATUSES.detained.key), { name: "Detained List", metadata }),
+      buildEligibilitySheet(byStatus(ELIGIBILITY_STATUSES.condoned.key), { name: "Condoned", metadata }),
+      buildEligibilitySheet(rows, { name: "All Students", metadata }),
+    ],
+    fileName
+  );
+};
+
+/**
+ * Downloads one student's record: a summary per subject (with absence streaks) and the full register,
+ * one row per class held, with the status recorded for the student.
+ * @param {import("./attendanceReport").SubjectRecord[]} record - The student's subjects (see buildStudentRecord).
+ * @param {Object} options
+ * @param {{name: string, rollNumber: string, email: string}} options.student - Student details.
+ * @param {Object<string, import("./attendanceStats").StudentSubjectStats>} options.streaks - Stats per subject name.
+ * @param {ExportMeta} options.meta - Export details (teacher name).
+ * @param {string} options.fileName - File name (.xlsx).
+ * @returns {Promise<void>}
+ */
+export const downloadStudentWorkbook = (record, { student, streaks, meta, fileName }) => {
+  const metadata = [
+    ["Student", student.name],
+    ["Roll No", student.rollNumber],
+    ["Email", student.email || "-"],
+    ["Teacher", meta.teacherName || "-"],
+    ["Exported on", dayjs().format("DD MMM YYYY, hh:mm A")],
+  ];
+
+  const summary = {
+    name: "Summary",
+    metadata,
+    columns: [
+      { header: "Subject", width: 24 },
+      { header: "Course / Semester", width: 20 },
+      ...summaryColumns(),
+      { header: "Current Absence Streak", width: 22, kind: "number" },
+      { header: "Longest Absence Streak", width: 22, kind: "number" },
+    ],
+    rows: record.map((subject) => [
+      subject.subjectName,
+      `${subject.course} / Sem ${subject.semester}`,
+      ...summaryCells(subject.row.totals),
+      streaks[subject.subjectName]?.currentStreak ?? 0,
+      streaks[subject.subjectName]?.longestStreak ?? 0,
+    ]),
+    getPolicy: (rowIndex) => getRosterPolicy(record[rowIndex].enrolment),
+  };
+
+  const register = {
+    name: "Register",
+    metadata,
+    columns: [
+      { header: "Date", width: 14 },
+      { header: "Subject", width: 24 },
+      { header: "Status", width: 10, kind: "status" },
+    ],
+    rows: record
+      .flatMap((subject) =>
+        subject.report.months.flatMap((month) =>
+          month.dates
+            .filter((date) => subject.row.marks[date])
+            .map((date) => [date, subject.subjectName, subject.row.marks[date]])
+        )
+      )
+      .sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1])),
+  };
+
+  return downloadWorkbook([summary, register, buildLegendSheet()], fileName);
+};
@@ -0,0 +1,96 @@
+/**
+ * @file auth.jsx
+ * @description Shared session helpers for the portal. Centralizes the localStorage keys used
+ * for the JWT tokens and the cached user object, token expiry checks, and role-based home routes
+ * so the login screen and the route guards agree on what a valid session is.
+ * @author Mohd Waris
+ */
+
+// localStorage keys written by Login.jsx on a successful sign-in
+export const TOKEN_KEY = "university_token";
+export const REFRESH_TOKEN_KEY = "university_refresh_token";
+export const USER_KEY = "university_user";
+
+/**
+ * Checks if a JWT token has expired.
+ * @param {string} token - The JWT token string.
+ * @returns {boolean} True if the token is missing, invalid, or expired; otherwise false.
+ */
+export const isTokenExpired = (token) => {
+  if (!token) return true;
+  try {
+    // 1. Get the payload part of the JWT
+    const base64Url = token.split(".")[1];
+    // 2. Convert Base64Url to Base64
+    const base64 = base64Url.replace(/-/g, "+").replace(/_/g, "/");
+    // 3. Decode Base64 to JSON string
+    const jsonPayload = decodeURIComponent(
+      atob(base64)
+        .split("")
+        .map((c) => "%" + ("00" + c.charCodeAt(0).toString(16)).slice(-2))
+        .join("")
+    );
+    // 4. Parse JSON
+    const { exp } = JSON.parse(jsonPayload);
+
+    // 5. Check if current time (in seconds) is greater than expiration
+    const currentTime = Date.now() / 1000;
+    return currentTime > exp;
+  } catch {
+    return true; // If decoding fails, treat as expired
+  }
+};
+
+/**
+ * Reads the cached user object saved at login.
+ * @returns {Object|null} The parsed user ({ name, email, role, id, contextId, code }) or null.
+ */
+export const getStoredUser = () => {
+  const saved = localStorage.getItem(USER_KEY);
+  if (!saved) return null;
+  try {
+    return JSON.parse(saved);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Removes all session data (tokens and user) from localStorage.
+ */
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+};
+
+/**
+ * Checks whether the browser currently holds a usable session.
+ * An expired access token is still usable while the refresh token is valid,
+ * since authFetch renews it on the next API call.
+ * @returns {boolean} True if a user is cached and either token has not expired.
+ */
+export const hasValidSession = () => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  return !!getStoredUser() && (!isTokenExpired(token) || !isTokenExpired(refreshToken));
+};
+
+/**
+ * Resolves the dashboard route for a given role.
+ * @param {string} role - The user's role ('teacher' or 'student').
+ * @returns {string} The root path of that role's portal.
+ */
+export const getHomeRoute = (role) => (role === "teacher" ? "/teacher" : "/student");
+
+/**
+ * Picks where to go after signing in: the page the user was sent away from (e.g. a scanned
+ * check-in link) when it belongs to their portal, otherwise their dashboard.
+ * @param {string} role - The user's role ('teacher' or 'student').
+ * @param {string} [from] - Path (with query string) saved by RequireAuth.
+ * @returns {string} The route to navigate to.
+ */
+export const getPostLoginRoute = (role, from) => {
+  const homeRoute = getHomeRoute(role);
+  return from && (from === homeRoute || from.startsWith(`${homeRoute}/`)) ? from : homeRoute;
+};
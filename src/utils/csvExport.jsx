@@ -0,0 +1,37 @@
+/**
+ * @file csvExport.jsx
+ * @description Writes rows of values as a CSV file and downloads it. Values are quoted when needed and
+ * the file starts with a byte order mark so Excel reads accented names correctly.
+ * @author Mohd Waris
+ */
+
+/**
+ * Quotes a value for CSV when it contains a comma, quote or line break.
+ * @param {*} value - Cell value (null and undefined become empty).
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Renders rows as CSV text.
+ * @param {Array<Array<*>>} rows - Rows, the header first.
+ * @returns {string}
+ */
+export const toCsv = (rows) => rows.map((row) => row.map(toCsvCell).join(",")).join("\r\n");
+
+/**
+ * Downloads rows as a CSV file.
+ * @param {Array<Array<*>>} rows - Rows, the header first.
+ * @param {string} fileName - File name (.csv).
+ */
+export const downloadCsv = (rows, fileName) => {
+  const url = URL.createObjectURL(new Blob(["﻿", toCsv(rows)], { type: "text/csv;charset=utf-8" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,263 @@
+/**
+ * @file emailTemplates.jsx
+ * @description Named, versioned templates for the attendance warning emails, kept in localStorage.
+ * A template has a subject and a body with placeholders such as {student_name} or {threshold};
+ * every save adds a version, so earlier wordings can be looked at and restored. The send dialogs
+ * render the chosen template for each recipient and send it along with the warning request.
+ * On the SMS channel a short fixed text is sent instead of the email. A sentence whose placeholder has
+ * no value for a recipient (e.g. the classes needed when no class count is known) is left out.
+ * @author Mohd Waris
+ */
+
+import { getRosterPolicy, isBelowThreshold } from "./attendancePolicy";
+import { planSubjectAttendance } from "./attendancePlanner";
+import { DEFAULT_DELIVERY, getWarningRecipients } from "./guardianContacts";
+
+const TEMPLATES_KEY = "university_email_templates";
+
+/** @type {string} ID of the built-in template, which can be edited but not deleted. */
+export const DEFAULT_TEMPLATE_ID = "default";
+
+/**
+ * Placeholders a template can use, in the order the editor offers them.
+ * @type {Array<{key: string, description: string}>}
+ */
+export const TEMPLATE_PLACEHOLDERS = [
+  { key: "student_name", description: "Student's name" },
+  { key: "subject", description: "Subject of the warning" },
+  { key: "percentage", description: "Student's attendance percentage" },
+  { key: "threshold", description: "Required percentage of the attendance policy" },
+  { key: "classes_needed", description: "Classes in a row to attend to get back to the requirement (the sentence is left out when unknown)" },
+  { key: "teacher_name", description: "Your name" },
+];
+
+/** @type {Object<string, string>} Values used by the editor's preview. */
+export const SAMPLE_VALUES = {
+  student_name: "Aarav Sharma",
+  subject: "Data Structures",
+  percentage: "68%",
+  threshold: "75%",
+  classes_needed: "12",
+  teacher_name: "Dr. Mehta",
+};
+
+/** @type {string} Text of warnings sent by SMS (same placeholders, kept short for one message). */
+export const SMS_TEMPLATE = "{student_name}: attendance in {subject} is {percentage}, below the required {threshold}. Attend the next {classes_needed} classes. - {teacher_name}";
+
+/**
+ * @typedef {Object} TemplateVersion
+ * @property {number} version - Version number, from 1.
+ * @property {string} subject - Email subject.
+ * @property {string} body - Email body.
+ * @property {string} savedAt - ISO timestamp.
+ */
+
+/**
+ * @typedef {Object} EmailTemplate
+ * @property {string} id - Template ID.
+ * @property {string} name - Name shown to the teacher.
+ * @property {TemplateVersion[]} versions - Every saved version, oldest first; the last one is current.
+ */
+
+/** @type {EmailTemplate} Used until the teacher saves templates of their own. */
+const DEFAULT_TEMPLATE = {
+  id: DEFAULT_TEMPLATE_ID,
+  name: "Standard warning",
+  versions: [
+    {
+      version: 1,
+      subject: "Low attendance in {subject}",
+      body: [
+        "Dear {student_name},",
+        "",
+        "Your attendance in {subject} is {percentage}, below the required {threshold}.",
+        "You need to attend the next {classes_needed} classes in a row to meet the requirement.",
+        "Please meet me if there is a reason for your absences.",
+        "",
+        "Regards,",
+        "{teacher_name}",
+      ].join("\n"),
+      savedAt: "2025-01-01T00:00:00.000Z",
+    },
+  ],
+};
+
+/**
+ * Reads every template, the built-in one first.
+ * @returns {EmailTemplate[]}
+ */
+export const getEmailTemplates = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TEMPLATES_KEY));
+    return Array.isArray(saved) && saved.length ? saved : [DEFAULT_TEMPLATE];
+  } catch {
+    return [DEFAULT_TEMPLATE];
+  }
+};
+
+/**
+ * Writes the templates back.
+ * @param {EmailTemplate[]} templates - Templates.
+ * @returns {EmailTemplate[]} The templates written.
+ */
+const storeTemplates = (templates) => {
+  localStorage.setItem(TEMPLATES_KEY, JSON.stringify(templates));
+  return templates;
+};
+
+/**
+ * Current version of a template.
+ * @param {EmailTemplate} template - Template.
+ * @returns {TemplateVersion}
+ */
+export const getCurrentVersion = (template) => template.versions[template.versions.length - 1];
+
+/**
+ * Saves a template: a new one when no ID is given, otherwise a new version of an existing one.
+ * Renaming alone does not add a version.
+ * @param {Object} draft
+ * @param {string} [draft.id] - Template to update.
+ * @param {string} draft.name - Template name.
+ * @param {string} draft.subject - Email subject.
+ * @param {string} draft.body - Email body.
+ * @returns {{templates: EmailTemplate[], template: EmailTemplate}} The updated templates and the saved one.
+ */
+export const saveEmailTemplate = ({ id, name, subject, body }) => {
+  const templates = getEmailTemplates();
+  const savedAt = new Date().toISOString();
+  const existing = id && templates.find((template) => template.id === id);
+
+  let template;
+  if (!existing) {
+    template = { id: `tpl-${Date.now()}`, name, versions: [{ version: 1, subject, body, savedAt }] };
+  } else {
+    const current = getCurrentVersion(existing);
+    const changed = current.subject !== subject || current.body !== body;
+    template = {
+      ...existing,
+      name,
+      versions: changed
+        ? [...existing.versions, { version: current.version + 1, subject, body, savedAt }]
+        : existing.versions,
+    };
+  }
+
+  const updated = existing
+    ? templates.map((entry) => (entry.id === template.id ? template : entry))
+    : [...templates, template];
+  return { templates: storeTemplates(updated), template };
+};
+
+/**
+ * Deletes a template (the built-in one is kept).
+ * @param {string} id - Template ID.
+ * @returns {EmailTemplate[]} The remaining templates.
+ */
+export const deleteEmailTemplate = (id) => {
+  if (id === DEFAULT_TEMPLATE_ID) return getEmailTemplates();
+  return storeTemplates(getEmailTemplates().filter((template) => template.id !== id));
+};
+
+// A sentence of a line: up to and including its closing punctuation, with the spaces after it
+const SENTENCE_PATTERN = /[^.!?]+[.!?]*\s*/g;
+
+/**
+ * Replaces the {placeholders} of a text; unknown ones are left as written.
+ * Sentences using a placeholder whose value is null are left out, and so is a line they leave empty.
+ * @param {string} text - Template text.
+ * @param {Object<string, string|number|null>} values - Placeholder values.
+ * @returns {string}
+ */
+export const renderTemplate = (text, values) => {
+  const lacksValue = (sentence) => [...sentence.matchAll(/\{(\w+)\}/g)].some(([, key]) => key in values && values[key] === null);
+  const lines = text.split("\n").flatMap((line) => {
+    if (!lacksValue(line)) return [line];
+    const kept = line.replace(SENTENCE_PATTERN, (sentence) => (lacksValue(sentence) ? "" : sentence)).trimEnd();
+    return kept.trim() ? [kept] : [];
+  });
+  return lines.join("\n").replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+};
+
+/**
+ * Lists the placeholders of a text that are not supported.
+ * @param {string} text - Template text.
+ * @returns {string[]}
+ */
+export const findUnknownPlaceholders = (text) => {
+  const known = new Set(TEMPLATE_PLACEHOLDERS.map((placeholder) => placeholder.key));
+  return [...new Set([...text.matchAll(/\{(\w+)\}/g)].map(([, key]) => key))].filter((key) => !known.has(key));
+};
+
+/**
+ * Placeholder values for one recipient of a warning.
+ * The percentage is the one the dashboard shows and flags; the classes needed are worked out from it
+ * over the classes held (from the logs), and are null (sentence left out) without them or without a shortfall.
+ * @param {Object} student - Dashboard student row ({ name, subject, attendanceRate, total?, raw }).
+ * @param {string} [teacherName] - Name of the teacher sending the warning.
+ * @returns {Object<string, string|null>}
+ */
+export const getTemplateValues = (student, teacherName) => {
+  const policy = student.policy || getRosterPolicy(student.raw);
+  const rate = student.attendanceRate;
+
+  let classesNeeded = null;
+  if (student.total && isBelowThreshold(rate, policy)) {
+    const { belowThreshold, mustAttendNow } = planSubjectAttendance({ attended: (rate / 100) * student.total, total: student.total }, policy);
+    if (belowThreshold) classesNeeded = mustAttendNow === null ? "all remaining" : String(mustAttendNow);
+  }
+
+  return {
+    student_name: student.name,
+    subject: student.subject,
+    // Rounded down so a student short of the threshold is never shown as meeting it
+    percentage: `${Math.floor(rate * 10) / 10}%`,
+    threshold: `${policy.threshold}%`,
+    classes_needed: classesNeeded,
+    teacher_name: teacherName || "Your teacher",
+  };
+};
+
+/**
+ * Renders a template for one recipient.
+ * @param {EmailTemplate} template - Template.
+ * @param {Object} student - Dashboard student row.
+ * @param {string} [teacherName] - Name of the teacher sending the warning.
+ * @returns {{subject: string, body: string}}
+ */
+export const renderWarningEmail = (template, student, teacherName) => {
+  const { subject, body } = getCurrentVersion(template);
+  const values = getTemplateValues(student, teacherName);
+  return { subject: renderTemplate(subject, values), body: renderTemplate(body, values) };
+};
+
+/**
+ * Renders the SMS text for one recipient.
+ * @param {Object} student - Dashboard student row.
+ * @param {string} [teacherName] - Name of the teacher sending the warning.
+ * @returns {string}
+ */
+export const renderWarningSms = (student, teacherName) => renderTemplate(SMS_TEMPLATE, getTemplateValues(student, teacherName));
+
+/**
+ * Builds the request body of one warning: the raw roster row, the required percentage,
+ * the chosen template, the email rendered from it and who it goes to on which channel.
+ * @param {Object} student - Dashboard student row.
+ * @param {EmailTemplate} template - Chosen template.
+ * @param {string} [teacherName] - Name of the teacher sending the warning.
+ * @param {{audience: string, channel: string}} [delivery] - Recipients (student, guardian or both) and channel.
+ * @returns {import("../api/apiClient").WarningRequest}
+ */
+export const buildWarningRequest = (student, template, teacherName, delivery = DEFAULT_DELIVERY) => {
+  const current = getCurrentVersion(template);
+  const email = renderWarningEmail(template, student, teacherName);
+  return {
+    ...student.raw,
+    required_percentage: (student.policy || getRosterPolicy(student.raw)).threshold,
+    template: { id: template.id, name: template.name, version: current.version, subject: current.subject, body: current.body },
+    email_subject: email.subject,
+    email_body: email.body,
+    channel: delivery.channel,
+    recipients: getWarningRecipients(student, delivery),
+    ...(delivery.channel === "sms" && { sms_body: renderWarningSms(student, teacherName) }),
+  };
+};
@@ -0,0 +1,169 @@
+/**
+ * @file examEligibility.jsx
+ * @description Builds the exam-eligibility ("detained") list: each student's attendance in each subject
+ * up to a cutoff date, judged against the required percentage of their class's attendance policy (or a
+ * threshold typed on the report screen). Students below it are detained unless the
+ * teacher has condoned the shortage; condonations and their reasons are kept in localStorage so the
+ * list survives reloads while it is being prepared.
+ * @author Mohd Waris
+ */
+
+import { getStatsKey } from "./attendanceStats";
+import { buildAttendanceReport, getClassLogs } from "./attendanceReport";
+import { getRosterPolicy, withThresholdOverride } from "./attendancePolicy";
+
+const CONDONATIONS_KEY = "university_condonations";
+
+/**
+ * Eligibility outcomes, in the order the lists are printed.
+ * @type {Object<string, {key: string, label: string, color: string}>}
+ */
+export const ELIGIBILITY_STATUSES = {
+  detained: { key: "detained", label: "Detained", color: "error" },
+  condoned: { key: "condoned", label: "Condoned", color: "warning" },
+  eligible: { key: "eligible", label: "Eligible", color: "success" },
+};
+
+/**
+ * @typedef {Object} Condonation
+ * @property {string} reason - Why the shortage was condoned (medical, sports, ...).
+ * @property {string} condonedOn - When it was recorded (ISO timestamp).
+ */
+
+/**
+ * @typedef {Object} EligibilityRow
+ * @property {string} key - Student/subject key (see getStatsKey).
+ * @property {number} studentId - Database ID of the student.
+ * @property {string} rollNumber - Student roll number.
+ * @property {string} name - Student name.
+ * @property {string} course - Course name.
+ * @property {number} semester - Semester.
+ * @property {string} subjectName - Subject name.
+ * @property {number} held - Classes the student's section held up to the cutoff, as counted by the exported reports.
+ * @property {number} attended - Classes counted as attended.
+ * @property {number|null} percentage - Exact percentage, or null with no classes.
+ * @property {number} threshold - Percentage the student needed.
+ * @property {import("./attendancePolicy").AttendancePolicy} policy - Policy the student was judged by.
+ * @property {string} status - 'eligible', 'condoned' or 'detained'.
+ * @property {Condonation|null} condonation - Recorded condonation, if any.
+ */
+
+// --- Condonations ---
+
+/**
+ * Reads every recorded condonation.
+ * @returns {Object<string, Condonation>} Condonations keyed by getStatsKey(roll, subject).
+ */
+export const getCondonations = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CONDONATIONS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Records (or replaces) the condonation of a student's shortage in a subject.
+ * @param {string} key - Student/subject key.
+ * @param {string} reason - Reason for the condonation.
+ * @returns {Object<string, Condonation>} The updated condonations.
+ */
+export const saveCondonation = (key, reason) => {
+  const condonations = { ...getCondonations(), [key]: { reason, condonedOn: new Date().toISOString() } };
+  localStorage.setItem(CONDONATIONS_KEY, JSON.stringify(condonations));
+  return condonations;
+};
+
+/**
+ * Removes a condonation.
+ * @param {string} key - Student/subject key.
+ * @returns {Object<string, Condonation>} The updated condonations.
+ */
+export const removeCondonation = (key) => {
+  const condonations = { ...getCondonations() };
+  delete condonations[key];
+  localStorage.setItem(CONDONATIONS_KEY, JSON.stringify(condonations));
+  return condonations;
+};
+
+// --- Eligibility ---
+
+/**
+ * Builds the eligibility of every student in every subject.
+ * Classes held are counted per section (subject, course and semester) as in the exported reports,
+ * so a class the student was not marked for counts as missed. A condonation only applies to a
+ * student who is actually short; students whose section held no class are treated as eligible
+ * since there is nothing to judge.
+ * @param {Object} params
+ * @param {Array} params.students - Teacher roster as returned by the API (one row per student and subject).
+ * @param {Array} params.logs - Attendance logs.
+ * @param {string} params.cutoffDate - Last date counted (YYYY-MM-DD).
+ * @param {number|null} [params.threshold] - Minimum percentage to sit the exam for every class;
+ * null or omitted uses each class's attendance policy.
+ * @param {Object<string, Condonation>} params.condonations - Recorded condonations.
+ * @returns {EligibilityRow[]} Rows sorted by subject, then roll number.
+ */
+export const buildEligibilityList = ({ students, logs, cutoffDate, threshold, condonations }) => {
+  // 1. Group the roster into sections
+  const sections = new Map();
+  students.forEach((student) => {
+    const sectionKey = [student.subject_name, student.course?.course_name || "N/A", student.current_semester].join("|");
+    if (!sections.has(sectionKey)) sections.set(sectionKey, []);
+    sections.get(sectionKey).push(student);
+  });
+
+  // 2. Totals of each student from their section's report, from its first class up to the cutoff
+  const totals = new Map();
+  sections.forEach((sectionStudents) => {
+    const subjectName = sectionStudents[0].subject_name;
+    const rows = sectionStudents.map((student) => ({ id: student.roll_number, name: student.student_name }));
+    const classLogs = getClassLogs(logs.filter((log) => log.subject_name === subjectName && log.date <= cutoffDate), rows);
+    const firstDate = classLogs.reduce((first, log) => (log.date < first ? log.date : first), cutoffDate);
+    const report = buildAttendanceReport({ students: rows, logs: classLogs, subjectName, startDate: firstDate, endDate: cutoffDate });
+    report.rows.forEach((row) => totals.set(getStatsKey(row.rollNumber, subjectName), row.totals));
+  });
+
+  // 3. Judge each student
+  return students
+    .map((student) => {
+      const key = getStatsKey(student.roll_number, student.subject_name);
+      const { held, present: attended } = totals.get(key);
+      const policy = withThresholdOverride(getRosterPolicy(student), threshold);
+      const percentage = held > 0 ? (attended / held) * 100 : null;
+      const short = percentage !== null && percentage < policy.threshold;
+      const condonation = short ? condonations[key] || null : null;
+
+      let status = ELIGIBILITY_STATUSES.eligible.key;
+      if (short) status = condonation ? ELIGIBILITY_STATUSES.condoned.key : ELIGIBILITY_STATUSES.detained.key;
+
+      return {
+        key,
+        studentId: student.id,
+        rollNumber: student.roll_number,
+        name: student.student_name,
+        course: student.course?.course_name || "N/A",
+        semester: student.current_semester,
+        subjectName: student.subject_name,
+        held,
+        attended,
+        percentage,
+        threshold: policy.threshold,
+        policy,
+        status,
+        condonation,
+      };
+    })
+    .sort((a, b) => a.subjectName.localeCompare(b.subjectName) || String(a.rollNumber).localeCompare(String(b.rollNumber)));
+};
+
+/**
+ * Counts the rows of each eligibility outcome.
+ * @param {EligibilityRow[]} rows - Eligibility rows.
+ * @returns {{total: number, eligible: number, condoned: number, detained: number}}
+ */
+export const summarizeEligibility = (rows) => ({
+  total: rows.length,
+  eligible: rows.filter((row) => row.status === ELIGIBILITY_STATUSES.eligible.key).length,
+  condoned: rows.filter((row) => row.status === ELIGIBILITY_STATUSES.condoned.key).length,
+  detained: rows.filter((row) => row.status === ELIGIBILITY_STATUSES.detained.key).length,
+});
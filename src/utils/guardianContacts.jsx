@@ -0,0 +1,115 @@
+/**
+ * @file guardianContacts.jsx
+ * @description Guardian (parent) contacts of students and the recipients of an attendance warning.
+ * The roster may carry guardian fields (guardian_name, guardian_email, ...); a teacher can add or correct
+ * them on the student's page, and those entries are kept in localStorage by roll number and win over the roster.
+ * A warning goes to the student, the guardian or both, by email or SMS.
+ * @author Mohd Waris
+ */
+
+const GUARDIANS_KEY = "university_guardian_contacts";
+
+/** Who a warning is sent to. */
+export const WARNING_AUDIENCES = [
+  { key: "student", label: "Student" },
+  { key: "guardian", label: "Guardian" },
+  { key: "both", label: "Both" },
+];
+
+/** How a warning is delivered. */
+export const WARNING_CHANNELS = [
+  { key: "email", label: "Email" },
+  { key: "sms", label: "SMS" },
+];
+
+/** @type {{audience: string, channel: string}} Used until the teacher picks otherwise. */
+export const DEFAULT_DELIVERY = { audience: "student", channel: "email" };
+
+/**
+ * @typedef {Object} GuardianContact
+ * @property {string} name - Guardian's name.
+ * @property {string} relation - Relation to the student (Father, Mother, ...).
+ * @property {string} email - Email address.
+ * @property {string} phone - Phone number for SMS.
+ */
+
+/**
+ * @typedef {Object} WarningRecipient
+ * @property {string} type - 'student' or 'guardian'.
+ * @property {string} name - Recipient's name.
+ * @property {string} address - Email address or phone number, depending on the channel.
+ */
+
+/**
+ * Reads the guardian contacts entered by teachers.
+ * @returns {Object<string, GuardianContact>} Keyed by roll number.
+ */
+const getStoredGuardians = () => {
+  try {
+    return JSON.parse(localStorage.getItem(GUARDIANS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Guardian of a student: the contact entered by a teacher, otherwise the roster's guardian fields.
+ * @param {import("../api/apiClient").TeacherStudent} student - Roster row.
+ * @returns {GuardianContact|null} Null when nothing is on record.
+ */
+export const getGuardian = (student) => {
+  if (!student) return null;
+  const stored = getStoredGuardians()[student.roll_number];
+  if (stored) return stored;
+  if (!student.guardian_name && !student.guardian_email && !student.guardian_phone) return null;
+  return {
+    name: student.guardian_name || "",
+    relation: student.guardian_relation || "",
+    email: student.guardian_email || "",
+    phone: student.guardian_phone || "",
+  };
+};
+
+/**
+ * Records (or replaces) a student's guardian contact.
+ * @param {string} rollNumber - Student roll number.
+ * @param {GuardianContact} contact - Contact details.
+ */
+export const saveGuardian = (rollNumber, contact) => {
+  localStorage.setItem(GUARDIANS_KEY, JSON.stringify({ ...getStoredGuardians(), [rollNumber]: contact }));
+};
+
+/**
+ * Lists the addresses a warning goes to. People without an address for the channel are left out.
+ * @param {Object} student - Dashboard student row ({ name, email?, raw }).
+ * @param {{audience: string, channel: string}} delivery - Who to send to and how.
+ * @returns {WarningRecipient[]}
+ */
+export const getWarningRecipients = (student, { audience, channel }) => {
+  const raw = student.raw || {};
+  const recipients = [];
+
+  if (audience !== "guardian") {
+    const address = channel === "sms" ? raw.phone_number : student.email || raw.email;
+    if (address) recipients.push({ type: "student", name: student.name, address });
+  }
+  if (audience !== "student") {
+    const guardian = getGuardian(raw);
+    const address = guardian && (channel === "sms" ? guardian.phone : guardian.email);
+    if (address) recipients.push({ type: "guardian", name: guardian.name || "Guardian", address });
+  }
+
+  return recipients;
+};
+
+/**
+ * Explains why a student cannot be reached.
+ * @param {{audience: string, channel: string}} delivery - Who to send to and how.
+ * @returns {string}
+ */
+export const describeMissingRecipients = ({ audience, channel }) => {
+  const what = channel === "sms" ? "phone number" : "email address";
+  if (audience === "student") return `No student ${what} on record.`;
+  if (audience === "guardian") return `No guardian ${what} on record.`;
+  return `No student or guardian ${what} on record.`;
+};
@@ -0,0 +1,169 @@
+/**
+ * @file warningLog.jsx
+ * @description Record of the attendance warning emails sent from this browser.
+ * The warning endpoints do not return a history, so every successful send is logged here
+ * (student, subject, attendance at the time, template, sender) and shown on the dashboard and
+ * the student's detail page. A cooldown window keeps bulk sends from warning the same student
+ * about the same subject again too soon.
+ * @author Mohd Waris
+ */
+
+import { getStatsKey } from "./attendanceStats";
+
+const WARNING_LOG_KEY = "university_warning_log";
+const WARNING_COOLDOWN_KEY = "university_warning_cooldown";
+// Oldest entries are dropped beyond this many
+const MAX_ENTRIES = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** @type {number} Days after a warning during which bulk sends skip the student (0 turns it off). */
+export const DEFAULT_WARNING_COOLDOWN_DAYS = 7;
+/** @type {number[]} Cooldown windows offered on the dashboard. */
+export const WARNING_COOLDOWN_OPTIONS = [0, 3, 7, 14, 30];
+
+/**
+ * @typedef {Object} WarningLogEntry
+ * @property {number} [studentId] - Database ID of the student (entries logged before it was kept have none).
+ * @property {string} rollNumber - Student roll number.
+ * @property {string} studentName - Student name.
+ * @property {string} subjectName - Subject the warning was about.
+ * @property {number} percentage - Attendance percentage when the warning was sent.
+ * @property {string} sentAt - ISO timestamp.
+ * @property {string} mode - 'single', 'bulk' or 'alert' (sent by an alert rule).
+ * @property {{id: string, name: string, version: number}|null} [template] - Email template used.
+ * @property {string|null} [sentBy] - Name of the teacher who sent it.
+ * @property {{audience: string, channel: string}|null} [delivery] - Who it went to (student, guardian or both) and how.
+ */
+
+/**
+ * Reads the whole warning log, newest first.
+ * @returns {WarningLogEntry[]}
+ */
+export const getWarningLog = () => {
+  try {
+    return JSON.parse(localStorage.getItem(WARNING_LOG_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Records warnings that were sent.
+ * @param {Array} students - Dashboard student rows ({ id, name, rollNumber, subject, attendanceRate }).
+ * @param {string} mode - 'single', 'bulk' or 'alert'.
+ * @param {Object} [details]
+ * @param {import("./emailTemplates").EmailTemplate} [details.template] - Template the emails were written from.
+ * @param {string} [details.teacherName] - Name of the sending teacher.
+ * @param {{audience: string, channel: string}} [details.delivery] - Recipients and channel chosen.
+ */
+export const logWarningsSent = (students, mode, { template, teacherName, delivery } = {}) => {
+  const sentAt = new Date().toISOString();
+  const templateRef = template
+    ? { id: template.id, name: template.name, version: template.versions[template.versions.length - 1].version }
+    : null;
+  const entries = students.map((student) => ({
+    studentId: student.id ?? student.raw?.id,
+    rollNumber: student.rollNumber,
+    studentName: student.name,
+    subjectName: student.subject,
+    percentage: student.attendanceRate,
+    sentAt,
+    mode,
+    template: templateRef,
+    sentBy: teacherName || null,
+    delivery: delivery || null,
+  }));
+  localStorage.setItem(WARNING_LOG_KEY, JSON.stringify([...entries, ...getWarningLog()].slice(0, MAX_ENTRIES)));
+};
+
+/**
+ * Lists the warnings sent to one student.
+ * @param {string} rollNumber - Student roll number.
+ * @returns {WarningLogEntry[]} Newest first.
+ */
+export const getStudentWarnings = (rollNumber) => getWarningLog().filter((entry) => entry.rollNumber === rollNumber);
+
+// --- Per-Subject Summary ---
+
+/**
+ * @typedef {Object} WarningSummary
+ * @property {WarningLogEntry} last - Most recent warning.
+ * @property {number} count - Warnings sent in total.
+ */
+
+/**
+ * Summarizes the log per student and subject.
+ * @param {WarningLogEntry[]} log - Warning log, newest first.
+ * @returns {Map<string, WarningSummary>} Keyed by getStatsKey(rollNumber, subjectName).
+ */
+export const summarizeWarnings = (log) => {
+  const summary = new Map();
+  log.forEach((entry) => {
+    const key = getStatsKey(entry.rollNumber, entry.subjectName);
+    const existing = summary.get(key);
+    if (existing) existing.count += 1;
+    else summary.set(key, { last: entry, count: 1 });
+  });
+  return summary;
+};
+
+/**
+ * Describes how long ago a warning was sent.
+ * @param {string} sentAt - ISO timestamp.
+ * @param {Date} [now] - Current time.
+ * @returns {string} "today", "yesterday" or "N days ago".
+ */
+export const formatWarningAge = (sentAt, now = new Date()) => {
+  const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+  const days = Math.round((startOfDay(now) - startOfDay(new Date(sentAt))) / DAY_MS);
+  if (days <= 0) return "today";
+  return days === 1 ? "yesterday" : `${days} days ago`;
+};
+
+// --- Cooldown ---
+
+/**
+ * Reads the teacher's cooldown window.
+ * @returns {number} The saved window in days, or DEFAULT_WARNING_COOLDOWN_DAYS.
+ */
+export const getWarningCooldown = () => {
+  const saved = parseInt(localStorage.getItem(WARNING_COOLDOWN_KEY), 10);
+  return saved >= 0 ? saved : DEFAULT_WARNING_COOLDOWN_DAYS;
+};
+
+/**
+ * Saves the teacher's cooldown window.
+ * @param {number} days - Days after a warning during which bulk sends skip the student (0 turns it off).
+ */
+export const saveWarningCooldown = (days) => {
+  localStorage.setItem(WARNING_COOLDOWN_KEY, String(days));
+};
+
+/**
+ * Checks whether a warning is recent enough to hold back another one.
+ * @param {WarningLogEntry|null|undefined} entry - Last warning of the student in the subject.
+ * @param {number} cooldownDays - Cooldown window in days.
+ * @param {Date} [now] - Current time.
+ * @returns {boolean}
+ */
+export const isInCooldown = (entry, cooldownDays, now = new Date()) =>
+  Boolean(entry) && cooldownDays > 0 && now.getTime() - new Date(entry.sentAt).getTime() < cooldownDays * DAY_MS;
+
+/**
+ * Splits the recipients of a bulk send into those who can be warned and those still in cooldown.
+ * @param {Array} students - Dashboard student rows.
+ * @param {number} cooldownDays - Cooldown window in days.
+ * @param {Map<string, WarningSummary>} [summary] - Summary of the log; read from storage if omitted.
+ * @returns {{ready: Array, coolingDown: Array<{student: Object, last: WarningLogEntry}>}}
+ */
+export const splitByCooldown = (students, cooldownDays, summary = summarizeWarnings(getWarningLog())) => {
+  const now = new Date();
+  const ready = [];
+  const coolingDown = [];
+  students.forEach((student) => {
+    const last = summary.get(getStatsKey(student.rollNumber, student.subject))?.last;
+    if (isInCooldown(last, cooldownDays, now)) coolingDown.push({ student, last });
+    else ready.push(student);
+  });
+  return { ready, coolingDown };
+};